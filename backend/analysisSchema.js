@@ -0,0 +1,188 @@
+import { validate } from './validate.js';
+
+const ENTITY_TYPES = ['Person', 'Organization', 'Place'];
+
+// Shape of a full analysis. Clients can ask for a subset of the sections
+// (see analysisSchema()), which is also sent to the model as its structured
+// output schema where the analyzer supports one.
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      description: '2-3 sentence summary of the article',
+      minLength: 1
+    },
+    keyPoints: {
+      type: 'array',
+      description: 'The main points of the article',
+      items: { type: 'string', minLength: 1 },
+      minItems: 1,
+      maxItems: 10
+    },
+    sentiment: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['Positive', 'Negative', 'Neutral'] },
+        score: { type: 'number', description: 'From -1 (very negative) to 1 (very positive)', minimum: -1, maximum: 1 },
+        confidence: { type: 'number', description: 'From 0 to 1', minimum: 0, maximum: 1 },
+        explanation: { type: 'string', description: 'Why the article has this sentiment', minLength: 1 }
+      },
+      required: ['type', 'score', 'confidence', 'explanation']
+    },
+    tone: {
+      type: 'string',
+      description: "The article's tone",
+      minLength: 1
+    },
+    biasDetection: {
+      type: 'string',
+      description: "Bias found in the article, or 'No significant bias detected'",
+      minLength: 1
+    },
+    entities: {
+      type: 'array',
+      description: 'People, organizations and places in the story',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: ENTITY_TYPES },
+          role: { type: 'string', description: 'Their role in the story', minLength: 1 }
+        },
+        required: ['name', 'type', 'role']
+      },
+      maxItems: 20
+    },
+    topics: {
+      type: 'array',
+      description: 'Short topic tags',
+      items: { type: 'string', minLength: 1 },
+      maxItems: 8
+    },
+    claims: {
+      type: 'array',
+      description: 'Checkable factual claims made by the article',
+      items: {
+        type: 'object',
+        properties: {
+          claim: { type: 'string', minLength: 1 },
+          quote: { type: 'string', description: 'The exact words from the article that make the claim', minLength: 1 }
+        },
+        required: ['claim', 'quote']
+      },
+      maxItems: 10
+    },
+    loadedLanguage: {
+      type: 'array',
+      description: 'Emotionally loaded or slanted wording',
+      items: {
+        type: 'object',
+        properties: {
+          phrase: { type: 'string', description: 'The wording, quoted exactly', minLength: 1 },
+          reason: { type: 'string', minLength: 1 }
+        },
+        required: ['phrase', 'reason']
+      },
+      maxItems: 10
+    },
+    language: {
+      type: 'object',
+      properties: {
+        detected: { type: 'string', description: 'ISO 639-1 code of the language the article is written in, e.g. de', minLength: 2, maxLength: 3 },
+        translatedTitle: { type: 'string', description: 'The article title in the output language', minLength: 1 }
+      },
+      required: ['detected', 'translatedTitle']
+    }
+  },
+  required: ['summary', 'keyPoints', 'sentiment', 'tone', 'biasDetection', 'entities', 'topics', 'claims', 'loadedLanguage', 'language']
+};
+
+export const ANALYSIS_SECTIONS = Object.keys(ANALYSIS_SCHEMA.properties);
+
+// Languages an analysis can be written in, by ISO 639-1 code
+export const OUTPUT_LANGUAGES = {
+  en: 'English',
+  de: 'German',
+  fr: 'French',
+  es: 'Spanish',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese'
+};
+
+// Output language requested as an ISO 639-1 code, or ANALYSIS_LANGUAGE
+// (default en) when none is asked for. Throws on unsupported languages.
+export function parseLanguage(value) {
+  const language = String(value || process.env.ANALYSIS_LANGUAGE || 'en').trim().toLowerCase();
+
+  if (!OUTPUT_LANGUAGES[language]) {
+    throw new Error(`Unsupported output language "${language}"`);
+  }
+  return language;
+}
+
+// Sections requested as an array or a comma-separated string; all of them
+// when nothing is asked for. Throws on unknown section names.
+export function parseSections(value) {
+  if (value === undefined || value === null || value === '') return ANALYSIS_SECTIONS;
+
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(section => String(section).trim())
+    .filter(Boolean);
+  const unknown = requested.filter(section => !ANALYSIS_SECTIONS.includes(section));
+
+  if (unknown.length > 0 || requested.length === 0) {
+    throw new Error(`Unknown analysis section${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ') || '(none)'}`);
+  }
+
+  // Keep the schema's order so prompts and cache keys don't depend on it
+  return ANALYSIS_SECTIONS.filter(section => requested.includes(section));
+}
+
+// The schema narrowed down to some sections
+export function analysisSchema(sections = ANALYSIS_SECTIONS) {
+  return {
+    ...ANALYSIS_SCHEMA,
+    properties: Object.fromEntries(sections.map(section => [section, ANALYSIS_SCHEMA.properties[section]])),
+    required: sections
+  };
+}
+
+// Check a parsed model reply against the requested sections of the schema.
+//   complete - every field is valid
+//   partial  - a JSON object with some invalid or missing fields; only the
+//              valid fields are kept, nothing is filled in
+//   failed   - not a JSON object at all, or no valid field
+export function checkAnalysis(value, sections = ANALYSIS_SECTIONS) {
+  const schema = analysisSchema(sections);
+  const errors = validate(schema, value, 'analysis');
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { status: 'failed', analysis: null, errors };
+  }
+
+  // Keep the schema's fields only, and of those only the valid ones
+  const analysis = {};
+  for (const name of sections) {
+    const prefix = `analysis.${name}`;
+    const invalid = errors.some(error => [' ', '.', '['].some(next => error.startsWith(prefix + next)));
+    if (value[name] !== undefined && !invalid) {
+      analysis[name] = value[name];
+    }
+  }
+
+  if (errors.length === 0) {
+    return { status: 'complete', analysis, errors };
+  }
+
+  return Object.keys(analysis).length > 0
+    ? { status: 'partial', analysis, errors }
+    : { status: 'failed', analysis: null, errors };
+}
@@ -0,0 +1,14 @@
+// Error raised by analyzer providers. `code` says what went wrong in a
+// provider-independent way (AUTH, QUOTA, TIMEOUT, MODEL_NOT_FOUND, ...) so
+// routes don't have to sniff provider-specific messages. As with
+// ProviderError, only messages marked `expose: true` reach the client.
+export class AnalyzerError extends Error {
+  constructor(message, { status = 502, code = 'ANALYZER_ERROR', provider = 'unknown', expose = false } = {}) {
+    super(message);
+    this.name = 'AnalyzerError';
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.expose = expose;
+  }
+}
@@ -0,0 +1,114 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { AnalyzerError } from './errors.js';
+import { tracingHeaders } from '../logger.js';
+
+let client = null;
+let clientKey = null;
+
+function isConfigured() {
+  return !!process.env.GEMINI_API_KEY;
+}
+
+function defaultModel() {
+  return process.env.GEMINI_MODEL || 'gemini-pro-latest';
+}
+
+const SCHEMA_KEYWORDS = ['type', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems'];
+
+// Gemini accepts an OpenAPI subset: drop the keywords it rejects and mark
+// string enums the way it expects
+function toResponseSchema(schema) {
+  const result = {};
+  for (const key of SCHEMA_KEYWORDS) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+  if (schema.enum) result.format = 'enum';
+  if (schema.items) result.items = toResponseSchema(schema.items);
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, property]) => [name, toResponseSchema(property)])
+    );
+  }
+  return result;
+}
+
+function getModel(model, schema) {
+  if (!isConfigured()) {
+    throw new AnalyzerError('GEMINI_API_KEY not configured in .env file', {
+      status: 500,
+      code: 'NOT_CONFIGURED',
+      provider: 'gemini',
+      expose: true
+    });
+  }
+
+  if (clientKey !== process.env.GEMINI_API_KEY) {
+    client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    clientKey = process.env.GEMINI_API_KEY;
+  }
+  return client.getGenerativeModel({
+    model,
+    generationConfig: schema
+      ? { responseMimeType: 'application/json', responseSchema: toResponseSchema(schema) }
+      : undefined
+  });
+}
+
+// The SDK only reports failures through its messages
+function toAnalyzerError(error) {
+  if (error instanceof AnalyzerError || error.name === 'AbortError') return error;
+
+  const message = error.message || '';
+  let status = 502;
+  let code = 'ANALYZER_ERROR';
+
+  if (message.includes('API key')) {
+    status = 500;
+    code = 'AUTH';
+  } else if (/quota|429|rate limit|resource has been exhausted/i.test(message)) {
+    status = 429;
+    code = 'QUOTA';
+  } else if (/model not found|models\/\S+ is not found|404/i.test(message)) {
+    status = 400;
+    code = 'MODEL_NOT_FOUND';
+  }
+
+  return new AnalyzerError(message, { status, code, provider: 'gemini' });
+}
+
+export default {
+  name: 'gemini',
+  isConfigured,
+  defaultModel,
+
+  // Counting tokens needs a valid key and an existing model, but costs
+  // nothing
+  async check({ model, signal }) {
+    try {
+      await getModel(model).countTokens('ping', { signal, customHeaders: tracingHeaders() });
+    } catch (error) {
+      throw toAnalyzerError(error);
+    }
+  },
+
+  async generate(prompt, { model, schema, signal }) {
+    try {
+      const result = await getModel(model, schema).generateContent(prompt, { signal, customHeaders: tracingHeaders() });
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      throw toAnalyzerError(error);
+    }
+  },
+
+  async *stream(prompt, { model, schema, signal }) {
+    try {
+      const result = await getModel(model, schema).generateContentStream(prompt, { signal, customHeaders: tracingHeaders() });
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    } catch (error) {
+      throw toAnalyzerError(error);
+    }
+  }
+};
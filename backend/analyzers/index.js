@@ -0,0 +1,150 @@
+import gemini from './gemini.js';
+import openai from './openai.js';
+import mock from './mock.js';
+import { AnalyzerError } from './errors.js';
+import { trackUpstreamCall } from '../metrics.js';
+
+export { AnalyzerError };
+
+const analyzers = { gemini, openai, mock };
+
+export const DEFAULT_ANALYZER = 'gemini';
+
+const DEFAULT_TIMEOUT = 30000;
+
+function configuredName() {
+  return process.env.ANALYZER_PROVIDER || DEFAULT_ANALYZER;
+}
+
+export function listAnalyzers() {
+  return Object.values(analyzers).map(analyzer => ({
+    name: analyzer.name,
+    configured: analyzer.isConfigured(),
+    default: analyzer.name === configuredName(),
+    defaultModel: analyzer.defaultModel()
+  }));
+}
+
+// Pick the analyzer and model for a request. Without an explicit provider
+// ANALYZER_PROVIDER is used, and without an explicit model ANALYZER_MODEL
+// (for the configured provider) or the provider's own default.
+export function resolveAnalyzer({ provider, model } = {}) {
+  const name = provider || configuredName();
+  const analyzer = analyzers[name];
+
+  if (!analyzer) {
+    throw new AnalyzerError(`Unknown analyzer provider "${name}"`, {
+      status: provider ? 400 : 500,
+      code: 'UNKNOWN_PROVIDER',
+      provider: name,
+      expose: true
+    });
+  }
+
+  if (model !== undefined && !/^[\w.:/-]{1,100}$/.test(model)) {
+    throw new AnalyzerError(`Invalid model name "${model}"`, {
+      status: 400,
+      code: 'INVALID_MODEL',
+      provider: name,
+      expose: true
+    });
+  }
+
+  const configuredModel = name === configuredName() ? process.env.ANALYZER_MODEL : undefined;
+  return {
+    analyzer,
+    provider: name,
+    model: model || configuredModel || analyzer.defaultModel()
+  };
+}
+
+// Abort after `timeout` ms, or when the caller's own signal aborts
+function timeoutSignal(parent, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  const onAbort = () => controller.abort();
+  parent?.addEventListener('abort', onAbort);
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    cleanup() {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+function timeoutError(provider, timeout) {
+  return new AnalyzerError(`${provider} timeout after ${timeout / 1000}s`, {
+    status: 504,
+    code: 'TIMEOUT',
+    provider,
+    expose: true
+  });
+}
+
+// Generate a complete reply. `selection` is what resolveAnalyzer() returned.
+// With a JSON `schema` the analyzer is asked for JSON output in that shape,
+// as far as it supports it; callers still have to validate the reply.
+export async function generate(prompt, selection, { signal, schema, timeout = DEFAULT_TIMEOUT } = {}) {
+  const { analyzer, provider, model } = selection;
+  const deadline = timeoutSignal(signal, timeout);
+
+  const end = trackUpstreamCall(provider, 'generate');
+  let failure;
+  try {
+    return await analyzer.generate(prompt, { model, schema, signal: deadline.signal });
+  } catch (error) {
+    failure = deadline.timedOut() ? timeoutError(provider, timeout) : error;
+    throw failure;
+  } finally {
+    end(failure);
+    deadline.cleanup();
+  }
+}
+
+// Yield the reply text chunk by chunk as the model writes it
+export async function* streamText(prompt, selection, { signal, schema, timeout = DEFAULT_TIMEOUT } = {}) {
+  const { analyzer, provider, model } = selection;
+  const deadline = timeoutSignal(signal, timeout);
+
+  const end = trackUpstreamCall(provider, 'stream');
+  let failure;
+  try {
+    for await (const chunk of analyzer.stream(prompt, { model, schema, signal: deadline.signal })) {
+      yield chunk;
+    }
+  } catch (error) {
+    failure = deadline.timedOut() ? timeoutError(provider, timeout) : error;
+    throw failure;
+  } finally {
+    end(failure);
+    deadline.cleanup();
+  }
+}
+
+// See that the analyzer answers, accepts its key and knows the model,
+// without generating anything. Throws the analyzer's error when it doesn't.
+export async function checkAnalyzer(selection, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const { analyzer, provider, model } = selection;
+  const deadline = timeoutSignal(null, timeout);
+
+  const end = trackUpstreamCall(provider, 'check');
+  let failure;
+  try {
+    await analyzer.check({ model, signal: deadline.signal });
+  } catch (error) {
+    failure = deadline.timedOut() ? timeoutError(provider, timeout) : error;
+    throw failure;
+  } finally {
+    end(failure);
+    deadline.cleanup();
+  }
+}
@@ -0,0 +1,207 @@
+// Deterministic analyzer for tests and demos: the same prompt always gets the
+// same reply, and no network or API key is needed. Replies are built from
+// the article text in the prompt so different articles get different results.
+
+const POSITIVE_WORDS = ['win', 'wins', 'growth', 'gain', 'record', 'success', 'improve', 'hope', 'rise', 'boost', 'breakthrough'];
+const NEGATIVE_WORDS = ['crisis', 'war', 'dead', 'death', 'loss', 'fall', 'crash', 'attack', 'fear', 'decline', 'fraud', 'strike'];
+const LOADED_WORDS = ['slammed', 'blasted', 'radical', 'disastrous', 'shocking', 'outrageous', 'chaos', 'scandal', 'regime'];
+const STOP_WORDS = ['The', 'A', 'An', 'In', 'On', 'At', 'And', 'But', 'For', 'With', 'After', 'Before', 'This', 'That'];
+
+function field(prompt, name) {
+  const match = prompt.match(new RegExp(`^${name}: (.*)$`, 'm'));
+  return match && match[1] !== 'N/A' ? match[1].trim() : '';
+}
+
+function sentimentOf(text) {
+  const words = text.toLowerCase().split(/\W+/);
+  const positive = words.filter(word => POSITIVE_WORDS.includes(word)).length;
+  const negative = words.filter(word => NEGATIVE_WORDS.includes(word)).length;
+  const score = positive + negative === 0 ? 0 : Math.round((positive - negative) / (positive + negative) * 100) / 100;
+
+  return {
+    type: score > 0 ? 'Positive' : score < 0 ? 'Negative' : 'Neutral',
+    score,
+    confidence: Math.min(0.9, 0.5 + (positive + negative) * 0.1)
+  };
+}
+
+// Runs of capitalized words, e.g. "European Central Bank"
+function entitiesOf(text) {
+  const names = [...text.matchAll(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g)]
+    .map(match => match[0])
+    .filter(name => !STOP_WORDS.includes(name));
+
+  return [...new Set(names)].slice(0, 5).map(name => ({
+    name,
+    type: /\b(Inc|Corp|Bank|Party|Council|Ministry|Agency|Company|Group)\b/.test(name) ? 'Organization' : 'Person',
+    role: 'Mentioned in the article'
+  }));
+}
+
+// Common short words of each language, enough to tell a headline's language
+const LANGUAGE_WORDS = {
+  de: ['der', 'die', 'das', 'und', 'nicht', 'mit', 'für', 'ist', 'von', 'auf'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'une', 'pour', 'dans', 'est', 'sur'],
+  es: ['el', 'los', 'las', 'y', 'una', 'para', 'por', 'con', 'del', 'según'],
+  en: ['the', 'and', 'of', 'to', 'in', 'for', 'with', 'is', 'on', 'after']
+};
+
+function languageOf(text) {
+  if (/[\u3040-\u30ff]/.test(text)) return 'ja';
+  if (/[\u4e00-\u9fff]/.test(text)) return 'zh';
+
+  const words = text.toLowerCase().split(/[^\p{L}]+/u);
+  const [best] = Object.entries(LANGUAGE_WORDS)
+    .map(([code, common]) => [code, words.filter(word => common.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  return best[1] > 0 ? best[0] : 'en';
+}
+
+function sentences(text) {
+  return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Only the sections the prompt asks for are included
+function analysisReply(prompt) {
+  const title = field(prompt, 'Title') || 'Untitled article';
+  const body = [field(prompt, 'Description'), field(prompt, 'Content')].filter(Boolean).join(' ');
+  const text = `${title} ${body}`;
+  const sentiment = sentimentOf(text);
+  const points = sentences(body).slice(0, 3);
+  const detected = languageOf(text);
+  const output = prompt.match(/^Write every text value in .* \((\w+)\)/m)?.[1] || 'en';
+
+  const sections = {
+    summary: `${title}. ${sentences(body)[0] || 'No further details were provided.'}`,
+    keyPoints: points.length > 0 ? points : [title],
+    sentiment: {
+      ...sentiment,
+      explanation: `Mock analysis: word counts suggest a ${sentiment.type.toLowerCase()} article.`
+    },
+    tone: 'Informative',
+    biasDetection: 'No significant bias detected',
+    entities: entitiesOf(text),
+    topics: [...new Set(title.toLowerCase().split(/\W+/).filter(word => word.length > 4))].slice(0, 3),
+    claims: sentences(body)
+      .filter(sentence => /\d/.test(sentence))
+      .map(sentence => ({ claim: sentence, quote: sentence })),
+    loadedLanguage: LOADED_WORDS
+      .filter(word => text.toLowerCase().includes(word))
+      .map(word => ({ phrase: word, reason: 'Emotionally charged word choice' })),
+    language: {
+      detected,
+      translatedTitle: detected === output ? title : `[${output}] ${title}`
+    }
+  };
+
+  return Object.fromEntries(
+    Object.entries(sections).filter(([name]) => prompt.includes(`"${name}":`))
+  );
+}
+
+function compareReply(prompt) {
+  const sources = [...prompt.matchAll(/^\[\d+\] Source: (.*)$/gm)].map(match => match[1].trim());
+
+  return {
+    story: field(prompt, 'Title') || 'Mock story',
+    summary: `Mock comparison of ${sources.length} outlets.`,
+    agreement: ['All outlets report the same core event.'],
+    disagreements: [],
+    sources: sources.map(source => ({
+      source,
+      framing: 'Straight news report.',
+      sentiment: 'Neutral',
+      bias: 'No significant bias detected'
+    }))
+  };
+}
+
+// One section per "## Section:" heading, covering its first few stories
+function digestReply(prompt) {
+  const sections = prompt.split(/^## Section: /m).slice(1).map(block => {
+    const [name, ...lines] = block.split('\n');
+    const stories = lines
+      .map(line => line.match(/^\[(\d+)\] (.*?)(?: - .*)? \(Sources: .*\)$/))
+      .filter(Boolean)
+      .slice(0, 5);
+    const sentiment = sentimentOf(stories.map(match => match[2]).join(' '));
+
+    return {
+      name: name.trim(),
+      overview: `Mock overview of ${stories.length} stor${stories.length === 1 ? 'y' : 'ies'}.`,
+      sentiment: {
+        type: sentiment.type,
+        explanation: `Mock digest: word counts suggest ${sentiment.type.toLowerCase()} news.`
+      },
+      stories: stories.map(match => ({ id: Number(match[1]), summary: match[2] })),
+      worthWatching: stories.slice(0, 1).map(match => `Follow-ups to "${match[2]}"`)
+    };
+  });
+
+  return {
+    headline: `Mock briefing across ${sections.length} section${sections.length === 1 ? '' : 's'}.`,
+    sections
+  };
+}
+
+// Cites the discussed article and the first related one, if any
+function chatReply(prompt) {
+  const articles = [...prompt.matchAll(/^\[(\d+)\] .*\nTitle: (.*)$/gm)]
+    .map(match => ({ number: Number(match[1]), title: match[2].trim() }))
+    .slice(0, 2);
+  const question = field(prompt, 'Question');
+
+  return {
+    answer: [`Mock answer to "${question}".`, ...articles.map(article => `${article.title} [${article.number}].`)].join(' '),
+    citations: articles.map(article => ({ article: article.number, claim: article.title }))
+  };
+}
+
+function reply(prompt) {
+  const value = prompt.includes('"citations"') ? chatReply(prompt)
+    : prompt.includes('"worthWatching"') ? digestReply(prompt)
+    : prompt.includes('"agreement"') ? compareReply(prompt)
+    : analysisReply(prompt);
+  return JSON.stringify(value, null, 2);
+}
+
+function delay(signal) {
+  const ms = parseInt(process.env.MOCK_ANALYZER_DELAY_MS) || 0;
+  if (ms <= 0) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+    });
+  });
+}
+
+export default {
+  name: 'mock',
+
+  // Its analyses are made up, and would end up in the history, source
+  // profiles and trends like real ones. So it's only there when the server
+  // runs on it (ANALYZER_PROVIDER=mock) or MOCK_ANALYZER=true offers it
+  // next to a real analyzer, e.g. in development.
+  isConfigured: () => process.env.ANALYZER_PROVIDER === 'mock' || process.env.MOCK_ANALYZER === 'true',
+  defaultModel: () => 'mock-1',
+
+  async check() {},
+
+  async generate(prompt, { signal } = {}) {
+    await delay(signal);
+    return reply(prompt);
+  },
+
+  // Split the reply into a few chunks so streaming code paths get exercised
+  async *stream(prompt, { signal } = {}) {
+    const text = reply(prompt);
+    const size = 40;
+    for (let i = 0; i < text.length; i += size) {
+      await delay(signal);
+      yield text.slice(i, i + size);
+    }
+  }
+};
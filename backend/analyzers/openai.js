@@ -0,0 +1,125 @@
+import axios from 'axios';
+import { AnalyzerError } from './errors.js';
+import { tracingHeaders } from '../logger.js';
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+// local llama.cpp (`llama-server`, http://localhost:8080/v1) or Ollama
+// (http://localhost:11434/v1) for running without internet access.
+
+function baseUrl() {
+  return (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+}
+
+// Local servers don't need a key, so a base URL on its own is enough
+function isConfigured() {
+  return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+}
+
+function defaultModel() {
+  return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+}
+
+function requireConfigured() {
+  if (!isConfigured()) {
+    throw new AnalyzerError('OPENAI_BASE_URL or OPENAI_API_KEY not configured in .env file', {
+      status: 500,
+      code: 'NOT_CONFIGURED',
+      provider: 'openai',
+      expose: true
+    });
+  }
+}
+
+function requestHeaders() {
+  return {
+    ...tracingHeaders(),
+    ...(process.env.OPENAI_API_KEY && { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` })
+  };
+}
+
+// JSON mode (`json_object`) is understood by OpenAI, llama.cpp and Ollama
+// alike, unlike full `json_schema` support, so the schema itself is only
+// described in the prompt
+function request(prompt, { model, schema, signal, stream = false }) {
+  requireConfigured();
+
+  return axios.post(
+    `${baseUrl()}/chat/completions`,
+    {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      ...(schema && { response_format: { type: 'json_object' } }),
+      stream
+    },
+    {
+      headers: requestHeaders(),
+      responseType: stream ? 'stream' : 'json',
+      signal
+    }
+  );
+}
+
+function toAnalyzerError(error) {
+  if (error instanceof AnalyzerError || axios.isCancel(error)) return error;
+
+  const status = error.response?.status;
+  const message = error.response?.data?.error?.message || error.message;
+  const codes = { 401: 'AUTH', 403: 'AUTH', 404: 'MODEL_NOT_FOUND', 429: 'QUOTA' };
+
+  return new AnalyzerError(message, {
+    status: status === 429 ? 429 : status === 404 ? 400 : 502,
+    code: codes[status] || (error.code === 'ECONNREFUSED' ? 'UNAVAILABLE' : 'ANALYZER_ERROR'),
+    provider: 'openai'
+  });
+}
+
+export default {
+  name: 'openai',
+  isConfigured,
+  defaultModel,
+
+  // Listing the models needs a working server and a valid key, but
+  // generates nothing
+  async check({ signal }) {
+    try {
+      requireConfigured();
+      await axios.get(`${baseUrl()}/models`, { headers: requestHeaders(), signal });
+    } catch (error) {
+      throw toAnalyzerError(error);
+    }
+  },
+
+  async generate(prompt, options) {
+    try {
+      const response = await request(prompt, options);
+      return response.data.choices?.[0]?.message?.content || '';
+    } catch (error) {
+      throw toAnalyzerError(error);
+    }
+  },
+
+  // Reads the `data: {...}` lines of the streamed completion
+  async *stream(prompt, options) {
+    try {
+      const response = await request(prompt, { ...options, stream: true });
+      let buffer = '';
+
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    } catch (error) {
+      throw toAnalyzerError(error);
+    }
+  }
+};
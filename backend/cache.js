@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile, debounceSave } from './persist.js';
+import { logger } from './logger.js';
+
+// In-memory store with least-recently-used eviction
+export class MemoryStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-insert so the Map's insertion order tracks recency
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Memory store mirrored to a JSON file so cached entries survive restarts.
+// Writes are batched: at most one save per second.
+export class FileStore extends MemoryStore {
+  constructor({ file, maxEntries } = {}) {
+    super({ maxEntries });
+    this.file = file;
+    this.scheduleSave = debounceSave(() => writeJsonFile(this.file, Object.fromEntries(this.entries)));
+    this.load();
+  }
+
+  load() {
+    const data = readJsonFile(this.file, {});
+    Object.entries(data).forEach(([key, entry]) => this.entries.set(key, entry));
+    if (this.entries.size > 0) {
+      logger.info('Loaded cache entries', { count: this.entries.size, file: this.file });
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleSave();
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleSave();
+  }
+
+  flush() {
+    this.scheduleSave.flush();
+  }
+}
+
+// Cache with a fresh window (ttl) followed by a stale-while-revalidate window.
+// Within the stale window the old value is served immediately and refreshed in
+// the background; after it the entry is refetched before responding.
+export class ResponseCache {
+  constructor(store, policies) {
+    this.store = store;
+    this.policies = policies;
+    this.pending = new Map();
+  }
+
+  // `cacheable` can veto storing a particular value, e.g. a degraded result
+  async wrap(kind, key, fetcher, { refresh = false, cacheable = () => true } = {}) {
+    const policy = this.policies[kind];
+    const fullKey = `${kind}:${key}`;
+    const entry = refresh ? undefined : this.store.get(fullKey);
+
+    if (entry) {
+      const age = Date.now() - entry.storedAt;
+
+      if (age < policy.ttl) {
+        return { value: entry.value, status: 'HIT', age, policy };
+      }
+
+      if (age < policy.ttl + policy.staleWhileRevalidate) {
+        this.revalidate(fullKey, fetcher, cacheable).catch(error => {
+          logger.warn('Background refresh failed', { key: fullKey, error });
+        });
+        return { value: entry.value, status: 'STALE', age, policy };
+      }
+
+      this.store.delete(fullKey);
+    }
+
+    const value = await this.revalidate(fullKey, fetcher, cacheable);
+    return { value, status: 'MISS', age: 0, policy };
+  }
+
+  // Fresh cached value without fetching anything, or undefined
+  peek(kind, key) {
+    const policy = this.policies[kind];
+    const entry = this.store.get(`${kind}:${key}`);
+    if (!entry) return undefined;
+
+    const age = Date.now() - entry.storedAt;
+    return age < policy.ttl ? { value: entry.value, status: 'HIT', age, policy } : undefined;
+  }
+
+  // Store a value produced outside wrap(), e.g. by a streaming response
+  set(kind, key, value) {
+    this.store.set(`${kind}:${key}`, { value, storedAt: Date.now() });
+  }
+
+  // Concurrent requests for the same key share one upstream call.
+  // Failures are never cached.
+  revalidate(fullKey, fetcher, cacheable = () => true) {
+    if (this.pending.has(fullKey)) {
+      return this.pending.get(fullKey);
+    }
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(value => {
+        if (cacheable(value)) {
+          this.store.set(fullKey, { value, storedAt: Date.now() });
+        }
+        return value;
+      })
+      .finally(() => this.pending.delete(fullKey));
+
+    this.pending.set(fullKey, promise);
+    return promise;
+  }
+
+  flush() {
+    this.store.flush?.();
+  }
+
+  stats() {
+    return {
+      entries: this.store.size,
+      pending: this.pending.size,
+      store: this.store instanceof FileStore ? 'file' : 'memory'
+    };
+  }
+}
+
+function seconds(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return (Number.isNaN(value) ? fallback : value) * 1000;
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createCache() {
+  const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+  const store = process.env.CACHE_STORE === 'file'
+    ? new FileStore({ file: process.env.CACHE_FILE || './data/cache.json', maxEntries })
+    : new MemoryStore({ maxEntries });
+
+  return new ResponseCache(store, {
+    news: {
+      ttl: seconds('CACHE_TTL_NEWS', 300),
+      staleWhileRevalidate: seconds('CACHE_SWR_NEWS', 600)
+    },
+    search: {
+      ttl: seconds('CACHE_TTL_SEARCH', 600),
+      staleWhileRevalidate: seconds('CACHE_SWR_SEARCH', 1800)
+    },
+    compare: {
+      ttl: seconds('CACHE_TTL_COMPARE', 86400),
+      staleWhileRevalidate: seconds('CACHE_SWR_COMPARE', 0)
+    },
+    // Article bodies rarely change once published
+    extract: {
+      ttl: seconds('CACHE_TTL_EXTRACT', 604800),
+      staleWhileRevalidate: seconds('CACHE_SWR_EXTRACT', 0)
+    },
+    // Re-running an analysis in the background costs quota, so stale
+    // analyses are not served by default
+    analysis: {
+      ttl: seconds('CACHE_TTL_ANALYSIS', 86400),
+      staleWhileRevalidate: seconds('CACHE_SWR_ANALYSIS', 0)
+    }
+  });
+}
+
+export function contentHash(...parts) {
+  return crypto
+    .createHash('sha256')
+    .update(parts.map(part => part || '').join('\n'))
+    .digest('hex');
+}
+
+// Clients can skip the cache with ?refresh=true or Cache-Control: no-cache
+export function wantsRefresh(req) {
+  return req.query.refresh === 'true' || /no-cache/.test(req.get('Cache-Control') || '');
+}
+
+export function setCacheHeaders(res, { status, age, policy }) {
+  const ageSeconds = Math.floor(age / 1000);
+  const maxAge = Math.max(0, Math.floor(policy.ttl / 1000) - ageSeconds);
+  const swr = Math.floor(policy.staleWhileRevalidate / 1000);
+
+  res.set('X-Cache', status === 'MISS' ? 'MISS' : 'HIT');
+  res.set('X-Cache-Status', status);
+  res.set('Age', String(ageSeconds));
+  res.set('Cache-Control', `private, max-age=${maxAge}, stale-while-revalidate=${swr}`);
+}
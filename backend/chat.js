@@ -0,0 +1,284 @@
+import { readJsonFile, writeJsonFile, debounceSave } from './persist.js';
+import { articleId } from './store.js';
+import { tokenize, tfidfVectors, cosineSimilarity } from './cluster.js';
+import { validate } from './validate.js';
+import { logger } from './logger.js';
+
+// What a question can draw on besides the article itself: nothing, the
+// other articles in the client's feed, or the stored article history
+export const CHAT_SCOPES = ['article', 'feed', 'history'];
+
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_FEED_ARTICLES = 100;
+const MAX_RELATED_ARTICLES = 10;
+const PROMPT_TURNS = 10;
+const MESSAGE_LIMIT = 100;
+const SESSION_LIMIT = 200;
+
+// Shape of the model's reply. Citations point at the numbered articles in
+// the prompt, so titles and links come from the real articles.
+const CHAT_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: {
+      type: 'string',
+      description: 'The answer, with the [number] of the article it came from after each claim',
+      minLength: 1
+    },
+    citations: {
+      type: 'array',
+      description: 'Which article each claim in the answer came from',
+      items: {
+        type: 'object',
+        properties: {
+          article: { type: 'integer', description: 'The article number' },
+          claim: { type: 'string', description: 'The claim, briefly', minLength: 1 }
+        },
+        required: ['article', 'claim']
+      },
+      maxItems: 20
+    }
+  },
+  required: ['answer', 'citations']
+};
+
+const ARTICLE_FIELDS = ['title', 'description', 'content', 'url', 'source', 'publishedAt'];
+
+// The article fields the prompt uses, leaving out empty ones
+function articleFields(article) {
+  return Object.fromEntries(ARTICLE_FIELDS.map(name => [name, article[name]]).filter(([, value]) => value));
+}
+
+// Reads a chat question from a request body. Returns { chat } or { error }.
+export function parseChatRequest(body = {}) {
+  const question = typeof body.question === 'string' ? body.question.trim() : '';
+  const article = body.article;
+  const scope = body.scope || 'article';
+
+  if (!question || question.length > MAX_QUESTION_LENGTH) {
+    return { error: `A "question" of 1 to ${MAX_QUESTION_LENGTH} characters is required` };
+  }
+  if (!article || typeof article !== 'object' || (!article.title && !article.url)) {
+    return { error: 'An "article" with at least a title or url is required' };
+  }
+  if (!CHAT_SCOPES.includes(scope)) {
+    return { error: `Invalid scope "${scope}". Use one of: ${CHAT_SCOPES.join(', ')}` };
+  }
+  if (body.articles !== undefined && !Array.isArray(body.articles)) {
+    return { error: '"articles" must be an array of the feed\'s articles' };
+  }
+
+  return {
+    chat: {
+      question,
+      scope,
+      article: { ...articleFields(article), extract: article.extract },
+      articles: (body.articles || [])
+        .filter(item => item && typeof item === 'object' && item.title)
+        .slice(0, MAX_FEED_ARTICLES)
+        .map(articleFields)
+    }
+  };
+}
+
+// The candidates most similar to the article and the question, leaving out
+// the article itself
+export function relatedArticles(article, question, candidates, limit = MAX_RELATED_ARTICLES) {
+  const others = candidates.filter(candidate => candidate.url !== article.url || !article.url);
+  if (others.length === 0) return [];
+
+  const [target, ...vectors] = tfidfVectors([
+    tokenize(`${article.title || ''} ${question}`),
+    ...others.map(candidate => tokenize(`${candidate.title} ${candidate.description || ''}`))
+  ]);
+
+  return others
+    .map((candidate, index) => ({ candidate, score: cosineSimilarity(target, vectors[index]) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+function describeArticle(article) {
+  return [
+    article.source?.name && `Source: ${article.source.name}`,
+    article.publishedAt && `Published: ${article.publishedAt.substring(0, 10)}`
+  ].filter(Boolean).join(' · ');
+}
+
+// Earlier answers lose their citation numbers, which pointed at the
+// articles of their own prompt
+function describeTurn(message) {
+  const text = message.role === 'user' ? message.content : message.content.replace(/\s*\[\d+\]/g, '');
+  return `${message.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+}
+
+export function buildChatPrompt({ articleText, article, related, turns, question }) {
+  const listing = [
+    `[1] The article being discussed${describeArticle(article) ? ` (${describeArticle(article)})` : ''}
+${articleText}`,
+    ...related.map((other, index) => `[${index + 2}] ${describeArticle(other) || 'Related article'}
+Title: ${other.title}
+Description: ${other.description || 'N/A'}`)
+  ].join('\n\n');
+
+  return `You are answering follow-up questions about a news article. Answer only from the numbered articles below; when they don't contain the answer, say so instead of guessing. Put the [number] of the article each claim came from right after the claim. Respond with ONLY a JSON object (no markdown, no extra text):
+
+{
+  "answer": "the answer, with [number] citations after each claim",
+  "citations": [{ "article": 1, "claim": "the claim, briefly" }]
+}
+
+Articles:
+${listing}
+${turns.length > 0 ? `
+Conversation so far:
+${turns.map(describeTurn).join('\n')}
+` : ''}
+Question: ${question}`;
+}
+
+// Check the model's reply against the schema and the articles it was given
+export function checkChatReply(value, articleCount) {
+  const errors = validate(CHAT_SCHEMA, value, 'reply');
+  if (errors.length > 0) return errors;
+
+  const valid = number => number >= 1 && number <= articleCount;
+  value.citations.forEach((citation, index) => {
+    if (!valid(citation.article)) {
+      errors.push(`reply.citations[${index}].article ${citation.article} is not an article number from the list`);
+    }
+  });
+  for (const [marker, number] of value.answer.matchAll(/\[(\d+)\]/g)) {
+    if (!valid(Number(number))) {
+      errors.push(`reply.answer cites ${marker}, which is not an article number from the list`);
+    }
+  }
+  return errors;
+}
+
+// Answer a question about `chat.article`, given its prepared text, the
+// candidates for related articles and the session's earlier messages.
+// `generate(prompt, schema)` returns the model's parsed JSON reply. Returns
+// { answer, citations } with each citation joined with its article.
+export async function answerQuestion(chat, { articleText, candidates, turns }, { generate }) {
+  const related = relatedArticles(chat.article, chat.question, candidates);
+  const articles = [chat.article, ...related];
+
+  const prompt = buildChatPrompt({
+    articleText,
+    article: chat.article,
+    related,
+    turns: turns.slice(-PROMPT_TURNS),
+    question: chat.question
+  });
+  let reply = await generate(prompt, CHAT_SCHEMA);
+  let errors = checkChatReply(reply, articles.length);
+
+  // One repair round, like analyses get
+  if (errors.length > 0) {
+    logger.warn('Invalid chat reply, asking for a repair', { errors });
+    reply = await generate(`${prompt}
+
+Your previous reply was not valid:
+${JSON.stringify(reply)}
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object (no markdown, no extra text).`, CHAT_SCHEMA);
+    errors = checkChatReply(reply, articles.length);
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(new Error(errors.join('; ')), { status: 502, code: 'INVALID_CHAT_REPLY', expose: true });
+  }
+
+  return {
+    answer: reply.answer,
+    citations: reply.citations.map(({ article, claim }) => {
+      const { title, url, source } = articles[article - 1];
+      return { article, claim, title, url: url || null, source: source?.name || null };
+    })
+  };
+}
+
+function sessionKey(userId, id) {
+  return `${userId}:${id}`;
+}
+
+// Chat sessions, one per user and article (the session id is the article's
+// store id), kept in one JSON file (data/chats.json by default)
+export class ChatStore {
+  constructor({ file }) {
+    this.file = file;
+    const data = readJsonFile(file, {});
+    this.sessions = new Map(Object.entries(data.sessions || {}));
+    this.scheduleSave = debounceSave(() => writeJsonFile(this.file, {
+      sessions: Object.fromEntries(this.sessions)
+    }));
+  }
+
+  // The user's sessions, most recently used first, without the messages
+  list(userId) {
+    return [...this.sessions.values()]
+      .filter(session => session.userId === userId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .map(({ messages, userId, ...session }) => ({ ...session, messages: messages.length }));
+  }
+
+  get(userId, id) {
+    return this.sessions.get(sessionKey(userId, id)) || null;
+  }
+
+  forArticle(userId, article) {
+    return this.get(userId, articleId(article));
+  }
+
+  // Add a question and its answer to the user's session for the article,
+  // starting one when needed. Returns the session.
+  addTurn(userId, article, question, answer, { scope }) {
+    const now = new Date().toISOString();
+    const id = articleId(article);
+    const key = sessionKey(userId, id);
+    const session = this.sessions.get(key) || {
+      id,
+      userId,
+      article: { title: article.title, url: article.url, source: article.source },
+      createdAt: now,
+      messages: []
+    };
+
+    session.messages.push(
+      { role: 'user', content: question, scope, createdAt: now },
+      { role: 'assistant', content: answer.answer, citations: answer.citations, createdAt: now }
+    );
+    session.messages = session.messages.slice(-MESSAGE_LIMIT);
+    session.updatedAt = now;
+
+    // Re-inserting keeps the map in least recently used order
+    this.sessions.delete(key);
+    this.sessions.set(key, session);
+    const keys = [...this.sessions.keys()].filter(other => this.sessions.get(other).userId === userId);
+    keys.slice(0, Math.max(0, keys.length - SESSION_LIMIT)).forEach(oldest => this.sessions.delete(oldest));
+
+    this.scheduleSave();
+    return session;
+  }
+
+  delete(userId, id) {
+    const deleted = this.sessions.delete(sessionKey(userId, id));
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  flush() {
+    this.scheduleSave.flush();
+  }
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createChatStore() {
+  return new ChatStore({ file: process.env.CHATS_FILE || './data/chats.json' });
+}
@@ -0,0 +1,124 @@
+// Group articles that cover the same story using TF-IDF vectors of their
+// titles and descriptions and cosine similarity between them.
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further had
+has have having he her here hers him his how i if in into is it its itself just me more most my
+no nor not now of off on once only or other our out over own same she should so some such than
+that the their them then there these they this those through to too under until up very was we
+were what when where which while who whom why will with would you your says said new news over
+after amid report reports latest live update updates video watch
+`.trim().split(/\s+/));
+
+// NewsAPI titles usually end with " - Source Name"
+function stripSourceSuffix(title = '') {
+  return title.replace(/\s+[-|–—]\s+[^-|–—]+$/, '');
+}
+
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+function documentTokens(article) {
+  // Titles carry the story; count them twice against the description
+  const title = tokenize(stripSourceSuffix(article.title));
+  return [...title, ...title, ...tokenize(article.description)];
+}
+
+// Unit-length TF-IDF vectors (term -> weight), one per document
+export function tfidfVectors(documents) {
+  const documentFrequency = new Map();
+  documents.forEach(tokens => {
+    new Set(tokens).forEach(token => {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    });
+  });
+
+  return documents.map(tokens => {
+    const termFrequency = new Map();
+    tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+
+    const vector = new Map();
+    termFrequency.forEach((count, token) => {
+      const idf = Math.log((1 + documents.length) / (1 + documentFrequency.get(token))) + 1;
+      vector.set(token, (count / tokens.length) * idf);
+    });
+
+    const norm = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    vector.forEach((weight, token) => vector.set(token, norm ? weight / norm : 0));
+    return vector;
+  });
+}
+
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, token) => {
+    dot += weight * (large.get(token) || 0);
+  });
+  return dot;
+}
+
+// Highest-weighted terms across a cluster, used as a readable label
+function topTerms(vectors, count = 4) {
+  const totals = new Map();
+  vectors.forEach(vector => {
+    vector.forEach((weight, token) => totals.set(token, (totals.get(token) || 0) + weight));
+  });
+
+  return [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([token]) => token);
+}
+
+// Single-link clustering: any two articles at or above `threshold` similarity
+// end up in the same cluster. Clusters smaller than `minSize` are dropped.
+export function clusterArticles(articles, { threshold = 0.3, minSize = 2 } = {}) {
+  const vectors = tfidfVectors(articles.map(documentTokens));
+  const parent = articles.map((_, index) => index);
+
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      if (cosineSimilarity(vectors[i], vectors[j]) >= threshold) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((_, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  return [...groups.values()]
+    .filter(members => members.length >= minSize)
+    .sort((a, b) => b.length - a.length)
+    .map((members, clusterIndex) => {
+      const clusterArticlesList = members.map(index => articles[index]);
+      return {
+        id: clusterIndex + 1,
+        label: topTerms(members.map(index => vectors[index])).join(' · '),
+        size: members.length,
+        sources: [...new Set(clusterArticlesList.map(article => article.source?.name).filter(Boolean))],
+        articles: clusterArticlesList
+      };
+    });
+}
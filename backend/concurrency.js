@@ -0,0 +1,31 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `worker` over `items` with at most `limit` calls in flight.
+// `shouldStop` is checked before each item is started.
+export async function runWithConcurrency(items, limit, worker, { shouldStop = () => false } = {}) {
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+// Retry `fn` with exponential backoff and jitter while `isRetryable(error)`
+export async function withRetry(fn, { retries = 3, baseDelay = 2000, isRetryable = () => true, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delay = baseDelay * 2 ** attempt + Math.floor(Math.random() * 500);
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
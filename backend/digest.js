@@ -0,0 +1,515 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile, debounceSave } from './persist.js';
+import { clusterArticles } from './cluster.js';
+import { validate } from './validate.js';
+import { NEWS_CATEGORIES, NEWS_COUNTRIES } from './requestSchemas.js';
+import { logger } from './logger.js';
+
+const MAX_SECTIONS = 12;
+const DIGEST_LIMIT = 100;
+const SENTIMENTS = ['Positive', 'Negative', 'Neutral', 'Mixed'];
+
+// Shape of the model's reply. Stories point back at the numbered stories in
+// the prompt, so titles, sources and links come from the real articles.
+const DIGEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    headline: { type: 'string', description: 'One sentence on the day overall', minLength: 1 },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'The section name exactly as given', minLength: 1 },
+          overview: { type: 'string', description: '2-3 sentences on the section', minLength: 1 },
+          sentiment: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: SENTIMENTS },
+              explanation: { type: 'string', minLength: 1 }
+            },
+            required: ['type', 'explanation']
+          },
+          stories: {
+            type: 'array',
+            description: 'The main stories, most important first',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', description: 'The story number from the list' },
+                summary: { type: 'string', description: 'One or two sentences', minLength: 1 }
+              },
+              required: ['id', 'summary']
+            },
+            maxItems: 8
+          },
+          worthWatching: {
+            type: 'array',
+            description: 'Developments worth following in the coming days',
+            items: { type: 'string', minLength: 1 },
+            maxItems: 5
+          }
+        },
+        required: ['name', 'overview', 'sentiment', 'stories', 'worthWatching']
+      },
+      minItems: 1
+    }
+  },
+  required: ['headline', 'sections']
+};
+
+function listOf(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Reads digest options from a request body. Returns { options } or { error }.
+export function parseDigestOptions(body = {}) {
+  const categories = [...new Set(listOf(body.categories))];
+  const countries = [...new Set(listOf(body.countries))];
+
+  if (categories.length === 0) categories.push('general');
+  if (countries.length === 0) countries.push('us');
+
+  const unknown = categories.filter(category => !NEWS_CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    return { error: `Unknown categor${unknown.length === 1 ? 'y' : 'ies'}: ${unknown.join(', ')}. Use: ${NEWS_CATEGORIES.join(', ')}` };
+  }
+  const unknownCountries = countries.filter(country => !NEWS_COUNTRIES.includes(country));
+  if (unknownCountries.length > 0) {
+    return { error: `Unknown countr${unknownCountries.length === 1 ? 'y' : 'ies'}: ${unknownCountries.join(', ')}. Use two-letter codes such as us, gb or de` };
+  }
+  if (categories.length * countries.length > MAX_SECTIONS) {
+    return { error: `Too many sections: at most ${MAX_SECTIONS} category and country combinations` };
+  }
+
+  return {
+    options: {
+      categories,
+      countries,
+      pageSize: Math.min(20, Math.max(3, parseInt(body.pageSize) || 10))
+    }
+  };
+}
+
+// Reads the digest schedule from a request body. Returns { schedule } or { error }.
+export function parseSchedule(body = {}) {
+  const time = body.time || '07:00';
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    return { error: 'Invalid "time". Use 24-hour HH:MM such as 07:30' };
+  }
+
+  const { options, error } = parseDigestOptions(body);
+  if (error) return { error };
+
+  return {
+    schedule: {
+      enabled: body.enabled !== false && body.enabled !== 'false',
+      time,
+      ...options,
+      outbox: body.outbox !== false && body.outbox !== 'false'
+    }
+  };
+}
+
+function sectionName(category, country) {
+  return `${category.charAt(0).toUpperCase()}${category.slice(1)} · ${country.toUpperCase()}`;
+}
+
+// Fetch the headlines of every category and country, then merge articles that
+// cover the same story (the same URL, or similar titles across sections) so
+// each story appears once, in the first section it was found in
+export async function collectStories({ categories, countries, pageSize }, headlines) {
+  const sections = [];
+  for (const category of categories) {
+    for (const country of countries) {
+      sections.push({ name: sectionName(category, country), category, country });
+    }
+  }
+
+  const results = await Promise.allSettled(
+    sections.map(({ category, country }) => headlines({ category, country, pageSize }))
+  );
+  if (results.every(result => result.status === 'rejected')) {
+    throw results[0].reason;
+  }
+
+  const seen = new Set();
+  const articles = [];
+  results.forEach((result, sectionIndex) => {
+    if (result.status === 'rejected') {
+      logger.warn('Digest section has no headlines', { section: sections[sectionIndex].name, error: result.reason });
+      return;
+    }
+    for (const article of result.value) {
+      if (!article.title || seen.has(article.url)) continue;
+      seen.add(article.url);
+      articles.push({ ...article, sectionIndex });
+    }
+  });
+
+  const stories = clusterArticles(articles, { threshold: 0.35, minSize: 1 })
+    .map(cluster => {
+      const [lead] = cluster.articles;
+      return {
+        title: lead.title,
+        description: lead.description || '',
+        sectionIndex: Math.min(...cluster.articles.map(article => article.sectionIndex)),
+        sources: cluster.sources,
+        articles: cluster.articles.map(({ title, url, source }) => ({ title, url, source: source?.name || null }))
+      };
+    })
+    .sort((a, b) => b.sources.length - a.sources.length);
+
+  stories.forEach((story, index) => {
+    story.id = index + 1;
+  });
+
+  return {
+    sections: sections.map((section, index) => ({
+      ...section,
+      stories: stories.filter(story => story.sectionIndex === index).slice(0, pageSize)
+    })),
+    totals: { articles: articles.length, stories: stories.length }
+  };
+}
+
+export function buildDigestPrompt(sections) {
+  const listing = sections
+    .filter(section => section.stories.length > 0)
+    .map(section => `## Section: ${section.name}
+${section.stories.map(story => `[${story.id}] ${story.title}${story.description ? ` - ${story.description}` : ''} (Sources: ${story.sources.join(', ') || 'unknown'})`).join('\n')}`)
+    .join('\n\n');
+
+  return `You are writing a morning news briefing. For each section below, write an overview, the overall sentiment of its news, its main stories and the items worth watching. Refer to stories by their [number]. Respond with ONLY a JSON object (no markdown, no extra text):
+
+{
+  "headline": "one sentence on the day overall",
+  "sections": [
+    {
+      "name": "section name exactly as given",
+      "overview": "2-3 sentences on the section",
+      "sentiment": { "type": "Positive or Negative or Neutral or Mixed", "explanation": "why" },
+      "stories": [{ "id": 1, "summary": "one or two sentences" }],
+      "worthWatching": ["development worth following", "..."]
+    }
+  ]
+}
+
+Headlines by section:
+${listing}`;
+}
+
+// Check the model's digest against the schema and the stories it was given
+export function checkDigest(value, sections) {
+  const errors = validate(DIGEST_SCHEMA, value, 'digest');
+  if (errors.length > 0) return errors;
+
+  const ids = new Set(sections.flatMap(section => section.stories.map(story => story.id)));
+  const names = new Set(sections.map(section => section.name));
+
+  value.sections.forEach((section, index) => {
+    if (!names.has(section.name)) {
+      errors.push(`digest.sections[${index}].name "${section.name}" is not one of the given sections`);
+    }
+    section.stories.forEach((story, storyIndex) => {
+      if (!ids.has(story.id)) {
+        errors.push(`digest.sections[${index}].stories[${storyIndex}].id ${story.id} is not a story number from the list`);
+      }
+    });
+  });
+  return errors;
+}
+
+// Join the model's text with the stories it refers to
+function assembleSections(reply, sections) {
+  const stories = new Map(sections.flatMap(section => section.stories.map(story => [story.id, story])));
+  const written = new Map(reply.sections.map(section => [section.name, section]));
+
+  return sections
+    .filter(section => section.stories.length > 0)
+    .map(section => {
+      const text = written.get(section.name);
+      return {
+        name: section.name,
+        category: section.category,
+        country: section.country,
+        overview: text?.overview || '',
+        sentiment: text?.sentiment || null,
+        stories: (text?.stories || []).map(({ id, summary }) => {
+          const story = stories.get(id);
+          return { title: story.title, summary, sources: story.sources, articles: story.articles };
+        }),
+        worthWatching: text?.worthWatching || []
+      };
+    });
+}
+
+// Returns generateDigest(options, { generate, analyzer }) producing a digest
+// record. `headlines(params)` fetches a page of top headlines, and
+// `generate(prompt, schema)` returns the model's parsed JSON reply.
+export function createDigestGenerator({ headlines }) {
+  return async function generateDigest(options, { generate, analyzer }) {
+    const { sections, totals } = await collectStories(options, headlines);
+    if (totals.stories === 0) {
+      throw Object.assign(new Error('No headlines found for the requested sections'), { status: 502, code: 'NO_HEADLINES', expose: true });
+    }
+
+    const prompt = buildDigestPrompt(sections);
+    let reply = await generate(prompt, DIGEST_SCHEMA);
+    let errors = checkDigest(reply, sections);
+
+    // One repair round, like analyses get
+    if (errors.length > 0) {
+      logger.warn('Invalid digest, asking for a repair', { errors });
+      reply = await generate(`${prompt}
+
+Your previous reply was not a valid digest:
+${JSON.stringify(reply)}
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object (no markdown, no extra text).`, DIGEST_SCHEMA);
+      errors = checkDigest(reply, sections);
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { status: 502, code: 'INVALID_DIGEST', expose: true });
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      headline: reply.headline,
+      options,
+      analyzer,
+      totals,
+      sections: assembleSections(reply, sections)
+    };
+  };
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function safeUrl(url) {
+  return /^https?:\/\//i.test(url || '') ? url : '#';
+}
+
+const SENTIMENT_COLORS = { Positive: '#059669', Negative: '#dc2626', Neutral: '#d97706', Mixed: '#6366f1' };
+
+// A self-contained HTML email body: tables and inline styles only, since
+// mail clients ignore most CSS
+export function renderDigestHtml(digest) {
+  const date = new Date(digest.createdAt).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+  const sections = digest.sections.map(section => {
+    const color = SENTIMENT_COLORS[section.sentiment?.type] || '#64748b';
+    const stories = section.stories.map(story => `
+          <li style="margin:0 0 12px;">
+            <a href="${escapeHtml(safeUrl(story.articles[0]?.url))}" style="color:#4f46e5;font-weight:bold;text-decoration:none;">${escapeHtml(story.title)}</a><br>
+            <span style="color:#334155;">${escapeHtml(story.summary)}</span><br>
+            <span style="color:#64748b;font-size:12px;">${escapeHtml(story.sources.join(', '))}</span>
+          </li>`).join('');
+    const watch = section.worthWatching.length > 0 ? `
+        <p style="margin:12px 0 4px;font-weight:bold;color:#0f172a;">Worth watching</p>
+        <ul style="margin:0;padding-left:20px;color:#334155;">${section.worthWatching.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+
+    return `
+    <tr><td style="padding:24px 32px;border-top:1px solid #e2e8f0;">
+        <h2 style="margin:0 0 8px;font-size:20px;color:#0f172a;">${escapeHtml(section.name)}</h2>
+        ${section.sentiment ? `<p style="margin:0 0 12px;"><span style="display:inline-block;padding:2px 10px;border-radius:10px;background:${color};color:#ffffff;font-size:12px;font-weight:bold;">${escapeHtml(section.sentiment.type)}</span> <span style="color:#64748b;font-size:13px;">${escapeHtml(section.sentiment.explanation)}</span></p>` : ''}
+        <p style="margin:0 0 16px;color:#334155;">${escapeHtml(section.overview)}</p>
+        <ul style="margin:0;padding-left:20px;">${stories}
+        </ul>${watch}
+    </td></tr>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Morning Briefing - ${escapeHtml(date)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f1f5f9;font-family:Arial,Helvetica,sans-serif;line-height:1.5;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f1f5f9;">
+<tr><td align="center" style="padding:24px 12px;">
+  <table role="presentation" width="640" cellpadding="0" cellspacing="0" style="max-width:640px;background:#ffffff;border-radius:12px;">
+    <tr><td style="padding:32px;background:#4f46e5;border-radius:12px 12px 0 0;color:#ffffff;">
+        <p style="margin:0;font-size:13px;opacity:0.85;">${escapeHtml(date)}</p>
+        <h1 style="margin:4px 0 12px;font-size:26px;">Morning Briefing</h1>
+        <p style="margin:0;font-size:16px;">${escapeHtml(digest.headline)}</p>
+    </td></tr>${sections}
+    <tr><td style="padding:16px 32px;color:#94a3b8;font-size:12px;border-top:1px solid #e2e8f0;">
+        ${digest.totals.stories} stories from ${digest.totals.articles} headlines${digest.analyzer ? ` · written by ${escapeHtml(digest.analyzer.provider)} (${escapeHtml(digest.analyzer.model)})` : ''}
+    </td></tr>
+  </table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+// Saved digests and each user's schedule, kept in one JSON file
+// (data/digests.json by default). Digests and schedules belong to the user
+// who made them. HTML email bodies go to the outbox directory.
+export class DigestStore {
+  constructor({ file, outboxDir }) {
+    this.file = file;
+    this.outboxDir = outboxDir;
+    const data = readJsonFile(file, {});
+    this.digests = data.digests || [];
+    this.schedules = data.schedules || {};
+    // Files from before schedules were per user hold a single one
+    if (data.schedule?.ownerId) {
+      this.schedules[data.schedule.ownerId] ??= data.schedule;
+    }
+    this.scheduleSave = debounceSave(() => writeJsonFile(this.file, {
+      digests: this.digests,
+      schedules: this.schedules
+    }));
+  }
+
+  // Keeps the newest DIGEST_LIMIT digests of each owner
+  save(digest) {
+    this.digests.push(digest);
+    const owned = this.digests.filter(saved => saved.ownerId === digest.ownerId);
+    if (owned.length > DIGEST_LIMIT) {
+      this.digests.splice(this.digests.indexOf(owned[0]), 1);
+    }
+    this.scheduleSave();
+    return digest;
+  }
+
+  get(id) {
+    return this.digests.find(digest => digest.id === id) || null;
+  }
+
+  // The owner's digests, newest first, without the sections
+  list(ownerId) {
+    return this.digests
+      .filter(digest => digest.ownerId === ownerId)
+      .map(({ sections, ...digest }) => ({ ...digest, sections: sections.map(section => section.name) }))
+      .reverse();
+  }
+
+  getSchedule(ownerId) {
+    return this.schedules[ownerId] || null;
+  }
+
+  setSchedule(ownerId, schedule) {
+    this.schedules[ownerId] = { ...schedule, ownerId, lastRunAt: this.schedules[ownerId]?.lastRunAt || null };
+    this.scheduleSave();
+    return this.schedules[ownerId];
+  }
+
+  markScheduledRun(ownerId) {
+    this.schedules[ownerId].lastRunAt = new Date().toISOString();
+    this.scheduleSave();
+  }
+
+  // Write a digest's HTML email body to the outbox. Returns the file path.
+  writeOutbox(digest) {
+    const file = path.join(this.outboxDir, `digest-${digest.createdAt.substring(0, 10)}-${digest.id.substring(0, 8)}.html`);
+    fs.mkdirSync(this.outboxDir, { recursive: true });
+    fs.writeFileSync(file, renderDigestHtml(digest));
+
+    digest.outboxFile = file;
+    this.scheduleSave();
+    return file;
+  }
+
+  flush() {
+    this.scheduleSave.flush();
+  }
+}
+
+function localDay(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// Runs each user's scheduled digest once a day, at the schedule's time in
+// the server's time zone. A server that was down at that time catches up
+// when it starts, as long as it is still the same day. `run` gets the
+// schedule's options and ownerId and returns the digest.
+export class DigestScheduler {
+  constructor(store, run) {
+    this.store = store;
+    this.run = run;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), 60000);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isDue(schedule, now = new Date()) {
+    if (!schedule?.enabled) return false;
+
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const dueAt = new Date(now);
+    dueAt.setHours(hours, minutes, 0, 0);
+
+    const lastRun = schedule.lastRunAt ? new Date(schedule.lastRunAt) : null;
+    return now >= dueAt && (!lastRun || localDay(lastRun) !== localDay(now));
+  }
+
+  // Due schedules run one after the other
+  async tick() {
+    if (this.running) return;
+
+    this.running = true;
+    try {
+      for (const schedule of Object.values(this.store.schedules)) {
+        if (this.isDue(schedule)) await this.runSchedule(schedule);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runSchedule({ enabled, time, lastRunAt, outbox, ownerId, ...options }) {
+    try {
+      logger.info('Generating a scheduled digest', { ownerId });
+      const digest = this.store.save({ ...await this.run({ ownerId, ...options }), ownerId });
+      if (outbox) {
+        logger.info('Digest written to the outbox', { file: this.store.writeOutbox(digest) });
+      }
+    } catch (error) {
+      logger.warn('Scheduled digest failed', { ownerId, error });
+    } finally {
+      // Failed runs aren't retried until the next day, so a broken analyzer
+      // doesn't get called every minute
+      this.store.markScheduledRun(ownerId);
+    }
+  }
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createDigestStore() {
+  return new DigestStore({
+    file: process.env.DIGESTS_FILE || './data/digests.json',
+    outboxDir: process.env.DIGEST_OUTBOX_DIR || './data/outbox'
+  });
+}
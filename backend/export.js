@@ -0,0 +1,144 @@
+// Stored articles and analyses as JSON, CSV or Markdown, for pasting into
+// briefings and spreadsheets
+
+export const EXPORT_FORMATS = ['json', 'csv', 'markdown'];
+export const EXPORT_TYPES = ['analyses', 'articles'];
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8'
+};
+
+const EXTENSIONS = { json: 'json', csv: 'csv', markdown: 'md' };
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = Array.isArray(value) ? value.join(' | ') : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` maps each header to a function reading it from a row
+export function toCsv(rows, columns) {
+  const headers = Object.keys(columns);
+  const lines = [
+    headers.join(','),
+    ...rows.map(row => headers.map(header => csvCell(columns[header](row))).join(','))
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+const ANALYSIS_COLUMNS = {
+  analysisId: record => record.id,
+  analyzedAt: record => record.createdAt,
+  title: record => record.article?.title,
+  source: record => record.article?.source?.name,
+  url: record => record.article?.url,
+  publishedAt: record => record.article?.publishedAt,
+  language: record => record.analysis.language?.detected,
+  translatedTitle: record => record.analysis.language?.translatedTitle,
+  sentiment: record => record.sentiment,
+  sentimentScore: record => record.analysis.sentiment?.score,
+  tone: record => record.analysis.tone,
+  summary: record => record.analysis.summary,
+  keyPoints: record => record.analysis.keyPoints,
+  topics: record => record.analysis.topics,
+  bias: record => record.analysis.biasDetection,
+  analyzer: record => record.analysis.analyzer && `${record.analysis.analyzer.provider}/${record.analysis.analyzer.model}`
+};
+
+const ARTICLE_COLUMNS = {
+  articleId: article => article.id,
+  title: article => article.title,
+  source: article => article.source?.name,
+  url: article => article.url,
+  publishedAt: article => article.publishedAt,
+  category: article => article.category,
+  country: article => article.country,
+  description: article => article.description,
+  sentiment: article => article.latestAnalysis?.sentiment,
+  summary: article => article.latestAnalysis?.analysis.summary,
+  analyzedAt: article => article.latestAnalysis?.createdAt
+};
+
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/([\\`*_[\]#|<>])/g, '\\$1');
+}
+
+// One analysis as a Markdown section, `level` being its heading level
+export function analysisToMarkdown(record, { level = 2 } = {}) {
+  const { article, analysis } = record;
+  const heading = '#'.repeat(level);
+  const lines = [`${heading} ${escapeMarkdown(article?.title || 'Untitled article')}`, ''];
+
+  const meta = [
+    article?.source?.name && `**Source:** ${escapeMarkdown(article.source.name)}`,
+    article?.publishedAt && `**Published:** ${article.publishedAt.substring(0, 10)}`,
+    analysis.language && `**Language:** ${escapeMarkdown(analysis.language.detected)}`,
+    `**Analyzed:** ${record.createdAt.substring(0, 10)}`,
+    analysis.analyzer && `**Analyzer:** ${analysis.analyzer.provider} (${analysis.analyzer.model})`
+  ].filter(Boolean);
+  lines.push(meta.join(' · '));
+  if (article?.url) lines.push('', `<${article.url}>`);
+
+  const section = (title, body) => {
+    if (body) lines.push('', `${heading}# ${title}`, '', body);
+  };
+  const list = (items, format = escapeMarkdown) => items?.length ? items.map(item => `- ${format(item)}`).join('\n') : '';
+
+  if (analysis.language && analysis.language.translatedTitle !== article?.title) {
+    section('Translated Title', escapeMarkdown(analysis.language.translatedTitle));
+  }
+  section('Summary', analysis.summary && escapeMarkdown(analysis.summary));
+  section('Key Points', list(analysis.keyPoints));
+  if (analysis.sentiment) {
+    const { type, score, confidence, explanation } = analysis.sentiment;
+    const numbers = [score !== undefined && `score ${score}`, confidence !== undefined && `confidence ${confidence}`].filter(Boolean);
+    section('Sentiment', `**${type}**${numbers.length ? ` (${numbers.join(', ')})` : ''} - ${escapeMarkdown(explanation)}`);
+  }
+  section('Tone', analysis.tone && escapeMarkdown(analysis.tone));
+  section('Bias', analysis.biasDetection && escapeMarkdown(analysis.biasDetection));
+  section('Entities', list(analysis.entities, entity => `**${escapeMarkdown(entity.name)}** (${entity.type}): ${escapeMarkdown(entity.role)}`));
+  section('Topics', analysis.topics?.length ? analysis.topics.map(escapeMarkdown).join(', ') : '');
+  section('Claims', list(analysis.claims, claim => `${escapeMarkdown(claim.claim)}${claim.quote ? ` - "${escapeMarkdown(claim.quote)}"` : ''}${claim.verbatim === false ? ' *(quote not found in the article)*' : ''}`));
+  section('Loaded Language', list(analysis.loadedLanguage, item => `"${escapeMarkdown(item.phrase)}": ${escapeMarkdown(item.reason)}`));
+
+  return lines.join('\n') + '\n';
+}
+
+function articleToMarkdown(article) {
+  const meta = [article.source?.name, article.publishedAt?.substring(0, 10), article.latestAnalysis?.sentiment]
+    .filter(Boolean)
+    .map(escapeMarkdown)
+    .join(' · ');
+  return `- [${escapeMarkdown(article.title || 'Untitled article')}](<${article.url}>)${meta ? ` - ${meta}` : ''}`;
+}
+
+// Build the export of `type` in `format`. Returns { body, contentType, filename }.
+export function buildExport({ type, format, records, filters }) {
+  const exportedAt = new Date().toISOString();
+  const filename = `${type}-${exportedAt.substring(0, 10)}.${EXTENSIONS[format]}`;
+  let body;
+
+  if (format === 'json') {
+    body = JSON.stringify({ exportedAt, type, filters, total: records.length, [type]: records }, null, 2);
+  } else if (format === 'csv') {
+    body = toCsv(records, type === 'analyses' ? ANALYSIS_COLUMNS : ARTICLE_COLUMNS);
+  } else if (type === 'analyses') {
+    body = [`# News Analyses`, '', `Exported ${exportedAt.substring(0, 10)} · ${records.length} analyses`, '']
+      .concat(records.map(record => analysisToMarkdown(record)).join('\n---\n\n'))
+      .join('\n');
+  } else {
+    body = [`# News Articles`, '', `Exported ${exportedAt.substring(0, 10)} · ${records.length} articles`, '']
+      .concat(records.map(articleToMarkdown))
+      .join('\n') + '\n';
+  }
+
+  return { body, contentType: CONTENT_TYPES[format], filename };
+}
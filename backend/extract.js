@@ -0,0 +1,123 @@
+import * as cheerio from 'cheerio';
+import { requestPublicUrl } from './outbound.js';
+import { tracingHeaders } from './logger.js';
+import { observeUpstream } from './metrics.js';
+
+// Tags that never hold article text
+const BOILERPLATE_TAGS = 'script, style, noscript, iframe, svg, form, button, nav, header, footer, aside, figure figcaption';
+
+// class/id fragments that mark ads, share bars, comment threads and the like
+const BOILERPLATE_PATTERN = /(^|[-_\s])(ad|ads|advert|banner|promo|sponsor|social|share|sharing|comment|comments|related|recommended|newsletter|subscribe|cookie|consent|popup|modal|nav|menu|sidebar|footer|breadcrumb|byline|tags)([-_\s]|$)/i;
+
+// Containers that usually wrap the story itself
+const ARTICLE_SELECTORS = ['[itemprop="articleBody"]', 'article', '[role="main"]', 'main'];
+
+const MIN_PARAGRAPH_LENGTH = 40;
+
+// Larger pages are abandoned rather than downloaded in full
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+
+function removeBoilerplate($) {
+  $(BOILERPLATE_TAGS).remove();
+
+  $('[class], [id]').each((_, element) => {
+    const $element = $(element);
+    const marker = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+    // Never drop the document roots, however they are named
+    if (!['html', 'body'].includes(element.tagName) && BOILERPLATE_PATTERN.test(marker)) {
+      $element.remove();
+    }
+  });
+}
+
+function paragraphsOf($, $container) {
+  return $container.find('p')
+    .map((_, p) => $(p).text().replace(/\s+/g, ' ').trim())
+    .get()
+    .filter(text => text.length >= MIN_PARAGRAPH_LENGTH);
+}
+
+// Score each paragraph's parent by the text it holds, favouring long,
+// comma-rich paragraphs and penalising link-heavy blocks, then pick the best.
+function bestCandidate($) {
+  const scores = new Map();
+
+  $('p').each((_, p) => {
+    const $p = $(p);
+    const text = $p.text().replace(/\s+/g, ' ').trim();
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const linkText = $p.find('a').text().length;
+    const linkDensity = linkText / text.length;
+    const score = (1 + text.split(',').length + Math.min(3, text.length / 100)) * (1 - linkDensity);
+
+    const parent = p.parent;
+    if (!parent) return;
+    scores.set(parent, (scores.get(parent) || 0) + score);
+
+    // Grandparents get half credit so sibling <div>s of paragraphs still add up
+    const grandparent = parent.parent;
+    if (grandparent && grandparent.type === 'tag') {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    if (score > bestScore) {
+      best = element;
+      bestScore = score;
+    }
+  });
+
+  return best ? $(best) : null;
+}
+
+// Pull the main body text out of an article page
+export function extractMainText(html) {
+  const $ = cheerio.load(html);
+  removeBoilerplate($);
+
+  for (const selector of ARTICLE_SELECTORS) {
+    const $container = $(selector).first();
+    if ($container.length === 0) continue;
+
+    const paragraphs = paragraphsOf($, $container);
+    if (paragraphs.length >= 2) return paragraphs.join('\n\n');
+  }
+
+  const $candidate = bestCandidate($);
+  return $candidate ? paragraphsOf($, $candidate).join('\n\n') : '';
+}
+
+// Fetch `url` and extract its body text. Throws when the page can't be
+// loaded, isn't on a public address or holds no recognisable article text.
+export async function fetchFullText(url) {
+  if (!/^https?:\/\//i.test(url || '')) {
+    throw new Error('Article has no http(s) URL');
+  }
+
+  const response = await observeUpstream('article', 'extract', () => requestPublicUrl({
+    url,
+    timeout: 10000,
+    maxContentLength: MAX_PAGE_BYTES,
+    responseType: 'text',
+    headers: {
+      ...tracingHeaders(),
+      'User-Agent': 'Mozilla/5.0 (compatible; SmartNewsAnalyzer/1.0)',
+      Accept: 'text/html,application/xhtml+xml'
+    }
+  }));
+
+  if (!/html/i.test(response.headers['content-type'] || 'text/html')) {
+    throw new Error(`Unsupported content type ${response.headers['content-type']}`);
+  }
+
+  const text = extractMainText(response.data);
+  if (text.length < 200) {
+    throw new Error('No article text found on the page');
+  }
+
+  return text;
+}
@@ -0,0 +1,86 @@
+import { checkProvider, providerChain } from './providers/index.js';
+import { checkAnalyzer, resolveAnalyzer } from './analyzers/index.js';
+import { errorClass } from './metrics.js';
+import { errorDetails } from './security.js';
+import { logger } from './logger.js';
+
+// Results are reused for a while, so a monitor polling the deep check
+// doesn't spend the news API quota
+const RESULT_TTL = 30000;
+const ANALYZER_TIMEOUT = 10000;
+
+async function timed(name, check, details = {}) {
+  const started = Date.now();
+  try {
+    await check();
+    return { name, ...details, status: 'ok', latencyMs: Date.now() - started };
+  } catch (error) {
+    logger.warn('Health check failed', { check: name, error });
+    return {
+      name,
+      ...details,
+      status: 'error',
+      latencyMs: Date.now() - started,
+      error: { class: errorClass(error), code: error.code, message: errorDetails(error) }
+    };
+  }
+}
+
+function checkDefaultAnalyzer() {
+  let selection;
+  try {
+    selection = resolveAnalyzer();
+  } catch (error) {
+    return timed(process.env.ANALYZER_PROVIDER, () => Promise.reject(error));
+  }
+
+  return timed(selection.provider, () => checkAnalyzer(selection, { timeout: ANALYZER_TIMEOUT }), { model: selection.model });
+}
+
+// Checks that every news provider in the chain and the default analyzer
+// answer and accept their keys. The result is DOWN when no provider works or
+// the analyzer doesn't (the app can't do its job), and DEGRADED when only
+// some of the providers fail.
+export class HealthCheck {
+  constructor({ ttl = RESULT_TTL } = {}) {
+    this.ttl = ttl;
+    this.last = null;
+    this.running = null;
+  }
+
+  async run() {
+    const [newsProviders, analyzer] = await Promise.all([
+      Promise.all(providerChain().map(name => timed(name, () => checkProvider(name)))),
+      checkDefaultAnalyzer()
+    ]);
+
+    const workingProviders = newsProviders.filter(check => check.status === 'ok').length;
+    let status = 'OK';
+    if (workingProviders === 0 || analyzer.status !== 'ok') {
+      status = 'DOWN';
+    } else if (workingProviders < newsProviders.length) {
+      status = 'DEGRADED';
+    }
+
+    return { status, checkedAt: new Date().toISOString(), checks: { newsProviders, analyzer } };
+  }
+
+  // The last result while it is fresh; concurrent callers share one run
+  async result() {
+    if (this.last && Date.now() - new Date(this.last.checkedAt) < this.ttl) {
+      return { ...this.last, cached: true };
+    }
+
+    if (!this.running) {
+      this.running = this.run()
+        .then(result => {
+          this.last = result;
+          return result;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return { ...await this.running, cached: false };
+  }
+}
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging: one JSON object per line with the time, level,
+// message, the id of the request being handled and any extra fields.
+// LOG_LEVEL (debug, info, warn, error or silent; info by default) sets the
+// least severe level written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Ids sent by a client or proxy in X-Request-Id are kept when they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// The request being handled, so log lines and upstream calls anywhere below
+// a route carry its id without it being passed along
+const requestContext = new AsyncLocalStorage();
+
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+// Headers for calls to upstream APIs, so their logs can be matched with ours
+export function tracingHeaders() {
+  const requestId = currentRequestId();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+}
+
+// Read on every call, since modules log before dotenv.config() has run
+function minimumLevel() {
+  return LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+}
+
+// Errors don't survive JSON.stringify; unexpected ones (without a status)
+// keep their stack
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.provider !== undefined && { provider: error.provider }),
+    ...(!error.status && error.stack && { stack: error.stack })
+  };
+}
+
+function serializeFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, value]) => [name, value instanceof Error ? serializeError(value) : value])
+  );
+}
+
+export class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= minimumLevel();
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      requestId: currentRequestId(),
+      ...serializeFields({ ...this.fields, ...fields })
+    });
+
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(line + '\n');
+    } else {
+      process.stdout.write(line + '\n');
+    }
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+export const logger = new Logger();
+
+// The route pattern a request matched ("/api/analyses/:id"), or null. Keeps
+// metrics and logs from having a series per article id.
+export function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : null;
+}
+
+// Give every request an id (the caller's X-Request-Id when it sends a sane
+// one), echo it back in the response and log the request once it is done
+// or the client hangs up.
+// Health checks and metric scrapes are only logged at debug level.
+export function traceRequests({ quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    // Routers rewrite req.path while they handle the request
+    const path = req.path;
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('close', () => {
+      const level = res.statusCode >= 500 ? 'error' : quietPaths.includes(path) ? 'debug' : 'info';
+      logger.write(level, 'Request completed', {
+        requestId,
+        method: req.method,
+        path,
+        route: routeOf(req),
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        user: req.user?.username
+      });
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
@@ -0,0 +1,186 @@
+import { routeOf } from './logger.js';
+
+// In-memory metrics, served in the Prometheus text format by /api/metrics.
+// Counts start at zero whenever the server starts.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latencies in seconds, from a cache hit to a slow analysis
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in `labelNames` order
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labelValues(labels) {
+    return this.labelNames.map(name => labels[name] ?? '');
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) this.series.set(key, { values, ...create() });
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    return [
+      ...this.header('counter'),
+      ...[...this.series.values()].map(({ values, value }) => `${this.name}${formatLabels(this.labelNames, values)} ${value}`)
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    return [
+      ...this.header('histogram'),
+      ...[...this.series.values()].flatMap(({ values, counts, sum, count }) => [
+        ...this.buckets.map((bound, index) =>
+          `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${counts[index]}`),
+        `${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`,
+        `${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`,
+        `${this.name}_count${formatLabels(this.labelNames, values)} ${count}`
+      ])
+    ];
+  }
+}
+
+const httpRequests = new Counter(
+  'http_requests_total',
+  'HTTP requests handled, by method, route and status code',
+  ['method', 'route', 'status']
+);
+
+const httpDuration = new Histogram(
+  'http_request_duration_seconds',
+  'Time to answer an HTTP request (for streams, until the stream ends), by method and route',
+  ['method', 'route']
+);
+
+// Upstreams are the news providers (newsapi, gnews, rss, whose single feed
+// fetches are counted as operation "feed" too), the analyzers (gemini,
+// openai, mock) and the article pages fetched for their full text
+// (service "article", operation "extract")
+const upstreamRequests = new Counter(
+  'upstream_requests_total',
+  'Calls to news providers, RSS feeds, AI analyzers and article pages, by service and operation',
+  ['service', 'operation']
+);
+
+const upstreamErrors = new Counter(
+  'upstream_errors_total',
+  'Failed calls to news providers, RSS feeds, AI analyzers and article pages, by service, operation and error class',
+  ['service', 'operation', 'class']
+);
+
+const upstreamDuration = new Histogram(
+  'upstream_request_duration_seconds',
+  'Time an upstream call took, successful or not (for streams, until the last chunk), by service and operation',
+  ['service', 'operation']
+);
+
+const METRICS = [httpRequests, httpDuration, upstreamRequests, upstreamErrors, upstreamDuration];
+
+// What kind of failure an upstream error is, the same for every provider:
+// auth (missing or rejected key), rate_limit, timeout, unavailable (no
+// answer), aborted (the client went away), client (a request the upstream
+// refused) or server. Raw axios errors, from feeds and article pages, are
+// classed by their network error code or response status.
+export function errorClass(error) {
+  const code = String(error.code || '');
+  const status = error.status ?? error.response?.status;
+
+  if (error.name === 'AbortError' || error.name === 'CanceledError') return 'aborted';
+  if (code === 'NOT_CONFIGURED' || code === 'AUTH' || /^apiKey/.test(code) || status === 401 || status === 403) return 'auth';
+  if (code === 'QUOTA' || code === 'rateLimited' || status === 429) return 'rate_limit';
+  if (code === 'TIMEOUT' || code === 'ECONNABORTED' || code === 'ETIMEDOUT' || status === 504) return 'timeout';
+  if (['UNAVAILABLE', 'FEED_UNAVAILABLE', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'].includes(code)) return 'unavailable';
+  if (code === 'BLOCKED_URL') return 'client';
+  if (status >= 400 && status < 500) return 'client';
+  return 'server';
+}
+
+// Count and time one upstream call. Call it as the call starts, and the
+// returned end() once it is over, with the error when it failed.
+export function trackUpstreamCall(service, operation) {
+  upstreamRequests.inc({ service, operation });
+  const started = process.hrtime.bigint();
+
+  return function end(error) {
+    upstreamDuration.observe({ service, operation }, Number(process.hrtime.bigint() - started) / 1e9);
+    if (error) upstreamErrors.inc({ service, operation, class: errorClass(error) });
+  };
+}
+
+// trackUpstreamCall() around `call`, a function returning a promise
+export async function observeUpstream(service, operation, call) {
+  const end = trackUpstreamCall(service, operation);
+  try {
+    const result = await call();
+    end();
+    return result;
+  } catch (error) {
+    end(error);
+    throw error;
+  }
+}
+
+// Count every request and time it until the response is done or the client
+// hangs up. Requests that matched no route share the "unmatched" label.
+export function observeRequests() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+
+    res.on('close', () => {
+      const route = routeOf(req) || 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+
+    next();
+  };
+}
+
+export function renderMetrics() {
+  return METRICS.flatMap(metric => metric.render()).join('\n') + '\n';
+}
@@ -0,0 +1,113 @@
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+
+// Requests to URLs that come from clients (article pages to extract,
+// watchlist webhooks) may only reach public addresses: not this server, its private
+// network or a cloud metadata service, however the host name resolves and
+// wherever a redirect points.
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, shared, link-local (which holds the metadata services
+// at 169.254.169.254 and fd00:ec2::254), multicast and reserved ranges.
+// IPv4-mapped and NAT64 IPv6 addresses are blocked outright, since they can
+// wrap any of the IPv4 ones.
+// Node checks IPv4 addresses against IPv4-mapped IPv6 rules, so each family
+// gets a list of its own
+const BLOCKED = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED.ipv4.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedUrlError';
+    this.code = 'BLOCKED_URL';
+  }
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  return !BLOCKED[type].check(address, type);
+}
+
+// The URL parsed, when it is http(s) and its host isn't a blocked address
+// literal. Host names are checked when they are resolved.
+function parsePublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedUrlError('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new BlockedUrlError('Only http(s) URLs can be fetched');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new BlockedUrlError(`${host} is not a public address`);
+  }
+  return parsed;
+}
+
+// Resolves every address of the host and refuses the lot when any of them
+// is blocked. Used as the connection's lookup, so the address that is
+// checked is the one connected to, even if the DNS answer changes.
+async function publicLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new BlockedUrlError(`${hostname} resolves to ${blocked.address}, which is not a public address`);
+  }
+  return addresses;
+}
+
+// Checks a URL before it is saved for later use, so a blocked one is
+// refused up front. Throws BlockedUrlError.
+export async function checkPublicUrl(url) {
+  const parsed = parsePublicUrl(url);
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!net.isIP(host)) await publicLookup(host);
+}
+
+// axios.request() for a client-supplied URL. Redirects are followed here,
+// up to `maxRedirects`, so every hop is checked like the first one. Set
+// maxContentLength in `config` to cap the response size.
+export async function requestPublicUrl(config, { maxRedirects = MAX_REDIRECTS } = {}) {
+  let url = config.url;
+
+  for (let redirects = 0; ; redirects++) {
+    const parsed = parsePublicUrl(url);
+    const response = await axios.request({
+      ...config,
+      url: parsed.href,
+      proxy: false,
+      maxRedirects: 0,
+      lookup: publicLookup,
+      validateStatus: status => (status >= 200 && status < 300) ||
+        (redirects < maxRedirects && REDIRECT_STATUSES.includes(status))
+    });
+
+    if (!REDIRECT_STATUSES.includes(response.status)) return response;
+
+    if (!response.headers.location) {
+      throw new Error(`Redirect from ${parsed.href} without a location`);
+    }
+    url = new URL(response.headers.location, parsed).href;
+    // Like browsers, anything but 307 and 308 continues as a GET
+    if (![307, 308].includes(response.status)) {
+      config = { ...config, method: 'get', data: undefined };
+    }
+  }
+}
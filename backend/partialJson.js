@@ -0,0 +1,86 @@
+// Helpers for reading fields out of a JSON object while it is still being
+// streamed in, e.g. '{"summary": "The minister said' -> 'The minister said'.
+
+function findValueStart(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*`).exec(text);
+  return match ? match.index + match[0].length : -1;
+}
+
+// Index just past the JSON value starting at `start`, or -1 if the value is
+// not complete yet
+function scanValue(text, start) {
+  const first = text[start];
+  if (first === undefined) return -1;
+
+  if (first === '"' || first === '{' || first === '[') {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') {
+          inString = false;
+          if (depth === 0) return i + 1;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return -1;
+  }
+
+  // Numbers and literals end at the next delimiter
+  const end = text.slice(start).search(/[,}\]\s]/);
+  return end === -1 ? -1 : start + end;
+}
+
+// Value of `key` once it has been received in full, otherwise undefined
+export function readCompletedField(text, key) {
+  const start = findValueStart(text, key);
+  if (start === -1) return undefined;
+
+  const end = scanValue(text, start);
+  if (end === -1) return undefined;
+
+  try {
+    return JSON.parse(text.slice(start, end));
+  } catch {
+    return undefined;
+  }
+}
+
+// The part of string field `key` received so far, or undefined if it hasn't
+// started yet
+export function readPartialString(text, key) {
+  const start = findValueStart(text, key);
+  if (start === -1 || text[start] !== '"') return undefined;
+
+  let raw = '';
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      raw += text.slice(i, i + 2);
+      i++;
+    } else if (text[i] === '"') {
+      break;
+    } else {
+      raw += text[i];
+    }
+  }
+
+  // Drop an escape sequence cut off by the end of the chunk
+  raw = raw.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Small helpers for the JSON files under data/
+
+export function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Could not read file', { file, error });
+    }
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file behind
+export function writeJsonFile(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data));
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    logger.warn('Could not write file', { file, error });
+  }
+}
+
+// Returns a function that saves at most once per `delay` ms. Call its
+// flush() on shutdown to write out anything still pending.
+export function debounceSave(save, delay = 1000) {
+  let timer = null;
+
+  const schedule = () => {
+    if (timer) return;
+
+    timer = setTimeout(() => {
+      timer = null;
+      save();
+    }, delay);
+    timer.unref();
+  };
+
+  schedule.flush = () => {
+    if (!timer) return;
+
+    clearTimeout(timer);
+    timer = null;
+    save();
+  };
+
+  return schedule;
+}
@@ -0,0 +1,41 @@
+// Every provider maps its results onto the NewsAPI article shape, which is
+// what the frontend renders.
+export function toArticle({
+  sourceId = null,
+  sourceName = 'Unknown source',
+  author = null,
+  title = '',
+  description = null,
+  url = '',
+  urlToImage = null,
+  publishedAt = null,
+  content = null
+}) {
+  return {
+    source: { id: sourceId, name: sourceName },
+    author,
+    title,
+    description,
+    url,
+    urlToImage,
+    publishedAt,
+    content
+  };
+}
+
+// Strip tags and decode the common entities found in feed descriptions
+export function stripHtml(value) {
+  if (!value) return '';
+
+  return String(value)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,14 @@
+// Error raised by news providers. Carries the HTTP status and error code the
+// route handlers send back to the client. The message only goes to the
+// client with `expose: true`, for messages written here rather than taken
+// from an upstream response.
+export class ProviderError extends Error {
+  constructor(message, { status = 502, code = 'PROVIDER_ERROR', provider = 'unknown', expose = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.expose = expose;
+  }
+}
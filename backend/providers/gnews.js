@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { ProviderError } from './errors.js';
+import { toArticle } from './article.js';
+import { tracingHeaders } from '../logger.js';
+
+const BASE_URL = 'https://gnews.io/api/v4';
+
+function isConfigured() {
+  return !!process.env.GNEWS_API_KEY;
+}
+
+async function request(path, params) {
+  if (!isConfigured()) {
+    throw new ProviderError('GNEWS_API_KEY not configured in .env file', {
+      status: 500,
+      code: 'NOT_CONFIGURED',
+      provider: 'gnews',
+      expose: true
+    });
+  }
+
+  try {
+    const response = await axios.get(`${BASE_URL}${path}`, {
+      params: { ...params, apikey: process.env.GNEWS_API_KEY },
+      headers: tracingHeaders(),
+      timeout: 15000
+    });
+    return response.data;
+  } catch (error) {
+    const errors = error.response?.data?.errors;
+    throw new ProviderError(
+      (Array.isArray(errors) ? errors.join(', ') : errors) || error.message,
+      {
+        status: error.response?.status || 502,
+        code: 'GNEWS_ERROR',
+        provider: 'gnews'
+      }
+    );
+  }
+}
+
+function normalize(data) {
+  return {
+    totalResults: data.totalArticles || 0,
+    articles: (data.articles || []).map(article => toArticle({
+      sourceName: article.source?.name,
+      title: article.title,
+      description: article.description,
+      url: article.url,
+      urlToImage: article.image,
+      publishedAt: article.publishedAt,
+      content: article.content
+    }))
+  };
+}
+
+export default {
+  name: 'gnews',
+  isConfigured,
+
+  async topHeadlines({ category, country, pageSize, page = 1 }) {
+    const data = await request('/top-headlines', {
+      category,
+      country,
+      max: pageSize,
+      page
+    });
+    return normalize(data);
+  },
+
+  // GNews has no popularity sort or domain filters
+  async search({ q, pageSize, page = 1, language, sortBy, from, to }) {
+    const data = await request('/search', {
+      q,
+      lang: language,
+      max: pageSize,
+      page,
+      sortby: sortBy === 'publishedAt' ? 'publishedAt' : 'relevance',
+      from: from && new Date(from).toISOString(),
+      to: to && new Date(to).toISOString()
+    });
+    return normalize(data);
+  }
+};
@@ -0,0 +1,98 @@
+import newsapi from './newsapi.js';
+import gnews from './gnews.js';
+import rss from './rss.js';
+import { ProviderError } from './errors.js';
+import { logger } from '../logger.js';
+import { observeUpstream } from '../metrics.js';
+
+export { ProviderError };
+
+const providers = { newsapi, gnews, rss };
+
+export const DEFAULT_PROVIDER = 'newsapi';
+
+export function listProviders() {
+  const defaultName = process.env.NEWS_PROVIDER || DEFAULT_PROVIDER;
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    configured: provider.isConfigured(),
+    default: provider.name === defaultName
+  }));
+}
+
+// An explicit ?provider= is used on its own. Otherwise the configured
+// NEWS_PROVIDER is tried first, followed by NEWS_PROVIDER_FALLBACK in order,
+// so an outage or exhausted quota on one provider doesn't take the app down.
+function resolveChain(requested) {
+  if (requested) {
+    const provider = providers[requested];
+    if (!provider) {
+      throw new ProviderError(`Unknown news provider "${requested}"`, {
+        status: 400,
+        code: 'UNKNOWN_PROVIDER',
+        provider: requested,
+        expose: true
+      });
+    }
+    return [provider];
+  }
+
+  const names = [
+    process.env.NEWS_PROVIDER || DEFAULT_PROVIDER,
+    ...(process.env.NEWS_PROVIDER_FALLBACK || '').split(',')
+  ].map(name => name.trim()).filter(Boolean);
+
+  return [...new Set(names)]
+    .map(name => providers[name])
+    .filter(Boolean);
+}
+
+async function callChain(method, params, requested) {
+  const chain = resolveChain(requested);
+  if (chain.length === 0) {
+    throw new ProviderError(`Unknown news provider "${process.env.NEWS_PROVIDER}"`, {
+      status: 500,
+      code: 'UNKNOWN_PROVIDER',
+      expose: true
+    });
+  }
+
+  let lastError;
+  for (const provider of chain) {
+    try {
+      const result = await callProvider(provider, method, params);
+      return { provider: provider.name, ...result };
+    } catch (error) {
+      lastError = error;
+      if (chain.length > 1) {
+        logger.warn('News provider failed', { provider: provider.name, error });
+      }
+    }
+  }
+  throw lastError;
+}
+
+// Every call to a provider goes through here to be counted and timed in the
+// metrics, under `operation` (the method's name unless given)
+function callProvider(provider, method, params, operation = method) {
+  return observeUpstream(provider.name, operation, () => provider[method](params));
+}
+
+// The providers requests go to, in the order they are tried
+export function providerChain() {
+  return resolveChain().map(provider => provider.name);
+}
+
+// Fetch a single headline to see that the provider answers and accepts its
+// key. Throws the provider's error when it doesn't.
+export async function checkProvider(name) {
+  await callProvider(providers[name], 'topHeadlines', { category: 'general', country: 'us', pageSize: 1 }, 'check');
+}
+
+export function topHeadlines(params, requested) {
+  return callChain('topHeadlines', params, requested);
+}
+
+export function searchArticles(params, requested) {
+  return callChain('search', params, requested);
+}
@@ -0,0 +1,78 @@
+import axios from 'axios';
+import { ProviderError } from './errors.js';
+import { toArticle } from './article.js';
+import { tracingHeaders } from '../logger.js';
+
+const BASE_URL = 'https://newsapi.org/v2';
+
+function isConfigured() {
+  return !!process.env.NEWS_API_KEY;
+}
+
+async function request(path, params) {
+  if (!isConfigured()) {
+    throw new ProviderError('NEWS_API_KEY not configured in .env file', {
+      status: 500,
+      code: 'NOT_CONFIGURED',
+      provider: 'newsapi',
+      expose: true
+    });
+  }
+
+  try {
+    const response = await axios.get(`${BASE_URL}${path}`, {
+      params: { ...params, apiKey: process.env.NEWS_API_KEY },
+      headers: tracingHeaders(),
+      timeout: 15000
+    });
+    return response.data;
+  } catch (error) {
+    throw new ProviderError(error.response?.data?.message || error.message, {
+      status: error.response?.status || 502,
+      code: error.response?.data?.code || (error.response ? 'UNKNOWN_ERROR' : 'UNAVAILABLE'),
+      provider: 'newsapi'
+    });
+  }
+}
+
+function normalize(data) {
+  return {
+    totalResults: data.totalResults || 0,
+    articles: (data.articles || []).map(article => toArticle({
+      sourceId: article.source?.id,
+      sourceName: article.source?.name,
+      author: article.author,
+      title: article.title,
+      description: article.description,
+      url: article.url,
+      urlToImage: article.urlToImage,
+      publishedAt: article.publishedAt,
+      content: article.content
+    }))
+  };
+}
+
+export default {
+  name: 'newsapi',
+  isConfigured,
+
+  async topHeadlines({ category, country, pageSize, page = 1 }) {
+    const data = await request('/top-headlines', { country, category, pageSize, page });
+    return normalize(data);
+  },
+
+  async search({ q, pageSize, page = 1, language, sortBy = 'publishedAt', from, to, domains, excludeDomains }) {
+    const data = await request('/everything', {
+      q,
+      pageSize,
+      page,
+      language,
+      sortBy,
+      from,
+      to,
+      domains,
+      excludeDomains
+    });
+    return normalize(data);
+  }
+};
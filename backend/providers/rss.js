@@ -0,0 +1,246 @@
+import axios from 'axios';
+import { XMLParser } from 'fast-xml-parser';
+import { ProviderError } from './errors.js';
+import { toArticle, stripHtml } from './article.js';
+import { logger, tracingHeaders } from '../logger.js';
+import { observeUpstream } from '../metrics.js';
+
+// Google News publishes keyless RSS feeds per topic and for searches, so the
+// RSS provider works out of the box. Set RSS_FEEDS (comma-separated) to use
+// your own feeds instead, or RSS_FEEDS_<CATEGORY> for a single category.
+const GOOGLE_NEWS_TOPICS = {
+  business: 'BUSINESS',
+  entertainment: 'ENTERTAINMENT',
+  health: 'HEALTH',
+  science: 'SCIENCE',
+  sports: 'SPORTS',
+  technology: 'TECHNOLOGY'
+};
+
+const COUNTRY_LANGUAGES = {
+  de: 'de',
+  fr: 'fr',
+  jp: 'ja'
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  textNodeName: 'text'
+});
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value.text ?? '');
+  return String(value);
+}
+
+function toIsoDate(value) {
+  const date = new Date(textOf(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function googleNewsLocale(country = 'us', language) {
+  const lang = language || COUNTRY_LANGUAGES[country] || 'en';
+  const gl = country.toUpperCase();
+  return `hl=${lang}-${gl}&gl=${gl}&ceid=${gl}:${lang}`;
+}
+
+function configuredFeeds(category) {
+  const specific = category && process.env[`RSS_FEEDS_${category.toUpperCase()}`];
+  const feeds = specific || process.env.RSS_FEEDS || '';
+  return feeds.split(',').map(feed => feed.trim()).filter(Boolean);
+}
+
+function headlineFeeds(category, country) {
+  const feeds = configuredFeeds(category);
+  if (feeds.length > 0) return feeds;
+
+  const topic = GOOGLE_NEWS_TOPICS[category];
+  const locale = googleNewsLocale(country);
+  return [topic
+    ? `https://news.google.com/rss/headlines/section/topic/${topic}?${locale}`
+    : `https://news.google.com/rss?${locale}`];
+}
+
+function imageOf(item) {
+  const media = asArray(item['media:content'])[0] || asArray(item['media:thumbnail'])[0];
+  if (media?.url) return media.url;
+
+  const enclosure = asArray(item.enclosure).find(e => e.type?.startsWith('image/'));
+  if (enclosure?.url) return enclosure.url;
+
+  const html = textOf(item.description) + textOf(item['content:encoded']);
+  return html.match(/<img[^>]+src="([^"]+)"/)?.[1] || null;
+}
+
+function parseRssItem(item, feedTitle) {
+  const description = stripHtml(textOf(item.description));
+  const content = stripHtml(textOf(item['content:encoded'])) || description;
+
+  return toArticle({
+    sourceName: textOf(item.source) || feedTitle,
+    author: textOf(item['dc:creator']) || textOf(item.author) || null,
+    title: stripHtml(textOf(item.title)),
+    description: description || null,
+    url: textOf(item.link),
+    urlToImage: imageOf(item),
+    publishedAt: item.pubDate ? toIsoDate(item.pubDate) : null,
+    content: content || null
+  });
+}
+
+function parseAtomEntry(entry, feedTitle) {
+  const links = asArray(entry.link);
+  const link = links.find(l => !l.rel || l.rel === 'alternate') || links[0];
+  const summary = stripHtml(textOf(entry.summary));
+  const content = stripHtml(textOf(entry.content)) || summary;
+  const published = textOf(entry.published) || textOf(entry.updated);
+
+  return toArticle({
+    sourceName: feedTitle,
+    author: textOf(asArray(entry.author)[0]?.name) || null,
+    title: stripHtml(textOf(entry.title)),
+    description: summary || null,
+    url: link?.href || '',
+    urlToImage: imageOf(entry),
+    publishedAt: published ? toIsoDate(published) : null,
+    content: content || null
+  });
+}
+
+// Parse an RSS 2.0 or Atom document into articles
+export function parseFeed(xml) {
+  const doc = parser.parse(xml);
+
+  if (doc.rss?.channel) {
+    const channel = doc.rss.channel;
+    const feedTitle = stripHtml(textOf(channel.title));
+    return asArray(channel.item).map(item => parseRssItem(item, feedTitle));
+  }
+
+  if (doc.feed) {
+    const feedTitle = stripHtml(textOf(doc.feed.title));
+    return asArray(doc.feed.entry).map(entry => parseAtomEntry(entry, feedTitle));
+  }
+
+  throw new Error('Unrecognized feed format');
+}
+
+async function fetchFeeds(urls) {
+  const results = await Promise.allSettled(urls.map(async url => {
+    const response = await observeUpstream('rss', 'feed', () => axios.get(url, {
+      responseType: 'text',
+      timeout: 15000,
+      headers: { ...tracingHeaders(), Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+    }));
+    return parseFeed(response.data);
+  }));
+
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length === results.length) {
+    throw new ProviderError(failed[0].reason?.message || 'Failed to load RSS feeds', {
+      status: 502,
+      code: 'FEED_UNAVAILABLE',
+      provider: 'rss'
+    });
+  }
+
+  failed.forEach(result => logger.warn('RSS feed failed', { error: result.reason }));
+
+  // Newest first, without the same link twice when feeds overlap
+  const seen = new Set();
+  return results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value)
+    .filter(article => article.url && !seen.has(article.url) && seen.add(article.url))
+    .sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+}
+
+function matchesQuery(article, q) {
+  const haystack = `${article.title} ${article.description || ''} ${article.content || ''}`.toLowerCase();
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+function listOf(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function dayOf(value) {
+  return new Date(value).toISOString().substring(0, 10);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// Google News understands search operators for dates and sites
+function googleNewsQuery({ q, from, to, domains, excludeDomains }) {
+  const terms = [q];
+  const include = listOf(domains);
+
+  if (include.length > 0) terms.push(`(${include.map(domain => `site:${domain}`).join(' OR ')})`);
+  listOf(excludeDomains).forEach(domain => terms.push(`-site:${domain}`));
+  if (from) terms.push(`after:${dayOf(from)}`);
+  if (to) terms.push(`before:${dayOf(to)}`);
+
+  return terms.join(' ');
+}
+
+// The same filters applied locally to items from configured feeds
+function matchesFilters(article, { from, to, domains, excludeDomains }) {
+  const host = hostOf(article.url);
+  const onDomain = domain => host === domain || host.endsWith(`.${domain}`);
+  const published = new Date(article.publishedAt || 0).getTime();
+  const include = listOf(domains);
+
+  if (include.length > 0 && !include.some(onDomain)) return false;
+  if (listOf(excludeDomains).some(onDomain)) return false;
+  if (from && published < new Date(from).getTime()) return false;
+  if (to && published > new Date(to).getTime()) return false;
+  return true;
+}
+
+// Feeds return everything at once, so pages are cut locally
+function pageOf(articles, page, pageSize) {
+  const start = (page - 1) * pageSize;
+  return {
+    totalResults: articles.length,
+    articles: articles.slice(start, start + pageSize)
+  };
+}
+
+export default {
+  name: 'rss',
+
+  // Falls back to Google News feeds, so no key is ever required
+  isConfigured() {
+    return true;
+  },
+
+  async topHeadlines({ category, country, pageSize, page = 1 }) {
+    const articles = await fetchFeeds(headlineFeeds(category, country));
+    return pageOf(articles, page, pageSize);
+  },
+
+  // Feeds carry no popularity data, so results are always newest first
+  async search({ q, pageSize, page = 1, language, ...filters }) {
+    const feeds = configuredFeeds();
+    const articles = feeds.length > 0
+      ? (await fetchFeeds(feeds)).filter(article => matchesQuery(article, q) && matchesFilters(article, filters))
+      : await fetchFeeds([
+        `https://news.google.com/rss/search?q=${encodeURIComponent(googleNewsQuery({ q, ...filters }))}&${googleNewsLocale('us', language)}`
+      ]);
+
+    return pageOf(articles, page, pageSize);
+  }
+};
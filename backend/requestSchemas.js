@@ -0,0 +1,278 @@
+// Schemas for the query strings and bodies of the API routes, checked by
+// validateRequest() before they reach a provider, analyzer or store. Extra
+// parameters are ignored. For routes with a parse function of their own
+// (parseWatchlist(), parseChatRequest() and the like) the schema only checks
+// types and sizes, so a repeated query parameter or an object where a string
+// belongs gets a 400; the parse function checks the values.
+
+export const NEWS_CATEGORIES = ['general', 'business', 'entertainment', 'health', 'science', 'sports', 'technology'];
+
+// The countries NewsAPI has top headlines for
+export const NEWS_COUNTRIES = [
+  'ae', 'ar', 'at', 'au', 'be', 'bg', 'br', 'ca', 'ch', 'cn', 'co', 'cu', 'cz', 'de', 'eg', 'fr', 'gb', 'gr',
+  'hk', 'hu', 'id', 'ie', 'il', 'in', 'it', 'jp', 'kr', 'lt', 'lv', 'ma', 'mx', 'my', 'ng', 'nl', 'no', 'nz',
+  'ph', 'pl', 'pt', 'ro', 'rs', 'ru', 'sa', 'se', 'sg', 'si', 'sk', 'th', 'tr', 'tw', 'ua', 'us', 've', 'za'
+];
+
+export const SORT_OPTIONS = ['relevancy', 'popularity', 'publishedAt'];
+export const MAX_PAGE_SIZE = 100;
+export const MAX_BATCH_SIZE = 50;
+export const MAX_COMPARE_ARTICLES = 8;
+
+// Longest article text accepted for analysis; full text extracted from the
+// source page is trimmed separately
+export const MAX_CONTENT_LENGTH = 50000;
+
+const pageSize = { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE };
+const page = { type: 'integer', minimum: 1, maximum: 100, default: 1 };
+const provider = { type: 'string', maxLength: 32 };
+const date = { type: 'string', maxLength: 40 };
+
+const headlines = {
+  category: { type: 'string', enum: NEWS_CATEGORIES, default: 'general' },
+  country: { type: 'string', enum: NEWS_COUNTRIES, default: 'us' },
+  provider
+};
+
+export const NEWS_QUERY = {
+  type: 'object',
+  properties: { ...headlines, pageSize: { ...pageSize, default: 10 }, page }
+};
+
+export const SEARCH_QUERY = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', minLength: 1, maxLength: 500 },
+    language: { type: 'string', pattern: '^[a-z]{2}$', default: 'en' },
+    sortBy: { type: 'string', enum: SORT_OPTIONS, default: 'publishedAt' },
+    from: date,
+    to: date,
+    domains: { type: 'string', maxLength: 1000 },
+    excludeDomains: { type: 'string', maxLength: 1000 },
+    pageSize: { ...pageSize, default: 10 },
+    page,
+    provider
+  },
+  required: ['q']
+};
+
+export const CLUSTERS_QUERY = {
+  type: 'object',
+  properties: {
+    ...headlines,
+    pageSize: { ...pageSize, default: 50 },
+    threshold: { type: 'number', minimum: 0.05, maximum: 0.95, default: 0.3 },
+    minSize: { type: 'integer', minimum: 1, maximum: 50, default: 2 }
+  }
+};
+
+// Providers leave out what they don't have as null
+const ARTICLE = {
+  type: 'object',
+  properties: {
+    title: { type: ['string', 'null'], maxLength: 500 },
+    description: { type: ['string', 'null'], maxLength: 5000 },
+    content: { type: ['string', 'null'], maxLength: MAX_CONTENT_LENGTH },
+    url: { type: ['string', 'null'], maxLength: 2048 },
+    urlToImage: { type: ['string', 'null'], maxLength: 2048 },
+    publishedAt: { ...date, type: ['string', 'null'] },
+    source: {
+      type: ['object', 'null'],
+      properties: {
+        name: { type: ['string', 'null'], maxLength: 200 }
+      }
+    }
+  }
+};
+
+const analyzerChoice = {
+  analyzer: { type: 'string', maxLength: 32 },
+  model: { type: 'string', maxLength: 100 }
+};
+
+// One article plus the analyzer choice; sections and language are checked
+// by selectSections() and selectLanguage()
+export const ANALYZE_REQUEST = {
+  type: 'object',
+  properties: { ...ARTICLE.properties, ...analyzerChoice }
+};
+
+export const BATCH_REQUEST = {
+  type: 'object',
+  properties: {
+    articles: { type: 'array', items: ARTICLE, minItems: 1, maxItems: MAX_BATCH_SIZE },
+    concurrency: { type: 'integer', minimum: 1, maximum: 5 },
+    ...analyzerChoice
+  },
+  required: ['articles']
+};
+
+export const COMPARE_REQUEST = {
+  type: 'object',
+  properties: {
+    articles: {
+      type: 'array',
+      items: { ...ARTICLE, required: ['title'] },
+      minItems: 2,
+      maxItems: MAX_COMPARE_ARTICLES
+    },
+    ...analyzerChoice
+  },
+  required: ['articles']
+};
+
+// History and exports
+
+const limit = { type: 'integer', minimum: 1, maximum: 200 };
+const offset = { type: 'integer', minimum: 0 };
+const id = { type: 'string', maxLength: 100 };
+
+const articleFilters = {
+  category: { type: 'string', maxLength: 32 },
+  source: { type: 'string', maxLength: 200 },
+  q: { type: 'string', maxLength: 500 }
+};
+
+const analysisFilters = {
+  sentiment: { type: 'string', maxLength: 32 },
+  from: date,
+  to: date
+};
+
+export const ARTICLES_QUERY = {
+  type: 'object',
+  properties: { ...articleFilters, limit, offset }
+};
+
+export const ANALYSES_QUERY = {
+  type: 'object',
+  properties: { ...analysisFilters, articleId: id, limit, offset }
+};
+
+export const EXPORT_QUERY = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', maxLength: 16, default: 'json' },
+    type: { type: 'string', maxLength: 16, default: 'analyses' },
+    ...analysisFilters,
+    ...articleFilters,
+    limit: { type: 'integer', minimum: 1 }
+  }
+};
+
+export const EXPORT_ANALYSIS_QUERY = {
+  type: 'object',
+  properties: { format: { type: 'string', maxLength: 16, default: 'markdown' } }
+};
+
+export const TRENDS_QUERY = {
+  type: 'object',
+  properties: {
+    interval: { type: 'string', maxLength: 16 },
+    groupBy: { type: 'string', maxLength: 16 },
+    category: articleFilters.category,
+    country: { type: 'string', maxLength: 8 },
+    days: { type: 'integer' },
+    from: date,
+    to: date,
+    limit: { type: 'integer' }
+  }
+};
+
+// Sources
+
+export const SOURCES_QUERY = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', maxLength: 200 },
+    rated: { type: 'boolean', default: false }
+  }
+};
+
+export const SOURCE_QUERY = {
+  type: 'object',
+  properties: { analysis: id }
+};
+
+// Watchlists
+
+// parseWatchlist() also takes "true" for autoAnalyze
+export const WATCHLIST_REQUEST = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', maxLength: 200 },
+    query: { type: 'string', maxLength: 200 },
+    category: { type: ['string', 'null'], maxLength: 32 },
+    country: { type: ['string', 'null'], maxLength: 8 },
+    sentiment: { type: ['string', 'null'], maxLength: 32 },
+    webhookUrl: { type: ['string', 'null'], maxLength: 2048 },
+    autoAnalyze: { type: ['boolean', 'string'] }
+  }
+};
+
+export const ALERTS_QUERY = {
+  type: 'object',
+  properties: { since: date, watchlistId: id }
+};
+
+// Digests
+
+// Categories and countries may be one value or a list
+const digestOptions = {
+  categories: { type: ['string', 'array'], maxLength: 32, items: { type: 'string', maxLength: 32 }, maxItems: 20 },
+  countries: { type: ['string', 'array'], maxLength: 8, items: { type: 'string', maxLength: 8 }, maxItems: 60 },
+  pageSize: { type: ['integer', 'string'], maxLength: 4 },
+  outbox: { type: ['boolean', 'string'] }
+};
+
+export const DIGEST_REQUEST = {
+  type: 'object',
+  properties: { ...digestOptions, ...analyzerChoice }
+};
+
+export const SCHEDULE_REQUEST = {
+  type: 'object',
+  properties: {
+    ...digestOptions,
+    enabled: { type: ['boolean', 'string'] },
+    time: { type: 'string', maxLength: 5 }
+  }
+};
+
+// Chat
+
+export const CHAT_REQUEST = {
+  type: 'object',
+  properties: {
+    question: { type: 'string', maxLength: 1000 },
+    article: ARTICLE,
+    scope: { type: 'string', maxLength: 16 },
+    articles: { type: 'array', items: ARTICLE, maxItems: 500 },
+    ...analyzerChoice
+  }
+};
+
+// Accounts and the reading list
+
+export const CREDENTIALS_REQUEST = {
+  type: 'object',
+  properties: {
+    username: { type: 'string', maxLength: 100 },
+    password: { type: 'string', maxLength: 200 }
+  }
+};
+
+export const READING_LIST_SYNC_REQUEST = {
+  type: 'object',
+  properties: {
+    saved: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { article: ARTICLE, savedAt: { ...date, type: ['string', 'null'] }, analysisId: { ...id, type: ['string', 'null'] } }
+      },
+      maxItems: 500
+    },
+    removed: { type: 'array', items: { type: 'string', maxLength: 2048 }, maxItems: 500 }
+  }
+};
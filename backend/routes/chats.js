@@ -0,0 +1,39 @@
+import express from 'express';
+import { requireUser } from '../users.js';
+
+// The signed-in user's saved chat sessions, one per article. Questions are
+// asked through POST /api/chat in server.js.
+export function createChatsRouter(chats) {
+  const router = express.Router();
+
+  router.get('/chats', requireUser, (req, res) => {
+    res.json({ sessions: chats.list(req.user.id) });
+  });
+
+  // :id is the article's id, as returned with its analyses
+  router.get('/chats/:id', requireUser, (req, res) => {
+    const session = chats.get(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Chat session not found',
+        id: req.params.id
+      });
+    }
+
+    res.json(session);
+  });
+
+  router.delete('/chats/:id', requireUser, (req, res) => {
+    if (!chats.delete(req.user.id, req.params.id)) {
+      return res.status(404).json({
+        error: 'Chat session not found',
+        id: req.params.id
+      });
+    }
+
+    res.status(204).end();
+  });
+
+  return router;
+}
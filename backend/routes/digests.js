@@ -0,0 +1,86 @@
+import express from 'express';
+import { parseSchedule, renderDigestHtml } from '../digest.js';
+import { DIGEST_HTML_POLICY } from '../security.js';
+import { logger } from '../logger.js';
+import { requireUser } from '../users.js';
+import { validateRequest } from '../validate.js';
+import { SCHEDULE_REQUEST } from '../requestSchemas.js';
+
+// The signed-in user's digest, or null after answering 404. Another user's
+// digest is not found either.
+function ownDigest(digests, req, res) {
+  const digest = digests.get(req.params.id);
+
+  if (!digest || digest.ownerId !== req.user.id) {
+    res.status(404).json({
+      error: 'Digest not found',
+      id: req.params.id
+    });
+    return null;
+  }
+
+  return digest;
+}
+
+// Saved digests, their HTML email bodies and the daily schedule, all of
+// them the signed-in user's own. Digests are generated by POST /api/digest
+// in server.js.
+export function createDigestsRouter(digests) {
+  const router = express.Router();
+
+  router.get('/digests', requireUser, (req, res) => {
+    res.json({ digests: digests.list(req.user.id) });
+  });
+
+  router.get('/digest/schedule', requireUser, (req, res) => {
+    res.json({ schedule: digests.getSchedule(req.user.id) });
+  });
+
+  // { enabled, time: "HH:MM", categories, countries, outbox }. Scheduled
+  // digests count towards the user's quota.
+  router.put('/digest/schedule', requireUser, validateRequest(SCHEDULE_REQUEST), (req, res) => {
+    const { schedule, error } = parseSchedule(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    logger.info('Digest schedule updated', { enabled: schedule.enabled, time: schedule.time });
+    res.json({ schedule: digests.setSchedule(req.user.id, schedule) });
+  });
+
+  router.get('/digests/:id', requireUser, (req, res) => {
+    const digest = ownDigest(digests, req, res);
+    if (!digest) return;
+
+    res.json(digest);
+  });
+
+  // The digest as an HTML email body
+  router.get('/digests/:id/html', requireUser, (req, res) => {
+    const digest = ownDigest(digests, req, res);
+    if (!digest) return;
+
+    res.set('Content-Security-Policy', DIGEST_HTML_POLICY);
+    res.type('html').send(renderDigestHtml(digest));
+  });
+
+  // Write the HTML email body to the outbox directory
+  router.post('/digests/:id/outbox', requireUser, (req, res) => {
+    const digest = ownDigest(digests, req, res);
+    if (!digest) return;
+
+    try {
+      const file = digests.writeOutbox(digest);
+      logger.info('Digest written to the outbox', { file });
+      res.json({ file });
+    } catch (error) {
+      logger.error('Could not write digest to the outbox', { error });
+      res.status(500).json({
+        error: 'Could not write to the outbox'
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,100 @@
+import express from 'express';
+import { EXPORT_FORMATS, EXPORT_TYPES, analysisToMarkdown, buildExport } from '../export.js';
+import { logger } from '../logger.js';
+import { historyScope, requireUser } from '../users.js';
+import { validateRequest } from '../validate.js';
+import { EXPORT_ANALYSIS_QUERY, EXPORT_QUERY } from '../requestSchemas.js';
+
+const MAX_EXPORT_ROWS = 5000;
+
+function sendExport(res, { body, contentType, filename }) {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+// Downloads of the signed-in user's history
+export function createExportRouter(store) {
+  const router = express.Router();
+
+  // ?format=json|csv|markdown&type=analyses|articles, filtered like
+  // GET /api/analyses (sentiment, from, to) or GET /api/articles (category,
+  // source, q)
+  router.get('/export', requireUser, validateRequest(EXPORT_QUERY, 'query'), (req, res) => {
+    const { format, type, sentiment, from, to, category, source, q } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format "${format}"`,
+        details: `Use one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (!EXPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `Invalid type "${type}"`,
+        details: `Use one of: ${EXPORT_TYPES.join(', ')}`
+      });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          error: `Invalid "${name}" date`,
+          details: 'Use an ISO 8601 date such as 2024-05-01'
+        });
+      }
+    }
+
+    const limit = Math.min(MAX_EXPORT_ROWS, req.query.limit || MAX_EXPORT_ROWS);
+    const scope = historyScope(req.user, store);
+    let records;
+
+    if (type === 'analyses') {
+      records = store.findAnalyses({ sentiment, from, to, ids: scope.analyses })
+        .slice(0, limit)
+        .map(record => store.withArticle(record));
+    } else {
+      records = store.findArticles({ category, source, q, ids: scope.articles })
+        .slice(0, limit)
+        .map(article => ({
+          ...article,
+          latestAnalysis: store.analysesFor(article.id).find(record => scope.analyses.has(record.id)) || null
+        }));
+    }
+
+    const filters = Object.fromEntries(
+      Object.entries({ sentiment, from, to, category, source, q }).filter(([, value]) => value)
+    );
+
+    logger.info('Exporting records', { count: records.length, type, format });
+    sendExport(res, buildExport({ type, format, records, filters }));
+  });
+
+  // One analysis, ?format=markdown|json
+  router.get('/export/analyses/:id', requireUser, validateRequest(EXPORT_ANALYSIS_QUERY, 'query'), (req, res) => {
+    const { format } = req.query;
+    const record = req.user.history.includes(req.params.id) ? store.getAnalysis(req.params.id) : null;
+
+    if (!record) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        id: req.params.id
+      });
+    }
+
+    if (!['markdown', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format "${format}"`,
+        details: 'Use one of: markdown, json'
+      });
+    }
+
+    const filename = `analysis-${record.id.substring(0, 8)}.${format === 'json' ? 'json' : 'md'}`;
+    sendExport(res, format === 'json'
+      ? { body: JSON.stringify(record, null, 2), contentType: 'application/json; charset=utf-8', filename }
+      : { body: analysisToMarkdown(record, { level: 1 }), contentType: 'text/markdown; charset=utf-8', filename });
+  });
+
+  return router;
+}
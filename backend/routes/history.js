@@ -0,0 +1,63 @@
+import express from 'express';
+import { historyScope, requireUser } from '../users.js';
+import { validateRequest } from '../validate.js';
+import { ANALYSES_QUERY, ARTICLES_QUERY } from '../requestSchemas.js';
+
+// The signed-in user's articles and past analyses
+export function createHistoryRouter(store) {
+  const router = express.Router();
+
+  router.get('/articles', requireUser, validateRequest(ARTICLES_QUERY, 'query'), (req, res) => {
+    const { category, source, q, limit, offset } = req.query;
+    const { articles } = historyScope(req.user, store);
+    res.json(store.listArticles({ category, source, q, ids: articles, limit, offset }));
+  });
+
+  router.get('/articles/:id', requireUser, (req, res) => {
+    const scope = historyScope(req.user, store);
+    const article = scope.articles.has(req.params.id) ? store.getArticle(req.params.id) : null;
+
+    if (!article) {
+      return res.status(404).json({ 
+        error: 'Article not found',
+        id: req.params.id
+      });
+    }
+
+    res.json({
+      article,
+      analyses: store.analysesFor(article.id).filter(record => scope.analyses.has(record.id))
+    });
+  });
+
+  router.get('/analyses', requireUser, validateRequest(ANALYSES_QUERY, 'query'), (req, res) => {
+    const { sentiment, from, to, articleId, limit, offset } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ 
+          error: `Invalid "${name}" date`,
+          details: 'Use an ISO 8601 date such as 2024-05-01'
+        });
+      }
+    }
+
+    const ids = new Set(req.user.history);
+    res.json(store.listAnalyses({ sentiment, from, to, articleId, ids, limit, offset }));
+  });
+
+  router.get('/analyses/:id', requireUser, (req, res) => {
+    const record = req.user.history.includes(req.params.id) ? store.getAnalysis(req.params.id) : null;
+
+    if (!record) {
+      return res.status(404).json({ 
+        error: 'Analysis not found',
+        id: req.params.id
+      });
+    }
+
+    res.json(record);
+  });
+
+  return router;
+}
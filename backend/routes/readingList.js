@@ -0,0 +1,82 @@
+import express from 'express';
+import { logger } from '../logger.js';
+import { requireUser } from '../users.js';
+import { validateRequest } from '../validate.js';
+import { READING_LIST_SYNC_REQUEST } from '../requestSchemas.js';
+
+const MAX_SYNC_ITEMS = 500;
+const ARTICLE_FIELDS = ['title', 'description', 'content', 'url', 'source', 'urlToImage', 'publishedAt'];
+
+// Reads a reading-list sync from a request body. Returns { saved, removed }
+// or { error }.
+function parseSync(body = {}) {
+  const saved = body.saved ?? [];
+  const removed = body.removed ?? [];
+
+  if (!Array.isArray(saved) || !Array.isArray(removed)) {
+    return { error: '"saved" and "removed" must be arrays' };
+  }
+  if (saved.length + removed.length > MAX_SYNC_ITEMS) {
+    return { error: `Too many items: at most ${MAX_SYNC_ITEMS} per sync` };
+  }
+
+  const invalid = saved.findIndex(item => typeof item?.article?.url !== 'string' || !item.article.title);
+  if (invalid !== -1) {
+    return { error: `saved[${invalid}] needs an "article" with a url and a title` };
+  }
+  if (removed.some(url => typeof url !== 'string')) {
+    return { error: '"removed" must list article URLs' };
+  }
+
+  return {
+    saved: saved.map(item => ({
+      // Missing fields are left out so they don't blank out stored ones
+      article: Object.fromEntries(ARTICLE_FIELDS.map(name => [name, item.article[name]]).filter(([, value]) => value !== undefined)),
+      savedAt: Number.isNaN(new Date(item.savedAt).getTime()) ? new Date().toISOString() : new Date(item.savedAt).toISOString(),
+      analysisId: typeof item.analysisId === 'string' ? item.analysisId : null
+    })),
+    removed
+  };
+}
+
+// The user's bookmarks as saved articles, most recently saved first
+function bookmarkedArticles(user, store) {
+  return Object.values(user.bookmarks)
+    .map(({ articleId, savedAt, analysisId }) => {
+      const article = store.getArticle(articleId);
+      return article && { ...article, savedAt, savedAnalysisId: analysisId };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+}
+
+// The reading list, kept by the frontend in IndexedDB so it works offline
+// and synced here once the backend is reachable. Only signed-in users sync,
+// to their own bookmarks; without an account the list stays on the device.
+export function createReadingListRouter(store, users) {
+  const router = express.Router();
+
+  router.get('/reading-list', requireUser, (req, res) => {
+    res.json({ articles: bookmarkedArticles(req.user, store) });
+  });
+
+  // { saved: [{ article, savedAt, analysisId }], removed: [url] }
+  router.post('/reading-list/sync', requireUser, validateRequest(READING_LIST_SYNC_REQUEST), (req, res) => {
+    const { saved, removed, error } = parseSync(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    saved.forEach(({ article, savedAt, analysisId }) => {
+      store.upsertArticles([article]);
+      users.setBookmark(req.user, article, { savedAt, analysisId });
+    });
+    const unsaved = removed.filter(url => users.removeBookmark(req.user, url)).length;
+
+    logger.info('Reading list synced', { user: req.user.username, saved: saved.length, removed: unsaved });
+    res.json({ saved: saved.length, removed: unsaved });
+  });
+
+  return router;
+}
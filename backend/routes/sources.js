@@ -0,0 +1,29 @@
+import express from 'express';
+import { validateRequest } from '../validate.js';
+import { SOURCE_QUERY, SOURCES_QUERY } from '../requestSchemas.js';
+
+// Outlet credibility and bias profiles
+export function createSourcesRouter(registry) {
+  const router = express.Router();
+
+  router.get('/sources', validateRequest(SOURCES_QUERY, 'query'), (req, res) => {
+    const { q, rated } = req.query;
+    res.json(registry.list({ q, rated }));
+  });
+
+  // ?analysis=<id> adds how that analysis compares with the outlet's others
+  router.get('/sources/:id', validateRequest(SOURCE_QUERY, 'query'), (req, res) => {
+    const profile = registry.get(req.params.id, { analysisId: req.query.analysis });
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Source not found',
+        id: req.params.id
+      });
+    }
+
+    res.json(profile);
+  });
+
+  return router;
+}
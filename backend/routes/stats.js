@@ -0,0 +1,21 @@
+import express from 'express';
+import { computeTrends, parseTrendOptions } from '../trends.js';
+import { validateRequest } from '../validate.js';
+import { TRENDS_QUERY } from '../requestSchemas.js';
+
+// Aggregate views over stored articles and analyses
+export function createStatsRouter(store) {
+  const router = express.Router();
+
+  router.get('/stats/trends', validateRequest(TRENDS_QUERY, 'query'), (req, res) => {
+    const { options, error } = parseTrendOptions(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(computeTrends(store, options));
+  });
+
+  return router;
+}
@@ -0,0 +1,78 @@
+import express from 'express';
+import { parseCredentials, parsePreferences, requireUser } from '../users.js';
+import { logger } from '../logger.js';
+import { validateRequest } from '../validate.js';
+import { CREDENTIALS_REQUEST } from '../requestSchemas.js';
+
+// Accounts: sign up, sign in and out, and the signed-in user's own record.
+// Clients send the token they get back as "Authorization: Bearer <token>".
+export function createUsersRouter(users) {
+  const router = express.Router();
+
+  router.post('/auth/register', validateRequest(CREDENTIALS_REQUEST), async (req, res) => {
+    const { username, password, error } = parseCredentials(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const user = await users.register(username, password);
+      if (!user) {
+        return res.status(409).json({
+          error: 'Username already taken',
+          username
+        });
+      }
+
+      logger.info('Account created', { username });
+      res.status(201).json({ token: users.createSession(user), user: users.describe(user) });
+    } catch (registerError) {
+      logger.error('Registration failed', { username, error: registerError });
+      res.status(500).json({ error: 'Could not create the account' });
+    }
+  });
+
+  router.post('/auth/login', validateRequest(CREDENTIALS_REQUEST), async (req, res) => {
+    const { username, password, error } = parseCredentials(req.body);
+
+    try {
+      const user = !error && await users.authenticate(username, password);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      res.json({ token: users.createSession(user), user: users.describe(user) });
+    } catch (loginError) {
+      logger.error('Sign-in failed', { username, error: loginError });
+      res.status(500).json({ error: 'Could not sign in' });
+    }
+  });
+
+  router.post('/auth/logout', requireUser, (req, res) => {
+    try {
+      users.deleteSession(req.sessionToken);
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Sign-out failed', { username: req.user.username, error });
+      res.status(500).json({ error: 'Could not sign out' });
+    }
+  });
+
+  router.get('/me', requireUser, (req, res) => {
+    res.json({ user: users.describe(req.user) });
+  });
+
+  // Merges into the saved preferences; settings not sent are kept
+  router.put('/me/preferences', requireUser, (req, res) => {
+    const { preferences, error, details } = parsePreferences(req.body);
+
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    res.json({ preferences: users.setPreferences(req.user, preferences) });
+  });
+
+  return router;
+}
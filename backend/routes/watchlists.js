@@ -0,0 +1,110 @@
+import express from 'express';
+import { parseWatchlist } from '../watchlists.js';
+import { logger } from '../logger.js';
+import { checkPublicUrl } from '../outbound.js';
+import { requireUser } from '../users.js';
+import { validateRequest } from '../validate.js';
+import { ALERTS_QUERY, WATCHLIST_REQUEST } from '../requestSchemas.js';
+
+// Every watchlist is polled in the background, so each account gets a few
+const WATCHLISTS_PER_USER = 20;
+
+// The signed-in user's watchlist, or null after answering 404. Another
+// user's watchlist is not found either.
+function ownWatchlist(watchlists, req, res) {
+  const watchlist = watchlists.get(req.params.id);
+
+  if (!watchlist || watchlist.ownerId !== req.user.id) {
+    res.status(404).json({
+      error: 'Watchlist not found',
+      id: req.params.id
+    });
+    return null;
+  }
+
+  return watchlist;
+}
+
+// Saved keyword watchlists and the alerts they raise. Each belongs to the
+// user who created it.
+export function createWatchlistsRouter(watchlists, scheduler) {
+  const router = express.Router();
+
+  router.get('/watchlists', requireUser, (req, res) => {
+    res.json({ watchlists: watchlists.list({ ownerId: req.user.id }) });
+  });
+
+  // Webhooks need a URL on a public address, and analyses of new matches
+  // count towards the account's quota
+  router.post('/watchlists', requireUser, validateRequest(WATCHLIST_REQUEST), async (req, res) => {
+    const { watchlist, error } = parseWatchlist(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (watchlists.list({ ownerId: req.user.id }).length >= WATCHLISTS_PER_USER) {
+      return res.status(400).json({
+        error: `An account can have at most ${WATCHLISTS_PER_USER} watchlists`,
+        hint: 'Delete one you no longer need, then try again.'
+      });
+    }
+
+    if (watchlist.webhookUrl) {
+      try {
+        await checkPublicUrl(watchlist.webhookUrl);
+      } catch (urlError) {
+        return res.status(400).json({
+          error: 'Invalid "webhookUrl"',
+          details: urlError.code === 'BLOCKED_URL' ? urlError.message : 'Its host could not be resolved'
+        });
+      }
+    }
+
+    const created = watchlists.create({ ...watchlist, ownerId: req.user.id });
+    logger.info('Watchlist created', { watchlist: created.name, query: created.query });
+
+    // The first check records what already matches, so later checks only
+    // alert on new articles
+    scheduler.check(created.id);
+    res.status(201).json(created);
+  });
+
+  // Alerts newest first, e.g. ?since=<last alert's createdAt> to poll for new ones
+  router.get('/watchlists/alerts', requireUser, validateRequest(ALERTS_QUERY, 'query'), (req, res) => {
+    const { since, watchlistId } = req.query;
+
+    if (since && Number.isNaN(new Date(since).getTime())) {
+      return res.status(400).json({
+        error: 'Invalid "since" date',
+        details: 'Use an ISO 8601 date such as 2024-05-01T12:00:00Z'
+      });
+    }
+
+    res.json({ alerts: watchlists.listAlerts({ since, watchlistId, ownerId: req.user.id }) });
+  });
+
+  router.get('/watchlists/:id', requireUser, (req, res) => {
+    const watchlist = ownWatchlist(watchlists, req, res);
+    if (!watchlist) return;
+
+    res.json({ ...watchlist, alerts: watchlists.listAlerts({ watchlistId: watchlist.id }) });
+  });
+
+  // Check a watchlist right away instead of waiting for the next poll
+  router.post('/watchlists/:id/check', requireUser, async (req, res) => {
+    if (!ownWatchlist(watchlists, req, res)) return;
+
+    const alerts = await scheduler.check(req.params.id);
+    res.json({ watchlist: watchlists.get(req.params.id), alerts });
+  });
+
+  router.delete('/watchlists/:id', requireUser, (req, res) => {
+    if (!ownWatchlist(watchlists, req, res)) return;
+
+    watchlists.delete(req.params.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
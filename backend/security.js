@@ -0,0 +1,176 @@
+import { logger } from './logger.js';
+
+// CORS allowlist, per-IP rate limiting, security headers and the error
+// handler that keeps internals out of responses
+
+// Without CORS_ORIGINS, only pages served from localhost may call the API
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// Options for the cors middleware from CORS_ORIGINS, a comma-separated list
+// of origins such as https://news.example.com ("*" allows any origin).
+// Requests without an Origin header (curl, server to server) are not
+// affected. Reads its settings from the environment, so call it after
+// dotenv.config().
+export function corsOptions() {
+  const allowed = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  return {
+    origin: allowed.includes('*') || ((origin, callback) => {
+      callback(null, !origin || (allowed.length > 0 ? allowed.includes(origin) : LOCAL_ORIGIN.test(origin)));
+    }),
+    exposedHeaders: ['X-Cache', 'X-Cache-Status', 'Age', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id']
+  };
+}
+
+// Largest JSON body accepted, in the body parser's format ("1mb", "500kb")
+export function bodyLimit() {
+  return process.env.BODY_LIMIT || '1mb';
+}
+
+// The API answers with JSON, which a browser should never run or frame.
+// The few HTML pages (digests) set a policy of their own.
+const API_POLICY = "default-src 'none'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'";
+
+// Digests are self-contained HTML with inline styles, no scripts and no
+// images, so nothing else may load
+export const DIGEST_HTML_POLICY = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'";
+
+// Sets a strict Content-Security-Policy on every response, and stops
+// browsers from guessing a different content type than the one sent. Routes
+// that render HTML replace the policy with res.set().
+export function securityHeaders() {
+  return (req, res, next) => {
+    res.set({
+      'Content-Security-Policy': API_POLICY,
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer'
+    });
+    next();
+  };
+}
+
+// Fixed-window rate limiter keyed by client IP. Allows `limit` requests per
+// `windowMs`; a limit of 0 turns it off. Sends a 429 with Retry-After
+// once a client is over.
+export class RateLimiter {
+  constructor({ limit, windowMs = 60000, name = 'requests' }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.name = name;
+    this.clients = new Map();
+
+    // Forget clients whose window has passed
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [ip, client] of this.clients) {
+        if (client.resetAt <= now) this.clients.delete(ip);
+      }
+    }, windowMs);
+    this.sweeper.unref();
+  }
+
+  // Count a request from `ip`. Returns { allowed, remaining, resetAt }.
+  hit(ip) {
+    const now = Date.now();
+    let client = this.clients.get(ip);
+    if (!client || client.resetAt <= now) {
+      client = { count: 0, resetAt: now + this.windowMs };
+      this.clients.set(ip, client);
+    }
+
+    client.count++;
+    return {
+      allowed: client.count <= this.limit,
+      remaining: Math.max(0, this.limit - client.count),
+      resetAt: client.resetAt
+    };
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      if (!this.limit) return next();
+
+      const { allowed, remaining, resetAt } = this.hit(req.ip);
+      const resetSeconds = Math.ceil((resetAt - Date.now()) / 1000);
+      res.set({
+        'RateLimit-Limit': String(this.limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (!allowed) {
+        logger.warn('Rate limit hit', { limiter: this.name, ip: req.ip });
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Too Many Requests',
+          details: `At most ${this.limit} ${this.name} per ${this.windowMs / 1000} seconds`,
+          hint: `Wait ${resetSeconds} seconds and try again.`,
+          code: 'RATE_LIMITED'
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createAnalyzeLimiter() {
+  const limit = parseInt(process.env.ANALYZE_RATE_LIMIT);
+
+  return new RateLimiter({
+    limit: limit >= 0 ? limit : 20,
+    windowMs: (parseInt(process.env.ANALYZE_RATE_WINDOW_SECONDS) || 60) * 1000,
+    name: 'analysis requests'
+  });
+}
+
+// Said about an error whose own message isn't exposed
+const STATUS_MESSAGES = {
+  400: 'The upstream service rejected the request',
+  401: 'The upstream service rejected our credentials',
+  403: 'The upstream service refused the request',
+  404: 'The upstream service could not find what was asked for',
+  429: 'The upstream service is rate limiting requests',
+  500: 'The upstream service had an internal error',
+  502: 'The upstream service failed or sent an invalid response',
+  503: 'The upstream service is unavailable',
+  504: 'The upstream service timed out'
+};
+
+// What a client may learn from an error: the message of one the app wrote
+// and marked `expose: true`, else a fixed message for its status. Messages
+// passed on from upstream responses, and those of unexpected errors, can
+// name keys, hosts, files or other internals, so they are only logged.
+export function errorDetails(error) {
+  if (error.expose) return error.message;
+  return error.status ? STATUS_MESSAGES[error.status] : undefined;
+}
+
+// Last-resort error handler. Errors from body parsing (bad JSON, a body over
+// the size limit) are the client's and say so; anything else is logged and
+// answered with a generic 500.
+export function handleErrors(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request body too large',
+      details: `The limit is ${bodyLimit()}`
+    });
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON in request body' });
+  }
+
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({ error: 'Internal server error' });
+}
@@ -1,81 +1,625 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import axios from 'axios';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { DEFAULT_PROVIDER, listProviders, topHeadlines, searchArticles } from './providers/index.js';
+import { AnalyzerError, listAnalyzers, resolveAnalyzer, generate, streamText } from './analyzers/index.js';
+import { createCache, contentHash, wantsRefresh, setCacheHeaders } from './cache.js';
+import { readCompletedField, readPartialString } from './partialJson.js';
+import { ANALYSIS_SECTIONS, OUTPUT_LANGUAGES, analysisSchema, checkAnalysis, parseLanguage, parseSections } from './analysisSchema.js';
+import { fetchFullText } from './extract.js';
+import { clusterArticles } from './cluster.js';
+import { articleId, createStore } from './store.js';
+import { createHistoryRouter } from './routes/history.js';
+import { createSourceRegistry } from './sources.js';
+import { createSourcesRouter } from './routes/sources.js';
+import { createStatsRouter } from './routes/stats.js';
+import { createWatchlistStore, createWatchlistScheduler } from './watchlists.js';
+import { createWatchlistsRouter } from './routes/watchlists.js';
+import { createExportRouter } from './routes/export.js';
+import { createReadingListRouter } from './routes/readingList.js';
+import { authenticate, createUserStore, createVisitorQuota, historyScope, requireUser } from './users.js';
+import { createUsersRouter } from './routes/users.js';
+import { DigestScheduler, createDigestGenerator, createDigestStore, parseDigestOptions } from './digest.js';
+import { createDigestsRouter } from './routes/digests.js';
+import { answerQuestion, createChatStore, parseChatRequest } from './chat.js';
+import { createChatsRouter } from './routes/chats.js';
+import { openEventStream } from './sse.js';
+import { validateRequest } from './validate.js';
+import { ANALYZE_REQUEST, BATCH_REQUEST, CHAT_REQUEST, CLUSTERS_QUERY, COMPARE_REQUEST, DIGEST_REQUEST, NEWS_QUERY, SEARCH_QUERY } from './requestSchemas.js';
+import { bodyLimit, corsOptions, createAnalyzeLimiter, errorDetails, handleErrors, securityHeaders } from './security.js';
+import { runWithConcurrency, withRetry } from './concurrency.js';
+import { logger, traceRequests } from './logger.js';
+import { METRICS_CONTENT_TYPE, observeRequests, renderMetrics } from './metrics.js';
+import { HealthCheck } from './health.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_CHAT_HISTORY = 2000;
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") lets req.ip be
+// the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', String(hops) === process.env.TRUST_PROXY ? hops : process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Request ids, logs and metrics come first so they cover every response
+app.use(traceRequests({ quietPaths: ['/api/health', '/api/metrics'] }));
+app.use(observeRequests());
+app.use(securityHeaders());
+app.use(cors(corsOptions()));
+app.use(express.json({ limit: bodyLimit() }));
+
+// Per-IP limit on the analyze endpoints, which call the AI
+const analyzeLimiter = createAnalyzeLimiter();
+
+// Response cache for headlines, searches and analyses
+const cache = createCache();
+
+// Persistent store for fetched articles and their analyses
+const store = createStore();
+
+// Accounts, sessions and per-user quotas. Every request gets req.user (or
+// null) from its bearer token.
+const users = createUserStore();
+app.use(authenticate(users));
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// The smaller per-IP allowance for analyses without an account
+const visitors = createVisitorQuota();
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    message: 'Server is running',
+// Outlet profiles built from stored analyses and the ratings seed file
+const sources = createSourceRegistry(store);
+
+// Upstream reachability and key checks for the deep health check
+const healthCheck = new HealthCheck();
+
+// Health check endpoint. ?deep=true also calls every news provider and the
+// default analyzer, and answers 503 when the app can't serve news or
+// analyses.
+app.get('/api/health', async (req, res) => {
+  if (req.query.deep !== 'true') {
+    return res.json({ 
+      status: 'OK', 
+      message: 'Server is running',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const health = await healthCheck.result();
+  res.status(health.status === 'DOWN' ? 503 : 200).json({
+    ...health,
     timestamp: new Date().toISOString()
   });
 });
 
+// Prometheus metrics: request counts and latencies per route, upstream calls
+// and errors
+app.get('/api/metrics', (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
 // Test endpoint to verify API keys
 app.get('/api/test', (req, res) => {
   res.json({
     newsApiConfigured: !!process.env.NEWS_API_KEY,
     geminiApiConfigured: !!process.env.GEMINI_API_KEY,
+    newsProviders: listProviders(),
+    analyzers: listAnalyzers(),
+    cache: cache.stats(),
+    store: store.stats(),
     port: PORT
   });
 });
 
-// Fetch news from News API
-app.get('/api/news', async (req, res) => {
+// List available news providers
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// List available analyzer (LLM) providers
+app.get('/api/analyzers', (req, res) => {
+  res.json({ analyzers: listAnalyzers() });
+});
+
+// Pagination metadata for a page of results
+function pageInfo(result, page, pageSize) {
+  const size = parseInt(pageSize);
+  const hasMore = result.articles.length >= size && page * size < result.totalResults;
+
+  return {
+    page,
+    pageSize: size,
+    nextPage: hasMore ? page + 1 : null
+  };
+}
+
+// Top headlines through the cache; newly fetched articles go to the store
+function getHeadlines({ category, country, pageSize, page = 1, provider }, { refresh = false } = {}) {
+  return cache.wrap(
+    'news',
+    `${provider || 'default'}:${category}:${country}:${pageSize}:${page}`,
+    async () => {
+      const result = await topHeadlines({ category, country, pageSize: parseInt(pageSize), page }, provider);
+      return {
+        ...result,
+        articles: store.upsertArticles(result.articles, { category, country, provider: result.provider })
+      };
+    },
+    { refresh }
+  );
+}
+
+// Fetch top headlines from the selected news provider
+app.get('/api/news', validateRequest(NEWS_QUERY, 'query'), async (req, res) => {
   try {
-    const { category = 'general', country = 'us', pageSize = 10 } = req.query;
+    const { category, country, pageSize, page, provider } = req.query;
     
-    // Check if API key is configured
-    if (!process.env.NEWS_API_KEY) {
-      return res.status(500).json({ 
-        error: 'NEWS_API_KEY not configured in .env file' 
-      });
-    }
+    logger.debug('Fetching news', { category, country, pageSize, page, provider });
     
-    console.log(`Fetching news: category=${category}, country=${country}, pageSize=${pageSize}`);
-    
-    const response = await axios.get('https://newsapi.org/v2/top-headlines', {
-      params: {
-        country,
-        category,
-        pageSize,
-        apiKey: process.env.NEWS_API_KEY
-      }
-    });
+    const cached = await getHeadlines(
+      { category, country, pageSize, page, provider },
+      { refresh: wantsRefresh(req) }
+    );
+    const result = cached.value;
 
-    console.log(`✅ Fetched ${response.data.articles?.length || 0} articles`);
-    res.json(response.data);
+    logger.info('Fetched news', { articles: result.articles.length, provider: result.provider, cache: cached.status });
+    setCacheHeaders(res, cached);
+    res.json({ status: 'ok', ...result, ...pageInfo(result, page, pageSize) });
     
   } catch (error) {
-    console.error('❌ Error fetching news:', error.response?.data || error.message);
+    logger.error('Error fetching news', { error });
     
     // Send detailed error information
-    res.status(error.response?.status || 500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to fetch news',
-      details: error.response?.data?.message || error.message,
-      code: error.response?.data?.code || 'UNKNOWN_ERROR'
+      details: errorDetails(error),
+      code: error.code || 'UNKNOWN_ERROR',
+      provider: error.provider
     });
   }
 });
 
-// Analyze article with Gemini AI
-// Analyze article with Gemini AI
-app.post('/api/analyze', async (req, res) => {
+// Prompt line(s) for each analysis section
+const SECTION_PROMPTS = {
+  summary: `"summary": "2-3 sentence summary here"`,
+  keyPoints: `"keyPoints": ["point 1", "point 2", "point 3"]`,
+  sentiment: `"sentiment": {
+    "type": "Positive or Negative or Neutral",
+    "score": "number from -1 (very negative) to 1 (very positive)",
+    "confidence": "number from 0 to 1",
+    "explanation": "why this sentiment"
+  }`,
+  tone: `"tone": "the article's tone"`,
+  biasDetection: `"biasDetection": "bias analysis or 'No significant bias detected'"`,
+  entities: `"entities": [
+    { "name": "person, organization or place", "type": "Person or Organization or Place", "role": "their role in the story" }
+  ]`,
+  topics: `"topics": ["short topic tag", "..."]`,
+  claims: `"claims": [
+    { "claim": "a checkable factual claim", "quote": "the exact words from the article that make it" }
+  ]`,
+  loadedLanguage: `"loadedLanguage": [
+    { "phrase": "emotionally loaded or slanted wording, quoted exactly", "reason": "why it is loaded" }
+  ]`,
+  language: `"language": { "detected": "ISO 639-1 code of the language the article is written in, e.g. de", "translatedTitle": "the article title in the output language" }`
+};
+
+// Create analysis prompt asking only for the requested sections, written in
+// the output language whatever language the article is in
+function buildAnalysisPrompt(articleText, sections = ANALYSIS_SECTIONS, language = 'en') {
+  return `Analyze this news article and respond with ONLY a JSON object (no markdown, no extra text):
+
+{
+${sections.map(section => `  ${SECTION_PROMPTS[section]}`).join(',\n')}
+}
+
+Write every text value in ${OUTPUT_LANGUAGES[language]} (${language}), even if the article is in another language. Quotes and quoted phrases stay exactly as written in the article.
+
+Article to analyze:
+${articleText}`;
+}
+
+// Send a prompt to the selected analyzer and return the reply text
+async function generateText(prompt, selection, { schema } = {}) {
+  logger.debug('Sending request to the analyzer', analyzerInfo(selection));
+
+  const text = await generate(prompt, selection, {
+    schema,
+    timeout: parseInt(process.env.ANALYZER_TIMEOUT_MS) || 30000
+  });
+
+  logger.debug('Received response from the analyzer', { ...analyzerInfo(selection), preview: text.substring(0, 100) });
+
+  return text;
+}
+
+// Ask the model to fix a reply that didn't match the analysis schema
+function buildRepairPrompt(prompt, reply, errors) {
+  return `${prompt}
+
+Your previous reply was not a valid analysis:
+${reply}
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object (no markdown, no extra text).`;
+}
+
+// Run one analysis and check it against the schema. Invalid output is sent
+// back to the model for repair up to ANALYSIS_MAX_REPAIRS times (default 2).
+// `firstReply` hands over a reply that was already generated (by streaming).
+async function generateAnalysis(articleText, selection, { sections = ANALYSIS_SECTIONS, language, firstReply, onRepair } = {}) {
+  const prompt = buildAnalysisPrompt(articleText, sections, language);
+  const schema = analysisSchema(sections);
+  const envRepairs = parseInt(process.env.ANALYSIS_MAX_REPAIRS);
+  const maxRepairs = Number.isNaN(envRepairs) ? 2 : Math.max(0, envRepairs);
+
+  let text = firstReply ?? await generateText(prompt, selection, { schema });
+  let result = parseAnalysisText(text, sections);
+  let attempts = 1;
+
+  while (result.status !== 'complete' && attempts <= maxRepairs) {
+    logger.warn('Invalid analysis, asking for a repair', { errors: result.errors, attempt: attempts, maxRepairs });
+    onRepair?.({ attempt: attempts, errors: result.errors });
+
+    text = await generateText(buildRepairPrompt(prompt, text, result.errors), selection, { schema });
+    result = parseAnalysisText(text, sections);
+    attempts++;
+  }
+
+  if (result.analysis?.claims) {
+    result.analysis.claims = markVerbatimQuotes(result.analysis.claims, articleText);
+  }
+
+  return { ...result, attempts };
+}
+
+// Flag whether each claim's quote really appears in the analyzed text, so
+// paraphrased or invented quotes can be told apart
+function markVerbatimQuotes(claims, articleText) {
+  const normalize = text => text.toLowerCase().replace(/[\u2018\u2019]/g, "'").replace(/[\u201c\u201d]/g, '"').replace(/\s+/g, ' ').trim();
+  const haystack = normalize(articleText);
+
+  return claims.map(claim => ({ ...claim, verbatim: haystack.includes(normalize(claim.quote)) }));
+}
+
+// Pull the JSON object out of a model reply, which may be wrapped in
+// markdown code fences or surrounded by extra text
+function extractJson(text) {
+  // Clean up the response
+  let cleanText = text.trim();
+  
+  // Remove markdown code blocks
+  cleanText = cleanText.replace(/```json\s*/g, '');
+  cleanText = cleanText.replace(/```\s*/g, '');
+  
+  // Remove any leading/trailing whitespace
+  cleanText = cleanText.trim();
+  
+  // Try to find JSON object if there's extra text
+  const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    cleanText = jsonMatch[0];
+  }
+  
+  return JSON.parse(cleanText);
+}
+
+// Parse the model's reply and check it against the analysis schema. Returns
+// { status, analysis, errors }; see checkAnalysis() for the statuses.
+function parseAnalysisText(text, sections) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (parseError) {
+    logger.warn('Analysis reply is not valid JSON', { error: parseError.message });
+    return { status: 'failed', analysis: null, errors: [`Reply is not valid JSON: ${parseError.message}`] };
+  }
+
+  const result = checkAnalysis(value, sections);
+  if (result.status === 'complete') {
+    logger.debug('Analysis parsed');
+  } else {
+    logger.warn('Analysis is incomplete', { status: result.status, errors: result.errors });
+  }
+  return result;
+}
+
+// Prepare article text for the prompt
+function buildArticleText({ title, description, content }) {
+  return `
+Title: ${title || 'N/A'}
+Description: ${description || 'N/A'}
+Content: ${content || 'N/A'}
+  `.trim();
+}
+
+// Whether an analysis of the article should try the full text from its page
+function wantsFullText(article) {
+  return article.extract !== false && article.extract !== 'false' &&
+    process.env.EXTRACT_FULL_TEXT !== 'false' && !!article.url;
+}
+
+// Use the full article text when it can be extracted from the source page,
+// falling back to the provider's snippet (NewsAPI cuts `content` at ~200 chars).
+// Clients can skip extraction with `extract: false`.
+async function prepareArticleText(article) {
+  const snippet = { text: buildArticleText(article), textSource: 'snippet' };
+
+  if (!wantsFullText(article)) {
+    return snippet;
+  }
+
+  try {
+    const { value: fullText } = await cache.wrap('extract', article.url, () => fetchFullText(article.url));
+    const limit = parseInt(process.env.EXTRACT_MAX_CHARS) || 12000;
+    const content = fullText.length > limit ? fullText.substring(0, limit) + '...' : fullText;
+
+    logger.debug('Using the full article text', { url: article.url, chars: fullText.length });
+    return { text: buildArticleText({ ...article, content }), textSource: 'fulltext' };
+  } catch (error) {
+    logger.warn('Full-text extraction failed', { url: article.url, error: error.message });
+    return snippet;
+  }
+}
+
+// Analyses from different models, with different sections, in different
+// languages or of the snippet rather than the full text are cached and
+// stored separately
+function analysisHash(article, { provider, model }, sections = ANALYSIS_SECTIONS, language = 'en') {
+  const { title, description, content } = article;
+  const text = wantsFullText(article) ? 'fulltext' : 'snippet';
+  return contentHash(title, description, content, `${provider}/${model}`, sections.join(','), language, text);
+}
+
+function analyzerInfo({ provider, model }) {
+  return { provider, model };
+}
+
+// Analyze one article through the cache and keep complete analyses in the
+// history store. A cache hit reuses the record saved when the analysis was
+// first made.
+async function analyzeAndRecord(article, selection, { refresh = false, sections, language = parseLanguage() } = {}) {
+  const hash = analysisHash(article, selection, sections, language);
+
+  const result = await cache.wrap(
+    'analysis',
+    hash,
+    async () => {
+      const { text, textSource } = await prepareArticleText(article);
+      const generated = await generateAnalysis(text, selection, { sections, language });
+      return {
+        ...generated,
+        analysis: { ...generated.analysis, textSource, analyzer: analyzerInfo(selection), outputLanguage: language }
+      };
+    },
+    { refresh, cacheable: value => value.status === 'complete' }
+  );
+
+  if (result.status !== 'MISS') {
+    logger.debug('Serving cached analysis', { cache: result.status });
+  }
+
+  return {
+    result,
+    analysis: recordAnalysis(article, hash, result.value, result.status !== 'MISS')
+  };
+}
+
+// Save a complete analysis to the history store and return it with its ids,
+// its status and, when incomplete, the validation errors. Partial and failed
+// analyses are never stored, so they can't skew history or outlet profiles.
+function recordAnalysis(article, hash, { analysis, status, errors, attempts }, fromCache) {
+  const { title, description, content, url, source, urlToImage, publishedAt } = article;
+
+  let record = null;
+  if (status === 'complete') {
+    record = (fromCache && store.findAnalysisByHash(hash)) ||
+      store.saveAnalysis({
+        article: { title, description, content, url, source, urlToImage, publishedAt },
+        analysis,
+        contentHash: hash
+      });
+  }
+
+  return {
+    ...analysis,
+    status,
+    ...(status !== 'complete' && { validationErrors: errors, attempts }),
+    analysisId: record?.id,
+    articleId: record?.articleId
+  };
+}
+
+// Error body for an analysis that never became valid
+function describeFailedAnalysis(analysis) {
+  return {
+    error: 'Invalid AI Response',
+    details: analysis.validationErrors.join('; '),
+    hint: `The model did not return a valid analysis after ${analysis.attempts} attempt${analysis.attempts === 1 ? '' : 's'}. Try again or pick another model.`,
+    status: 'failed',
+    validationErrors: analysis.validationErrors
+  };
+}
+
+const ANALYZER_ERRORS = {
+  NOT_CONFIGURED: 'Analyzer Not Configured',
+  AUTH: 'Invalid API Key',
+  QUOTA: 'API Quota Exceeded',
+  TIMEOUT: 'Request Timeout',
+  MODEL_NOT_FOUND: 'Model Not Available',
+  UNKNOWN_PROVIDER: 'Unknown Analyzer',
+  INVALID_MODEL: 'Invalid Model Name',
+  UNAVAILABLE: 'Analyzer Unreachable'
+};
+
+const ANALYZER_HINTS = {
+  gemini: {
+    NOT_CONFIGURED: 'Get your key at https://makersuite.google.com/app/apikey',
+    AUTH: 'Please check your GEMINI_API_KEY in .env file. Get a key at https://makersuite.google.com/app/apikey',
+    QUOTA: 'You have exceeded your Gemini API quota. Wait a few minutes or check your quota at https://makersuite.google.com/',
+    MODEL_NOT_FOUND: 'Check GEMINI_MODEL; the model might not be available in your region.'
+  },
+  openai: {
+    NOT_CONFIGURED: 'Set OPENAI_BASE_URL to a local llama.cpp or Ollama server (e.g. http://localhost:11434/v1), or OPENAI_API_KEY to use OpenAI.',
+    AUTH: 'Please check your OPENAI_API_KEY in .env file.',
+    QUOTA: 'The server is rate limiting requests. Wait a few minutes and try again.',
+    MODEL_NOT_FOUND: 'Check OPENAI_MODEL; for Ollama, pull the model first (ollama pull <model>).',
+    UNAVAILABLE: 'Could not reach OPENAI_BASE_URL. Is the local model server running?'
+  }
+};
+
+// Turn an analyzer failure into the error, details and hint sent to the client
+function describeAnalyzerError(error) {
+  const hints = ANALYZER_HINTS[error.provider] || {};
+
+  return {
+    error: ANALYZER_ERRORS[error.code] || `Failed to analyze with ${error.provider || 'the AI'}`,
+    details: errorDetails(error),
+    hint: hints[error.code] || (error.code === 'TIMEOUT' ? 'The AI took too long to respond. Try with a shorter article.' : ''),
+    code: error.code
+  };
+}
+
+// Analyzer and model for a request, from `analyzer` and `model` in the body
+// (query string for GET), falling back to ANALYZER_PROVIDER/ANALYZER_MODEL.
+// Sends the error response and returns null when it can't be used.
+function selectAnalyzer(req, res) {
+  const { analyzer, model } = (req.method === 'GET' ? req.query : req.body) || {};
+
+  try {
+    const selection = resolveAnalyzer({ provider: analyzer, model });
+
+    if (!selection.analyzer.isConfigured()) {
+      throw new AnalyzerError(`Analyzer "${selection.provider}" is not configured in .env file`, {
+        status: 500,
+        code: 'NOT_CONFIGURED',
+        provider: selection.provider,
+        expose: true
+      });
+    }
+
+    return selection;
+  } catch (error) {
+    logger.warn('Analyzer not available', { error });
+    res.status(error.status || 500).json(describeAnalyzerError(error));
+    return null;
+  }
+}
+
+// Analysis sections for a request from `sections` in the body (query string
+// for GET), e.g. ["summary", "entities"] or "summary,entities". Sends a 400
+// and returns null for unknown sections.
+function selectSections(req, res) {
+  const { sections } = (req.method === 'GET' ? req.query : req.body) || {};
+
+  try {
+    return parseSections(sections);
+  } catch (error) {
+    res.status(400).json({ 
+      error: error.message,
+      availableSections: ANALYSIS_SECTIONS
+    });
+    return null;
+  }
+}
+
+// Output language for a request from `language` in the body (query string
+// for GET). Sends a 400 and returns null for unsupported languages.
+function selectLanguage(req, res) {
+  const { language } = (req.method === 'GET' ? req.query : req.body) || {};
+
+  try {
+    return parseLanguage(language);
+  } catch (error) {
+    res.status(400).json({ 
+      error: error.message,
+      availableLanguages: Object.keys(OUTPUT_LANGUAGES)
+    });
+    return null;
+  }
+}
+
+function errorStatus(error) {
+  return error instanceof AnalyzerError ? error.status : 500;
+}
+
+// Analyses count against the signed-in user's quota, or for visitors
+// against their IP's allowance
+function quotaHolder(req) {
+  return req.user ? { quotas: users, key: req.user } : { quotas: visitors, key: req.ip };
+}
+
+function hasQuota(req) {
+  const { quotas, key } = quotaHolder(req);
+  return quotas.hasQuota(key);
+}
+
+function takeQuota(req) {
+  const { quotas, key } = quotaHolder(req);
+  return quotas.reserveQuota(key);
+}
+
+function refundQuota(req) {
+  const { quotas, key } = quotaHolder(req);
+  quotas.refundQuota(key);
+}
+
+// Error body for a user or visitor who has used up today's analyses
+function describeQuotaExceeded(req) {
+  const { quotas, key } = quotaHolder(req);
+  const quota = quotas.quota(key);
+
+  if (!req.user) {
+    return {
+      error: 'Daily Analysis Quota Reached',
+      details: `Without an account you can run ${quota.limit} analyses a day`,
+      hint: `Sign in or create an account with the 👤 button for ${users.dailyQuota || 'unlimited'} a day, or try again after midnight UTC.`,
+      code: 'USER_QUOTA',
+      quota
+    };
+  }
+  return {
+    error: 'Daily Analysis Quota Reached',
+    details: `You have used all ${quota.limit} analyses for today`,
+    hint: 'The quota resets at midnight UTC. Analyses in your history still open without using it.',
+    code: 'USER_QUOTA',
+    quota
+  };
+}
+
+// Visitors may analyze without an account unless their allowance is 0
+function requireUserOrVisitorQuota(req, res, next) {
+  if (!req.user && visitors.dailyQuota === 0) return requireUser(req, res, next);
+  next();
+}
+
+// Takes one analysis from today's quota. Sends a 429 and returns false when
+// none is left.
+function reserveQuota(req, res) {
+  if (takeQuota(req)) return true;
+
+  logger.warn('Over the daily analysis quota', { user: req.user?.username, ip: req.ip });
+  res.status(429).json(describeQuotaExceeded(req));
+  return false;
+}
+
+// Fresh analyses keep the quota reserved for them; cached and failed ones
+// give it back. Stored analyses go into the user's history.
+function settleAnalysis(req, analysis, fromCache) {
+  if (fromCache || analysis.status === 'failed') refundQuota(req);
+  if (req.user && analysis.analysisId) users.addToHistory(req.user, analysis.analysisId);
+}
+
+// Analyze article with the selected analyzer (Gemini by default). Analyses
+// count towards the account's daily quota, or without one towards the
+// smaller allowance of the client's IP.
+app.post('/api/analyze', analyzeLimiter.middleware(), requireUserOrVisitorQuota, validateRequest(ANALYZE_REQUEST), async (req, res) => {
   try {
     const { title, description, content } = req.body;
 
@@ -86,213 +630,639 @@ app.post('/api/analyze', async (req, res) => {
       });
     }
 
-    // Check if API key is configured
-    if (!process.env.GEMINI_API_KEY) {
-      console.error('❌ GEMINI_API_KEY is not set in .env file');
-      return res.status(500).json({ 
-        error: 'GEMINI_API_KEY not configured in .env file',
-        hint: 'Get your key at https://makersuite.google.com/app/apikey'
-      });
-    }
+    const sections = selectSections(req, res);
+    if (!sections) return;
 
-    console.log('🤖 Analyzing article with Gemini AI...');
-    console.log('📝 Title:', title?.substring(0, 50) + '...');
+    const language = selectLanguage(req, res);
+    if (!language) return;
 
-    // Prepare article text
-    const articleText = `
-Title: ${title || 'N/A'}
-Description: ${description || 'N/A'}
-Content: ${content || 'N/A'}
-    `.trim();
+    // Check the analyzer is known and configured
+    const selection = selectAnalyzer(req, res);
+    if (!selection) return;
+
+    if (!reserveQuota(req, res)) return;
+
+    logger.info('Analyzing article', { ...analyzerInfo(selection), title: title?.substring(0, 80) });
 
     try {
-      // Initialize Gemini model
- const model = genAI.getGenerativeModel({ model: 'gemini-pro-latest' });
+      const { result, analysis } = await analyzeAndRecord(req.body, selection, { refresh: wantsRefresh(req), sections, language });
+      settleAnalysis(req, analysis, result.status !== 'MISS');
 
-      // Create analysis prompt
-      const prompt = `Analyze this news article and respond with ONLY a JSON object (no markdown, no extra text):
+      if (analysis.status === 'failed') {
+        return res.status(502).json(describeFailedAnalysis(analysis));
+      }
 
-{
-  "summary": "2-3 sentence summary here",
-  "keyPoints": ["point 1", "point 2", "point 3"],
-  "sentiment": {
-    "type": "Positive or Negative or Neutral",
-    "explanation": "why this sentiment"
-  },
-  "tone": "the article's tone",
-  "biasDetection": "bias analysis or 'No significant bias detected'"
+      setCacheHeaders(res, result);
+      res.json(analysis);
+
+    } catch (analyzerError) {
+      refundQuota(req);
+
+      // Specific analyzer errors
+      logger.error('Analysis failed', { error: analyzerError });
+      return res.status(errorStatus(analyzerError)).json(describeAnalyzerError(analyzerError));
+    }
+    
+  } catch (error) {
+    logger.error('Server error during analysis', { error });
+    
+    res.status(500).json({ 
+      error: 'Server error during analysis'
+    });
+  }
+});
+
+// Stream an analysis as Server-Sent Events while the analyzer generates it:
+//   summary - the summary text received so far ({ text, delta })
+//   field   - a structured field once it parses ({ name, value })
+//   repair  - the reply failed validation and is being repaired ({ attempt, errors })
+//   done    - the final analysis, same shape as POST /api/analyze
+//   failure - the analysis failed ({ error, details, hint })
+// GET takes the article in the query string so EventSource can be used.
+async function streamAnalysis(req, res) {
+  const article = req.method === 'GET' ? req.query : req.body;
+  const { title, description, content } = article;
+
+  if (!title && !description && !content) {
+    return res.status(400).json({ 
+      error: 'No content provided. Please provide at least title, description, or content.' 
+    });
+  }
+
+  const sections = selectSections(req, res);
+  if (!sections) return;
+
+  const language = selectLanguage(req, res);
+  if (!language) return;
+
+  const selection = selectAnalyzer(req, res);
+  if (!selection) return;
+
+  if (!reserveQuota(req, res)) return;
+
+  logger.info('Streaming analysis', { ...analyzerInfo(selection), title: title?.substring(0, 80) });
+
+  const hash = analysisHash(article, selection, sections, language);
+  const stream = openEventStream(req, res);
+  const cached = wantsRefresh(req) ? undefined : cache.peek('analysis', hash);
+
+  if (cached) {
+    logger.debug('Serving cached analysis', { cache: 'HIT' });
+    const analysis = recordAnalysis(article, hash, cached.value, true);
+    settleAnalysis(req, analysis, true);
+    [...sections, 'textSource', 'analyzer', 'outputLanguage'].forEach(name => stream.send('field', { name, value: analysis[name] }));
+    stream.send('done', { cache: 'HIT', analysis });
+    return stream.close();
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  let analysis = null;
+
+  try {
+    const { text: articleText, textSource } = await prepareArticleText(article);
+    stream.send('field', { name: 'textSource', value: textSource });
+    stream.send('field', { name: 'analyzer', value: analyzerInfo(selection) });
+    stream.send('field', { name: 'outputLanguage', value: language });
+
+    const chunks = streamText(buildAnalysisPrompt(articleText, sections, language), selection, {
+      schema: analysisSchema(sections),
+      signal: controller.signal,
+      timeout: parseInt(process.env.ANALYZER_STREAM_TIMEOUT_MS) || 60000
+    });
+
+    let text = '';
+    let summarySent = '';
+    const fieldsSent = new Set();
+
+    for await (const chunk of chunks) {
+      text += chunk;
+
+      const summary = readPartialString(text, 'summary');
+      if (summary && summary.length > summarySent.length) {
+        stream.send('summary', { text: summary, delta: summary.slice(summarySent.length) });
+        summarySent = summary;
+      }
+
+      sections
+        .filter(name => !fieldsSent.has(name))
+        .forEach(name => {
+          const value = readCompletedField(text, name);
+          if (value !== undefined) {
+            fieldsSent.add(name);
+            stream.send('field', { name, value });
+          }
+        });
+    }
+
+    logger.debug('Analyzer stream finished', analyzerInfo(selection));
+
+    const generated = await generateAnalysis(articleText, selection, {
+      sections,
+      language,
+      firstReply: text,
+      onRepair: repair => stream.send('repair', repair)
+    });
+    const checked = {
+      ...generated,
+      analysis: { ...generated.analysis, textSource, analyzer: analyzerInfo(selection), outputLanguage: language }
+    };
+    if (checked.status === 'complete') {
+      cache.set('analysis', hash, checked);
+    }
+
+    analysis = recordAnalysis(article, hash, checked, false);
+    settleAnalysis(req, analysis, false);
+    if (analysis.status === 'failed') {
+      stream.send('failure', describeFailedAnalysis(analysis));
+    } else {
+      stream.send('done', { cache: 'MISS', analysis });
+    }
+  } catch (error) {
+    if (!analysis) refundQuota(req);
+
+    if (stream.closed) {
+      logger.info('Client closed the analysis stream');
+    } else {
+      logger.error('Streaming analysis failed', { error });
+      stream.send('failure', describeAnalyzerError(error));
+    }
+  } finally {
+    stream.close();
+  }
 }
 
-Article to analyze:
-${articleText}`;
+app.get('/api/analyze/stream', analyzeLimiter.middleware(), requireUserOrVisitorQuota, validateRequest(ANALYZE_REQUEST, 'query'), streamAnalysis);
+app.post('/api/analyze/stream', analyzeLimiter.middleware(), requireUserOrVisitorQuota, validateRequest(ANALYZE_REQUEST), streamAnalysis);
+
+// Quota and rate-limit errors are worth retrying; anything else fails fast
+function isQuotaError(error) {
+  return error.code === 'QUOTA';
+}
 
-      console.log('📤 Sending request to Gemini...');
+// Analyze many articles at once, streaming per-article progress as
+// Server-Sent Events: start, progress, result (one per article) and done.
+// Articles past the daily quota fail with a USER_QUOTA error.
+app.post('/api/analyze/batch', analyzeLimiter.middleware(), requireUserOrVisitorQuota, validateRequest(BATCH_REQUEST), async (req, res) => {
+  const { articles } = req.body;
 
-      // Generate content with Gemini with timeout
-      const result = await Promise.race([
-        model.generateContent(prompt),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Gemini API timeout after 30s')), 30000)
-        )
-      ]);
+  const sections = selectSections(req, res);
+  if (!sections) return;
 
-      const response = await result.response;
-      const text = response.text();
+  const language = selectLanguage(req, res);
+  if (!language) return;
 
-      console.log('📥 Received response from Gemini');
-      console.log('📄 Raw response preview:', text.substring(0, 100) + '...');
+  const selection = selectAnalyzer(req, res);
+  if (!selection) return;
+
+  if (!hasQuota(req)) {
+    return res.status(429).json(describeQuotaExceeded(req));
+  }
+
+  const requested = req.body.concurrency || parseInt(process.env.ANALYZE_CONCURRENCY) || 3;
+  const concurrency = Math.min(5, Math.max(1, requested));
+
+  logger.info('Batch analyzing articles', { ...analyzerInfo(selection), articles: articles.length, concurrency });
+
+  const stream = openEventStream(req, res);
+  let succeeded = 0;
+  let failed = 0;
+
+  stream.send('start', { total: articles.length, concurrency });
+
+  try {
+    await runWithConcurrency(articles, concurrency, async (article, index) => {
+      if (!article?.title && !article?.description && !article?.content) {
+        failed++;
+        stream.send('result', {
+          index,
+          status: 'error',
+          error: 'No content provided'
+        });
+        return;
+      }
+
+      if (!takeQuota(req)) {
+        failed++;
+        stream.send('result', { index, status: 'error', ...describeQuotaExceeded(req) });
+        return;
+      }
+
+      stream.send('progress', { index, status: 'analyzing' });
 
-      // Parse JSON response
-      let analysis;
       try {
-        // Clean up the response
-        let cleanText = text.trim();
-        
-        // Remove markdown code blocks
-        cleanText = cleanText.replace(/```json\s*/g, '');
-        cleanText = cleanText.replace(/```\s*/g, '');
-        
-        // Remove any leading/trailing whitespace
-        cleanText = cleanText.trim();
-        
-        // Try to find JSON object if there's extra text
-        const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          cleanText = jsonMatch[0];
-        }
-        
-        analysis = JSON.parse(cleanText);
-        
-        // Validate the structure
-        if (!analysis.summary) {
-          throw new Error('Missing summary in response');
+        const { result, analysis } = await withRetry(() => analyzeAndRecord(article, selection, { sections, language }), {
+          isRetryable: isQuotaError,
+          onRetry: (error, attempt, delay) => {
+            logger.warn('Analyzer quota hit, retrying', { index, attempt, delayMs: delay });
+            stream.send('progress', { index, status: 'retrying', attempt, delay });
+          }
+        });
+        settleAnalysis(req, analysis, result.status !== 'MISS');
+
+        if (analysis.status === 'failed') {
+          failed++;
+          stream.send('result', { index, ...describeFailedAnalysis(analysis), status: 'error' });
+          return;
         }
-        
-        // Ensure all fields exist
-        analysis = {
-          summary: analysis.summary || 'No summary available',
-          keyPoints: Array.isArray(analysis.keyPoints) ? analysis.keyPoints : [],
-          sentiment: analysis.sentiment || { type: 'Neutral', explanation: 'Not analyzed' },
-          tone: analysis.tone || 'Not specified',
-          biasDetection: analysis.biasDetection || 'Not analyzed'
-        };
-        
-        console.log('✅ Analysis completed and parsed successfully');
-        
-      } catch (parseError) {
-        console.warn('⚠️  JSON parsing failed:', parseError.message);
-        console.log('Attempting to create structured response from text...');
-        
-        // Fallback: Create basic analysis from the text
-        analysis = {
-          summary: text.length > 500 ? text.substring(0, 500) + '...' : text,
-          keyPoints: [
-            'AI analysis completed',
-            'Response could not be fully parsed',
-            'See summary for full details'
-          ],
-          sentiment: { 
-            type: 'Neutral', 
-            explanation: 'Automatic sentiment parsing unavailable' 
-          },
-          tone: 'Informative',
-          biasDetection: 'Could not perform automatic bias detection'
-        };
+
+        succeeded++;
+        stream.send('result', { index, status: 'done', cache: result.status, analysis });
+      } catch (analyzerError) {
+        refundQuota(req);
+        logger.warn('Batch analysis failed for an article', { index, error: analyzerError });
+        failed++;
+        stream.send('result', { index, status: 'error', ...describeAnalyzerError(analyzerError) });
       }
+    }, { shouldStop: () => stream.closed });
 
-      res.json(analysis);
+    logger.info('Batch finished', { succeeded, failed });
+    stream.send('done', { total: articles.length, succeeded, failed });
+  } catch (error) {
+    logger.error('Batch analysis aborted', { error });
+    stream.send('done', { total: articles.length, succeeded, failed, error: 'Batch analysis aborted' });
+  } finally {
+    stream.close();
+  }
+});
 
-    } catch (geminiError) {
-      // Specific Gemini API errors
-      console.error('❌ Gemini API Error:', geminiError);
-      
-      let errorMessage = 'Failed to analyze with Gemini AI';
-      let errorDetails = geminiError.message;
-      let errorHint = '';
-
-      // Check for specific error types
-      if (geminiError.message?.includes('API key')) {
-        errorMessage = 'Invalid Gemini API Key';
-        errorHint = 'Please check your GEMINI_API_KEY in .env file. Get a key at https://makersuite.google.com/app/apikey';
-      } else if (geminiError.message?.includes('quota')) {
-        errorMessage = 'API Quota Exceeded';
-        errorHint = 'You have exceeded your Gemini API quota. Wait a few minutes or check your quota at https://makersuite.google.com/';
-      } else if (geminiError.message?.includes('timeout')) {
-        errorMessage = 'Request Timeout';
-        errorHint = 'The AI took too long to respond. Try with a shorter article.';
-      } else if (geminiError.message?.includes('model not found')) {
-        errorMessage = 'Model Not Available';
-        errorHint = 'The gemini-pro model might not be available in your region.';
-      }
+// Search news by keyword
+app.get('/api/search', validateRequest(SEARCH_QUERY, 'query'), async (req, res) => {
+  try {
+    const { q, pageSize, page, language, sortBy, from, to, domains, excludeDomains, provider } = req.query;
 
-      return res.status(500).json({ 
-        error: errorMessage,
-        details: errorDetails,
-        hint: errorHint
-      });
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ 
+          error: `Invalid "${name}" date`,
+          details: 'Use an ISO 8601 date such as 2024-05-01'
+        });
+      }
     }
     
+    logger.debug('Searching news', { q, sortBy, language, provider });
+    
+    const params = {
+      q,
+      pageSize,
+      language,
+      sortBy,
+      from,
+      to,
+      domains,
+      excludeDomains,
+      page
+    };
+    
+    const cached = await cache.wrap(
+      'search',
+      [provider || 'default', language, pageSize, page, sortBy, from, to, domains, excludeDomains, q.trim().toLowerCase()].join(':'),
+      async () => {
+        const result = await searchArticles(params, provider);
+        return {
+          ...result,
+          articles: store.upsertArticles(result.articles, { provider: result.provider })
+        };
+      },
+      { refresh: wantsRefresh(req) }
+    );
+    const result = cached.value;
+
+    logger.info('Found articles', { articles: result.articles.length, provider: result.provider, cache: cached.status });
+    setCacheHeaders(res, cached);
+    res.json({ status: 'ok', ...result, ...pageInfo(result, page, pageSize) });
+    
   } catch (error) {
-    console.error('❌ Server Error:', error);
+    logger.error('Error searching news', { error });
     
-    res.status(500).json({ 
-      error: 'Server error during analysis',
-      details: error.message,
-      type: error.name
+    res.status(error.status || 500).json({ 
+      error: 'Failed to search news',
+      details: errorDetails(error),
+      code: error.code || 'UNKNOWN_ERROR',
+      provider: error.provider
     });
   }
 });
 
-// Search news by keyword
-app.get('/api/search', async (req, res) => {
+// Group current headlines into stories covered by several outlets
+app.get('/api/clusters', validateRequest(CLUSTERS_QUERY, 'query'), async (req, res) => {
   try {
-    const { q, pageSize = 10, language = 'en' } = req.query;
+    const { category, country, pageSize, threshold, minSize, provider } = req.query;
+
+    logger.debug('Clustering news', { category, country, threshold });
+
+    const cached = await getHeadlines(
+      { category, country, pageSize, provider },
+      { refresh: wantsRefresh(req) }
+    );
+    const { articles } = cached.value;
+    const clusters = clusterArticles(articles, { threshold, minSize });
+
+    logger.info('Found story clusters', { clusters: clusters.length, articles: articles.length });
+    res.json({
+      status: 'ok',
+      provider: cached.value.provider,
+      totalArticles: articles.length,
+      threshold,
+      clusters
+    });
+
+  } catch (error) {
+    logger.error('Error clustering news', { error });
     
-    if (!q) {
-      return res.status(400).json({ 
-        error: 'Search query parameter "q" is required' 
-      });
+    res.status(error.status || 500).json({ 
+      error: 'Failed to cluster news',
+      details: errorDetails(error),
+      code: error.code || 'UNKNOWN_ERROR',
+      provider: error.provider
+    });
+  }
+});
+
+// Create comparison prompt
+function buildComparePrompt(articles) {
+  const articleTexts = articles.map((article, index) => `[${index + 1}] Source: ${article.source?.name || 'Unknown'}
+${buildArticleText(article)}`).join('\n\n');
+
+  return `Compare how these news outlets cover the same story and respond with ONLY a JSON object (no markdown, no extra text):
+
+{
+  "story": "one sentence describing the shared event",
+  "summary": "2-3 sentences on how the coverage differs",
+  "agreement": ["fact all sources agree on", "..."],
+  "disagreements": ["point where the sources differ or contradict each other", "..."],
+  "sources": [
+    {
+      "source": "outlet name exactly as given",
+      "framing": "how this outlet frames the story",
+      "sentiment": "Positive or Negative or Neutral",
+      "bias": "bias in this outlet's coverage or 'No significant bias detected'"
     }
-    
-    if (!process.env.NEWS_API_KEY) {
-      return res.status(500).json({ 
-        error: 'NEWS_API_KEY not configured in .env file' 
+  ]
+}
+
+Articles to compare:
+${articleTexts}`;
+}
+
+// Ask the analyzer to contrast how several outlets frame the same story.
+// Uses one analysis from the account's daily quota.
+app.post('/api/compare', analyzeLimiter.middleware(), requireUser, validateRequest(COMPARE_REQUEST), async (req, res) => {
+  const { articles } = req.body;
+
+  if (articles.some(article => !article.title)) {
+    return res.status(400).json({ 
+      error: 'Every article needs at least a title' 
+    });
+  }
+
+  const selection = selectAnalyzer(req, res);
+  if (!selection) return;
+
+  if (!reserveQuota(req, res)) return;
+
+  logger.info('Comparing coverage', { ...analyzerInfo(selection), articles: articles.length });
+
+  try {
+    const key = contentHash(...articles.map(article => article.url || article.title).sort(), `${selection.provider}/${selection.model}`);
+    const cached = await cache.wrap('compare', key, async () => {
+      const comparison = extractJson(await generateText(buildComparePrompt(articles), selection));
+      return {
+        story: comparison.story || '',
+        summary: comparison.summary || '',
+        agreement: Array.isArray(comparison.agreement) ? comparison.agreement : [],
+        disagreements: Array.isArray(comparison.disagreements) ? comparison.disagreements : [],
+        sources: Array.isArray(comparison.sources) ? comparison.sources : []
+      };
+    }, { refresh: wantsRefresh(req) });
+
+    if (cached.status !== 'MISS') refundQuota(req);
+
+    logger.info('Comparison ready', { cache: cached.status });
+    setCacheHeaders(res, cached);
+    res.json(cached.value);
+
+  } catch (error) {
+    refundQuota(req);
+    logger.error('Comparison failed', { error });
+
+    if (error instanceof SyntaxError) {
+      return res.status(502).json({ 
+        error: 'Could not parse the comparison',
+        details: error.message,
+        hint: 'The AI returned an unexpected format. Try again.'
       });
     }
-    
-    console.log(`🔍 Searching news for: "${q}"`);
-    
-    const response = await axios.get('https://newsapi.org/v2/everything', {
-      params: {
-        q,
-        pageSize,
-        language,
-        sortBy: 'publishedAt',
-        apiKey: process.env.NEWS_API_KEY
+
+    res.status(errorStatus(error)).json(describeAnalyzerError(error));
+  }
+});
+
+// Morning briefings: the top headlines of several categories and countries,
+// deduplicated and written up by the analyzer section by section
+const digests = createDigestStore();
+const generateDigest = createDigestGenerator({
+  async headlines(params) {
+    const cached = await getHeadlines(params);
+    return cached.value.articles;
+  }
+});
+
+// What the digest generator and the chat need to call the selected
+// analyzer: its info and a generate(prompt, schema) returning parsed JSON
+function jsonAnalyzer(selection) {
+  return {
+    analyzer: analyzerInfo(selection),
+    async generate(prompt, schema) {
+      const text = await generateText(prompt, selection, { schema });
+      try {
+        return extractJson(text);
+      } catch {
+        // Not JSON at all; the caller's check reports it and asks for a repair
+        return text;
       }
+    }
+  };
+}
+
+// Scheduled digests use one analysis from the quota of the schedule's owner
+const digestScheduler = new DigestScheduler(digests, async ({ ownerId, ...options }) => {
+  const owner = users.findById(ownerId);
+  if (!owner) {
+    throw new Error('The schedule\'s owner no longer exists');
+  }
+  if (!users.reserveQuota(owner)) {
+    throw new Error(`${owner.username} has no analyses left today`);
+  }
+
+  try {
+    return await generateDigest(options, jsonAnalyzer(resolveAnalyzer()));
+  } catch (error) {
+    users.refundQuota(owner);
+    throw error;
+  }
+});
+
+// Generate a digest for { categories, countries, pageSize } and save it.
+// `outbox: true` also writes its HTML email body to the outbox directory.
+// Uses one analysis from the account's daily quota.
+app.post('/api/digest', analyzeLimiter.middleware(), requireUser, validateRequest(DIGEST_REQUEST), async (req, res) => {
+  const { options, error } = parseDigestOptions(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const selection = selectAnalyzer(req, res);
+  if (!selection) return;
+
+  if (!reserveQuota(req, res)) return;
+
+  logger.info('Generating digest', { categories: options.categories, countries: options.countries });
+
+  try {
+    const digest = digests.save({ ...await generateDigest(options, jsonAnalyzer(selection)), ownerId: req.user.id });
+    if (req.body.outbox === true) {
+      logger.info('Digest written to the outbox', { file: digests.writeOutbox(digest) });
+    }
+
+    logger.info('Digest ready', { id: digest.id, sections: digest.sections.length, stories: digest.totals.stories });
+    res.status(201).json(digest);
+
+  } catch (error) {
+    refundQuota(req);
+    logger.error('Digest failed', { error });
+
+    if (error instanceof AnalyzerError) {
+      return res.status(errorStatus(error)).json(describeAnalyzerError(error));
+    }
+
+    res.status(error.status || 500).json({ 
+      error: error.code === 'INVALID_DIGEST' ? 'Invalid AI Response' : 'Failed to generate digest',
+      details: errorDetails(error),
+      code: error.code || 'UNKNOWN_ERROR',
+      provider: error.provider
+    });
+  }
+});
+
+app.use('/api', createDigestsRouter(digests));
+
+// Follow-up questions about an article, one saved session per user and article
+const chats = createChatStore();
+
+// Ask { question, article, scope, articles } where scope is "article",
+// "feed" (also draw on `articles`, the client's feed) or "history" (also draw
+// on the user's history). Earlier questions about the article are remembered.
+// Each question uses one analysis from the account's daily quota.
+app.post('/api/chat', analyzeLimiter.middleware(), requireUser, validateRequest(CHAT_REQUEST), async (req, res) => {
+  const { chat, error } = parseChatRequest(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const selection = selectAnalyzer(req, res);
+  if (!selection) return;
+
+  if (!reserveQuota(req, res)) return;
+
+  logger.info('Answering a question', { article: chat.article.title?.substring(0, 80), scope: chat.scope });
+
+  // Clients may only send the title and link (history entries do), so
+  // fill in the rest from the stored article
+  const article = { ...store.getArticle(articleId(chat.article)), ...chat.article };
+
+  try {
+    const { text: articleText } = await prepareArticleText(article);
+    const candidates = chat.scope === 'feed' ? chat.articles
+      : chat.scope === 'history' ? store.findArticles({ ids: historyScope(req.user, store).articles }).slice(0, MAX_CHAT_HISTORY)
+      : [];
+
+    const answer = await answerQuestion({ ...chat, article }, {
+      articleText,
+      candidates,
+      turns: chats.forArticle(req.user.id, chat.article)?.messages || []
+    }, jsonAnalyzer(selection));
+
+    const session = chats.addTurn(req.user.id, chat.article, chat.question, answer, { scope: chat.scope });
+    logger.info('Question answered', { citations: answer.citations.length });
+
+    res.json({
+      sessionId: session.id,
+      message: session.messages[session.messages.length - 1],
+      analyzer: analyzerInfo(selection)
     });
 
-    console.log(`✅ Found ${response.data.articles?.length || 0} articles`);
-    res.json(response.data);
-    
   } catch (error) {
-    console.error('❌ Error searching news:', error.response?.data || error.message);
-    
-    res.status(error.response?.status || 500).json({ 
-      error: 'Failed to search news',
-      details: error.response?.data?.message || error.message
+    refundQuota(req);
+    logger.error('Chat failed', { error });
+
+    if (error instanceof AnalyzerError) {
+      return res.status(errorStatus(error)).json(describeAnalyzerError(error));
+    }
+
+    res.status(error.status || 500).json({ 
+      error: error.code === 'INVALID_CHAT_REPLY' ? 'Invalid AI Response' : 'Failed to answer the question',
+      details: errorDetails(error),
+      code: error.code || 'UNKNOWN_ERROR'
     });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('💥 Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: err.message 
-  });
+app.use('/api', createChatsRouter(chats));
+
+// The signed-in user's article and analysis history
+app.use('/api', createHistoryRouter(store));
+
+// Articles saved for later in the frontend's offline reading list
+app.use('/api', createReadingListRouter(store, users));
+
+// Accounts, sessions and per-user preferences
+app.use('/api', createUsersRouter(users));
+
+// Source credibility and bias profiles
+app.use('/api', createSourcesRouter(sources));
+
+// Coverage and sentiment trends
+app.use('/api', createStatsRouter(store));
+
+// JSON, CSV and Markdown downloads of the user's history
+app.use('/api', createExportRouter(store));
+
+// Keyword watchlists, checked in the background for new matching articles
+const watchlists = createWatchlistStore();
+const watchlistScheduler = createWatchlistScheduler(watchlists, {
+  async search(params) {
+    const result = await searchArticles(params);
+    return store.upsertArticles(result.articles, { provider: result.provider });
+  },
+  async headlines(params) {
+    const cached = await getHeadlines(params, { refresh: true });
+    return cached.value.articles;
+  },
+  // Charged to the watchlist's owner, like their own analyses
+  async analyze(article, watchlist) {
+    const owner = users.findById(watchlist.ownerId);
+    if (!owner || !users.reserveQuota(owner)) {
+      logger.warn('Watchlist owner has no analyses left today', { watchlist: watchlist.name });
+      return null;
+    }
+
+    try {
+      const { result, analysis } = await analyzeAndRecord(article, resolveAnalyzer());
+      settleAnalysis({ user: owner }, analysis, result.status !== 'MISS');
+      return analysis.status === 'failed' ? null : analysis;
+    } catch (error) {
+      users.refundQuota(owner);
+      throw error;
+    }
+  }
 });
+app.use('/api', createWatchlistsRouter(watchlists, watchlistScheduler));
+
+// Error handling middleware
+app.use(handleErrors);
 
 // 404 handler
 app.use((req, res) => {
@@ -300,60 +1270,106 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     path: req.path,
     availableEndpoints: [
-      'GET /api/health',
+      'GET /api/health?deep=<true|false>',
+      'GET /api/metrics',
       'GET /api/test',
-      'GET /api/news?category=<category>&country=<country>&pageSize=<size>',
+      'GET /api/providers',
+      'GET /api/analyzers',
+      'GET /api/news?category=<category>&country=<country>&pageSize=<size>&page=<page>&provider=<provider>',
       'POST /api/analyze',
-      'GET /api/search?q=<query>&pageSize=<size>'
+      'POST /api/analyze/batch',
+      'GET|POST /api/analyze/stream',
+      'GET /api/search?q=<query>&pageSize=<size>&page=<page>&language=<lang>&sortBy=<sort>&from=<date>&to=<date>&domains=<list>&excludeDomains=<list>&provider=<provider>',
+      'GET /api/clusters?category=<category>&country=<country>&threshold=<0-1>',
+      'POST /api/compare',
+      'GET /api/articles',
+      'GET /api/articles/:id',
+      'GET /api/analyses?sentiment=<type>&from=<date>&to=<date>&mine=<true|false>',
+      'GET /api/analyses/:id',
+      'GET /api/reading-list',
+      'POST /api/reading-list/sync',
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/auth/logout',
+      'GET /api/me',
+      'PUT /api/me/preferences',
+      'GET /api/sources?q=<name>&rated=<true|false>',
+      'GET /api/sources/:id?analysis=<analysisId>',
+      'GET /api/stats/trends?days=<n>&from=<date>&to=<date>&interval=<day|week>&groupBy=<category|country|provider>&category=<category>&country=<country>&limit=<n>',
+      'POST /api/chat',
+      'GET /api/chats',
+      'GET|DELETE /api/chats/:id',
+      'POST /api/digest',
+      'GET /api/digests',
+      'GET /api/digests/:id',
+      'GET /api/digests/:id/html',
+      'POST /api/digests/:id/outbox',
+      'GET|PUT /api/digest/schedule',
+      'GET /api/export?format=<json|csv|markdown>&type=<analyses|articles>&sentiment=<type>&from=<date>&to=<date>&category=<category>&q=<query>',
+      'GET /api/export/analyses/:id?format=<markdown|json>',
+      'GET|POST /api/watchlists',
+      'GET|DELETE /api/watchlists/:id',
+      'POST /api/watchlists/:id/check',
+      'GET /api/watchlists/alerts?since=<date>&watchlistId=<id>'
     ]
   });
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log('\n🚀 ================================');
-  console.log(`✅ Server running on http://localhost:${PORT}`);
-  console.log(`📡 API Base URL: http://localhost:${PORT}/api`);
-  console.log('🔗 Available Endpoints:');
-  console.log(`   - GET  ${PORT}/api/health`);
-  console.log(`   - GET  ${PORT}/api/test`);
-  console.log(`   - GET  ${PORT}/api/news`);
-  console.log(`   - POST ${PORT}/api/analyze`);
-  console.log(`   - GET  ${PORT}/api/search`);
-  console.log('================================\n');
-  
-  // Verify environment variables
-  const newsApiStatus = process.env.NEWS_API_KEY ? '✅' : '❌';
-  const geminiApiStatus = process.env.GEMINI_API_KEY ? '✅' : '❌';
+  const defaultAnalyzer = listAnalyzers().find(analyzer => analyzer.default);
+
+  logger.info('Server running', {
+    port: Number(PORT),
+    apiBaseUrl: `http://localhost:${PORT}/api`,
+    newsApiKey: process.env.NEWS_API_KEY ? 'configured' : 'missing',
+    geminiApiKey: process.env.GEMINI_API_KEY ? 'configured' : 'missing',
+    newsProvider: process.env.NEWS_PROVIDER || DEFAULT_PROVIDER,
+    analyzer: defaultAnalyzer
+      ? { provider: defaultAnalyzer.name, model: process.env.ANALYZER_MODEL || defaultAnalyzer.defaultModel }
+      : `unknown "${process.env.ANALYZER_PROVIDER}"`,
+    corsOrigins: process.env.CORS_ORIGINS || 'localhost only (set CORS_ORIGINS)',
+    analyzeRateLimit: analyzeLimiter.limit ? `${analyzeLimiter.limit} per ${analyzeLimiter.windowMs / 1000}s per IP` : 'off',
+    analysisQuota: users.dailyQuota ? `${users.dailyQuota} per user per day` : 'unlimited',
+    visitorAnalysisQuota: visitors.dailyQuota ? `${visitors.dailyQuota} per IP per day` : 'sign-in required',
+    watchlists: watchlistScheduler.interval ? `checked every ${watchlistScheduler.interval / 60000} min` : 'polling off'
+  });
   
-  console.log('🔑 API Keys Status:');
-  console.log(`   ${newsApiStatus} NEWS_API_KEY: ${process.env.NEWS_API_KEY ? 'Configured' : 'NOT FOUND'}`);
-  console.log(`   ${geminiApiStatus} GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? 'Configured' : 'NOT FOUND'}`);
-  console.log('================================\n');
+  watchlistScheduler.start();
+  digestScheduler.start();
   
   // Warnings
   if (!process.env.NEWS_API_KEY) {
-    console.warn('⚠️  WARNING: NEWS_API_KEY not found in .env file!');
-    console.warn('   Get your key at: https://newsapi.org/\n');
+    logger.warn('NEWS_API_KEY not found in .env file', { hint: 'Get your key at https://newsapi.org/' });
   }
   
-  if (!process.env.GEMINI_API_KEY) {
-    console.warn('⚠️  WARNING: GEMINI_API_KEY not found in .env file!');
-    console.warn('   Get your key at: https://ai.google.dev/\n');
-  }
-  
-  if (process.env.NEWS_API_KEY && process.env.GEMINI_API_KEY) {
-    console.log('✨ All systems ready! You can now use the application.\n');
+  if (!defaultAnalyzer?.configured) {
+    logger.warn('Analyzer is not configured', {
+      analyzer: defaultAnalyzer?.name || process.env.ANALYZER_PROVIDER,
+      hint: 'Set GEMINI_API_KEY (https://ai.google.dev/), or ANALYZER_PROVIDER=openai with OPENAI_BASE_URL, or ANALYZER_PROVIDER=mock to run without an AI service.'
+    });
   }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('👋 SIGTERM received, shutting down gracefully...');
+  logger.info('SIGTERM received, shutting down gracefully');
+  cache.flush();
+  store.flush();
+  users.flush();
+  watchlists.flush();
+  digests.flush();
+  chats.flush();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('\n👋 SIGINT received, shutting down gracefully...');
+  logger.info('SIGINT received, shutting down gracefully');
+  cache.flush();
+  store.flush();
+  users.flush();
+  watchlists.flush();
+  digests.flush();
+  chats.flush();
   process.exit(0);
 });
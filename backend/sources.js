@@ -0,0 +1,194 @@
+import { readJsonFile } from './persist.js';
+import { logger } from './logger.js';
+
+// Phrases the model uses when it finds nothing to flag
+const NO_BIAS_PATTERN = /\b(no|not|without)\b[^.]{0,40}\bbias|not analyzed|could not perform/i;
+
+const SENTIMENT_SCORES = { positive: 1, neutral: 0, negative: -1 };
+
+// Profile id for a `{ id, name }` source. The name is preferred because not
+// every provider sets an id, and NewsAPI ids are already slugs of the name.
+export function sourceKey(source) {
+  const value = source?.name || source?.id || '';
+  return value
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export function isBiasFlagged(biasDetection) {
+  return typeof biasDetection === 'string' && biasDetection.trim() !== '' && !NO_BIAS_PATTERN.test(biasDetection);
+}
+
+function emptyProfile(id, name) {
+  return {
+    id,
+    name,
+    aliases: [],
+    rating: null,
+    articles: 0,
+    analyses: 0,
+    sentiment: { positive: 0, negative: 0, neutral: 0 },
+    sentimentScore: null,
+    usualSentiment: null,
+    bias: { flagged: 0, rate: null },
+    lastAnalyzedAt: null
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The dataset a ratings file says its ratings come from, or null when it
+// doesn't name one with a link
+function citedDataset(dataset) {
+  if (typeof dataset?.name !== 'string' || !/^https?:\/\//.test(dataset.url || '')) return null;
+  return { name: dataset.name, url: dataset.url, ...(dataset.retrievedAt && { retrievedAt: dataset.retrievedAt }) };
+}
+
+// Per-outlet profiles built from the analyses in the article store, merged
+// with outlet ratings from a seed file. Profiles only hold counts: every
+// user's analyses go into them, so they never name one. The shipped seed file is empty;
+// ratings are only used from a file that cites the dataset they come from
+// (see sources.seed.json), and each rating carries that citation.
+export class SourceRegistry {
+  constructor({ store, seedFile }) {
+    this.store = store;
+    this.seeds = new Map();
+    this.aliases = new Map();
+
+    const seed = readJsonFile(seedFile, { sources: [] });
+    const ratedBy = citedDataset(seed.dataset);
+    if (!ratedBy && seed.sources?.length > 0) {
+      logger.warn('Outlet ratings ignored: the ratings file cites no dataset', { file: String(seedFile) });
+    }
+
+    for (const entry of ratedBy ? seed.sources : []) {
+      const { id: seedId, name, aliases = [], ...rating } = entry;
+      const id = sourceKey({ name: seedId || name });
+      this.seeds.set(id, { name, rating: { ...rating, ratedBy } });
+      for (const alias of [name, ...aliases]) {
+        this.aliases.set(sourceKey({ name: alias }), id);
+      }
+    }
+  }
+
+  resolve(source) {
+    const key = sourceKey(source);
+    return this.aliases.get(key) || key;
+  }
+
+  // Aggregate every stored article and analysis by outlet. `excludeAnalysis`
+  // leaves one analysis out, so it can be compared with the rest.
+  buildProfiles({ excludeAnalysis } = {}) {
+    const profiles = new Map();
+
+    for (const [id, { name, rating }] of this.seeds) {
+      profiles.set(id, { ...emptyProfile(id, name), rating });
+    }
+
+    const profileFor = source => {
+      const id = this.resolve(source);
+      if (!id) return null;
+      if (!profiles.has(id)) {
+        profiles.set(id, emptyProfile(id, source.name || source.id));
+      }
+      return profiles.get(id);
+    };
+
+    for (const article of this.store.articles.values()) {
+      const profile = profileFor(article.source);
+      if (profile) profile.articles++;
+    }
+
+    for (const record of this.store.analyses) {
+      if (record.id === excludeAnalysis) continue;
+
+      const article = this.store.getArticle(record.articleId);
+      const profile = article && profileFor(article.source);
+      if (!profile) continue;
+
+      const sentiment = record.sentiment?.toLowerCase();
+      const flagged = isBiasFlagged(record.analysis?.biasDetection);
+
+      profile.analyses++;
+      if (sentiment in profile.sentiment) profile.sentiment[sentiment]++;
+      if (flagged) profile.bias.flagged++;
+      profile.lastAnalyzedAt = record.createdAt;
+    }
+
+    for (const [alias, id] of this.aliases) {
+      if (alias !== id) profiles.get(id)?.aliases.push(alias);
+    }
+
+    for (const profile of profiles.values()) {
+      summarize(profile);
+    }
+
+    return profiles;
+  }
+
+  list({ q, rated } = {}) {
+    const query = q?.toLowerCase();
+    const profiles = [...this.buildProfiles().values()]
+      .filter(profile => !query || profile.name?.toLowerCase().includes(query) || profile.id.includes(query))
+      .filter(profile => !rated || profile.rating)
+      .sort((a, b) => b.analyses - a.analyses || b.articles - a.articles || a.name.localeCompare(b.name));
+
+    return { total: profiles.length, sources: profiles };
+  }
+
+  get(id, { analysisId } = {}) {
+    const key = this.aliases.get(sourceKey({ name: id })) || sourceKey({ name: id });
+    const profile = this.buildProfiles({ excludeAnalysis: analysisId }).get(key);
+    if (!profile) return null;
+
+    const record = analysisId && this.store.analyses.find(analysis => analysis.id === analysisId);
+    return record ? { ...profile, comparison: compareWithProfile(profile, record) } : profile;
+  }
+}
+
+function summarize(profile) {
+  const { sentiment, analyses } = profile;
+  if (analyses === 0) return;
+
+  const scored = sentiment.positive + sentiment.negative + sentiment.neutral;
+  if (scored > 0) {
+    profile.sentimentScore = round((sentiment.positive - sentiment.negative) / scored);
+    const [usual] = Object.entries(sentiment).sort((a, b) => b[1] - a[1]);
+    profile.usualSentiment = usual[0].charAt(0).toUpperCase() + usual[0].slice(1);
+  }
+  profile.bias.rate = round(profile.bias.flagged / analyses);
+}
+
+// How one analysis differs from the outlet's other analyses
+function compareWithProfile(profile, record) {
+  const sentiment = record.sentiment?.toLowerCase();
+  const score = SENTIMENT_SCORES[sentiment];
+
+  return {
+    basedOn: profile.analyses,
+    sentiment: {
+      article: record.sentiment,
+      usual: profile.usualSentiment,
+      difference: score === undefined || profile.sentimentScore === null
+        ? null
+        : round(score - profile.sentimentScore)
+    },
+    bias: {
+      articleFlagged: isBiasFlagged(record.analysis?.biasDetection),
+      outletRate: profile.bias.rate
+    }
+  };
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createSourceRegistry(store) {
+  return new SourceRegistry({
+    store,
+    seedFile: process.env.SOURCES_SEED_FILE || new URL('./sources.seed.json', import.meta.url)
+  });
+}
@@ -0,0 +1,38 @@
+// Server-Sent Events over a regular response. Works for POST requests too,
+// which the browser reads with fetch() instead of EventSource.
+export function openEventStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (stream.closed) return;
+      stream.closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+
+  // Comment lines keep idle connections from timing out
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  res.on('close', () => {
+    stream.closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return stream;
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile, debounceSave } from './persist.js';
+
+// Stable id for an article, derived from its URL (or title when it has none)
+export function articleId(article) {
+  return crypto
+    .createHash('sha1')
+    .update(article.url || article.title || '')
+    .digest('hex')
+    .substring(0, 16);
+}
+
+function matchesRange(timestamp, from, to) {
+  const time = new Date(timestamp).getTime();
+  if (from && time < new Date(from).getTime()) return false;
+  // A bare date like 2024-05-01 covers the whole day
+  if (to && time > new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86399999 : 0)) return false;
+  return true;
+}
+
+function paginate(items, { limit = 50, offset = 0 } = {}) {
+  const start = Math.max(0, parseInt(offset) || 0);
+  const size = Math.min(200, Math.max(1, parseInt(limit) || 50));
+  return { total: items.length, items: items.slice(start, start + size) };
+}
+
+// Articles and analyses kept in a single JSON file (data/store.json by default)
+export class ArticleStore {
+  constructor({ file }) {
+    this.file = file;
+    const data = readJsonFile(file, {});
+    this.articles = new Map(Object.entries(data.articles || {}));
+    this.analyses = data.analyses || [];
+    this.scheduleSave = debounceSave(() => writeJsonFile(this.file, {
+      articles: Object.fromEntries(this.articles),
+      analyses: this.analyses
+    }));
+  }
+
+  // Insert or refresh fetched articles. Returns them with their store ids.
+  upsertArticles(articles, { category, country, provider } = {}) {
+    const now = new Date().toISOString();
+
+    const saved = articles.map(article => {
+      const id = articleId(article);
+      const existing = this.articles.get(id);
+      const record = {
+        ...existing,
+        ...article,
+        id,
+        category: category || existing?.category || null,
+        country: country || existing?.country || null,
+        provider: provider || existing?.provider || null,
+        firstSeenAt: existing?.firstSeenAt || now,
+        lastSeenAt: now
+      };
+      this.articles.set(id, record);
+      return { ...article, id };
+    });
+
+    this.scheduleSave();
+    return saved;
+  }
+
+  getArticle(id) {
+    return this.articles.get(id) || null;
+  }
+
+  // Every matching article, newest first. `ids` (a Set) limits them to
+  // those articles, e.g. one user's.
+  findArticles({ category, source, q, ids } = {}) {
+    const query = q?.toLowerCase();
+    return [...this.articles.values()]
+      .filter(article => !ids || ids.has(article.id))
+      .filter(article => !category || article.category === category)
+      .filter(article => !source || article.source?.id === source || article.source?.name === source)
+      .filter(article => !query || `${article.title} ${article.description || ''}`.toLowerCase().includes(query))
+      .sort((a, b) => new Date(b.publishedAt || b.lastSeenAt) - new Date(a.publishedAt || a.lastSeenAt));
+  }
+
+  listArticles({ category, source, q, ids, limit, offset } = {}) {
+    const { total, items } = paginate(this.findArticles({ category, source, q, ids }), { limit, offset });
+    return { total, articles: items };
+  }
+
+  saveAnalysis({ article, analysis, contentHash }) {
+    const id = articleId(article);
+    if (!this.articles.has(id)) {
+      this.upsertArticles([article]);
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      articleId: id,
+      contentHash,
+      sentiment: analysis.sentiment?.type || null,
+      analysis,
+      createdAt: new Date().toISOString()
+    };
+    this.analyses.push(record);
+    this.scheduleSave();
+    return record;
+  }
+
+  findAnalysisByHash(contentHash) {
+    for (let i = this.analyses.length - 1; i >= 0; i--) {
+      if (this.analyses[i].contentHash === contentHash) return this.analyses[i];
+    }
+    return null;
+  }
+
+  getAnalysis(id) {
+    const record = this.analyses.find(analysis => analysis.id === id);
+    return record ? this.withArticle(record) : null;
+  }
+
+  analysesFor(articleId) {
+    return this.analyses
+      .filter(analysis => analysis.articleId === articleId)
+      .reverse();
+  }
+
+  // Every matching analysis, newest first. `ids` (a Set) limits them to
+  // those analyses, e.g. one user's history.
+  findAnalyses({ sentiment, from, to, articleId: forArticle, ids } = {}) {
+    return this.analyses
+      .filter(record => !ids || ids.has(record.id))
+      .filter(record => !forArticle || record.articleId === forArticle)
+      .filter(record => !sentiment || record.sentiment?.toLowerCase() === sentiment.toLowerCase())
+      .filter(record => matchesRange(record.createdAt, from, to))
+      .reverse();
+  }
+
+  listAnalyses({ sentiment, from, to, articleId, ids, limit, offset } = {}) {
+    const { total, items } = paginate(this.findAnalyses({ sentiment, from, to, articleId, ids }), { limit, offset });
+    return { total, analyses: items.map(record => this.withArticle(record)) };
+  }
+
+  // Attach the summary fields the history view needs to show an analysis
+  withArticle(record) {
+    const article = this.articles.get(record.articleId);
+    return {
+      ...record,
+      article: article ? {
+        id: article.id,
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        urlToImage: article.urlToImage,
+        publishedAt: article.publishedAt
+      } : null
+    };
+  }
+
+  flush() {
+    this.scheduleSave.flush();
+  }
+
+  stats() {
+    return {
+      articles: this.articles.size,
+      analyses: this.analyses.length
+    };
+  }
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createStore() {
+  return new ArticleStore({ file: process.env.STORE_FILE || './data/store.json' });
+}
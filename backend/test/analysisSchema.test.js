@@ -0,0 +1,84 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANALYSIS_SECTIONS, analysisSchema, checkAnalysis, parseLanguage, parseSections } from '../analysisSchema.js';
+
+const ENV = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...ENV };
+});
+
+const ANALYSIS = {
+  summary: 'The central bank raised rates again.',
+  keyPoints: ['Rates rose by a quarter point.'],
+  sentiment: { type: 'Negative', score: -0.4, confidence: 0.8, explanation: 'Borrowing gets dearer.' },
+  tone: 'Informative',
+  biasDetection: 'No significant bias detected',
+  entities: [{ name: 'Central Bank', type: 'Organization', role: 'Raised rates' }],
+  topics: ['interest rates'],
+  claims: [{ claim: 'Rates rose by 0.25 points', quote: 'raised its rate by a quarter point' }],
+  loadedLanguage: [],
+  language: { detected: 'en', translatedTitle: 'Rates rise again' }
+};
+
+test('a reply with every field is complete', () => {
+  assert.deepEqual(checkAnalysis({ ...ANALYSIS, extra: 'dropped' }), { status: 'complete', analysis: ANALYSIS, errors: [] });
+});
+
+test('invalid fields are dropped, not filled in', () => {
+  const { status, analysis, errors } = checkAnalysis({
+    ...ANALYSIS,
+    sentiment: { ...ANALYSIS.sentiment, score: 3 },
+    entities: [{ name: 'Jane Roe', type: 'Celebrity', role: 'Quoted' }],
+    tone: undefined
+  });
+  const { sentiment, entities, tone, ...valid } = ANALYSIS;
+
+  assert.equal(status, 'partial');
+  assert.deepEqual(analysis, valid);
+  assert.deepEqual(errors, [
+    'analysis.tone is required',
+    'analysis.sentiment.score must be at most 1',
+    'analysis.entities[0].type must be one of: Person, Organization, Place'
+  ]);
+});
+
+test('replies without a single valid field fail', () => {
+  assert.equal(checkAnalysis('Sorry, I cannot help with that.').status, 'failed');
+  assert.equal(checkAnalysis([ANALYSIS]).status, 'failed');
+  assert.deepEqual(checkAnalysis({ summary: '' }, ['summary', 'tone']), {
+    status: 'failed',
+    analysis: null,
+    errors: ['analysis.tone is required', 'analysis.summary must not be empty']
+  });
+});
+
+test('only the requested sections are checked and kept', () => {
+  const sections = parseSections('entities, summary');
+
+  assert.deepEqual(sections, ['summary', 'entities']);
+  assert.deepEqual(analysisSchema(sections).required, ['summary', 'entities']);
+  assert.deepEqual(checkAnalysis(ANALYSIS, sections), {
+    status: 'complete',
+    analysis: { summary: ANALYSIS.summary, entities: ANALYSIS.entities },
+    errors: []
+  });
+});
+
+test('sections are parsed from lists and strings, all of them by default', () => {
+  assert.equal(parseSections(undefined), ANALYSIS_SECTIONS);
+  assert.equal(parseSections(''), ANALYSIS_SECTIONS);
+  assert.deepEqual(parseSections(['topics', 'claims']), ['topics', 'claims']);
+  assert.throws(() => parseSections('summary,horoscope'), /Unknown analysis section: horoscope/);
+  assert.throws(() => parseSections(' , '), /Unknown analysis sections: \(none\)/);
+});
+
+test('analyses are written in a supported language, ANALYSIS_LANGUAGE by default', () => {
+  delete process.env.ANALYSIS_LANGUAGE;
+  assert.equal(parseLanguage(undefined), 'en');
+  assert.equal(parseLanguage(' DE '), 'de');
+  assert.throws(() => parseLanguage('xx'), /Unsupported output language "xx"/);
+
+  process.env.ANALYSIS_LANGUAGE = 'fr';
+  assert.equal(parseLanguage(''), 'fr');
+});
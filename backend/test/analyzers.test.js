@@ -0,0 +1,107 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios, { AxiosError } from 'axios';
+import { AnalyzerError, generate, listAnalyzers, resolveAnalyzer, streamText } from '../analyzers/index.js';
+
+const ENV = { ...process.env };
+const defaultAdapter = axios.defaults.adapter;
+
+afterEach(() => {
+  process.env = { ...ENV };
+  axios.defaults.adapter = defaultAdapter;
+});
+
+const PROMPT = [
+  'Title: Record growth lifts markets',
+  'Description: Shares rise 3%. Investors hope for more.',
+  'Content: N/A',
+  '{ "summary": "...", "keyPoints": [], "sentiment": {}, "claims": [] }'
+].join('\n');
+
+test('the configured analyzer and model are used unless the request names others', () => {
+  process.env.ANALYZER_PROVIDER = 'mock';
+  process.env.ANALYZER_MODEL = 'mock-2';
+
+  const { provider, model } = resolveAnalyzer();
+  assert.deepEqual({ provider, model }, { provider: 'mock', model: 'mock-2' });
+  assert.equal(resolveAnalyzer({ model: 'mock-3' }).model, 'mock-3');
+  // ANALYZER_MODEL only applies to the configured provider
+  process.env.OPENAI_MODEL = 'local-model';
+  assert.equal(resolveAnalyzer({ provider: 'openai' }).model, 'local-model');
+});
+
+test('unknown providers and odd model names are rejected', () => {
+  assert.throws(() => resolveAnalyzer({ provider: 'nope' }), { name: 'AnalyzerError', status: 400, code: 'UNKNOWN_PROVIDER' });
+  assert.throws(() => resolveAnalyzer({ provider: 'mock', model: 'mock 1; rm -rf' }), { status: 400, code: 'INVALID_MODEL' });
+
+  process.env.ANALYZER_PROVIDER = 'nope';
+  assert.throws(() => resolveAnalyzer(), { status: 500, code: 'UNKNOWN_PROVIDER' });
+});
+
+test('the mock analyzer replies from the article in the prompt, the same way every time', async () => {
+  const selection = resolveAnalyzer({ provider: 'mock' });
+  const reply = await generate(PROMPT, selection);
+
+  assert.equal(reply, await generate(PROMPT, selection));
+  const analysis = JSON.parse(reply);
+  // Only the sections the prompt asks for
+  assert.deepEqual(Object.keys(analysis), ['summary', 'keyPoints', 'sentiment', 'claims']);
+  assert.equal(analysis.sentiment.type, 'Positive');
+  assert.deepEqual(analysis.keyPoints, ['Shares rise 3%.', 'Investors hope for more.']);
+  assert.deepEqual(analysis.claims, [{ claim: 'Shares rise 3%.', quote: 'Shares rise 3%.' }]);
+
+  let streamed = '';
+  for await (const chunk of streamText(PROMPT, selection)) streamed += chunk;
+  assert.equal(streamed, reply);
+});
+
+test('the mock analyzer detects the article\'s language and translates its title', async () => {
+  const prompt = [
+    'Write every text value in English (en), even if the article is in another language.',
+    'Title: Die Zentralbank hebt die Zinsen an',
+    'Description: Die Inflation ist nicht gesunken.',
+    '{ "language": {} }'
+  ].join('\n');
+
+  const { language } = JSON.parse(await generate(prompt, resolveAnalyzer({ provider: 'mock' })));
+  assert.deepEqual(language, { detected: 'de', translatedTitle: '[en] Die Zentralbank hebt die Zinsen an' });
+});
+
+test('the mock analyzer is off unless the server is set up for it', () => {
+  const mockListing = () => listAnalyzers().find(analyzer => analyzer.name === 'mock');
+
+  delete process.env.ANALYZER_PROVIDER;
+  delete process.env.MOCK_ANALYZER;
+  assert.equal(mockListing().configured, false);
+
+  process.env.MOCK_ANALYZER = 'true';
+  assert.equal(mockListing().configured, true);
+
+  delete process.env.MOCK_ANALYZER;
+  process.env.ANALYZER_PROVIDER = 'mock';
+  assert.equal(mockListing().configured, true);
+});
+
+test('slow analyzers time out', async () => {
+  process.env.MOCK_ANALYZER_DELAY_MS = '200';
+
+  await assert.rejects(
+    generate(PROMPT, resolveAnalyzer({ provider: 'mock' }), { timeout: 10 }),
+    error => error instanceof AnalyzerError && error.code === 'TIMEOUT' && error.status === 504
+  );
+});
+
+test('OpenAI-compatible errors are mapped onto analyzer error codes', async () => {
+  process.env.OPENAI_BASE_URL = 'http://localhost:8080/v1';
+  axios.defaults.adapter = async config => {
+    const response = { status: 429, statusText: '', headers: {}, config, data: { error: { message: 'Rate limit reached' } } };
+    throw new AxiosError('Request failed with status code 429', AxiosError.ERR_BAD_REQUEST, config, null, response);
+  };
+
+  await assert.rejects(generate(PROMPT, resolveAnalyzer({ provider: 'openai' })), {
+    name: 'AnalyzerError',
+    status: 429,
+    code: 'QUOTA',
+    message: 'Rate limit reached'
+  });
+});
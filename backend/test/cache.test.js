@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore, ResponseCache, contentHash } from '../cache.js';
+
+const POLICY = { ttl: 1000, staleWhileRevalidate: 5000 };
+
+function createTestCache() {
+  return new ResponseCache(new MemoryStore({ maxEntries: 3 }), { news: POLICY });
+}
+
+// Store a value as if it had been fetched `age` ms ago
+function storeAged(cache, key, value, age) {
+  cache.store.set(`news:${key}`, { value, storedAt: Date.now() - age });
+}
+
+test('a miss fetches and stores the value, a fresh entry is a hit', async () => {
+  const cache = createTestCache();
+  let calls = 0;
+  const fetcher = async () => ++calls;
+
+  assert.equal((await cache.wrap('news', 'k', fetcher)).value, 1);
+  const hit = await cache.wrap('news', 'k', fetcher);
+
+  assert.equal(hit.status, 'HIT');
+  assert.equal(hit.value, 1);
+  assert.equal(calls, 1);
+});
+
+test('a stale entry is served at once and refreshed in the background', async () => {
+  const cache = createTestCache();
+  storeAged(cache, 'k', 'old', 2000);
+
+  const stale = await cache.wrap('news', 'k', async () => 'new');
+  assert.equal(stale.status, 'STALE');
+  assert.equal(stale.value, 'old');
+
+  await cache.pending.get('news:k');
+  assert.equal((await cache.wrap('news', 'k', async () => 'newer')).value, 'new');
+});
+
+test('an entry past the stale window is fetched again before answering', async () => {
+  const cache = createTestCache();
+  storeAged(cache, 'k', 'old', 7000);
+
+  const result = await cache.wrap('news', 'k', async () => 'new');
+  assert.equal(result.status, 'MISS');
+  assert.equal(result.value, 'new');
+});
+
+test('refresh skips the cached entry', async () => {
+  const cache = createTestCache();
+  storeAged(cache, 'k', 'old', 0);
+
+  const result = await cache.wrap('news', 'k', async () => 'new', { refresh: true });
+  assert.equal(result.value, 'new');
+});
+
+test('concurrent misses share one fetch', async () => {
+  const cache = createTestCache();
+  let calls = 0;
+  const fetcher = () => new Promise(resolve => setTimeout(() => resolve(++calls), 10));
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.wrap('news', 'k', fetcher)));
+  assert.deepEqual(results.map(result => result.value), [1, 1, 1]);
+  assert.equal(calls, 1);
+});
+
+test('failures and vetoed values are not cached', async () => {
+  const cache = createTestCache();
+
+  await assert.rejects(cache.wrap('news', 'k', async () => {
+    throw new Error('upstream down');
+  }));
+  assert.equal(cache.store.size, 0);
+
+  await cache.wrap('news', 'k', async () => 'partial', { cacheable: value => value !== 'partial' });
+  assert.equal(cache.store.size, 0);
+});
+
+test('peek only returns fresh entries', () => {
+  const cache = createTestCache();
+  storeAged(cache, 'fresh', 'a', 0);
+  storeAged(cache, 'stale', 'b', 2000);
+
+  assert.equal(cache.peek('news', 'fresh').value, 'a');
+  assert.equal(cache.peek('news', 'stale'), undefined);
+});
+
+test('the memory store evicts the least recently used entry', () => {
+  const store = new MemoryStore({ maxEntries: 2 });
+  store.set('a', 1);
+  store.set('b', 2);
+  store.get('a');
+  store.set('c', 3);
+
+  assert.deepEqual([...store.entries.keys()], ['a', 'c']);
+});
+
+test('contentHash depends on every part', () => {
+  assert.equal(contentHash('a', 'b'), contentHash('a', 'b'));
+  assert.notEqual(contentHash('a', 'b'), contentHash('a', 'c'));
+  assert.equal(contentHash('a', undefined), contentHash('a', ''));
+});
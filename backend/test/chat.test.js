@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { ChatStore, answerQuestion, checkChatReply, parseChatRequest, relatedArticles } from '../chat.js';
+import { generate, resolveAnalyzer } from '../analyzers/index.js';
+import { articleId } from '../store.js';
+
+const ARTICLE = { title: 'Rates rise', url: 'https://example.com/rates' };
+const ANSWER = { answer: 'The central bank.', citations: [] };
+
+const FEED = [
+  { title: 'Central bank raises interest rates', url: 'https://example.com/bank', source: { id: null, name: 'Example News' } },
+  { title: 'Mortgage rates follow the central bank', url: 'https://example.com/mortgages', source: { id: null, name: 'Other Times' } },
+  { title: 'Probe reaches orbit', url: 'https://example.com/probe' }
+];
+
+function createTestChats() {
+  return new ChatStore({ file: path.join(os.tmpdir(), `chats-test-${process.pid}-${Math.random()}.json`) });
+}
+
+test('chat questions are read from the request body', () => {
+  const { chat } = parseChatRequest({
+    question: ' Who decided? ',
+    article: { ...FEED[0], author: 'Jane Roe' },
+    scope: 'feed',
+    articles: [FEED[1], { url: 'https://example.com/untitled' }, null]
+  });
+
+  assert.deepEqual(chat, {
+    question: 'Who decided?',
+    scope: 'feed',
+    article: { ...FEED[0], extract: undefined },
+    articles: [FEED[1]]
+  });
+  assert.match(parseChatRequest({ article: ARTICLE }).error, /"question" of 1 to 1000 characters/);
+  assert.match(parseChatRequest({ question: 'Why?' }).error, /"article" with at least a title or url/);
+  assert.match(parseChatRequest({ question: 'Why?', article: ARTICLE, scope: 'web' }).error, /Invalid scope "web"/);
+  assert.match(parseChatRequest({ question: 'Why?', article: ARTICLE, articles: 'all' }).error, /"articles" must be an array/);
+});
+
+test('related articles are the most similar others, without the article itself', () => {
+  const related = relatedArticles(FEED[0], 'What happens to mortgage rates?', FEED);
+  assert.deepEqual(related.map(article => article.url), ['https://example.com/mortgages']);
+});
+
+test('replies may only cite the articles they were given', () => {
+  assert.deepEqual(checkChatReply({ answer: 'Rates rose [1].', citations: [{ article: 1, claim: 'Rates rose' }] }, 1), []);
+  assert.deepEqual(checkChatReply({ answer: 'Rates rose [3].', citations: [{ article: 2, claim: 'Rates rose' }] }, 1), [
+    'reply.citations[0].article 2 is not an article number from the list',
+    'reply.answer cites [3], which is not an article number from the list'
+  ]);
+});
+
+test('answers cite the articles they came from', async () => {
+  const { chat } = parseChatRequest({ question: 'What happens to mortgages?', article: FEED[0] });
+  const selection = resolveAnalyzer({ provider: 'mock' });
+
+  const answer = await answerQuestion(chat, { articleText: 'The central bank raised rates.', candidates: FEED, turns: [] }, {
+    generate: async prompt => JSON.parse(await generate(prompt, selection))
+  });
+
+  assert.match(answer.answer, /^Mock answer to "What happens to mortgages\?"/);
+  assert.deepEqual(answer.citations, [{
+    article: 2,
+    claim: 'Mortgage rates follow the central bank',
+    title: 'Mortgage rates follow the central bank',
+    url: 'https://example.com/mortgages',
+    source: 'Other Times'
+  }]);
+});
+
+test('an invalid reply gets one repair round before it fails', async () => {
+  const { chat } = parseChatRequest({ question: 'Who decided?', article: ARTICLE });
+  const context = { articleText: 'The central bank raised rates.', candidates: [], turns: [] };
+  const replies = [{ answer: 'The bank [4].', citations: [] }, { answer: 'The bank [1].', citations: [{ article: 1, claim: 'The bank' }] }];
+  const prompts = [];
+
+  const answer = await answerQuestion(chat, context, {
+    generate: async prompt => {
+      prompts.push(prompt);
+      return replies.shift();
+    }
+  });
+
+  assert.match(prompts[1], /reply.answer cites \[4\]/);
+  assert.equal(answer.answer, 'The bank [1].');
+  await assert.rejects(answerQuestion(chat, context, { generate: async () => ({ answer: '' }) }), { code: 'INVALID_CHAT_REPLY' });
+});
+
+test('questions and answers are kept in one session per article', () => {
+  const chats = createTestChats();
+  chats.addTurn('alice', ARTICLE, 'Who decided?', ANSWER, { scope: 'article' });
+  chats.addTurn('alice', ARTICLE, 'When?', ANSWER, { scope: 'article' });
+
+  const session = chats.forArticle('alice', ARTICLE);
+  assert.equal(session.id, articleId(ARTICLE));
+  assert.deepEqual(session.messages.map(message => [message.role, message.content]), [
+    ['user', 'Who decided?'],
+    ['assistant', 'The central bank.'],
+    ['user', 'When?'],
+    ['assistant', 'The central bank.']
+  ]);
+  assert.equal(chats.list('alice')[0].messages, 4);
+});
+
+test('each user has their own session for an article', () => {
+  const chats = createTestChats();
+  chats.addTurn('alice', ARTICLE, 'Who decided?', ANSWER, { scope: 'article' });
+
+  assert.equal(chats.forArticle('alice', ARTICLE).messages.length, 2);
+  assert.equal(chats.forArticle('bob', ARTICLE), null);
+  assert.equal(chats.list('alice').length, 1);
+  assert.deepEqual(chats.list('bob'), []);
+});
+
+test('a user can only delete their own session', () => {
+  const chats = createTestChats();
+  chats.addTurn('alice', ARTICLE, 'Who decided?', ANSWER, { scope: 'article' });
+
+  assert.equal(chats.delete('bob', articleId(ARTICLE)), false);
+  assert.equal(chats.delete('alice', articleId(ARTICLE)), true);
+  assert.equal(chats.get('alice', articleId(ARTICLE)), null);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterArticles, cosineSimilarity, tfidfVectors, tokenize } from '../cluster.js';
+
+const article = (title, source, description = '') => ({ title, description, source: { name: source } });
+
+test('tokenize drops stopwords, short words, punctuation and accents', () => {
+  assert.deepEqual(tokenize('The Café reopens after the storm!'), ['cafe', 'reopens', 'storm']);
+});
+
+test('identical documents are fully similar, unrelated ones not at all', () => {
+  const [a, b, c] = tfidfVectors([tokenize('central bank raises rates'), tokenize('central bank raises rates'), tokenize('football final tonight')]);
+
+  assert.ok(Math.abs(cosineSimilarity(a, b) - 1) < 1e-9);
+  assert.equal(cosineSimilarity(a, c), 0);
+});
+
+test('articles about the same story end up in one cluster', () => {
+  const clusters = clusterArticles([
+    article('Central bank raises interest rates again - Outlet A', 'Outlet A'),
+    article('Interest rates raised again by central bank', 'Outlet B'),
+    article('Local team wins football championship final', 'Outlet C'),
+    article('Central bank interest rates rise for third time', 'Outlet D')
+  ]);
+
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].size, 3);
+  assert.deepEqual(clusters[0].sources, ['Outlet A', 'Outlet B', 'Outlet D']);
+});
+
+test('clusters smaller than minSize are dropped', () => {
+  const articles = [article('Volcano erupts on remote island', 'A'), article('Election results announced tonight', 'B')];
+
+  assert.equal(clusterArticles(articles).length, 0);
+  assert.equal(clusterArticles(articles, { minSize: 1 }).length, 2);
+});
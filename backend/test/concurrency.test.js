@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import express from 'express';
+import { runWithConcurrency, withRetry } from '../concurrency.js';
+import { openEventStream } from '../sse.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('no more than `limit` items are worked on at once', async () => {
+  let running = 0;
+  let busiest = 0;
+  const done = [];
+
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item, index) => {
+    busiest = Math.max(busiest, ++running);
+    await tick();
+    running--;
+    done[index] = item * 10;
+  });
+
+  assert.equal(busiest, 2);
+  assert.deepEqual(done, [10, 20, 30, 40, 50]);
+});
+
+test('no further items are started once shouldStop is true', async () => {
+  const started = [];
+
+  await runWithConcurrency([1, 2, 3, 4], 1, async item => {
+    started.push(item);
+  }, { shouldStop: () => started.length === 2 });
+
+  assert.deepEqual(started, [1, 2]);
+});
+
+test('retryable errors are retried until the call succeeds', async () => {
+  const retries = [];
+
+  const result = await withRetry(async attempt => {
+    if (attempt === 0) throw new Error('quota');
+    return 'ok';
+  }, { retries: 2, baseDelay: 0, onRetry: (error, attempt) => retries.push([error.message, attempt]) });
+
+  assert.equal(result, 'ok');
+  assert.deepEqual(retries, [['quota', 1]]);
+});
+
+test('other errors, and the last retry\'s, are thrown', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new Error('bad request');
+  }, { baseDelay: 0, isRetryable: error => error.message === 'quota' }), /bad request/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new Error('quota');
+  }, { retries: 1, baseDelay: 0 }), /quota/);
+  assert.equal(calls, 2);
+});
+
+test('events are written in the event stream format', async () => {
+  const app = express();
+  app.post('/events', (req, res) => {
+    const stream = openEventStream(req, res);
+    stream.send('progress', { index: 0, status: 'done' });
+    stream.close();
+    stream.send('progress', { index: 1 });
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/events`, { method: 'POST' });
+
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    assert.equal(await response.text(), 'event: progress\ndata: {"index":0,"status":"done"}\n\n');
+  } finally {
+    server.close();
+  }
+});
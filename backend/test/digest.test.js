@@ -0,0 +1,256 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import {
+  DigestScheduler,
+  DigestStore,
+  checkDigest,
+  collectStories,
+  createDigestGenerator,
+  parseDigestOptions,
+  parseSchedule,
+  renderDigestHtml
+} from '../digest.js';
+import { createDigestsRouter } from '../routes/digests.js';
+import { UserStore, authenticate } from '../users.js';
+
+function tempFile(name) {
+  return path.join(os.tmpdir(), `${name}-test-${process.pid}-${Math.random()}.json`);
+}
+
+function createTestDigests() {
+  return new DigestStore({ file: tempFile('digests'), outboxDir: path.join(os.tmpdir(), `outbox-test-${process.pid}`) });
+}
+
+function article(title, source = 'Example News') {
+  return { title, url: `https://example.com/${encodeURIComponent(title)}`, source: { id: null, name: source } };
+}
+
+function digestOf(ownerId) {
+  return {
+    id: `${ownerId}-${Math.random()}`,
+    ownerId,
+    createdAt: new Date().toISOString(),
+    headline: 'A quiet day',
+    sections: [{ name: 'Business · US', overview: 'Little happened.', sentiment: null, stories: [], worthWatching: [] }],
+    totals: { stories: 0 }
+  };
+}
+
+// The digests router with real accounts, on an ephemeral port. `run` gets
+// the API's base URL, the store and a session token for each of two users.
+async function withDigestsApi(run) {
+  const users = new UserStore({ file: tempFile('users') });
+  const digests = createTestDigests();
+
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate(users));
+  app.use('/api', createDigestsRouter(digests));
+
+  const tokens = {};
+  for (const name of ['alice', 'bob']) {
+    tokens[name] = users.createSession(await users.register(name, 'password1'));
+  }
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    await run({ api: `http://127.0.0.1:${server.address().port}/api`, digests, tokens });
+  } finally {
+    server.close();
+  }
+}
+
+function as(token, options = {}) {
+  return {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+  };
+}
+
+// Headlines per "category:country"
+function headlinesFrom(sections) {
+  return async ({ category, country }) => {
+    const found = sections[`${category}:${country}`];
+    if (!found) throw new Error(`No headlines for ${category}:${country}`);
+    return found;
+  };
+}
+
+const HEADLINES = headlinesFrom({
+  'business:us': [article('Central bank raises interest rates'), article('Oil prices climb')],
+  'business:gb': [article('Central bank raises interest rates again', 'Other Times'), article('Pound steadies')]
+});
+
+test('digest options and schedules are read from the request body', () => {
+  assert.deepEqual(parseDigestOptions({}), { options: { categories: ['general'], countries: ['us'], pageSize: 10 } });
+  assert.deepEqual(parseDigestOptions({ categories: 'Business,science', countries: ['GB'], pageSize: 50 }).options, {
+    categories: ['business', 'science'],
+    countries: ['gb'],
+    pageSize: 20
+  });
+  assert.match(parseDigestOptions({ categories: 'gossip' }).error, /Unknown category: gossip/);
+  assert.match(parseDigestOptions({ countries: 'usa' }).error, /two-letter codes/);
+
+  assert.deepEqual(parseSchedule({ time: '06:30', enabled: 'false' }).schedule, {
+    enabled: false,
+    time: '06:30',
+    categories: ['general'],
+    countries: ['us'],
+    pageSize: 10,
+    outbox: true
+  });
+  assert.match(parseSchedule({ time: '25:00' }).error, /Invalid "time"/);
+});
+
+test('stories covered in several sections are merged into the first one', async () => {
+  const { sections, totals } = await collectStories({ categories: ['business'], countries: ['us', 'gb'], pageSize: 10 }, HEADLINES);
+
+  assert.deepEqual(totals, { articles: 4, stories: 3 });
+  assert.deepEqual(sections.map(section => section.name), ['Business · US', 'Business · GB']);
+  assert.deepEqual(sections[0].stories.map(story => [story.id, story.title, story.sources]), [
+    [1, 'Central bank raises interest rates', ['Example News', 'Other Times']],
+    [2, 'Oil prices climb', ['Example News']]
+  ]);
+  assert.deepEqual(sections[1].stories.map(story => story.title), ['Pound steadies']);
+});
+
+test('a section without headlines is skipped, unless every section fails', async () => {
+  const { sections } = await collectStories({ categories: ['business', 'science'], countries: ['us'], pageSize: 10 }, HEADLINES);
+  assert.deepEqual(sections.map(section => section.stories.length), [2, 0]);
+
+  await assert.rejects(collectStories({ categories: ['science'], countries: ['us'], pageSize: 10 }, HEADLINES), /No headlines for science:us/);
+});
+
+test('digests may only refer to the sections and stories they were given', () => {
+  const sections = [{ name: 'Business · US', stories: [{ id: 1 }] }];
+  const section = { name: 'Business · US', overview: 'Rates rose.', sentiment: { type: 'Mixed', explanation: 'Both.' }, stories: [{ id: 1, summary: 'Up.' }], worthWatching: [] };
+
+  assert.deepEqual(checkDigest({ headline: 'Rates rose', sections: [section] }, sections), []);
+  assert.deepEqual(checkDigest({ headline: 'Rates rose', sections: [{ ...section, name: 'Gossip', stories: [{ id: 7, summary: 'Made up.' }] }] }, sections), [
+    'digest.sections[0].name "Gossip" is not one of the given sections',
+    'digest.sections[0].stories[0].id 7 is not a story number from the list'
+  ]);
+});
+
+test('an invalid digest gets one repair round before it fails', async () => {
+  const generateDigest = createDigestGenerator({ headlines: HEADLINES });
+  const prompts = [];
+  const valid = {
+    headline: 'Rates rose',
+    sections: [{ name: 'Business · US', overview: 'Rates rose.', sentiment: { type: 'Negative', explanation: 'Dearer loans.' }, stories: [{ id: 1, summary: 'Rates up.' }], worthWatching: ['Mortgages'] }]
+  };
+  const replies = [{ headline: 'Rates rose', sections: [] }, valid];
+
+  const digest = await generateDigest({ categories: ['business'], countries: ['us'], pageSize: 10 }, {
+    generate: async prompt => {
+      prompts.push(prompt);
+      return replies.shift();
+    },
+    analyzer: { provider: 'mock', model: 'mock-1' }
+  });
+
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /digest.sections must have at least 1 item/);
+  assert.deepEqual(digest.sections[0].stories, [{
+    title: 'Central bank raises interest rates',
+    summary: 'Rates up.',
+    sources: ['Example News'],
+    articles: [{ title: 'Central bank raises interest rates', url: 'https://example.com/Central%20bank%20raises%20interest%20rates', source: 'Example News' }]
+  }]);
+
+  await assert.rejects(
+    generateDigest({ categories: ['business'], countries: ['us'], pageSize: 10 }, { generate: async () => ({ headline: '' }) }),
+    { code: 'INVALID_DIGEST', status: 502 }
+  );
+});
+
+test('the HTML digest escapes its text and only links http(s) URLs', () => {
+  const html = renderDigestHtml({
+    createdAt: '2024-05-07T07:00:00.000Z',
+    headline: 'Rates <script>alert(1)</script>',
+    totals: { stories: 1, articles: 1 },
+    sections: [{
+      name: 'Business · US',
+      overview: 'Rates "rose".',
+      sentiment: null,
+      stories: [{ title: 'Rates rise', summary: 'Up.', sources: ['Example News'], articles: [{ url: 'javascript:alert(1)' }] }],
+      worthWatching: []
+    }]
+  });
+
+  assert.match(html, /Rates &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /Rates &quot;rose&quot;\./);
+  assert.match(html, /<a href="#"/);
+  assert.doesNotMatch(html, /javascript:/);
+});
+
+test('a schedule is due once a day, from its time on', () => {
+  const scheduler = new DigestScheduler(createTestDigests(), async () => null);
+  const schedule = { enabled: true, time: '07:00', lastRunAt: null };
+
+  const morning = new Date();
+  morning.setHours(6, 59, 0, 0);
+  assert.equal(scheduler.isDue(schedule, morning), false);
+  morning.setHours(7, 0, 0, 0);
+  assert.equal(scheduler.isDue(schedule, morning), true);
+  assert.equal(scheduler.isDue({ ...schedule, enabled: false }, morning), false);
+  assert.equal(scheduler.isDue({ ...schedule, lastRunAt: morning.toISOString() }, morning), false);
+});
+
+test('a user only sees their own digests', async () => {
+  await withDigestsApi(async ({ api, digests, tokens }) => {
+    const saved = await (await fetch(`${api}/digest/schedule`, as(tokens.alice, { method: 'PUT', body: JSON.stringify({ time: '07:00' }) }))).json();
+    const digest = digests.save(digestOf(saved.schedule.ownerId));
+
+    assert.equal((await fetch(`${api}/digests`)).status, 401);
+    assert.deepEqual((await (await fetch(`${api}/digests`, as(tokens.alice))).json()).digests.map(listed => listed.id), [digest.id]);
+    assert.deepEqual((await (await fetch(`${api}/digests`, as(tokens.bob))).json()).digests, []);
+
+    for (const route of [`/digests/${digest.id}`, `/digests/${digest.id}/html`]) {
+      assert.equal((await fetch(`${api}${route}`, as(tokens.bob))).status, 404);
+      assert.equal((await fetch(`${api}${route}`, as(tokens.alice))).status, 200);
+    }
+    assert.equal((await fetch(`${api}/digests/${digest.id}/outbox`, as(tokens.bob, { method: 'POST' }))).status, 404);
+  });
+});
+
+test('each user saves a schedule of their own', async () => {
+  await withDigestsApi(async ({ api, tokens }) => {
+    const save = (token, time) => fetch(`${api}/digest/schedule`, as(token, { method: 'PUT', body: JSON.stringify({ time }) }));
+
+    assert.equal((await save(null, '07:00')).status, 401);
+    assert.equal((await save(tokens.alice, '07:00')).status, 200);
+    assert.equal((await save(tokens.bob, '18:30')).status, 200);
+
+    assert.equal((await (await fetch(`${api}/digest/schedule`, as(tokens.alice))).json()).schedule.time, '07:00');
+    assert.equal((await (await fetch(`${api}/digest/schedule`, as(tokens.bob))).json()).schedule.time, '18:30');
+  });
+});
+
+test('every due schedule runs for its owner', async () => {
+  const digests = createTestDigests();
+  digests.setSchedule('alice', { enabled: true, time: '00:00', categories: ['business'], countries: ['us'], outbox: false });
+  digests.setSchedule('bob', { enabled: true, time: '00:00', categories: ['science'], countries: ['gb'], outbox: false });
+  digests.setSchedule('carol', { enabled: false, time: '00:00', categories: ['sports'], countries: ['us'], outbox: false });
+
+  const runs = [];
+  const scheduler = new DigestScheduler(digests, async ({ ownerId, categories }) => {
+    runs.push([ownerId, categories]);
+    return digestOf(ownerId);
+  });
+
+  await scheduler.tick();
+  assert.deepEqual(runs, [['alice', ['business']], ['bob', ['science']]]);
+  assert.equal(digests.list('alice').length, 1);
+  assert.equal(digests.list('bob').length, 1);
+  assert.equal(digests.getSchedule('carol').lastRunAt, null);
+
+  // Each runs once a day
+  await scheduler.tick();
+  assert.equal(runs.length, 2);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../export.js';
+
+const COLUMNS = { title: row => row.title, score: row => row.score, tags: row => row.tags };
+
+test('cells that spreadsheets would run as formulas are escaped', () => {
+  const csv = toCsv([
+    { title: '=HYPERLINK("http://evil.example")' },
+    { title: '+1' },
+    { title: '-1' },
+    { title: '@SUM(A1)' },
+    { title: '\tcmd' }
+  ], COLUMNS);
+
+  assert.deepEqual(csv.trim().split('\r\n').slice(1).map(line => line.split(',')[0]), [
+    '"\'=HYPERLINK(""http://evil.example"")"',
+    "'+1",
+    "'-1",
+    "'@SUM(A1)",
+    "'\tcmd"
+  ]);
+});
+
+test('numbers are not escaped, even negative ones', () => {
+  assert.equal(toCsv([{ score: -0.5 }], COLUMNS), 'title,score,tags\r\n,-0.5,\r\n');
+});
+
+test('quotes, commas and newlines are quoted and lists are joined', () => {
+  const csv = toCsv([{ title: 'Say "hi", then\nleave', tags: ['a', 'b'] }], COLUMNS);
+  assert.equal(csv, 'title,score,tags\r\n"Say ""hi"", then\nleave",,a | b\r\n');
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { extractMainText, fetchFullText } from '../extract.js';
+
+test('the story is extracted without navigation, share bars or ads', () => {
+  const html = readFileSync(new URL('./fixtures/article.html', import.meta.url), 'utf8');
+
+  assert.equal(extractMainText(html), [
+    'The central bank raised interest rates for the third time this year, citing inflation.',
+    'Economists had expected the move, although some warned it could slow hiring in the spring.'
+  ].join('\n\n'));
+});
+
+test('pages without an article element use the block with the most text', () => {
+  const html = `
+    <body>
+      <div id="links"><p><a href="/a">A link-only paragraph that is long enough to count for something</a></p></div>
+      <div id="story">
+        <p>The probe reached orbit on Tuesday, after a journey of seven months, engineers said.</p>
+        <p>It will map the surface, study the atmosphere, and look for water near the poles.</p>
+      </div>
+    </body>`;
+
+  assert.match(extractMainText(html), /^The probe reached orbit.*\n\nIt will map the surface/);
+});
+
+test('pages without article text give an empty string', () => {
+  assert.equal(extractMainText('<body><p>Too short.</p></body>'), '');
+});
+
+test('only http(s) URLs are fetched', async () => {
+  await assert.rejects(fetchFullText('file:///etc/passwd'), /no http\(s\) URL/);
+  await assert.rejects(fetchFullText(undefined), /no http\(s\) URL/);
+});
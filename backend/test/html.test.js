@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import vm from 'vm';
+
+// frontend/html.js is a classic browser script, so run it in a context of
+// its own and use the functions it declares
+const html = {};
+vm.runInNewContext(readFileSync(new URL('../../frontend/html.js', import.meta.url), 'utf8'), Object.assign(html, { URL }));
+const { escapeHtml, safeUrl, externalLink } = html;
+
+test('markup and quotes are escaped', () => {
+  assert.equal(escapeHtml('<script>alert("x")</script>'), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+  assert.equal(escapeHtml(`It's <b>"bold"</b> & more`), 'It&#39;s &lt;b&gt;&quot;bold&quot;&lt;/b&gt; &amp; more');
+  assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('only absolute http(s) URLs are safe', () => {
+  assert.equal(safeUrl('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+  assert.equal(safeUrl('HTTP://Example.com'), 'http://example.com/');
+
+  for (const url of [
+    'javascript:alert(1)',
+    ' JavaScript:alert(1)',
+    'java\tscript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd',
+    '/relative/path',
+    '//example.com/protocol-relative',
+    'example.com',
+    '',
+    null,
+    undefined
+  ]) {
+    assert.equal(safeUrl(url), null, String(url));
+  }
+});
+
+test('links open in a new tab with their attributes escaped', () => {
+  assert.equal(
+    externalLink('https://example.com/?q="x"', 'Read', { className: 'source-link', title: 'Say "hi" <now>' }),
+    '<a href="https://example.com/?q=%22x%22" target="_blank" rel="noopener noreferrer" class="source-link" title="Say &quot;hi&quot; &lt;now&gt;">Read</a>'
+  );
+});
+
+test('unsafe URLs leave the content without a link', () => {
+  assert.equal(externalLink('javascript:alert(1)', 'Read'), 'Read');
+  assert.equal(externalLink('data:text/html,hi', 'Read'), 'Read');
+  assert.equal(externalLink('/articles/1', 'Read'), 'Read');
+});
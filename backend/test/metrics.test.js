@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import express from 'express';
+import { errorClass, observeRequests, observeUpstream, renderMetrics } from '../metrics.js';
+import { traceRequests } from '../logger.js';
+
+test('upstream calls are counted and timed, and failures classed', async () => {
+  assert.equal(await observeUpstream('test', 'ok', async () => 'done'), 'done');
+  await assert.rejects(observeUpstream('test', 'fail', async () => {
+    throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  }));
+
+  const metrics = renderMetrics();
+  assert.match(metrics, /^upstream_requests_total\{service="test",operation="ok"\} 1$/m);
+  assert.match(metrics, /^upstream_request_duration_seconds_count\{service="test",operation="fail"\} 1$/m);
+  assert.match(metrics, /^upstream_errors_total\{service="test",operation="fail",class="unavailable"\} 1$/m);
+});
+
+test('errors are classed the same for every upstream', () => {
+  assert.equal(errorClass({ code: 'NOT_CONFIGURED' }), 'auth');
+  assert.equal(errorClass({ code: 'apiKeyInvalid', status: 401 }), 'auth');
+  assert.equal(errorClass({ status: 429 }), 'rate_limit');
+  assert.equal(errorClass({ code: 'TIMEOUT', status: 504 }), 'timeout');
+  assert.equal(errorClass({ code: 'ECONNABORTED' }), 'timeout');
+  assert.equal(errorClass({ code: 'FEED_UNAVAILABLE', status: 502 }), 'unavailable');
+  assert.equal(errorClass({ status: 404 }), 'client');
+  assert.equal(errorClass({ response: { status: 404 } }), 'client');
+  assert.equal(errorClass({ code: 'BLOCKED_URL' }), 'client');
+  assert.equal(errorClass({ name: 'CanceledError' }), 'aborted');
+  assert.equal(errorClass(new Error('boom')), 'server');
+});
+
+test('requests get an id and are counted by their route', async () => {
+  const app = express();
+  app.use(traceRequests());
+  app.use(observeRequests());
+  app.get('/api/articles/:id', (req, res) => res.json({ id: req.params.id, requestId: req.id }));
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    const api = `http://127.0.0.1:${server.address().port}/api`;
+
+    const given = await fetch(`${api}/articles/1`, { headers: { 'X-Request-Id': 'trace-123' } });
+    assert.equal(given.headers.get('x-request-id'), 'trace-123');
+    assert.equal((await given.json()).requestId, 'trace-123');
+
+    const odd = await fetch(`${api}/articles/2`, { headers: { 'X-Request-Id': 'not a sane idé' } });
+    assert.match(odd.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    await odd.text();
+    await (await fetch(`${api}/nothing-here`)).text();
+  } finally {
+    server.close();
+  }
+  // Requests are counted once their connection is done
+  await once(server, 'close');
+
+  const metrics = renderMetrics();
+  assert.match(metrics, /^http_requests_total\{method="GET",route="\/api\/articles\/:id",status="200"\} 2$/m);
+  assert.match(metrics, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+  assert.match(metrics, /^http_request_duration_seconds_count\{method="GET",route="\/api\/articles\/:id"\} 2$/m);
+});
@@ -0,0 +1,88 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios, { AxiosError } from 'axios';
+import { BlockedUrlError, isPublicAddress, requestPublicUrl } from '../outbound.js';
+
+const defaultAdapter = axios.defaults.adapter;
+
+afterEach(() => {
+  axios.defaults.adapter = defaultAdapter;
+});
+
+// Answer each axios request with the next of `responses`, recording the URLs
+// that were actually requested. Statuses the request doesn't accept reject,
+// as they do with the real adapter.
+function respondWith(responses, requested = []) {
+  axios.defaults.adapter = async config => {
+    requested.push(config.url);
+    const { status = 200, headers = {}, data = '' } = responses.shift();
+    const response = { status, statusText: '', headers, config, data };
+    if (!config.validateStatus(status)) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, null, response);
+    }
+    return response;
+  };
+  return requested;
+}
+
+test('loopback, private, link-local and metadata addresses are not public', () => {
+  for (const address of [
+    '127.0.0.1', '127.8.8.8', '::1', '0.0.0.0',
+    '10.0.0.1', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.0.1', '169.254.169.254', 'fe80::1', 'fd00:ec2::254', 'fc00::1',
+    '::ffff:127.0.0.1', '::ffff:10.0.0.1', '64:ff9b::7f00:1'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+
+  for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress('example.com'), false);
+});
+
+test('blocked address literals are refused before any request', async () => {
+  const requested = respondWith([]);
+
+  for (const url of [
+    'http://127.0.0.1/', 'http://10.0.0.1/admin', 'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]:8080/', 'http://[::ffff:127.0.0.1]/', 'http://[::ffff:7f00:1]/', 'file:///etc/passwd', 'not a url'
+  ]) {
+    await assert.rejects(requestPublicUrl({ url }), BlockedUrlError, url);
+  }
+  assert.deepEqual(requested, []);
+});
+
+test('host names that resolve to a private address are refused', async () => {
+  await assert.rejects(requestPublicUrl({ url: 'http://localhost:9/' }), {
+    code: 'BLOCKED_URL',
+    message: 'localhost resolves to 127.0.0.1, which is not a public address'
+  });
+});
+
+test('a redirect from a public host to a private one is not followed', async () => {
+  const requested = respondWith([
+    { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } },
+    { data: 'secret' }
+  ]);
+
+  await assert.rejects(requestPublicUrl({ url: 'http://93.184.216.34/story' }), BlockedUrlError);
+  assert.deepEqual(requested, ['http://93.184.216.34/story']);
+});
+
+test('redirects between public hosts are followed, up to the limit', async () => {
+  const requested = respondWith([
+    { status: 301, headers: { location: '/moved' } },
+    { status: 302, headers: { location: 'https://8.8.8.8/final' } },
+    { data: 'story' }
+  ]);
+
+  const response = await requestPublicUrl({ url: 'http://93.184.216.34/story' });
+  assert.equal(response.data, 'story');
+  assert.deepEqual(requested, ['http://93.184.216.34/story', 'http://93.184.216.34/moved', 'https://8.8.8.8/final']);
+
+  respondWith([{ status: 302, headers: { location: '/again' } }, { status: 302, headers: { location: '/again' } }]);
+  await assert.rejects(requestPublicUrl({ url: 'http://93.184.216.34/loop' }, { maxRedirects: 1 }), {
+    message: 'Request failed with status code 302'
+  });
+});
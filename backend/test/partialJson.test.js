@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readCompletedField, readPartialString } from '../partialJson.js';
+
+test('readPartialString returns the string received so far', () => {
+  assert.equal(readPartialString('{"summary": "The minister said', 'summary'), 'The minister said');
+  assert.equal(readPartialString('{"summary": "Done", "tone"', 'summary'), 'Done');
+  assert.equal(readPartialString('{"summ', 'summary'), undefined);
+});
+
+test('readPartialString decodes escapes and drops one cut off mid-chunk', () => {
+  assert.equal(readPartialString('{"summary": "He said \\"no\\"', 'summary'), 'He said "no"');
+  assert.equal(readPartialString('{"summary": "line\\', 'summary'), 'line');
+  assert.equal(readPartialString('{"summary": "caf\\u00e', 'summary'), 'caf');
+  assert.equal(readPartialString('{"summary": "caf\\u00e9', 'summary'), 'café');
+});
+
+test('readCompletedField waits for the whole value', () => {
+  assert.equal(readCompletedField('{"keyPoints": ["a", "b"', 'keyPoints'), undefined);
+  assert.deepEqual(readCompletedField('{"keyPoints": ["a", "b"]', 'keyPoints'), ['a', 'b']);
+  assert.deepEqual(
+    readCompletedField('{"sentiment": {"type": "Positive", "note": "a } in a string"}, "x"', 'sentiment'),
+    { type: 'Positive', note: 'a } in a string' }
+  );
+});
+
+test('readCompletedField reads numbers and literals once a delimiter follows', () => {
+  assert.equal(readCompletedField('{"score": 0.7', 'score'), undefined);
+  assert.equal(readCompletedField('{"score": 0.7,', 'score'), 0.7);
+  assert.equal(readCompletedField('{"flag": true}', 'flag'), true);
+});
@@ -0,0 +1,235 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import axios, { AxiosError } from 'axios';
+import rss, { parseFeed } from '../providers/rss.js';
+import newsapi from '../providers/newsapi.js';
+import gnews from '../providers/gnews.js';
+import { ProviderError, searchArticles } from '../providers/index.js';
+
+const defaultAdapter = axios.defaults.adapter;
+const env = { ...process.env };
+
+afterEach(() => {
+  axios.defaults.adapter = defaultAdapter;
+  process.env = { ...env };
+});
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+// Answer every axios request with `status` and `data`, the way the provider's
+// API would. Non-2xx answers reject like they do against the real API.
+function respondWith(status, data, requests = []) {
+  axios.defaults.adapter = async config => {
+    requests.push(config);
+    const response = { status, statusText: '', headers: {}, config, data };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, config, null, response);
+    }
+    return response;
+  };
+  return requests;
+}
+
+test('RSS items become articles, with CDATA and entities decoded', () => {
+  const [rates, markets] = parseFeed(fixture('feed.rss.xml'));
+
+  assert.deepEqual(rates, {
+    source: { id: null, name: 'Example Wire' },
+    author: 'Jane Roe',
+    title: 'Rates rise again',
+    description: 'The central bank raised rates "once more".',
+    url: 'https://news.example.com/rates',
+    urlToImage: 'https://news.example.com/rates.jpg',
+    publishedAt: '2024-05-07T09:30:00.000Z',
+    content: 'The central bank raised rates "once more".'
+  });
+
+  // Missing fields fall back to the feed's title and nulls
+  assert.deepEqual(markets, {
+    source: { id: null, name: 'Example & Co News' },
+    author: null,
+    title: 'Markets & bonds: a quiet day',
+    description: null,
+    url: 'https://news.example.com/markets',
+    urlToImage: 'https://news.example.com/markets.jpg',
+    publishedAt: null,
+    content: null
+  });
+});
+
+test('Atom entries become articles', () => {
+  assert.deepEqual(parseFeed(fixture('feed.atom.xml')), [{
+    source: { id: null, name: 'Example Science' },
+    author: 'John Doe',
+    title: 'Probe reaches orbit',
+    description: 'The probe is in orbit.',
+    url: 'https://science.example.com/probe',
+    urlToImage: null,
+    publishedAt: '2024-05-07T12:00:00.000Z',
+    content: 'The probe is in orbit.'
+  }]);
+});
+
+test('documents that are not feeds are rejected', () => {
+  assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Unrecognized feed format/);
+});
+
+test('NewsAPI results are mapped onto articles', async () => {
+  process.env.NEWS_API_KEY = 'test-key';
+  const requests = respondWith(200, JSON.parse(fixture('newsapi-top-headlines.json')));
+
+  const { totalResults, articles } = await newsapi.topHeadlines({ category: 'business', country: 'us', pageSize: 2 });
+
+  assert.equal(requests[0].params.apiKey, 'test-key');
+  assert.equal(totalResults, 38);
+  assert.deepEqual(articles[0].source, { id: 'example-news', name: 'Example News' });
+  assert.equal(articles[0].urlToImage, 'https://news.example.com/rates.jpg');
+  assert.deepEqual(articles[1], {
+    source: { id: null, name: 'Unknown source' },
+    author: null,
+    title: 'Markets quiet',
+    description: null,
+    url: 'https://news.example.com/markets',
+    urlToImage: null,
+    publishedAt: '2024-05-07T10:00:00Z',
+    content: null
+  });
+});
+
+test('NewsAPI errors keep the status and code of the error payload', async () => {
+  process.env.NEWS_API_KEY = 'test-key';
+  respondWith(401, { status: 'error', code: 'apiKeyInvalid', message: 'Your API key is invalid or incorrect.' });
+
+  await assert.rejects(newsapi.search({ q: 'rates', pageSize: 10 }), error => {
+    assert.ok(error instanceof ProviderError);
+    assert.equal(error.status, 401);
+    assert.equal(error.code, 'apiKeyInvalid');
+    assert.equal(error.message, 'Your API key is invalid or incorrect.');
+    return true;
+  });
+});
+
+test('GNews results are mapped onto articles', async () => {
+  process.env.GNEWS_API_KEY = 'test-key';
+  const requests = respondWith(200, JSON.parse(fixture('gnews-search.json')));
+
+  const { totalResults, articles } = await gnews.search({ q: 'probe', pageSize: 2, language: 'en', sortBy: 'publishedAt' });
+
+  const { q, lang, max, sortby, apikey } = requests[0].params;
+  assert.deepEqual({ q, lang, max, sortby, apikey }, { q: 'probe', lang: 'en', max: 2, sortby: 'publishedAt', apikey: 'test-key' });
+  assert.equal(totalResults, 2);
+  assert.deepEqual(articles[0], {
+    source: { id: null, name: 'Example Science' },
+    author: null,
+    title: 'Probe reaches orbit',
+    description: 'The probe is in orbit.',
+    url: 'https://science.example.com/probe',
+    urlToImage: 'https://science.example.com/probe.jpg',
+    publishedAt: '2024-05-07T12:00:00Z',
+    content: 'The probe reached orbit on Tuesday...'
+  });
+  assert.equal(articles[1].source.name, 'Unknown source');
+  assert.equal(articles[1].description, null);
+});
+
+test('GNews errors carry the messages of the error payload', async () => {
+  process.env.GNEWS_API_KEY = 'test-key';
+  respondWith(403, { errors: ['You have reached your daily quota.', 'Upgrade your plan.'] });
+
+  await assert.rejects(gnews.topHeadlines({ category: 'business', country: 'us', pageSize: 10 }), {
+    name: 'ProviderError',
+    status: 403,
+    code: 'GNEWS_ERROR',
+    message: 'You have reached your daily quota., Upgrade your plan.'
+  });
+});
+
+test('providers without a key are not configured', async () => {
+  delete process.env.NEWS_API_KEY;
+
+  assert.equal(newsapi.isConfigured(), false);
+  await assert.rejects(newsapi.search({ q: 'rates' }), { status: 500, code: 'NOT_CONFIGURED' });
+});
+
+test('a failing provider falls back to the next one', async () => {
+  process.env.NEWS_PROVIDER = 'newsapi';
+  process.env.NEWS_PROVIDER_FALLBACK = 'gnews';
+  delete process.env.NEWS_API_KEY;
+  process.env.GNEWS_API_KEY = 'test-key';
+  respondWith(200, JSON.parse(fixture('gnews-search.json')));
+
+  const result = await searchArticles({ q: 'probe', pageSize: 2 });
+
+  assert.equal(result.provider, 'gnews');
+  assert.equal(result.articles.length, 2);
+});
+
+test('search filters are passed on to NewsAPI and GNews', async () => {
+  process.env.NEWS_API_KEY = 'test-key';
+  process.env.GNEWS_API_KEY = 'test-key';
+  const requests = respondWith(200, { articles: [] });
+  const filters = { q: 'rates', pageSize: 10, sortBy: 'popularity', from: '2024-05-01', to: '2024-05-07', domains: 'example.com' };
+
+  await newsapi.search(filters);
+  await gnews.search(filters);
+
+  assert.deepEqual(
+    [requests[0].params.sortBy, requests[0].params.from, requests[0].params.to, requests[0].params.domains],
+    ['popularity', '2024-05-01', '2024-05-07', 'example.com']
+  );
+  // GNews has no popularity sort and wants full timestamps
+  assert.deepEqual(
+    [requests[1].params.sortby, requests[1].params.from, requests[1].params.to],
+    ['relevance', '2024-05-01T00:00:00.000Z', '2024-05-07T00:00:00.000Z']
+  );
+});
+
+test('RSS searches of configured feeds apply the filters locally', async () => {
+  process.env.RSS_FEEDS = 'https://news.example.com/feed.xml';
+  respondWith(200, fixture('feed.rss.xml'));
+  const search = async filters => (await rss.search({ q: 'rates', pageSize: 10, ...filters })).articles.map(article => article.url);
+
+  assert.deepEqual(await search({}), ['https://news.example.com/rates']);
+  assert.deepEqual(await search({ domains: 'example.com' }), ['https://news.example.com/rates']);
+  assert.deepEqual(await search({ excludeDomains: 'news.example.com' }), []);
+  assert.deepEqual(await search({ from: '2024-05-08' }), []);
+});
+
+test('RSS searches of Google News put the filters into the query', async () => {
+  delete process.env.RSS_FEEDS;
+  const requests = respondWith(200, fixture('feed.rss.xml'));
+
+  await rss.search({ q: 'rates', pageSize: 10, domains: 'a.com,b.com', excludeDomains: 'c.com', from: '2024-05-01', to: '2024-05-07' });
+
+  const query = new URL(requests[0].url).searchParams.get('q');
+  assert.equal(query, 'rates (site:a.com OR site:b.com) -site:c.com after:2024-05-01 before:2024-05-07');
+});
+
+test('NewsAPI and GNews are asked for the requested page', async () => {
+  process.env.NEWS_API_KEY = 'test-key';
+  process.env.GNEWS_API_KEY = 'test-key';
+  const requests = respondWith(200, { articles: [] });
+
+  await newsapi.topHeadlines({ category: 'business', country: 'us', pageSize: 10, page: 3 });
+  await gnews.search({ q: 'rates', pageSize: 10 });
+
+  assert.equal(requests[0].params.page, 3);
+  assert.equal(requests[1].params.page, 1);
+});
+
+test('RSS results are cut into pages locally', async () => {
+  process.env.RSS_FEEDS = 'https://news.example.com/feed.xml';
+  respondWith(200, fixture('feed.rss.xml'));
+
+  const first = await rss.topHeadlines({ category: 'general', pageSize: 1 });
+  const second = await rss.topHeadlines({ category: 'general', pageSize: 1, page: 2 });
+  const beyond = await rss.topHeadlines({ category: 'general', pageSize: 1, page: 3 });
+
+  assert.equal(first.totalResults, 2);
+  assert.deepEqual(first.articles.map(article => article.url), ['https://news.example.com/rates']);
+  assert.deepEqual(second.articles.map(article => article.url), ['https://news.example.com/markets']);
+  assert.deepEqual(beyond.articles, []);
+});
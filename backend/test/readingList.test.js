@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { ArticleStore } from '../store.js';
+import { createReadingListRouter } from '../routes/readingList.js';
+import { UserStore, authenticate } from '../users.js';
+
+const ARTICLE = { title: 'Rates rise', url: 'https://example.com/rates', source: { id: null, name: 'Example News' } };
+
+function tempFile(name) {
+  return path.join(os.tmpdir(), `${name}-test-${process.pid}-${Math.random()}.json`);
+}
+
+// The reading list router with real accounts, on an ephemeral port. `run`
+// gets the API's base URL, the store and a session token for each of two
+// users.
+async function withReadingListApi(run) {
+  const users = new UserStore({ file: tempFile('users') });
+  const store = new ArticleStore({ file: tempFile('store') });
+
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate(users));
+  app.use('/api', createReadingListRouter(store, users));
+
+  const tokens = {};
+  for (const name of ['alice', 'bob']) {
+    tokens[name] = users.createSession(await users.register(name, 'password1'));
+  }
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    await run({ api: `http://127.0.0.1:${server.address().port}/api`, store, tokens });
+  } finally {
+    server.close();
+  }
+}
+
+function as(token, options = {}) {
+  return {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+  };
+}
+
+function sync(api, body, token = null) {
+  return fetch(`${api}/reading-list/sync`, as(token, { method: 'POST', body: JSON.stringify(body) }));
+}
+
+test('the reading list only syncs to an account', async () => {
+  await withReadingListApi(async ({ api }) => {
+    assert.equal((await fetch(`${api}/reading-list`)).status, 401);
+    assert.equal((await sync(api, { saved: [{ article: ARTICLE }] })).status, 401);
+  });
+});
+
+test('saved and removed articles are synced', async () => {
+  await withReadingListApi(async ({ api, tokens }) => {
+    const savedAt = '2026-05-01T12:00:00.000Z';
+
+    assert.deepEqual(await (await sync(api, { saved: [{ article: ARTICLE, savedAt, analysisId: 'a1' }] }, tokens.alice)).json(), { saved: 1, removed: 0 });
+    const { articles } = await (await fetch(`${api}/reading-list`, as(tokens.alice))).json();
+    assert.deepEqual(articles.map(article => [article.url, article.savedAt, article.savedAnalysisId]), [[ARTICLE.url, savedAt, 'a1']]);
+
+    assert.deepEqual(await (await sync(api, { removed: [ARTICLE.url, 'https://example.com/never-saved'] }, tokens.alice)).json(), { saved: 0, removed: 1 });
+    assert.deepEqual((await (await fetch(`${api}/reading-list`, as(tokens.alice))).json()).articles, []);
+  });
+});
+
+test('syncing an article without some fields keeps the stored ones', async () => {
+  await withReadingListApi(async ({ api, store, tokens }) => {
+    store.upsertArticles([{ ...ARTICLE, description: 'The central bank raised rates.' }]);
+
+    await sync(api, { saved: [{ article: { title: ARTICLE.title, url: ARTICLE.url } }] }, tokens.alice);
+    const [saved] = (await (await fetch(`${api}/reading-list`, as(tokens.alice))).json()).articles;
+
+    assert.equal(saved.description, 'The central bank raised rates.');
+    assert.ok(saved.savedAt);
+  });
+});
+
+test('malformed syncs are rejected', async () => {
+  await withReadingListApi(async ({ api, tokens }) => {
+    for (const [body, expected] of [
+      [{ saved: 'all' }, { error: 'Invalid request', details: 'body.saved must be an array' }],
+      [{ saved: [{ article: { url: ARTICLE.url } }] }, { error: 'saved[0] needs an "article" with a url and a title' }],
+      [{ removed: [42] }, { error: 'Invalid request', details: 'body.removed[0] must be a string' }]
+    ]) {
+      const response = await sync(api, body, tokens.alice);
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), expected);
+    }
+  });
+});
+
+test('each user has their own reading list', async () => {
+  await withReadingListApi(async ({ api, tokens }) => {
+    const savedAt = '2026-05-01T12:00:00.000Z';
+
+    assert.deepEqual(await (await sync(api, { saved: [{ article: ARTICLE, savedAt }] }, tokens.alice)).json(), { saved: 1, removed: 0 });
+
+    const mine = await (await fetch(`${api}/reading-list`, as(tokens.alice))).json();
+    assert.deepEqual(mine.articles.map(article => [article.url, article.savedAt]), [[ARTICLE.url, savedAt]]);
+    assert.deepEqual((await (await fetch(`${api}/reading-list`, as(tokens.bob))).json()).articles, []);
+
+    assert.deepEqual(await (await sync(api, { removed: [ARTICLE.url] }, tokens.alice)).json(), { saved: 0, removed: 1 });
+    assert.deepEqual((await (await fetch(`${api}/reading-list`, as(tokens.alice))).json()).articles, []);
+  });
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import express from 'express';
+import { validate, validateRequest } from '../validate.js';
+import {
+  ANALYSES_QUERY, ARTICLES_QUERY, BATCH_REQUEST, CHAT_REQUEST, COMPARE_REQUEST, MAX_BATCH_SIZE, NEWS_COUNTRIES, NEWS_QUERY, SOURCES_QUERY
+} from '../requestSchemas.js';
+
+// Serve one GET and one POST route behind validateRequest(schema) on an
+// ephemeral port, answering with what the handler got
+async function withApp(schema, run) {
+  const app = express();
+  app.use(express.json());
+  app.get('/', validateRequest(schema, 'query'), (req, res) => res.json(req.query));
+  app.post('/', validateRequest(schema), (req, res) => res.json(req.body));
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/`);
+  } finally {
+    server.close();
+  }
+}
+
+test('a repeated query parameter is a 400, not a server error', async () => {
+  await withApp(ARTICLES_QUERY, async url => {
+    const response = await fetch(`${url}?q=rates&q=bank`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).details, 'query.q must be a string');
+  });
+
+  await withApp(ANALYSES_QUERY, async url => {
+    const response = await fetch(`${url}?sentiment=positive&sentiment=negative`);
+    assert.equal(response.status, 400);
+  });
+});
+
+test('query values are converted to the schema types and defaults filled in', async () => {
+  await withApp(ANALYSES_QUERY, async url => {
+    assert.deepEqual(await (await fetch(`${url}?limit=5&offset=&sentiment=neutral`)).json(), { limit: 5, sentiment: 'neutral' });
+    assert.equal((await fetch(`${url}?limit=many`)).status, 400);
+  });
+
+  await withApp(SOURCES_QUERY, async url => {
+    assert.deepEqual(await (await fetch(url)).json(), { rated: false });
+    assert.deepEqual(await (await fetch(`${url}?rated=true`)).json(), { rated: true });
+  });
+});
+
+test('a body that is not a JSON object is a 400', async () => {
+  await withApp(CHAT_REQUEST, async url => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([{ question: 'Why?' }])
+    });
+    assert.equal(response.status, 400);
+  });
+});
+
+test('the news query only takes known countries and page sizes', () => {
+  assert.deepEqual(validate(NEWS_QUERY, { country: 'us', pageSize: 10 }, 'query'), []);
+  assert.deepEqual(validate(NEWS_QUERY, { country: 'xx' }, 'query'), [`query.country must be one of: ${NEWS_COUNTRIES.join(', ')}`]);
+  assert.deepEqual(validate(NEWS_QUERY, { pageSize: 101 }, 'query'), ['query.pageSize must be at most 100']);
+});
+
+test('batches and comparisons are limited in size', () => {
+  const article = { title: 'Rates rise' };
+
+  assert.deepEqual(validate(BATCH_REQUEST, { articles: [] }, 'body'), ['body.articles must have at least 1 item']);
+  assert.deepEqual(
+    validate(BATCH_REQUEST, { articles: Array(MAX_BATCH_SIZE + 1).fill(article) }, 'body'),
+    [`body.articles must have at most ${MAX_BATCH_SIZE} items`]
+  );
+  assert.deepEqual(validate(COMPARE_REQUEST, { articles: [article, {}] }, 'body'), ['body.articles[1].title is required']);
+});
+
+test('chat questions need an article object and text fields', () => {
+  assert.deepEqual(validate(CHAT_REQUEST, { question: 'Who?', article: { title: 'Rates rise' } }, 'body'), []);
+  assert.deepEqual(validate(CHAT_REQUEST, { question: ['Who?'], article: 'rates' }, 'body'), [
+    'body.question must be a string',
+    'body.article must be an object'
+  ]);
+});
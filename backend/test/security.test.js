@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, errorDetails } from '../security.js';
+import { ProviderError } from '../providers/errors.js';
+import { AnalyzerError } from '../analyzers/errors.js';
+
+test('the rate limiter allows `limit` requests per window and client', () => {
+  const limiter = new RateLimiter({ limit: 2, windowMs: 60000 });
+
+  assert.deepEqual([1, 2, 3].map(() => limiter.hit('203.0.113.1').allowed), [true, true, false]);
+  assert.equal(limiter.hit('203.0.113.1').remaining, 0);
+  assert.equal(limiter.hit('203.0.113.2').allowed, true);
+});
+
+test('the rate limiter starts a new window once the old one has passed', () => {
+  const limiter = new RateLimiter({ limit: 1, windowMs: 60000 });
+
+  assert.equal(limiter.hit('203.0.113.1').allowed, true);
+  assert.equal(limiter.hit('203.0.113.1').allowed, false);
+
+  limiter.clients.get('203.0.113.1').resetAt = Date.now() - 1;
+  assert.equal(limiter.hit('203.0.113.1').allowed, true);
+});
+
+test('only messages marked to expose reach the client', () => {
+  const upstream = new ProviderError('Your API key 1234abcd is invalid', { status: 401 });
+  const written = new AnalyzerError('Invalid model name "x y"', { status: 400, expose: true });
+
+  assert.equal(errorDetails(written), 'Invalid model name "x y"');
+  assert.equal(errorDetails(upstream), 'The upstream service rejected our credentials');
+  assert.equal(errorDetails(new Error('ENOENT: /srv/app/data/store.json')), undefined);
+});
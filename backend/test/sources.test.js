@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArticleStore } from '../store.js';
+import { SourceRegistry, isBiasFlagged, sourceKey } from '../sources.js';
+
+function tempFile(name) {
+  return path.join(os.tmpdir(), `${name}-test-${process.pid}-${Math.random()}.json`);
+}
+
+function createTestStore() {
+  return new ArticleStore({ file: tempFile('store') });
+}
+
+function analyzed(store, title, type, biasDetection, source = { id: null, name: 'Example News' }) {
+  const article = { title, url: `https://example.com/${encodeURIComponent(title)}`, source };
+  return store.saveAnalysis({ article, analysis: { sentiment: { type }, biasDetection }, contentHash: title });
+}
+
+test('outlets are keyed by a slug of their name', () => {
+  assert.equal(sourceKey({ id: 'bbc-news', name: 'BBC News' }), 'bbc-news');
+  assert.equal(sourceKey({ name: 'Le Monde (édition)' }), 'le-monde-edition');
+  assert.equal(sourceKey({ id: 'reuters' }), 'reuters');
+  assert.equal(sourceKey(null), '');
+});
+
+test('only bias findings that flag something count as bias', () => {
+  assert.equal(isBiasFlagged('Leans on one side\'s talking points'), true);
+  assert.equal(isBiasFlagged('No significant bias detected'), false);
+  assert.equal(isBiasFlagged('The article is written without obvious bias.'), false);
+  assert.equal(isBiasFlagged(''), false);
+  assert.equal(isBiasFlagged(undefined), false);
+});
+
+test('outlet profiles count articles, sentiment and bias without naming any analysis', () => {
+  const store = createTestStore();
+  analyzed(store, 'Rates rise', 'Negative', 'No significant bias detected');
+  analyzed(store, 'Markets rally', 'Positive', 'Leans on one side\'s talking points');
+  analyzed(store, 'Bank holds', 'Negative', 'No significant bias detected');
+
+  const registry = new SourceRegistry({ store, seedFile: tempFile('no-such-seed') });
+  const profile = registry.get('Example News');
+
+  assert.equal(profile.articles, 3);
+  assert.equal(profile.analyses, 3);
+  assert.deepEqual(profile.sentiment, { positive: 1, negative: 2, neutral: 0 });
+  assert.equal(profile.sentimentScore, -0.33);
+  assert.equal(profile.usualSentiment, 'Negative');
+  assert.deepEqual(profile.bias, { flagged: 1, rate: 0.33 });
+
+  const listed = JSON.stringify(registry.list());
+  for (const record of store.analyses) {
+    assert.equal(JSON.stringify(profile).includes(record.id), false);
+    assert.equal(listed.includes(record.id), false);
+  }
+  assert.equal(JSON.stringify(profile).includes('Rates rise'), false);
+});
+
+const DATASET = { name: 'Example Ratings', url: 'https://ratings.example.org/2026' };
+
+test('seeded ratings and aliases are merged into the profiles', () => {
+  const seedFile = tempFile('seed');
+  fs.writeFileSync(seedFile, JSON.stringify({
+    dataset: DATASET,
+    sources: [{ id: 'example-news', name: 'Example News', aliases: ['Example'], factualReporting: 'high' }]
+  }));
+  const store = createTestStore();
+  analyzed(store, 'Rates rise', 'Neutral', '', { id: null, name: 'Example' });
+
+  const registry = new SourceRegistry({ store, seedFile });
+  const { total, sources } = registry.list();
+
+  assert.equal(total, 1);
+  assert.equal(sources[0].id, 'example-news');
+  assert.deepEqual(sources[0].rating, { factualReporting: 'high', ratedBy: DATASET });
+  assert.deepEqual(sources[0].aliases, ['example']);
+  assert.equal(sources[0].analyses, 1);
+  assert.equal(registry.list({ q: 'nothing' }).total, 0);
+  assert.equal(registry.get('example').id, 'example-news');
+});
+
+test('ratings from a file that cites no dataset are ignored', () => {
+  const seedFile = tempFile('seed');
+  fs.writeFileSync(seedFile, JSON.stringify({
+    dataset: { name: 'Example Ratings' },
+    sources: [{ id: 'example-news', name: 'Example News', factualReporting: 'high' }]
+  }));
+
+  const registry = new SourceRegistry({ store: createTestStore(), seedFile });
+  assert.equal(registry.list().total, 0);
+  assert.equal(registry.get('example-news'), null);
+});
+
+test('an analysis is compared with the outlet\'s other analyses', () => {
+  const store = createTestStore();
+  analyzed(store, 'Rates rise', 'Negative', 'No significant bias detected');
+  const record = analyzed(store, 'Markets rally', 'Positive', 'Leans on one side\'s talking points');
+
+  const registry = new SourceRegistry({ store, seedFile: tempFile('no-such-seed') });
+  const { analyses, comparison } = registry.get('example-news', { analysisId: record.id });
+
+  assert.equal(analyses, 1);
+  assert.deepEqual(comparison.sentiment, { article: 'Positive', usual: 'Negative', difference: 2 });
+  assert.deepEqual(comparison.bias, { articleFlagged: true, outletRate: 0 });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { ArticleStore, articleId } from '../store.js';
+
+function tempFile() {
+  return path.join(os.tmpdir(), `store-test-${process.pid}-${Math.random()}.json`);
+}
+
+function articleOf(title, publishedAt = '2024-05-07T09:30:00.000Z') {
+  return { title, url: `https://example.com/${encodeURIComponent(title)}`, source: { id: null, name: 'Example News' }, publishedAt };
+}
+
+test('fetching an article again refreshes it but keeps when it was first seen', () => {
+  const store = new ArticleStore({ file: tempFile() });
+  const [saved] = store.upsertArticles([articleOf('Rates rise')], { category: 'business', country: 'us' });
+  const firstSeenAt = store.getArticle(saved.id).firstSeenAt;
+
+  store.upsertArticles([{ ...articleOf('Rates rise'), description: 'Again.' }]);
+  const record = store.getArticle(saved.id);
+
+  assert.equal(saved.id, articleId(articleOf('Rates rise')));
+  assert.equal(record.description, 'Again.');
+  assert.equal(record.category, 'business');
+  assert.equal(record.firstSeenAt, firstSeenAt);
+  assert.equal(store.stats().articles, 1);
+});
+
+test('articles are listed newest first and filtered by category, source and text', () => {
+  const store = new ArticleStore({ file: tempFile() });
+  store.upsertArticles([articleOf('Rates rise', '2024-05-07T09:00:00Z')], { category: 'business' });
+  store.upsertArticles([articleOf('Probe reaches orbit', '2024-05-08T09:00:00Z')], { category: 'science' });
+
+  assert.deepEqual(store.listArticles().articles.map(article => article.title), ['Probe reaches orbit', 'Rates rise']);
+  assert.deepEqual(store.listArticles({ category: 'business' }).articles.map(article => article.title), ['Rates rise']);
+  assert.equal(store.listArticles({ source: 'Example News' }).total, 2);
+  assert.equal(store.listArticles({ q: 'ORBIT' }).total, 1);
+  assert.deepEqual(store.listArticles({ limit: 1, offset: 1 }).articles.map(article => article.title), ['Rates rise']);
+});
+
+test('analyses are found by content hash and filtered by sentiment and date', () => {
+  const store = new ArticleStore({ file: tempFile() });
+  const article = articleOf('Rates rise');
+  const first = store.saveAnalysis({ article, analysis: { sentiment: { type: 'Negative' } }, contentHash: 'a' });
+  const second = store.saveAnalysis({ article, analysis: { sentiment: { type: 'Positive' } }, contentHash: 'b' });
+  first.createdAt = '2024-05-01T23:59:00.000Z';
+
+  assert.equal(store.findAnalysisByHash('a').id, first.id);
+  assert.equal(store.findAnalysisByHash('c'), null);
+  assert.deepEqual(store.analysesFor(articleId(article)).map(record => record.id), [second.id, first.id]);
+
+  assert.deepEqual(store.listAnalyses({ sentiment: 'negative' }).analyses.map(record => record.id), [first.id]);
+  // A bare date includes the whole day
+  assert.deepEqual(store.listAnalyses({ from: '2024-05-01', to: '2024-05-01' }).analyses.map(record => record.id), [first.id]);
+  assert.equal(store.getAnalysis(second.id).article.title, 'Rates rise');
+});
+
+test('the store is written to its file and read back', () => {
+  const file = tempFile();
+  const store = new ArticleStore({ file });
+  const record = store.saveAnalysis({ article: articleOf('Rates rise'), analysis: { sentiment: { type: 'Neutral' } }, contentHash: 'a' });
+  store.flush();
+
+  const reloaded = new ArticleStore({ file });
+  assert.deepEqual(reloaded.stats(), { articles: 1, analyses: 1 });
+  assert.equal(reloaded.getAnalysis(record.id).sentiment, 'Neutral');
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { ArticleStore } from '../store.js';
+import { computeTrends, parseTrendOptions } from '../trends.js';
+
+function createTestStore() {
+  return new ArticleStore({ file: path.join(os.tmpdir(), `store-test-${process.pid}-${Math.random()}.json`) });
+}
+
+function article(title, publishedAt, category = 'business') {
+  return { title, url: `https://example.com/${encodeURIComponent(title)}`, source: { id: null, name: 'Example News' }, publishedAt, category };
+}
+
+function analyzed(store, fetched, type, score, entities = []) {
+  store.upsertArticles([fetched], { category: fetched.category });
+  store.saveAnalysis({ article: fetched, analysis: { sentiment: { type, score }, entities }, contentHash: fetched.title });
+}
+
+function optionsFor(query) {
+  const { options, error } = parseTrendOptions(query);
+  assert.equal(error, undefined);
+  return options;
+}
+
+test('invalid trend options are rejected', () => {
+  assert.match(parseTrendOptions({ interval: 'hour' }).error, /Invalid interval "hour"/);
+  assert.match(parseTrendOptions({ groupBy: 'author' }).error, /Invalid groupBy "author"/);
+  assert.match(parseTrendOptions({ from: 'yesterday' }).error, /Invalid "from" or "to" date/);
+  assert.equal(optionsFor({ limit: '500' }).limit, 50);
+});
+
+test('sentiment is counted and averaged per group and day', () => {
+  const store = createTestStore();
+  analyzed(store, article('Rates rise', '2024-05-06T09:00:00Z'), 'Negative', -0.6);
+  analyzed(store, article('Shares rally', '2024-05-06T15:00:00Z'), 'Positive', 0.8);
+  analyzed(store, article('Probe reaches orbit', '2024-05-07T09:00:00Z', 'science'), 'Positive', 0.5);
+  store.upsertArticles([article('Bank holds rates', '2024-05-07T10:00:00Z')], { category: 'business' });
+
+  const trends = computeTrends(store, optionsFor({ from: '2024-05-01', to: '2024-05-31' }));
+
+  assert.deepEqual(trends.range, { from: '2024-05-01', to: '2024-05-31', interval: 'day', groupBy: 'category' });
+  assert.deepEqual(trends.totals, { articles: 4, analyzed: 3 });
+  assert.deepEqual(trends.sentiment, [
+    { key: 'business', points: [{ date: '2024-05-06', positive: 1, negative: 1, neutral: 0, total: 2, averageScore: 0.1 }] },
+    { key: 'science', points: [{ date: '2024-05-07', positive: 1, negative: 0, neutral: 0, total: 1, averageScore: 0.5 }] }
+  ]);
+  assert.deepEqual(trends.sources, [{
+    id: 'example-news',
+    name: 'Example News',
+    count: 4,
+    points: [{ date: '2024-05-06', count: 2 }, { date: '2024-05-07', count: 2 }]
+  }]);
+  assert.deepEqual(trends.keywords[0], { keyword: 'rates', count: 2 });
+});
+
+test('weeks start on Monday and articles outside the range are left out', () => {
+  const store = createTestStore();
+  const bank = { name: 'Central Bank', type: 'Organization' };
+  analyzed(store, article('Rates rise', '2024-05-08T09:00:00Z'), 'Negative', -0.5, [bank]);
+  analyzed(store, article('Rates fall', '2024-05-12T09:00:00Z'), 'Positive', 0.5, [{ ...bank, name: 'central bank' }]);
+  analyzed(store, article('Rates steady', '2024-04-01T09:00:00Z'), 'Neutral', 0, [bank]);
+
+  const trends = computeTrends(store, optionsFor({ from: '2024-05-01', to: '2024-05-31', interval: 'week', category: 'business' }));
+
+  assert.equal(trends.totals.articles, 2);
+  assert.deepEqual(trends.sentiment[0].points.map(point => [point.date, point.total]), [['2024-05-06', 2]]);
+  assert.deepEqual(trends.entities, [{ ...bank, count: 2 }]);
+  assert.equal(computeTrends(store, optionsFor({ from: '2024-05-01', to: '2024-05-31', category: 'science' })).totals.articles, 0);
+});
+
+test('entities and keywords need more than one article to be listed', () => {
+  const store = createTestStore();
+  const now = new Date().toISOString();
+  const bank = { name: 'Central Bank', type: 'Organization' };
+  analyzed(store, article('Central bank raises rates', now), 'Neutral', 0, [bank]);
+  analyzed(store, article('Central bank holds rates', now), 'Neutral', 0, [bank]);
+  analyzed(store, article('Whistleblower names supplier', now), 'Neutral', 0, [{ name: 'Jane Roe', type: 'Person' }]);
+
+  const trends = computeTrends(store, optionsFor({}));
+
+  assert.deepEqual(trends.totals, { articles: 3, analyzed: 3 });
+  assert.deepEqual(trends.entities, [{ ...bank, count: 2 }]);
+  assert.deepEqual(trends.keywords.map(keyword => keyword.keyword).sort(), ['bank', 'central', 'rates']);
+  assert.equal(trends.sentiment[0].points[0].neutral, 3);
+});
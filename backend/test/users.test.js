@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { UserStore, VisitorQuota } from '../users.js';
+import { createUsersRouter } from '../routes/users.js';
+
+function createTestUsers(options = {}) {
+  return new UserStore({ file: path.join(os.tmpdir(), `users-test-${process.pid}-${Math.random()}.json`), ...options });
+}
+
+test('concurrent registrations of one username create one account', async () => {
+  const users = createTestUsers();
+
+  const results = await Promise.all([1, 2, 3].map(() => users.register('alice', 'password1')));
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(users.users.size, 1);
+});
+
+test('a registered user can sign in with their password only', async () => {
+  const users = createTestUsers();
+  const user = await users.register('bob', 'password1');
+
+  assert.equal(await users.authenticate('bob', 'password1'), user);
+  assert.equal(await users.authenticate('bob', 'wrong-password'), null);
+  assert.equal(await users.authenticate('nobody', 'password1'), null);
+});
+
+test('concurrent analyses cannot use more than the daily quota', async () => {
+  const users = createTestUsers({ dailyQuota: 2 });
+  const user = await users.register('carol', 'password1');
+
+  // Five lanes of a batch, each reserving before its analysis runs
+  const outcomes = await Promise.all([1, 2, 3, 4, 5].map(async () => {
+    if (!users.reserveQuota(user)) return 'over quota';
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return 'analyzed';
+  }));
+
+  assert.equal(outcomes.filter(outcome => outcome === 'analyzed').length, 2);
+  assert.equal(users.quota(user).used, 2);
+  assert.equal(users.quota(user).remaining, 0);
+});
+
+test('a refunded reservation can be used again', async () => {
+  const users = createTestUsers({ dailyQuota: 1 });
+  const user = await users.register('dave', 'password1');
+
+  assert.equal(users.reserveQuota(user), true);
+  assert.equal(users.reserveQuota(user), false);
+  users.refundQuota(user);
+  assert.equal(users.quota(user).used, 0);
+  assert.equal(users.reserveQuota(user), true);
+});
+
+test('a quota of 0 is unlimited', async () => {
+  const users = createTestUsers({ dailyQuota: 0 });
+  const user = await users.register('erin', 'password1');
+
+  for (let i = 0; i < 100; i++) assert.equal(users.reserveQuota(user), true);
+  assert.equal(users.quota(user).remaining, null);
+});
+
+test('visitors get a daily allowance per IP', () => {
+  const visitors = new VisitorQuota({ dailyQuota: 2 });
+
+  assert.equal(visitors.reserveQuota('203.0.113.1'), true);
+  assert.equal(visitors.reserveQuota('203.0.113.1'), true);
+  assert.equal(visitors.reserveQuota('203.0.113.1'), false);
+  assert.equal(visitors.reserveQuota('203.0.113.2'), true);
+
+  visitors.refundQuota('203.0.113.1');
+  assert.equal(visitors.quota('203.0.113.1').remaining, 1);
+});
+
+test('a visitor allowance of 0 allows no analyses', () => {
+  const visitors = new VisitorQuota({ dailyQuota: 0 });
+
+  assert.equal(visitors.reserveQuota('203.0.113.1'), false);
+});
+
+test('a damaged stored password hash fails the sign-in', async () => {
+  const users = createTestUsers();
+  const user = await users.register('frank', 'password1');
+
+  for (const passwordHash of ['scrypt$abcd$1234', 'scrypt$abcd', 'bcrypt$2b$10$abc', '']) {
+    user.passwordHash = passwordHash;
+    assert.equal(await users.authenticate('frank', 'password1'), null);
+  }
+});
+
+test('an account store failure is a 500, not a hanging request', async () => {
+  const failing = {
+    async register() {
+      throw new Error('disk full');
+    },
+    async authenticate() {
+      throw new Error('disk full');
+    }
+  };
+  const app = express();
+  app.use(express.json());
+  app.use('/api', createUsersRouter(failing));
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    for (const route of ['register', 'login']) {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'grace', password: 'password1' }),
+        signal: AbortSignal.timeout(5000)
+      });
+      assert.equal(response.status, 500);
+    }
+  } finally {
+    server.close();
+  }
+});
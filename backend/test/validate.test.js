@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../validate.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 5 },
+    count: { type: 'integer', minimum: 1, maximum: 3 },
+    kind: { type: 'string', enum: ['a', 'b'] },
+    code: { type: 'string', pattern: '^[a-z]{2}$' },
+    note: { type: ['string', 'null'] },
+    tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2 }
+  },
+  required: ['name']
+};
+
+test('a valid value has no errors', () => {
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', count: 2, kind: 'a', code: 'en', note: null, tags: ['x'] }), []);
+});
+
+test('missing and mistyped values are reported by path', () => {
+  assert.deepEqual(validate(SCHEMA, {}), ['value.name is required']);
+  assert.deepEqual(validate(SCHEMA, { name: 3 }), ['value.name must be a string']);
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', count: 1.5 }), ['value.count must be an integer']);
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', note: 1 }), ['value.note must be a string or null']);
+  assert.deepEqual(validate(SCHEMA, []), ['value must be an object']);
+});
+
+test('string, number, enum and pattern limits are checked', () => {
+  assert.deepEqual(validate(SCHEMA, { name: '  ' }), ['value.name must not be empty']);
+  assert.deepEqual(validate(SCHEMA, { name: 'toolong' }), ['value.name must be at most 5 characters']);
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', count: 4 }), ['value.count must be at most 3']);
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', kind: 'c' }), ['value.kind must be one of: a, b']);
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', code: 'EN' }), ['value.code is not in the expected format']);
+});
+
+test('array limits and items are checked', () => {
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', tags: [] }), ['value.tags must have at least 1 item']);
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', tags: ['a', 'b', 'c'] }), ['value.tags must have at most 2 items']);
+  assert.deepEqual(validate(SCHEMA, { name: 'ok', tags: ['a', 2] }), ['value.tags[1] must be a string']);
+});
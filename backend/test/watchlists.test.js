@@ -0,0 +1,261 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import express from 'express';
+import { WatchlistScheduler, WatchlistStore, matchesQuery, parseWatchlist } from '../watchlists.js';
+import { createWatchlistsRouter } from '../routes/watchlists.js';
+import { UserStore, authenticate } from '../users.js';
+
+const defaultAdapter = axios.defaults.adapter;
+
+afterEach(() => {
+  axios.defaults.adapter = defaultAdapter;
+});
+
+function tempFile(name) {
+  return path.join(os.tmpdir(), `${name}-test-${process.pid}-${Math.random()}.json`);
+}
+
+function article(title) {
+  return { title, url: `https://example.com/${encodeURIComponent(title)}`, source: { id: null, name: 'Example News' } };
+}
+
+// A scheduler whose searches and headlines are whatever `results` holds at
+// the time of the check
+function createTestScheduler({ results, analyze = async () => null }) {
+  const watchlists = new WatchlistStore({ file: tempFile('watchlists') });
+  const scheduler = new WatchlistScheduler(watchlists, {
+    search: async () => results.search || [],
+    headlines: async () => results.headlines || [],
+    analyze
+  }, { interval: 0 });
+  return { watchlists, scheduler };
+}
+
+// The watchlists router with real accounts, on an ephemeral port. `run` gets
+// the API's base URL, the store and a session token for each of two users.
+async function withWatchlistsApi(run) {
+  const users = new UserStore({ file: tempFile('users') });
+  const watchlists = new WatchlistStore({ file: tempFile('watchlists') });
+  const checked = [];
+  const scheduler = {
+    async check(id) {
+      checked.push(id);
+      return [];
+    }
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate(users));
+  app.use('/api', createWatchlistsRouter(watchlists, scheduler));
+
+  const tokens = {};
+  for (const name of ['alice', 'bob']) {
+    tokens[name] = users.createSession(await users.register(name, 'password1'));
+  }
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    await run({ api: `http://127.0.0.1:${server.address().port}/api`, watchlists, tokens, checked });
+  } finally {
+    server.close();
+  }
+}
+
+function as(token, options = {}) {
+  return {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+  };
+}
+
+test('watchlists are read from the request body', () => {
+  assert.deepEqual(parseWatchlist({ query: ' rates ', sentiment: 'Negative', autoAnalyze: 'true' }), {
+    watchlist: {
+      name: 'rates',
+      query: 'rates',
+      category: null,
+      country: null,
+      sentiment: 'negative',
+      webhookUrl: null,
+      autoAnalyze: true
+    }
+  });
+  assert.match(parseWatchlist({}).error, /"query" of 1 to 200 characters/);
+  assert.match(parseWatchlist({ query: 'rates', sentiment: 'angry' }).error, /Invalid sentiment "angry"/);
+  assert.match(parseWatchlist({ query: 'rates', webhookUrl: 'ftp://example.com/hook' }).error, /Invalid "webhookUrl"/);
+});
+
+test('every word and quoted phrase of the query has to appear', () => {
+  const found = { title: 'Central bank raises interest rates', description: 'Inflation is still high.' };
+
+  assert.equal(matchesQuery(found, 'rates inflation'), true);
+  assert.equal(matchesQuery(found, '"interest rates" AND bank'), true);
+  assert.equal(matchesQuery(found, '"rates interest"'), false);
+  assert.equal(matchesQuery(found, 'rates unemployment'), false);
+  assert.equal(matchesQuery(found, 'AND'), false);
+});
+
+test('the first check records a baseline, later checks alert on new articles only', async () => {
+  const results = { search: [article('Rates rise')] };
+  const { watchlists, scheduler } = createTestScheduler({ results });
+  const { id } = watchlists.create({ name: 'rates', query: 'rates' });
+
+  assert.deepEqual(await scheduler.check(id), []);
+  assert.ok(watchlists.get(id).lastCheckedAt);
+
+  results.search = [article('Rates rise'), article('Rates rise further')];
+  const alerts = await scheduler.check(id);
+
+  assert.deepEqual(alerts.map(alert => alert.article.title), ['Rates rise further']);
+  assert.deepEqual(watchlists.listAlerts({ watchlistId: id }).map(alert => alert.id), [alerts[0].id]);
+  assert.equal(watchlists.get(id).seen, 2);
+});
+
+test('headlines count when they match the query, and sentiment filters alerts', async () => {
+  const results = {};
+  const { watchlists, scheduler } = createTestScheduler({
+    results,
+    analyze: async found => ({ sentiment: { type: found.title.includes('fall') ? 'Positive' : 'Negative' }, analysisId: 'a1' })
+  });
+  const { id } = watchlists.create({ name: 'rates', query: 'rates', category: 'business', sentiment: 'negative' });
+  await scheduler.check(id);
+
+  results.headlines = [article('Rates fall, markets cheer'), article('Rates rise again'), article('Probe reaches orbit')];
+  const alerts = await scheduler.check(id);
+
+  assert.deepEqual(alerts.map(alert => [alert.article.title, alert.sentiment, alert.analysisId]), [['Rates rise again', 'Negative', 'a1']]);
+});
+
+test('a failed check keeps the error and still owes its baseline', async () => {
+  const { watchlists, scheduler } = createTestScheduler({ results: {} });
+  const { id } = watchlists.create({ name: 'rates', query: 'rates' });
+  scheduler.fetchers.search = async () => {
+    throw new Error('quota exceeded');
+  };
+
+  assert.deepEqual(await scheduler.check(id), []);
+  assert.equal(watchlists.get(id).lastError, 'quota exceeded');
+  assert.equal(watchlists.get(id).lastCheckedAt, null);
+});
+
+test('matches are posted to the watchlist\'s webhook', async () => {
+  const posted = [];
+  axios.defaults.adapter = async config => {
+    posted.push([config.url, JSON.parse(config.data)]);
+    return { status: 204, statusText: '', headers: {}, config, data: '' };
+  };
+
+  const results = {};
+  const { watchlists, scheduler } = createTestScheduler({ results });
+  const { id } = watchlists.create({ name: 'rates', query: 'rates', webhookUrl: 'https://hooks.example.com/news' });
+  await scheduler.check(id);
+
+  results.search = [article('Rates rise')];
+  const [alert] = await scheduler.check(id);
+
+  assert.deepEqual(posted, [['https://hooks.example.com/news', {
+    event: 'watchlist.match',
+    watchlist: { id, name: 'rates', query: 'rates' },
+    alert: JSON.parse(JSON.stringify(alert))
+  }]]);
+});
+
+test('webhooks on private addresses are never called', async () => {
+  const posted = [];
+  axios.defaults.adapter = async config => {
+    posted.push(config.url);
+    return { status: 204, statusText: '', headers: {}, config, data: '' };
+  };
+
+  const results = {};
+  const { watchlists, scheduler } = createTestScheduler({ results });
+  const { id } = watchlists.create({ name: 'rates', query: 'rates', webhookUrl: 'http://169.254.169.254/latest/meta-data/' });
+  await scheduler.check(id);
+
+  results.search = [article('Rates rise')];
+  assert.equal((await scheduler.check(id)).length, 1);
+  assert.deepEqual(posted, []);
+});
+
+test('adding a webhook needs a URL on a public address', async () => {
+  await withWatchlistsApi(async ({ api, watchlists, tokens }) => {
+    const create = webhookUrl => fetch(`${api}/watchlists`, as(tokens.alice, { method: 'POST', body: JSON.stringify({ query: 'rates', webhookUrl }) }));
+
+    for (const webhookUrl of ['http://127.0.0.1:3000/api/users', 'http://10.0.0.5/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://localhost/hook']) {
+      const blocked = await create(webhookUrl);
+      assert.equal(blocked.status, 400, webhookUrl);
+      assert.equal((await blocked.json()).error, 'Invalid "webhookUrl"');
+    }
+    assert.deepEqual(watchlists.list(), []);
+
+    assert.equal((await create('https://93.184.216.34/hook')).status, 201);
+  });
+});
+
+test('watchlists need an account', async () => {
+  await withWatchlistsApi(async ({ api }) => {
+    assert.equal((await fetch(`${api}/watchlists`)).status, 401);
+    assert.equal((await fetch(`${api}/watchlists/alerts`)).status, 401);
+
+    const created = await fetch(`${api}/watchlists`, as(null, { method: 'POST', body: JSON.stringify({ query: 'rates' }) }));
+    assert.equal(created.status, 401);
+    assert.equal((await created.json()).code, 'AUTH_REQUIRED');
+  });
+});
+
+test('a user only sees, checks and deletes their own watchlists', async () => {
+  await withWatchlistsApi(async ({ api, watchlists, tokens, checked }) => {
+    const response = await fetch(`${api}/watchlists`, as(tokens.alice, { method: 'POST', body: JSON.stringify({ query: 'rates' }) }));
+    const { id } = await response.json();
+    assert.equal(response.status, 201);
+    watchlists.addAlert({ watchlistId: id, watchlistName: 'rates', article: { title: 'Rates rise' } });
+
+    const mine = await (await fetch(`${api}/watchlists`, as(tokens.alice))).json();
+    const theirs = await (await fetch(`${api}/watchlists`, as(tokens.bob))).json();
+    assert.deepEqual(mine.watchlists.map(watchlist => watchlist.id), [id]);
+    assert.deepEqual(theirs.watchlists, []);
+    assert.deepEqual((await (await fetch(`${api}/watchlists/alerts`, as(tokens.bob))).json()).alerts, []);
+
+    assert.equal((await fetch(`${api}/watchlists/${id}`, as(tokens.bob))).status, 404);
+    assert.equal((await fetch(`${api}/watchlists/${id}/check`, as(tokens.bob, { method: 'POST' }))).status, 404);
+    assert.equal((await fetch(`${api}/watchlists/${id}`, as(tokens.bob, { method: 'DELETE' }))).status, 404);
+    assert.ok(watchlists.get(id));
+    assert.deepEqual(checked, [id]);
+
+    assert.equal((await fetch(`${api}/watchlists/${id}`, as(tokens.alice, { method: 'DELETE' }))).status, 204);
+    assert.equal(watchlists.get(id), null);
+  });
+});
+
+test('an account can only have so many watchlists', async () => {
+  await withWatchlistsApi(async ({ api, tokens }) => {
+    const create = () => fetch(`${api}/watchlists`, as(tokens.alice, { method: 'POST', body: JSON.stringify({ query: 'rates' }) }));
+
+    for (let i = 0; i < 20; i++) assert.equal((await create()).status, 201);
+    assert.equal((await create()).status, 400);
+  });
+});
+
+test('watchlists without an owner are not polled', async () => {
+  const watchlists = new WatchlistStore({ file: tempFile('watchlists') });
+  const owned = watchlists.create({ query: 'rates', ownerId: 'alice' });
+  watchlists.create({ query: 'rates', ownerId: null });
+
+  const searched = [];
+  const scheduler = new WatchlistScheduler(watchlists, {
+    async search(params) {
+      searched.push(params.q);
+      return [];
+    }
+  }, { interval: 0 });
+
+  await scheduler.checkAll();
+  assert.deepEqual(searched, ['rates']);
+  assert.ok(watchlists.get(owned.id).lastCheckedAt);
+});
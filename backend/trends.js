@@ -0,0 +1,169 @@
+import { tokenize } from './cluster.js';
+import { sourceKey } from './sources.js';
+
+const DAY = 86400000;
+const GROUP_BY = ['category', 'country', 'provider'];
+const INTERVALS = ['day', 'week'];
+
+// Trends are built from every user's analyses, so entities and keywords are
+// only listed once several articles mention them, never from one alone
+const MIN_MENTIONS = 2;
+
+// Start of the UTC day (or the Monday of the week) a timestamp falls in
+function bucketOf(time, interval) {
+  const day = Math.floor(time / DAY) * DAY;
+  if (interval === 'day') return day;
+
+  const weekday = (new Date(day).getUTCDay() + 6) % 7;
+  return day - weekday * DAY;
+}
+
+function isoDate(time) {
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+// When an article was covered: its publish date, or when we first saw it
+function articleTime(article) {
+  const time = new Date(article?.publishedAt || article?.firstSeenAt).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function topCounts(counts, limit, minCount = 1) {
+  return [...counts.values()]
+    .filter(counted => counted.count >= minCount)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+// Reads filter options from a query string. Returns { options } or { error }.
+export function parseTrendOptions(query) {
+  const { interval = 'day', groupBy = 'category', category, country, limit } = query;
+  const days = Math.min(365, Math.max(1, parseInt(query.days) || 30));
+
+  if (!INTERVALS.includes(interval)) {
+    return { error: `Invalid interval "${interval}". Use one of: ${INTERVALS.join(', ')}` };
+  }
+  if (!GROUP_BY.includes(groupBy)) {
+    return { error: `Invalid groupBy "${groupBy}". Use one of: ${GROUP_BY.join(', ')}` };
+  }
+
+  const to = query.to ? new Date(query.to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? DAY - 1 : 0) : Date.now();
+  const from = query.from ? new Date(query.from).getTime() : to - days * DAY;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'Invalid "from" or "to" date. Use an ISO 8601 date such as 2024-05-01' };
+  }
+
+  return {
+    options: {
+      from,
+      to,
+      interval,
+      groupBy,
+      category,
+      country,
+      limit: Math.min(50, Math.max(1, parseInt(limit) || 10))
+    }
+  };
+}
+
+// Coverage and sentiment over time from the articles and analyses in the
+// store:
+//   sentiment - per group (category, country or provider) and interval, the
+//               count of each sentiment and the average score
+//   entities  - the most-mentioned people, organizations and places, in at
+//               least MIN_MENTIONS articles
+//   keywords  - the same for the words in article titles
+//   sources   - article volume per outlet, in total and per interval
+export function computeTrends(store, { from, to, interval, groupBy, category, country, limit }) {
+  const inRange = article => {
+    const time = articleTime(article);
+    return time !== null && time >= from && time <= to &&
+      (!category || article.category === category) &&
+      (!country || article.country === country);
+  };
+
+  const articles = [...store.articles.values()].filter(inRange);
+
+  // Only the latest analysis of each article counts
+  const latest = new Map();
+  for (const record of store.analyses) {
+    latest.set(record.articleId, record);
+  }
+
+  const groups = new Map();
+  const entities = new Map();
+  const keywords = new Map();
+  const sources = new Map();
+  let analyzed = 0;
+
+  for (const article of articles) {
+    const bucket = bucketOf(articleTime(article), interval);
+
+    const source = sources.get(sourceKey(article.source)) || {
+      id: sourceKey(article.source),
+      name: article.source?.name || 'Unknown',
+      count: 0,
+      points: new Map()
+    };
+    source.count++;
+    source.points.set(bucket, (source.points.get(bucket) || 0) + 1);
+    sources.set(source.id, source);
+
+    for (const word of new Set(tokenize(article.title))) {
+      const keyword = keywords.get(word) || { keyword: word, count: 0 };
+      keyword.count++;
+      keywords.set(word, keyword);
+    }
+
+    const record = latest.get(article.id);
+    if (!record) continue;
+    analyzed++;
+
+    const key = article[groupBy] || 'unknown';
+    const points = groups.get(key) || new Map();
+    const point = points.get(bucket) || { positive: 0, negative: 0, neutral: 0, total: 0, scoreSum: 0, scored: 0 };
+    const sentiment = record.sentiment?.toLowerCase();
+    const score = record.analysis?.sentiment?.score;
+
+    if (sentiment in point) point[sentiment]++;
+    point.total++;
+    if (typeof score === 'number') {
+      point.scoreSum += score;
+      point.scored++;
+    }
+    points.set(bucket, point);
+    groups.set(key, points);
+
+    for (const entity of record.analysis?.entities || []) {
+      const id = `${entity.type}:${entity.name.toLowerCase()}`;
+      const counted = entities.get(id) || { name: entity.name, type: entity.type, count: 0 };
+      counted.count++;
+      entities.set(id, counted);
+    }
+  }
+
+  const toPoints = points => [...points.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([bucket, value]) => ({ date: isoDate(bucket), value }));
+
+  return {
+    range: { from: isoDate(from), to: isoDate(to), interval, groupBy },
+    totals: { articles: articles.length, analyzed },
+    sentiment: [...groups.entries()]
+      .map(([key, points]) => ({
+        key,
+        points: toPoints(points).map(({ date, value: { scoreSum, scored, ...counts } }) => ({
+          date,
+          ...counts,
+          averageScore: scored > 0 ? Math.round(scoreSum / scored * 100) / 100 : null
+        }))
+      }))
+      .sort((a, b) => a.key.localeCompare(b.key)),
+    entities: topCounts(entities, limit, MIN_MENTIONS),
+    keywords: topCounts(keywords, limit, MIN_MENTIONS),
+    sources: topCounts(sources, limit).map(source => ({
+      ...source,
+      points: toPoints(source.points).map(({ date, value }) => ({ date, count: value }))
+    }))
+  };
+}
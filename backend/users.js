@@ -0,0 +1,377 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { readJsonFile, writeJsonFile, debounceSave } from './persist.js';
+import { articleId } from './store.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+const HISTORY_LIMIT = 1000;
+const BOOKMARK_LIMIT = 1000;
+
+// Preferences kept per user, and the check each value must pass. These are
+// the frontend's settings; anything else is dropped.
+const PREFERENCE_CHECKS = {
+  category: value => typeof value === 'string' && value.length <= 32,
+  country: value => typeof value === 'string' && value.length <= 8,
+  pageSize: value => Number.isInteger(value) && value >= 1 && value <= 100,
+  view: value => ['grid', 'list'].includes(value),
+  theme: value => ['light', 'dark', 'auto'].includes(value),
+  searchLanguage: value => typeof value === 'string' && value.length <= 8,
+  searchSortBy: value => typeof value === 'string' && value.length <= 32,
+  analyzer: value => typeof value === 'string' && value.length <= 32,
+  analyzerModel: value => typeof value === 'string' && value.length <= 100,
+  analysisLanguage: value => typeof value === 'string' && value.length <= 8,
+  autoRefresh: value => typeof value === 'boolean',
+  autoRefreshMinutes: value => Number.isInteger(value) && value >= 1 && value <= 1440,
+  animations: value => typeof value === 'boolean'
+};
+
+// Reads a username and password from a request body. Returns
+// { username, password } or { error }.
+export function parseCredentials(body = {}) {
+  const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  if (!USERNAME_PATTERN.test(username)) {
+    return { error: 'A "username" of 3 to 32 letters, digits, dots, dashes or underscores is required' };
+  }
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `A "password" of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters is required` };
+  }
+  return { username, password };
+}
+
+// Reads preferences from a request body. Returns { preferences } or
+// { error, details }.
+export function parsePreferences(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Preferences must be a JSON object' };
+  }
+
+  const invalid = Object.entries(body)
+    .filter(([name, value]) => PREFERENCE_CHECKS[name] && !PREFERENCE_CHECKS[name](value))
+    .map(([name]) => name);
+  if (invalid.length > 0) {
+    return { error: 'Invalid preferences', details: `Check ${invalid.join(', ')}` };
+  }
+
+  return {
+    preferences: Object.fromEntries(Object.entries(body).filter(([name]) => PREFERENCE_CHECKS[name]))
+  };
+}
+
+// "scrypt$<salt>$<key>", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+// A damaged or foreign stored hash is a failed sign-in, not an error
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected = ''] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt) return false;
+
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'hex');
+  return expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+// Sessions are looked up by a hash of their token, so the file never holds
+// a token that could be used as is
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+// Accounts and their sessions, kept in one JSON file (data/users.json by
+// default). Each user has their preferences, bookmarks, the ids of the
+// analyses they ran and today's analysis count.
+export class UserStore {
+  constructor({ file, sessionDays = 30, dailyQuota = 50 }) {
+    this.file = file;
+    this.sessionMs = sessionDays * 86400000;
+    this.dailyQuota = dailyQuota;
+    const data = readJsonFile(file, {});
+    this.users = new Map(Object.entries(data.users || {}));
+    this.sessions = new Map(Object.entries(data.sessions || {}));
+    this.scheduleSave = debounceSave(() => writeJsonFile(this.file, {
+      users: Object.fromEntries(this.users),
+      sessions: Object.fromEntries(this.sessions)
+    }));
+  }
+
+  findByUsername(username) {
+    return [...this.users.values()].find(user => user.username === username) || null;
+  }
+
+  findById(id) {
+    return this.users.get(id) || null;
+  }
+
+  // Returns the new user, or null when the username is taken
+  async register(username, password) {
+    if (this.findByUsername(username)) return null;
+
+    const passwordHash = await hashPassword(password);
+    // Checked again: another registration for the name may have finished
+    // while this one was hashing
+    if (this.findByUsername(username)) return null;
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+      preferences: {},
+      bookmarks: {},
+      history: [],
+      usage: { date: today(), analyses: 0 }
+    };
+    this.users.set(user.id, user);
+    this.scheduleSave();
+    return user;
+  }
+
+  // Returns the user, or null when the username or password is wrong
+  async authenticate(username, password) {
+    const user = this.findByUsername(username);
+    if (!user) {
+      // Take as long as a wrong password would
+      await hashPassword(password);
+      return null;
+    }
+    return await verifyPassword(password, user.passwordHash) ? user : null;
+  }
+
+  // Start a session for the user and return its token
+  createSession(user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    this.sessions.set(tokenHash(token), {
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.sessionMs).toISOString()
+    });
+    this.pruneSessions();
+    this.scheduleSave();
+    return token;
+  }
+
+  userForToken(token) {
+    const session = this.sessions.get(tokenHash(token));
+    if (!session || new Date(session.expiresAt) < new Date()) return null;
+    return this.users.get(session.userId) || null;
+  }
+
+  deleteSession(token) {
+    const deleted = this.sessions.delete(tokenHash(token));
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  pruneSessions() {
+    const now = new Date();
+    for (const [hash, session] of this.sessions) {
+      if (new Date(session.expiresAt) < now) this.sessions.delete(hash);
+    }
+  }
+
+  setPreferences(user, preferences) {
+    user.preferences = { ...user.preferences, ...preferences };
+    this.scheduleSave();
+    return user.preferences;
+  }
+
+  // Remember that the user ran (or reopened from the cache) an analysis
+  addToHistory(user, analysisId) {
+    user.history = user.history.filter(id => id !== analysisId);
+    user.history.push(analysisId);
+    user.history = user.history.slice(-HISTORY_LIMIT);
+    this.scheduleSave();
+  }
+
+  // Bookmarks are keyed by article id; the articles live in the article store
+  setBookmark(user, article, { savedAt, analysisId = null }) {
+    const id = articleId(article);
+    delete user.bookmarks[id];
+    user.bookmarks[id] = { articleId: id, savedAt, analysisId };
+
+    const ids = Object.keys(user.bookmarks);
+    ids.slice(0, Math.max(0, ids.length - BOOKMARK_LIMIT)).forEach(oldest => delete user.bookmarks[oldest]);
+    this.scheduleSave();
+  }
+
+  removeBookmark(user, url) {
+    const id = articleId({ url });
+    if (!user.bookmarks[id]) return false;
+
+    delete user.bookmarks[id];
+    this.scheduleSave();
+    return true;
+  }
+
+  // Today's analysis quota (days are UTC). A limit of 0 means unlimited.
+  quota(user) {
+    const used = user.usage.date === today() ? user.usage.analyses : 0;
+    const limit = this.dailyQuota;
+
+    return {
+      limit,
+      used,
+      remaining: limit > 0 ? Math.max(0, limit - used) : null,
+      resetsAt: `${today()}T23:59:59.999Z`
+    };
+  }
+
+  hasQuota(user) {
+    return this.dailyQuota === 0 || this.quota(user).remaining > 0;
+  }
+
+  // Take one analysis from today's quota before running it, so concurrent
+  // analyses can't all pass the check. Returns false when none is left.
+  // Give it back with refundQuota() if the analysis doesn't go ahead.
+  reserveQuota(user) {
+    if (!this.hasQuota(user)) return false;
+
+    if (user.usage.date !== today()) {
+      user.usage = { date: today(), analyses: 0 };
+    }
+    user.usage.analyses++;
+    this.scheduleSave();
+    return true;
+  }
+
+  refundQuota(user) {
+    if (user.usage.date !== today() || user.usage.analyses === 0) return;
+
+    user.usage.analyses--;
+    this.scheduleSave();
+  }
+
+  // What the user's own client gets to see
+  describe(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      createdAt: user.createdAt,
+      preferences: user.preferences,
+      stats: { analyses: user.history.length, bookmarks: Object.keys(user.bookmarks).length },
+      quota: this.quota(user)
+    };
+  }
+
+  flush() {
+    this.scheduleSave.flush();
+  }
+}
+
+// Today's analyses for visitors without an account, counted per client IP
+// and kept in memory only. A limit of 0 leaves analyzing to accounts.
+export class VisitorQuota {
+  constructor({ dailyQuota = 5 }) {
+    this.dailyQuota = dailyQuota;
+    this.date = today();
+    this.usage = new Map();
+  }
+
+  used(ip) {
+    if (this.date !== today()) {
+      this.date = today();
+      this.usage.clear();
+    }
+    return this.usage.get(ip) || 0;
+  }
+
+  quota(ip) {
+    const used = this.used(ip);
+
+    return {
+      limit: this.dailyQuota,
+      used,
+      remaining: Math.max(0, this.dailyQuota - used),
+      resetsAt: `${today()}T23:59:59.999Z`
+    };
+  }
+
+  hasQuota(ip) {
+    return this.quota(ip).remaining > 0;
+  }
+
+  // Same contract as UserStore.reserveQuota()
+  reserveQuota(ip) {
+    if (!this.hasQuota(ip)) return false;
+
+    this.usage.set(ip, this.used(ip) + 1);
+    return true;
+  }
+
+  refundQuota(ip) {
+    const used = this.used(ip);
+    if (used === 0) return;
+
+    if (used === 1) {
+      this.usage.delete(ip);
+    } else {
+      this.usage.set(ip, used - 1);
+    }
+  }
+}
+
+// What a user's history covers: the analyses they ran, and the articles of
+// those and of their bookmarks. Returns Sets of ids.
+export function historyScope(user, store) {
+  const analyses = new Set(user.history);
+  const articles = new Set(Object.keys(user.bookmarks));
+  store.findAnalyses({ ids: analyses }).forEach(record => articles.add(record.articleId));
+  return { analyses, articles };
+}
+
+// Sets req.user from an "Authorization: Bearer <token>" header, or to null.
+// Routes that need an account check req.user themselves or use requireUser.
+export function authenticate(users) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    req.user = scheme === 'Bearer' && token ? users.userForToken(token) : null;
+    req.sessionToken = req.user ? token : null;
+    next();
+  };
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Sign In Required',
+      hint: 'Sign in or create an account with the 👤 button, then try again.',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+  next();
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createUserStore() {
+  const sessionDays = parseInt(process.env.SESSION_DAYS);
+  const dailyQuota = parseInt(process.env.ANALYSIS_DAILY_QUOTA);
+
+  return new UserStore({
+    file: process.env.USERS_FILE || './data/users.json',
+    sessionDays: sessionDays > 0 ? sessionDays : 30,
+    dailyQuota: dailyQuota >= 0 ? dailyQuota : 50
+  });
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createVisitorQuota() {
+  const dailyQuota = parseInt(process.env.ANALYSIS_VISITOR_QUOTA);
+
+  return new VisitorQuota({ dailyQuota: dailyQuota >= 0 ? dailyQuota : 5 });
+}
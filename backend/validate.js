@@ -0,0 +1,131 @@
+// Minimal JSON Schema validator covering the keywords our schemas use:
+// type (a name or a list of them), properties, required, items, enum,
+// minItems, maxItems, minLength, maxLength, pattern, minimum and maximum.
+// Returns a list of readable errors, empty when the value is valid.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some(option => matchesType(value, option));
+
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  if (Array.isArray(type)) return type.map(describeType).join(' or ');
+  if (type === 'null') return 'null';
+  return `${type === 'array' || type === 'object' || type === 'integer' ? 'an' : 'a'} ${type}`;
+}
+
+export function validate(schema, value, path = 'value') {
+  if (value === undefined) return [`${path} is required`];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} must be ${describeType(schema.type)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} is not in the expected format`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    }
+    for (const [name, property] of Object.entries(schema.properties)) {
+      if (value[name] !== undefined) {
+        errors.push(...validate(property, value[name], `${path}.${name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Query string values arrive as strings; turn the ones the schema wants as
+// numbers or booleans into those, leaving anything unparseable for
+// validate() to report
+function coerce(value, type) {
+  if (typeof value !== 'string') return value;
+  if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+}
+
+// Middleware checking the request's query string ('query') or JSON body
+// ('body') against an object schema. Fills in each property's `default`
+// when it's missing (or an empty query parameter) and converts query values
+// to the schema's types, so
+// handlers read checked values from req.query / req.body as before. Sends a
+// 400 listing the problems otherwise.
+export function validateRequest(schema, source = 'body') {
+  return (req, res, next) => {
+    const input = source === 'query' ? req.query : req.body;
+
+    if (typeOf(input) !== 'object') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: source === 'query' ? 'Invalid query string' : 'The request body must be a JSON object'
+      });
+    }
+
+    for (const [name, property] of Object.entries(schema.properties)) {
+      // An empty query parameter counts as a missing one
+      if (source === 'query' && input[name] === '') delete input[name];
+
+      if (input[name] === undefined) {
+        if (property.default !== undefined) input[name] = property.default;
+      } else if (source === 'query') {
+        input[name] = coerce(input[name], property.type);
+      }
+    }
+
+    const errors = validate(schema, input, source);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: errors.join('; ')
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile, debounceSave } from './persist.js';
+import { NEWS_CATEGORIES, NEWS_COUNTRIES } from './requestSchemas.js';
+import { logger } from './logger.js';
+import { requestPublicUrl } from './outbound.js';
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const SEEN_LIMIT = 500;
+const ALERT_LIMIT = 200;
+const MAX_ANALYSES_PER_CHECK = 10;
+const MAX_WEBHOOK_RESPONSE_BYTES = 64 * 1024;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Reads a watchlist from a request body. Returns { watchlist } or { error }.
+export function parseWatchlist(body = {}) {
+  const query = typeof body.query === 'string' ? body.query.trim() : '';
+  const sentiment = body.sentiment ? String(body.sentiment).toLowerCase() : null;
+  const webhookUrl = body.webhookUrl ? String(body.webhookUrl).trim() : null;
+
+  if (!query || query.length > 200) {
+    return { error: 'A "query" of 1 to 200 characters is required' };
+  }
+  if (body.category && !NEWS_CATEGORIES.includes(body.category)) {
+    return { error: `Invalid category "${body.category}". Use one of: ${NEWS_CATEGORIES.join(', ')}` };
+  }
+  if (body.country && !NEWS_COUNTRIES.includes(body.country)) {
+    return { error: `Invalid country "${body.country}". Use a two-letter code such as us, gb or de` };
+  }
+  if (sentiment && !SENTIMENTS.includes(sentiment)) {
+    return { error: `Invalid sentiment "${body.sentiment}". Use one of: ${SENTIMENTS.join(', ')}` };
+  }
+  if (webhookUrl && !isHttpUrl(webhookUrl)) {
+    return { error: 'Invalid "webhookUrl". Use an http(s) URL' };
+  }
+
+  return {
+    watchlist: {
+      name: String(body.name || query).trim().substring(0, 100),
+      query,
+      category: body.category || null,
+      country: body.country || null,
+      sentiment,
+      webhookUrl,
+      autoAnalyze: body.autoAnalyze === true || body.autoAnalyze === 'true'
+    }
+  };
+}
+
+// Headlines can't be searched by the provider, so they are matched here:
+// every word or "quoted phrase" of the query has to appear in the article
+// text. Boolean operators are ignored.
+export function matchesQuery(article, query) {
+  const text = `${article.title || ''} ${article.description || ''} ${article.content || ''}`.toLowerCase();
+  const terms = (query.toLowerCase().match(/"[^"]+"|\S+/g) || [])
+    .map(term => term.replace(/^[+-]?"?|"$/g, ''))
+    .filter(term => term && !['and', 'or', 'not'].includes(term));
+
+  return terms.length > 0 && terms.every(term => text.includes(term));
+}
+
+// Saved watchlists and the alerts they raised, kept in one JSON file
+// (data/watchlists.json by default)
+export class WatchlistStore {
+  constructor({ file }) {
+    this.file = file;
+    const data = readJsonFile(file, {});
+    this.watchlists = new Map(Object.entries(data.watchlists || {}));
+    this.alerts = data.alerts || [];
+    this.scheduleSave = debounceSave(() => writeJsonFile(this.file, {
+      watchlists: Object.fromEntries(this.watchlists),
+      alerts: this.alerts
+    }));
+  }
+
+  // Watchlists without their (long) list of seen URLs; only those of
+  // `ownerId` when given
+  list({ ownerId } = {}) {
+    return [...this.watchlists.values()]
+      .filter(watchlist => ownerId === undefined || watchlist.ownerId === ownerId)
+      .map(summary);
+  }
+
+  get(id) {
+    const watchlist = this.watchlists.get(id);
+    return watchlist ? summary(watchlist) : null;
+  }
+
+  create(fields) {
+    const watchlist = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastError: null,
+      seenUrls: []
+    };
+    this.watchlists.set(watchlist.id, watchlist);
+    this.scheduleSave();
+    return summary(watchlist);
+  }
+
+  delete(id) {
+    const deleted = this.watchlists.delete(id);
+    if (deleted) {
+      this.alerts = this.alerts.filter(alert => alert.watchlistId !== id);
+      this.scheduleSave();
+    }
+    return deleted;
+  }
+
+  // Remember article URLs so each one only alerts once. Returns the articles
+  // that weren't seen before.
+  markSeen(id, articles) {
+    const watchlist = this.watchlists.get(id);
+    if (!watchlist) return [];
+
+    const seen = new Set(watchlist.seenUrls);
+    const fresh = [];
+
+    for (const article of articles) {
+      if (!article.url || seen.has(article.url)) continue;
+      seen.add(article.url);
+      fresh.push(article);
+    }
+
+    watchlist.seenUrls = [...seen].slice(-SEEN_LIMIT);
+    this.scheduleSave();
+    return fresh;
+  }
+
+  // A failed check leaves lastCheckedAt alone, so a watchlist whose first
+  // check failed still gets its baseline check
+  recordCheck(id, { error = null } = {}) {
+    const watchlist = this.watchlists.get(id);
+    if (!watchlist) return;
+
+    if (!error) watchlist.lastCheckedAt = new Date().toISOString();
+    watchlist.lastError = error;
+    this.scheduleSave();
+  }
+
+  addAlert(alert) {
+    const record = { id: crypto.randomUUID(), ...alert, createdAt: new Date().toISOString() };
+    this.alerts.push(record);
+    this.alerts = this.alerts.slice(-ALERT_LIMIT);
+    this.scheduleSave();
+    return record;
+  }
+
+  // Newest first; `since` keeps only alerts raised after that time, and
+  // `ownerId` only those of the owner's watchlists
+  listAlerts({ since, watchlistId, ownerId } = {}) {
+    const after = since ? new Date(since).getTime() : 0;
+    return this.alerts
+      .filter(alert => !watchlistId || alert.watchlistId === watchlistId)
+      .filter(alert => ownerId === undefined || this.watchlists.get(alert.watchlistId)?.ownerId === ownerId)
+      .filter(alert => new Date(alert.createdAt).getTime() > after)
+      .reverse();
+  }
+
+  flush() {
+    this.scheduleSave.flush();
+  }
+}
+
+function summary({ seenUrls, ...watchlist }) {
+  return { ...watchlist, seen: seenUrls.length };
+}
+
+// Polls every watchlist on an interval and raises an alert for each new
+// matching article. `fetchers` connects it to the rest of the app:
+//   search(params)    - articles from the provider's search (/v2/everything)
+//   headlines(params) - current top headlines for a category and country
+//   analyze(article, watchlist) - an analysis of the article for the
+//                       watchlist's owner, or null when it failed
+// The first check of a new watchlist only records what is already out
+// there, so creating one doesn't flood you with old articles.
+export class WatchlistScheduler {
+  constructor(store, fetchers, { interval, webhookTimeout = 10000 }) {
+    this.store = store;
+    this.fetchers = fetchers;
+    this.interval = interval;
+    this.webhookTimeout = webhookTimeout;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer || !this.interval) return;
+
+    this.timer = setInterval(() => this.checkAll(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Skips a round while the previous one is still running. Watchlists
+  // saved before they had owners are left alone: nobody can see them.
+  checkAll() {
+    if (!this.running) {
+      this.running = (async () => {
+        for (const { id, ownerId } of this.store.list()) {
+          if (ownerId) await this.check(id);
+        }
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  // Check one watchlist now. Returns the alerts it raised.
+  async check(id) {
+    const watchlist = this.store.watchlists.get(id);
+    if (!watchlist) return [];
+
+    const baseline = !watchlist.lastCheckedAt;
+
+    try {
+      const fresh = this.store.markSeen(id, await this.fetchMatches(watchlist));
+      const alerts = baseline ? [] : await this.alertFor(watchlist, fresh);
+
+      this.store.recordCheck(id);
+      if (alerts.length > 0) {
+        logger.info('Watchlist has new matches', { watchlist: watchlist.name, matches: alerts.length });
+      }
+      return alerts;
+    } catch (error) {
+      logger.warn('Watchlist check failed', { watchlist: watchlist.name, error });
+      this.store.recordCheck(id, { error: error.message });
+      return [];
+    }
+  }
+
+  // Search results, plus the top headlines of the watchlist's category and
+  // country that match its query
+  async fetchMatches({ query, category, country }) {
+    const found = await this.fetchers.search({ q: query, sortBy: 'publishedAt', pageSize: 20 });
+
+    if (!category && !country) return found;
+
+    const headlines = await this.fetchers.headlines({
+      category: category || 'general',
+      country: country || 'us',
+      pageSize: 50
+    });
+    return [...found, ...headlines.filter(article => matchesQuery(article, query))];
+  }
+
+  async alertFor(watchlist, articles) {
+    const wantsAnalysis = watchlist.autoAnalyze || !!watchlist.sentiment;
+    const alerts = [];
+
+    for (const [index, article] of articles.entries()) {
+      let analysis = null;
+
+      if (wantsAnalysis && index < MAX_ANALYSES_PER_CHECK) {
+        analysis = await this.fetchers.analyze(article, watchlist).catch(error => {
+          logger.warn('Watchlist analysis failed', { url: article.url, error });
+          return null;
+        });
+      }
+
+      const sentiment = analysis?.sentiment?.type || null;
+      if (watchlist.sentiment && sentiment?.toLowerCase() !== watchlist.sentiment) continue;
+
+      const alert = this.store.addAlert({
+        watchlistId: watchlist.id,
+        watchlistName: watchlist.name,
+        article: {
+          id: article.id,
+          title: article.title,
+          url: article.url,
+          source: article.source,
+          urlToImage: article.urlToImage,
+          publishedAt: article.publishedAt
+        },
+        sentiment,
+        analysisId: analysis?.analysisId || null
+      });
+      alerts.push(alert);
+
+      if (watchlist.webhookUrl) {
+        await this.notify(watchlist, alert);
+      }
+    }
+
+    return alerts;
+  }
+
+  // Webhook failures are logged and otherwise ignored. The URL is checked
+  // again on every call, since its host may resolve elsewhere by now.
+  async notify(watchlist, alert) {
+    try {
+      await requestPublicUrl({
+        method: 'post',
+        url: watchlist.webhookUrl,
+        data: {
+          event: 'watchlist.match',
+          watchlist: { id: watchlist.id, name: watchlist.name, query: watchlist.query },
+          alert
+        },
+        timeout: this.webhookTimeout,
+        maxContentLength: MAX_WEBHOOK_RESPONSE_BYTES
+      }, { maxRedirects: 0 });
+    } catch (error) {
+      logger.warn('Watchlist webhook failed', { watchlist: watchlist.name, error });
+    }
+  }
+}
+
+// Reads its settings from the environment, so call it after dotenv.config()
+export function createWatchlistStore() {
+  return new WatchlistStore({ file: process.env.WATCHLISTS_FILE || './data/watchlists.json' });
+}
+
+// WATCHLIST_POLL_MINUTES sets how often watchlists are checked (default 15,
+// at least 1); 0 turns polling off
+export function createWatchlistScheduler(store, fetchers) {
+  const minutes = parseFloat(process.env.WATCHLIST_POLL_MINUTES ?? 15);
+  const interval = minutes > 0 ? Math.max(1, minutes) * 60000 : 0;
+
+  return new WatchlistScheduler(store, fetchers, {
+    interval,
+    webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+  });
+}
@@ -0,0 +1,32 @@
+// Safe rendering helpers, loaded before script.js. Headlines, AI output and
+// error messages are untrusted. Everything put into innerHTML goes through
+// escapeHtml(); links and images only take http(s) URLs, and links open in a
+// new tab without access to this one.
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// The URL when it is an absolute http(s) one, otherwise null
+function safeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// `content` is markup, so escape any text in it first. Without a safe URL
+// it is shown as is, without a link.
+function externalLink(url, content, { className = '', title = '' } = {}) {
+    const href = safeUrl(url);
+    if (!href) return content;
+    
+    return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer"${className ? ` class="${className}"` : ''}${title ? ` title="${escapeHtml(title)}"` : ''}>${content}</a>`;
+}
@@ -6,22 +6,151 @@ let currentCountry = 'us';
 let currentPageSize = 12;
 let totalAnalyses = 0;
 let currentView = 'grid';
+let historyRecords = [];
+let batchInProgress = false;
+let currentMode = 'headlines';
+let currentQuery = '';
+let searchDebounceTimer = null;
+let loadRequestId = 0;
+let currentFeed = null;
+let loadingMore = false;
+let feedObserver = null;
+let storyClusters = [];
+let sourceProfiles = new Map();
+let autoRefreshTimer = null;
+let lastFeedRefresh = 0;
+let currentAnalysis = null;
+let readingListDb = null;
+let readingListItems = [];
+let readingListSyncing = false;
+let deferredInstallPrompt = null;
+let backendUnreachable = false;
+// { token, username } while signed in
+let session = JSON.parse(localStorage.getItem('session') || 'null');
+let preferencesSyncTimer = null;
+// Analyses of loaded articles by URL, for exporting the feed
+const feedAnalyses = new Map();
+// Card translations by output language and URL
+const articleTranslations = new Map();
+// URLs of the articles in the reading list, for the cards' save buttons
+const savedUrls = new Set();
+
+const SEARCH_DEBOUNCE_MS = 500;
+const MAX_RECENT_SEARCHES = 8;
+const WATCHLIST_POLL_MS = 60000;
+const NEW_ARTICLE_HIGHLIGHT_MS = 30000;
+const PREFERENCES_SYNC_MS = 1000;
+const READING_LIST_DB = 'news-analyzer';
+const READING_LIST_STORE = 'readingList';
+const BACKEND_UNREACHABLE_MESSAGE = 'Cannot connect to backend server. Make sure it\'s running on http://localhost:3000';
+// Shown instead of an article image that is missing or fails to load
+const IMAGE_PLACEHOLDER = '<div class="news-image" style="display:flex;align-items:center;justify-content:center;font-size:4rem;">📰</div>';
+
+const sentimentEmojis = {
+    'positive': '😊',
+    'negative': '😞',
+    'neutral': '😐'
+};
 
 // DOM Elements
 const html = document.documentElement;
 const themeToggle = document.getElementById('themeToggle');
 const settingsBtn = document.getElementById('settingsBtn');
+const historyBtn = document.getElementById('historyBtn');
 const categorySelect = document.getElementById('categorySelect');
 const countrySelect = document.getElementById('countrySelect');
 const pageSizeSelect = document.getElementById('pageSizeSelect');
 const fetchNewsBtn = document.getElementById('fetchNews');
+const analyzeAllBtn = document.getElementById('analyzeAll');
+const groupStoriesBtn = document.getElementById('groupStories');
+const storiesModal = document.getElementById('storiesModal');
+const trendsBtn = document.getElementById('trendsBtn');
+const trendsModal = document.getElementById('trendsModal');
+const closeTrends = document.getElementById('closeTrends');
+const trendsContent = document.getElementById('trendsContent');
+const trendsDays = document.getElementById('trendsDays');
+const trendsInterval = document.getElementById('trendsInterval');
+const trendsGroupBy = document.getElementById('trendsGroupBy');
+const closeStories = document.getElementById('closeStories');
+const storiesContent = document.getElementById('storiesContent');
+const searchInput = document.getElementById('searchInput');
+const searchLanguage = document.getElementById('searchLanguage');
+const searchSortBy = document.getElementById('searchSortBy');
+const searchFrom = document.getElementById('searchFrom');
+const searchTo = document.getElementById('searchTo');
+const recentSearchesEl = document.getElementById('recentSearches');
+const feedSentinel = document.getElementById('feedSentinel');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const analyzeAllLabel = document.getElementById('analyzeAllLabel');
 const newsContainer = document.getElementById('newsContainer');
 const loading = document.getElementById('loading');
 const analysisModal = document.getElementById('analysisModal');
 const settingsModal = document.getElementById('settingsModal');
 const analysisContent = document.getElementById('analysisContent');
 const closeModal = document.getElementById('closeModal');
+const analysisExport = document.getElementById('analysisExport');
+const exportMarkdownBtn = document.getElementById('exportMarkdown');
+const exportPdfBtn = document.getElementById('exportPdf');
+const saveAnalysisBtn = document.getElementById('saveAnalysis');
+const exportCsvBtn = document.getElementById('exportCsv');
+const exportJsonBtn = document.getElementById('exportJson');
+const analysisChat = document.getElementById('analysisChat');
+const chatMessages = document.getElementById('chatMessages');
+const chatForm = document.getElementById('chatForm');
+const chatScope = document.getElementById('chatScope');
+const chatInput = document.getElementById('chatInput');
+const chatSend = document.getElementById('chatSend');
+const chatClear = document.getElementById('chatClear');
 const closeSettings = document.getElementById('closeSettings');
+const analyzerSelect = document.getElementById('analyzerSelect');
+const analyzerModel = document.getElementById('analyzerModel');
+const analysisLanguage = document.getElementById('analysisLanguage');
+const autoRefreshToggle = document.getElementById('autoRefresh');
+const autoRefreshInterval = document.getElementById('autoRefreshInterval');
+const animationsToggle = document.getElementById('animations');
+const historyModal = document.getElementById('historyModal');
+const closeHistory = document.getElementById('closeHistory');
+const historyList = document.getElementById('historyList');
+const historySentiment = document.getElementById('historySentiment');
+const historyFrom = document.getElementById('historyFrom');
+const historyTo = document.getElementById('historyTo');
+const readingListBtn = document.getElementById('readingListBtn');
+const readingListModal = document.getElementById('readingListModal');
+const closeReadingList = document.getElementById('closeReadingList');
+const readingListStatus = document.getElementById('readingListStatus');
+const readingListEl = document.getElementById('readingList');
+const installBtn = document.getElementById('installBtn');
+const accountBtn = document.getElementById('accountBtn');
+const accountModal = document.getElementById('accountModal');
+const closeAccount = document.getElementById('closeAccount');
+const accountForm = document.getElementById('accountForm');
+const accountUsername = document.getElementById('accountUsername');
+const accountPassword = document.getElementById('accountPassword');
+const registerBtn = document.getElementById('registerBtn');
+const accountDetails = document.getElementById('accountDetails');
+const accountName = document.getElementById('accountName');
+const accountQuota = document.getElementById('accountQuota');
+const accountQuotaFill = document.getElementById('accountQuotaFill');
+const signOutBtn = document.getElementById('signOutBtn');
+const watchlistsBtn = document.getElementById('watchlistsBtn');
+const watchlistsModal = document.getElementById('watchlistsModal');
+const closeWatchlists = document.getElementById('closeWatchlists');
+const watchlistForm = document.getElementById('watchlistForm');
+const watchlistsList = document.getElementById('watchlistsList');
+const watchlistAlerts = document.getElementById('watchlistAlerts');
+const digestBtn = document.getElementById('digestBtn');
+const digestModal = document.getElementById('digestModal');
+const closeDigest = document.getElementById('closeDigest');
+const digestForm = document.getElementById('digestForm');
+const digestCountries = document.getElementById('digestCountries');
+const digestOutbox = document.getElementById('digestOutbox');
+const generateDigestBtn = document.getElementById('generateDigest');
+const digestScheduleForm = document.getElementById('digestScheduleForm');
+const digestScheduleEnabled = document.getElementById('digestScheduleEnabled');
+const digestScheduleTime = document.getElementById('digestScheduleTime');
+const digestScheduleStatus = document.getElementById('digestScheduleStatus');
+const digestView = document.getElementById('digestView');
+const digestsList = document.getElementById('digestsList');
 const totalArticlesEl = document.getElementById('totalArticles');  // Fixed variable name
 const totalAnalysesEl = document.getElementById('totalAnalyses');
 const emptyState = document.getElementById('emptyState');
@@ -34,9 +163,17 @@ const themeOptions = document.querySelectorAll('.theme-option');
 function init() {
     loadTheme();
     loadPreferences();
+    loadAccount();
+    renderRecentSearches();
     setupEventListeners();
+    setupInfiniteScroll();
     updateStats();
     checkBackendConnection();
+    scheduleAutoRefresh();
+    loadAnalyzers();
+    loadSourceProfiles();
+    startWatchlistAlerts();
+    setupOfflineSupport();
 }
 
 // Event Listeners
@@ -48,6 +185,54 @@ function setupEventListeners() {
     settingsBtn.addEventListener('click', () => settingsModal.classList.remove('hidden'));
     closeSettings.addEventListener('click', () => settingsModal.classList.add('hidden'));
     
+    // History
+    historyBtn.addEventListener('click', () => {
+        historyModal.classList.remove('hidden');
+        loadHistory();
+    });
+    closeHistory.addEventListener('click', () => historyModal.classList.add('hidden'));
+    [historySentiment, historyFrom, historyTo].forEach(filter => {
+        filter.addEventListener('change', loadHistory);
+    });
+    
+    // Account
+    accountBtn.addEventListener('click', showAccount);
+    closeAccount.addEventListener('click', () => accountModal.classList.add('hidden'));
+    accountForm.addEventListener('submit', (e) => submitAccount(e, 'login'));
+    registerBtn.addEventListener('click', (e) => submitAccount(e, 'register'));
+    signOutBtn.addEventListener('click', signOut);
+    
+    // Reading list
+    readingListBtn.addEventListener('click', showReadingList);
+    closeReadingList.addEventListener('click', () => readingListModal.classList.add('hidden'));
+    
+    // Watchlists
+    watchlistsBtn.addEventListener('click', () => {
+        watchlistsModal.classList.remove('hidden');
+        loadWatchlists();
+    });
+    closeWatchlists.addEventListener('click', () => watchlistsModal.classList.add('hidden'));
+    watchlistForm.addEventListener('submit', createWatchlist);
+    
+    // Digest
+    digestBtn.addEventListener('click', () => {
+        digestModal.classList.remove('hidden');
+        loadDigests();
+    });
+    closeDigest.addEventListener('click', () => digestModal.classList.add('hidden'));
+    digestForm.addEventListener('submit', generateDigest);
+    digestScheduleForm.addEventListener('submit', saveDigestSchedule);
+    
+    // Trends
+    trendsBtn.addEventListener('click', () => {
+        trendsModal.classList.remove('hidden');
+        loadTrends();
+    });
+    closeTrends.addEventListener('click', () => trendsModal.classList.add('hidden'));
+    [trendsDays, trendsInterval, trendsGroupBy].forEach(filter => {
+        filter.addEventListener('change', loadTrends);
+    });
+    
     // Theme options
     themeOptions.forEach(option => {
         option.addEventListener('click', () => {
@@ -55,11 +240,38 @@ function setupEventListeners() {
             setTheme(theme);
             themeOptions.forEach(opt => opt.classList.remove('active'));
             option.classList.add('active');
+            syncPreferences();
         });
     });
     
     // News controls
     fetchNewsBtn.addEventListener('click', fetchNews);
+    analyzeAllBtn.addEventListener('click', analyzeAll);
+    groupStoriesBtn.addEventListener('click', loadStories);
+    closeStories.addEventListener('click', () => storiesModal.classList.add('hidden'));
+    
+    // Search
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(() => {
+            const query = searchInput.value.trim();
+            if (query.length >= 2) searchNews(query);
+        }, SEARCH_DEBOUNCE_MS);
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && searchInput.value.trim()) {
+            clearTimeout(searchDebounceTimer);
+            searchNews(searchInput.value.trim());
+        }
+    });
+    
+    [searchLanguage, searchSortBy, searchFrom, searchTo].forEach(option => {
+        option.addEventListener('change', () => {
+            savePreferences();
+            if (currentMode === 'search' && currentQuery) searchNews(currentQuery);
+        });
+    });
     categorySelect.addEventListener('change', (e) => {
         currentCategory = e.target.value;
         savePreferences();
@@ -75,6 +287,24 @@ function setupEventListeners() {
         savePreferences();
     });
     
+    analyzerSelect.addEventListener('change', savePreferences);
+    analyzerModel.addEventListener('change', savePreferences);
+    analysisLanguage.addEventListener('change', savePreferences);
+    
+    // Auto-refresh and animations
+    [autoRefreshToggle, autoRefreshInterval].forEach(control => {
+        control.addEventListener('change', () => {
+            savePreferences();
+            scheduleAutoRefresh();
+        });
+    });
+    document.addEventListener('visibilitychange', scheduleAutoRefresh);
+    
+    animationsToggle.addEventListener('change', () => {
+        applyAnimations(animationsToggle.checked);
+        savePreferences();
+    });
+    
     // View toggle
     viewBtns.forEach(btn => {
         btn.addEventListener('click', () => {
@@ -89,8 +319,33 @@ function setupEventListeners() {
     // Modal close
     closeModal.addEventListener('click', () => analysisModal.classList.add('hidden'));
     
+    // Export
+    exportMarkdownBtn.addEventListener('click', exportAnalysisMarkdown);
+    exportPdfBtn.addEventListener('click', printAnalysis);
+    saveAnalysisBtn.addEventListener('click', saveCurrentAnalysis);
+    exportCsvBtn.addEventListener('click', () => exportFeed('csv'));
+    exportJsonBtn.addEventListener('click', () => exportFeed('json'));
+    
+    // Chat
+    chatForm.addEventListener('submit', askQuestion);
+    chatClear.addEventListener('click', clearChat);
+    
+    // Buttons and items rendered from data name their handler in
+    // data-action instead of carrying inline onclick attributes
+    document.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-action]');
+        const action = target && clickActions[target.dataset.action];
+        if (action) action(target.dataset);
+    });
+    
+    // Article images that fail to load make way for the placeholder. Error
+    // events don't bubble, so this listens while they are captured.
+    newsContainer.addEventListener('error', (e) => {
+        if (e.target.matches?.('img.news-image')) e.target.outerHTML = IMAGE_PLACEHOLDER;
+    }, true);
+    
     // Close modals on backdrop click
-    [analysisModal, settingsModal].forEach(modal => {
+    [analysisModal, settingsModal, accountModal, historyModal, readingListModal, storiesModal, trendsModal, watchlistsModal, digestModal].forEach(modal => {
         modal.addEventListener('click', (e) => {
             if (e.target === modal || e.target.classList.contains('modal-backdrop')) {
                 modal.classList.add('hidden');
@@ -108,7 +363,7 @@ function setupEventListeners() {
     });
     
     scrollTopBtn.addEventListener('click', () => {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+        window.scrollTo({ top: 0, behavior: animationsToggle.checked ? 'smooth' : 'auto' });
     });
     
     // Keyboard shortcuts
@@ -116,6 +371,13 @@ function setupEventListeners() {
         if (e.key === 'Escape') {
             analysisModal.classList.add('hidden');
             settingsModal.classList.add('hidden');
+            accountModal.classList.add('hidden');
+            historyModal.classList.add('hidden');
+            readingListModal.classList.add('hidden');
+            storiesModal.classList.add('hidden');
+            trendsModal.classList.add('hidden');
+            watchlistsModal.classList.add('hidden');
+            digestModal.classList.add('hidden');
         }
         if (e.ctrlKey && e.key === 'k') {
             e.preventDefault();
@@ -151,6 +413,7 @@ function toggleTheme() {
     const currentTheme = html.getAttribute('data-theme');
     const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
     setTheme(newTheme);
+    syncPreferences();
     
     // Update theme options
     themeOptions.forEach(option => {
@@ -182,6 +445,36 @@ function loadPreferences() {
         pageSizeSelect.value = currentPageSize;
     }
     
+    if (prefs.searchLanguage) {
+        searchLanguage.value = prefs.searchLanguage;
+    }
+    
+    if (prefs.searchSortBy) {
+        searchSortBy.value = prefs.searchSortBy;
+    }
+    
+    if (prefs.analyzer) {
+        // The option list is filled in by loadAnalyzers()
+        analyzerSelect.dataset.selected = prefs.analyzer;
+    }
+    
+    if (prefs.analyzerModel) {
+        analyzerModel.value = prefs.analyzerModel;
+    }
+    
+    if (prefs.analysisLanguage) {
+        analysisLanguage.value = prefs.analysisLanguage;
+    }
+    
+    autoRefreshToggle.checked = !!prefs.autoRefresh;
+    if (prefs.autoRefreshMinutes) {
+        autoRefreshInterval.value = prefs.autoRefreshMinutes;
+    }
+    
+    // Without a saved choice, follow the system's reduced motion setting
+    animationsToggle.checked = prefs.animations ?? !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    applyAnimations(animationsToggle.checked);
+    
     if (prefs.view) {
         currentView = prefs.view;
         newsContainer.dataset.view = currentView;
@@ -200,9 +493,18 @@ function savePreferences() {
         category: currentCategory,
         country: currentCountry,
         pageSize: currentPageSize,
-        view: currentView
+        view: currentView,
+        searchLanguage: searchLanguage.value,
+        searchSortBy: searchSortBy.value,
+        analyzer: analyzerSelect.value || analyzerSelect.dataset.selected || '',
+        analyzerModel: analyzerModel.value.trim(),
+        analysisLanguage: analysisLanguage.value,
+        autoRefresh: autoRefreshToggle.checked,
+        autoRefreshMinutes: parseInt(autoRefreshInterval.value),
+        animations: animationsToggle.checked
     };
     localStorage.setItem('preferences', JSON.stringify(prefs));
+    syncPreferences();
 }
 
 function updateStats() {
@@ -223,10 +525,13 @@ function saveStats() {
 function showToast(message, type = 'success') {
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
-    toast.innerHTML = `
-        <span class="toast-icon">${type === 'success' ? '✓' : '⚠'}</span>
-        <span>${message}</span>
-    `;
+    
+    const icon = document.createElement('span');
+    icon.className = 'toast-icon';
+    icon.textContent = type === 'success' ? '✓' : '⚠';
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.append(icon, text);
     toastContainer.appendChild(toast);
     
     setTimeout(() => {
@@ -235,6 +540,64 @@ function showToast(message, type = 'success') {
     }, 3000);
 }
 
+function applyAnimations(enabled) {
+    html.dataset.animations = enabled ? 'on' : 'off';
+}
+
+// Auto-refresh
+// Re-poll the current feed while auto-refresh is on and the tab is visible.
+// Coming back to the tab refreshes right away when a poll is overdue.
+function scheduleAutoRefresh() {
+    clearInterval(autoRefreshTimer);
+    autoRefreshTimer = null;
+    
+    if (!autoRefreshToggle.checked || document.hidden) return;
+    
+    const interval = parseInt(autoRefreshInterval.value) * 60000;
+    if (lastFeedRefresh && Date.now() - lastFeedRefresh >= interval) {
+        refreshFeed();
+    }
+    autoRefreshTimer = setInterval(refreshFeed, interval);
+}
+
+// Fetch the first page of the current feed again and add articles that
+// weren't in it yet to the top, leaving the cards already shown in place
+async function refreshFeed() {
+    const feed = currentFeed;
+    if (!feed || loadingMore || batchInProgress) return;
+    
+    lastFeedRefresh = Date.now();
+    
+    try {
+        const params = new URLSearchParams(feed.params);
+        params.set('refresh', 'true');
+        
+        const response = await fetch(`${API_URL}/${feed.path}?${params}`);
+        const data = await response.json();
+        
+        if (!response.ok || data.error) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        // The user switched feeds while this was loading
+        if (feed !== currentFeed) return;
+        
+        const seen = new Set(currentArticles.map(article => article.url));
+        const fresh = (data.articles || []).filter(article => !seen.has(article.url));
+        if (fresh.length === 0) return;
+        
+        // New cards go on top but keep their place at the end of
+        // currentArticles, so the indexes of existing cards don't change
+        displayNews(fresh, currentArticles.length, { prepend: true });
+        currentArticles.push(...fresh);
+        emptyState.classList.add('hidden');
+        updateStats();
+        showToast(`${fresh.length} new article${fresh.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.warn('Auto-refresh failed:', error.message);
+    }
+}
+
 // Backend Connection Check
 async function checkBackendConnection() {
     try {
@@ -246,7 +609,9 @@ async function checkBackendConnection() {
         }
     } catch (error) {
         console.error('❌ Backend connection failed:', error);
-        showError('Cannot connect to backend server. Make sure it\'s running on http://localhost:3000');
+        // The service worker may still have the last feed that was loaded
+        backendUnreachable = true;
+        fetchNews();
         return false;
     }
 }
@@ -257,7 +622,7 @@ function showError(message) {
         <div style="grid-column: 1/-1; background: var(--glass-bg); backdrop-filter: blur(20px); padding: 50px; border-radius: var(--radius-xl); text-align: center; box-shadow: var(--shadow-xl); border: 1px solid var(--border-primary);">
             <div style="font-size: 5rem; margin-bottom: 25px;">⚠️</div>
             <h2 style="color: var(--error); margin-bottom: 20px; font-size: 2rem;">Connection Error</h2>
-            <p style="color: var(--text-secondary); line-height: 1.8; margin-bottom: 35px; font-size: 1.1rem;">${message}</p>
+            <p style="color: var(--text-secondary); line-height: 1.8; margin-bottom: 35px; font-size: 1.1rem;">${escapeHtml(message)}</p>
             <div style="background: var(--bg-secondary); padding: 30px; border-radius: var(--radius-lg); text-align: left; border: 1px solid var(--border-primary);">
                 <h3 style="margin-bottom: 20px; color: var(--text-primary); font-size: 1.3rem;">🔧 Quick Fix:</h3>
                 <ol style="color: var(--text-secondary); line-height: 2.2; margin-left: 25px; font-size: 1rem;">
@@ -268,55 +633,214 @@ function showError(message) {
                     <li>Refresh this page</li>
                 </ol>
             </div>
+            <button class="btn-retry" data-action="reading-list" style="margin-top: 30px;">
+                <span>📌</span>
+                <span>Open Reading List</span>
+            </button>
         </div>
     `;
 }
 
 // Fetch News
 async function fetchNews() {
+    currentMode = 'headlines';
+    
+    const params = new URLSearchParams({
+        category: currentCategory,
+        country: currentCountry,
+        pageSize: currentPageSize
+    });
+    
+    await loadArticles('news', params);
+}
+
+// Search News
+async function searchNews(query) {
+    currentMode = 'search';
+    currentQuery = query;
+    searchInput.value = query;
+    addRecentSearch(query);
+    
+    const params = new URLSearchParams({
+        q: query,
+        pageSize: currentPageSize,
+        language: searchLanguage.value,
+        sortBy: searchSortBy.value
+    });
+    if (searchFrom.value) params.set('from', searchFrom.value);
+    if (searchTo.value) params.set('to', searchTo.value);
+    
+    await loadArticles('search', params, `for "${query}"`);
+}
+
+// Load the first page of articles from /news or /search into the feed.
+// Responses to requests that were superseded by a newer one (e.g. while
+// typing) are ignored.
+async function loadArticles(path, params, context = '') {
+    const requestId = ++loadRequestId;
+    
+    currentFeed = null;
+    updateFeedSentinel();
     loading.classList.remove('hidden');
     newsContainer.innerHTML = '';
     emptyState.classList.add('hidden');
 
     try {
-        const response = await fetch(`${API_URL}/news?category=${currentCategory}&country=${currentCountry}&pageSize=${currentPageSize}`);
+        const response = await fetch(`${API_URL}/${path}?${params}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
         const data = await response.json();
+        if (requestId !== loadRequestId) return;
         
         if (data.error) {
             throw new Error(data.error);
         }
         
+        currentFeed = { path, params, nextPage: data.nextPage || null };
+        lastFeedRefresh = Date.now();
+        
+        // Served by the service worker from its copy of the last response
+        const offline = response.headers.get('X-Cache') === 'OFFLINE';
+        if (!offline) backendUnreachable = false;
+        
         if (data.articles && data.articles.length > 0) {
             currentArticles = data.articles;
             displayNews(data.articles);
             updateStats();
-            showToast(`Loaded ${data.articles.length} articles`, 'success');
+            if (offline) {
+                showToast('You\'re offline: showing the last loaded articles', 'error');
+            } else {
+                showToast(`Loaded ${data.articles.length} articles ${context}`.trim(), 'success');
+            }
         } else {
             emptyState.classList.remove('hidden');
             currentArticles = [];
             updateStats();
         }
     } catch (error) {
+        if (requestId !== loadRequestId) return;
         console.error('Error fetching news:', error);
-        showError(`Failed to fetch news: ${error.message}`);
+        showError(backendUnreachable ? BACKEND_UNREACHABLE_MESSAGE : `Failed to fetch news: ${error.message}`);
         showToast('Failed to load news', 'error');
     } finally {
-        loading.classList.add('hidden');
+        if (requestId === loadRequestId) {
+            loading.classList.add('hidden');
+            updateFeedSentinel();
+        }
+    }
+}
+
+// Infinite Scroll
+function setupInfiniteScroll() {
+    loadMoreBtn.addEventListener('click', loadMore);
+    
+    // Without IntersectionObserver the "load more" button is the fallback
+    if (!('IntersectionObserver' in window)) return;
+    
+    feedObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '400px' });
+}
+
+// Show the sentinel while the feed has more pages. Re-observing it fires the
+// observer again, so a short page keeps loading until the screen is filled.
+function updateFeedSentinel({ rearm = true } = {}) {
+    const hasMore = !!currentFeed?.nextPage;
+    feedSentinel.classList.toggle('hidden', !hasMore);
+    
+    if (!feedObserver) return;
+    feedObserver.unobserve(feedSentinel);
+    if (hasMore && rearm) feedObserver.observe(feedSentinel);
+}
+
+// Append the next page of the current feed below the existing cards
+async function loadMore() {
+    if (!currentFeed?.nextPage || loadingMore) return;
+    
+    const feed = currentFeed;
+    let failed = false;
+    
+    loadingMore = true;
+    loadMoreBtn.disabled = true;
+    loadMoreBtn.textContent = 'Loading more articles...';
+
+    try {
+        const params = new URLSearchParams(feed.params);
+        params.set('page', feed.nextPage);
+        
+        const response = await fetch(`${API_URL}/${feed.path}?${params}`);
+        const data = await response.json();
+        
+        if (!response.ok || data.error) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        // The user switched feeds while this page was loading
+        if (feed !== currentFeed) return;
+        
+        // Pages can overlap when new stories are published in between
+        const seen = new Set(currentArticles.map(article => article.url));
+        const fresh = (data.articles || []).filter(article => !seen.has(article.url));
+        
+        displayNews(fresh, currentArticles.length);
+        currentArticles.push(...fresh);
+        feed.nextPage = fresh.length > 0 ? data.nextPage : null;
+        updateStats();
+        
+    } catch (error) {
+        failed = true;
+        console.error('Error loading more articles:', error);
+        showToast('Failed to load more articles', 'error');
+    } finally {
+        loadingMore = false;
+        loadMoreBtn.disabled = false;
+        loadMoreBtn.textContent = 'Load more articles';
+        if (feed === currentFeed) updateFeedSentinel({ rearm: !failed });
     }
 }
 
+// Recent Searches
+function getRecentSearches() {
+    return JSON.parse(localStorage.getItem('recentSearches') || '[]');
+}
+
+function addRecentSearch(query) {
+    const searches = getRecentSearches().filter(item => item.toLowerCase() !== query.toLowerCase());
+    searches.unshift(query);
+    localStorage.setItem('recentSearches', JSON.stringify(searches.slice(0, MAX_RECENT_SEARCHES)));
+    renderRecentSearches();
+}
+
+function renderRecentSearches() {
+    recentSearchesEl.innerHTML = '';
+    
+    getRecentSearches().forEach(query => {
+        const chip = document.createElement('button');
+        chip.className = 'recent-search';
+        chip.textContent = `🕒 ${query}`;
+        chip.addEventListener('click', () => searchNews(query));
+        recentSearchesEl.appendChild(chip);
+    });
+}
+
 // Display News
-function displayNews(articles) {
-    newsContainer.innerHTML = '';
+// Cards are numbered from `startIndex`, their position in currentArticles.
+// Starting at 0 replaces the feed; anything else appends to it, or with
+// `prepend` adds the cards on top, highlighted as new.
+function displayNews(articles, startIndex = 0, { prepend = false } = {}) {
+    if (startIndex === 0) {
+        newsContainer.innerHTML = '';
+    }
     
-    articles.forEach((article, index) => {
+    const cards = document.createDocumentFragment();
+    
+    articles.forEach((article, offset) => {
+        const index = startIndex + offset;
         const card = document.createElement('div');
-        card.className = 'news-card';
+        card.className = prepend ? 'news-card news-card-new' : 'news-card';
         
         const publishedDate = new Date(article.publishedAt).toLocaleDateString('en-US', {
             month: 'short',
@@ -324,28 +848,48 @@ function displayNews(articles) {
             year: 'numeric'
         });
         
+        const image = safeUrl(article.urlToImage);
+        
         card.innerHTML = `
             <div class="news-image-wrapper">
-                ${article.urlToImage 
-                    ? `<img src="${article.urlToImage}" alt="${article.title}" class="news-image" onerror="this.parentElement.innerHTML='<div class=\\'news-image\\' style=\\'display:flex;align-items:center;justify-content:center;font-size:4rem;\\'>📰</div>'">` 
-                    : '<div class="news-image" style="display:flex;align-items:center;justify-content:center;font-size:4rem;">📰</div>'}
-                <div class="news-category-badge">${currentCategory}</div>
+                ${image 
+                    ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(article.title)}" class="news-image">` 
+                    : IMAGE_PLACEHOLDER}
+                <div class="news-category-badge">${currentMode === 'search' ? 'search' : escapeHtml(currentCategory)}</div>
             </div>
             <div class="news-content">
-                <span class="news-source">${article.source.name}</span>
-                <h3 class="news-title">${article.title}</h3>
-                <p class="news-description">${article.description || 'No description available.'}</p>
+                <div class="news-source-row">
+                    <span class="news-source">${escapeHtml(article.source?.name)}</span>
+                    <span class="source-badge hidden" data-source-key="${escapeHtml(sourceKey(article.source))}"></span>
+                </div>
+                <h3 class="news-title">${escapeHtml(article.title)}</h3>
+                <p class="news-description">${escapeHtml(article.description || 'No description available.')}</p>
                 <div class="news-footer">
                     <span class="news-date">🗓️ ${publishedDate}</span>
+                    <button class="card-translate" data-translate-for="${index}" data-action="translate" data-index="${index}" title="Show the title and a summary in your output language">🌐 Translate</button>
+                    <button class="card-save${savedUrls.has(article.url) ? ' saved' : ''}" data-save-for="${index}" data-action="save" data-index="${index}" title="Save for later">🔖</button>
+                    <span class="card-sentiment hidden" data-sentiment-for="${index}"></span>
                 </div>
-                <button class="analyze-btn" onclick="analyzeArticle(${index})">
+                <button class="analyze-btn" data-action="analyze" data-index="${index}">
                     🤖 Analyze with AI
                 </button>
             </div>
         `;
         
-        newsContainer.appendChild(card);
+        cards.appendChild(card);
     });
+    
+    if (prepend) {
+        const newCards = [...cards.children];
+        newsContainer.prepend(cards);
+        setTimeout(() => {
+            newCards.forEach(card => card.classList.remove('news-card-new'));
+        }, NEW_ARTICLE_HIGHLIGHT_MS);
+    } else {
+        newsContainer.appendChild(cards);
+    }
+    
+    renderSourceBadges();
 }
 
 // Analyze Article
@@ -353,6 +897,8 @@ async function analyzeArticle(index) {
     const article = currentArticles[index];
     
     analysisModal.classList.remove('hidden');
+    analysisExport.classList.add('hidden');
+    analysisChat.classList.add('hidden');
     analysisContent.innerHTML = `
         <div class="analysis-loading">
             <div class="loading-spinner-advanced">
@@ -367,37 +913,72 @@ async function analyzeArticle(index) {
     `;
 
     try {
-        const response = await fetch(`${API_URL}/analyze`, {
+        // Stream the analysis so sections appear as the AI writes them
+        const response = await fetch(`${API_URL}/analyze/stream`, {
             method: 'POST',
-            headers: {
+            headers: authHeaders({
                 'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                title: article.title,
-                description: article.description,
-                content: article.content
-            })
+            }),
+            body: JSON.stringify({ ...articlePayload(article), ...analyzerChoice(), language: analysisLanguage.value })
         });
 
         if (!response.ok) {
             const errorData = await response.json();
+            if (errorData.code === 'AUTH_REQUIRED') showAccount();
             throw new Error(errorData.error + (errorData.hint ? '\n\n' + errorData.hint : ''));
         }
 
-        const analysis = await response.json();
+        let analysis = null;
+        let skeletonShown = false;
+        const showSkeleton = () => {
+            if (skeletonShown) return;
+            skeletonShown = true;
+            renderAnalysisSkeleton(article);
+        };
+        
+        await readEventStream(response, (event, data) => {
+            if (event === 'summary') {
+                showSkeleton();
+                renderAnalysisField('summary', data.text, { streaming: true });
+            }
+            
+            if (event === 'field') {
+                showSkeleton();
+                renderAnalysisField(data.name, data.value);
+            }
+            
+            if (event === 'repair') {
+                showSkeleton();
+                renderAnalysisField('status', { status: 'repairing', attempt: data.attempt, validationErrors: data.errors });
+            }
+            
+            if (event === 'done') {
+                analysis = data.analysis;
+            }
+            
+            if (event === 'failure') {
+                throw new Error(data.error + (data.hint ? '\n\n' + data.hint : ''));
+            }
+        });
         
-        if (analysis.error) {
-            throw new Error(analysis.error);
+        if (!analysis) {
+            throw new Error('The analysis stream ended unexpectedly');
         }
         
         displayAnalysis(analysis, article);
+        feedAnalyses.set(article.url, analysis);
+        setCardSentiment(index, analysis.sentiment?.type || 'Unknown');
+        loadSourceProfiles();
         
         // Update stats
         totalAnalyses++;
         updateStats();
         saveStats();
         
-        showToast('Analysis completed!', 'success');
+        showToast(
+            analysis.status === 'partial' ? 'Analysis only partly completed' : 'Analysis completed!',
+            analysis.status === 'partial' ? 'error' : 'success'
+        );
         
     } catch (error) {
         console.error('Error analyzing article:', error);
@@ -407,14 +988,15 @@ async function analyzeArticle(index) {
             <div style="padding: 50px; text-align: center;">
                 <div style="font-size: 5rem; margin-bottom: 25px;">⚠️</div>
                 <h3 style="color: var(--error); margin-bottom: 20px; font-size: 1.8rem;">Analysis Failed</h3>
-                <p style="color: var(--text-secondary); margin-bottom: 35px; line-height: 1.8;">${error.message}</p>
+                <p style="color: var(--text-secondary); margin-bottom: 35px; line-height: 1.8;">${escapeHtml(error.message)}</p>
                 <div style="background: var(--bg-secondary); padding: 30px; border-radius: var(--radius-lg); text-align: left; border: 1px solid var(--border-primary);">
                     <h4 style="margin-bottom: 20px; color: var(--text-primary);">🔧 Troubleshooting:</h4>
                     <ul style="color: var(--text-secondary); line-height: 2.2; margin-left: 25px;">
                         <li>Check your Gemini API key in .env file</li>
                         <li>Verify it starts with: <code style="background: var(--bg-tertiary); padding: 2px 8px; border-radius: 4px;">AIzaSy...</code></li>
-                        <li>Get a key at: <a href="https://makersuite.google.com/app/apikey" target="_blank" style="color: var(--primary);">Google AI Studio</a></li>
+                        <li>Get a key at: <a href="https://makersuite.google.com/app/apikey" target="_blank" rel="noopener noreferrer" style="color: var(--primary);">Google AI Studio</a></li>
                         <li>Restart backend after updating .env</li>
+                        <li>Or pick another AI provider (local model or mock) in Settings</li>
                     </ul>
                 </div>
             </div>
@@ -422,61 +1004,2111 @@ async function analyzeArticle(index) {
     }
 }
 
-// Display Analysis
-function displayAnalysis(analysis, article) {
-    const sentimentClass = `sentiment-${analysis.sentiment?.type?.toLowerCase() || 'neutral'}`;
-    const sentimentEmoji = {
-        'positive': '😊',
-        'negative': '😞',
-        'neutral': '😐'
-    }[analysis.sentiment?.type?.toLowerCase() || 'neutral'];
+// Swap a card's title and description for ones in the output language, or
+// back to the original. Translations come from a summary-only analysis of
+// the headline and snippet, so they are quick and end up in the history.
+async function translateArticle(index) {
+    const article = currentArticles[index];
+    const button = newsContainer.querySelector(`[data-translate-for="${index}"]`);
+    const card = button?.closest('.news-card');
+    if (!card) return;
     
-    analysisContent.innerHTML = `
-        <div class="analysis-section">
-            <h3>📰 Original Article</h3>
-            <p><strong>${article.title}</strong></p>
-            <p style="margin-top: 12px;">
-                <a href="${article.url}" target="_blank">Read full article →</a>
-            </p>
-        </div>
+    const title = card.querySelector('.news-title');
+    const description = card.querySelector('.news-description');
+    
+    if (card.dataset.translated) {
+        title.textContent = article.title;
+        description.textContent = article.description || 'No description available.';
+        delete card.dataset.translated;
+        button.textContent = '🌐 Translate';
+        return;
+    }
+    
+    const language = analysisLanguage.value;
+    const key = `${language}:${article.url}`;
+    
+    try {
+        let translation = articleTranslations.get(key);
+        
+        if (!translation) {
+            button.disabled = true;
+            button.textContent = '⏳ Translating...';
+            
+            const response = await fetch(`${API_URL}/analyze`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    ...articlePayload(article),
+                    ...analyzerChoice(),
+                    language,
+                    sections: ['summary', 'language'],
+                    extract: false
+                })
+            });
+            translation = await response.json();
+            
+            if (!response.ok) {
+                if (translation.code === 'AUTH_REQUIRED') showAccount();
+                throw new Error(translation.error + (translation.hint ? `: ${translation.hint}` : ''));
+            }
+            articleTranslations.set(key, translation);
+        }
+        
+        if (translation.language.detected === language) {
+            button.textContent = '🌐 Translate';
+            showToast(`Already in ${languageName(language)}`, 'success');
+            return;
+        }
+        
+        title.textContent = translation.language.translatedTitle;
+        description.textContent = translation.summary;
+        card.dataset.translated = 'true';
+        button.textContent = `↩️ ${languageName(translation.language.detected)} original`;
+    } catch (error) {
+        console.error('Error translating article:', error);
+        button.textContent = '🌐 Translate';
+        showToast(`Translation failed: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
 
-        <div class="analysis-section">
-            <h3>📝 AI Summary</h3>
-            <p>${analysis.summary || 'No summary available.'}</p>
-        </div>
+// English name of an ISO 639-1 language code
+function languageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+    } catch {
+        return code.toUpperCase();
+    }
+}
 
-        <div class="analysis-section">
-            <h3>🔑 Key Points</h3>
-            <ul class="key-points">
-                ${analysis.keyPoints && analysis.keyPoints.length > 0 
-                    ? analysis.keyPoints.map(point => `<li>${point}</li>`).join('') 
-                    : '<li>No key points available.</li>'}
-            </ul>
-        </div>
+// Fields the backend needs to analyze and store an article
+function articlePayload(article) {
+    return {
+        title: article.title,
+        description: article.description,
+        content: article.content,
+        url: article.url,
+        source: article.source,
+        urlToImage: article.urlToImage,
+        publishedAt: article.publishedAt
+    };
+}
 
-        <div class="analysis-section">
-            <h3>💭 Sentiment Analysis</h3>
-            <span class="sentiment-badge ${sentimentClass}">
-                ${sentimentEmoji} ${analysis.sentiment?.type || 'Unknown'}
-            </span>
-            <p>${analysis.sentiment?.explanation || 'No explanation available.'}</p>
-        </div>
+// Analyzer and model picked in Settings; empty means the server default
+function analyzerChoice() {
+    const choice = {};
+    if (analyzerSelect.value) choice.analyzer = analyzerSelect.value;
+    if (analyzerModel.value.trim()) choice.model = analyzerModel.value.trim();
+    return choice;
+}
 
-        <div class="analysis-section">
-            <h3>🎯 Tone & Style</h3>
-            <p>${analysis.tone || 'No tone analysis available.'}</p>
-        </div>
+// Fill the analyzer picker in Settings from the backend
+async function loadAnalyzers() {
+    try {
+        const response = await fetch(`${API_URL}/analyzers`);
+        if (!response.ok) return;
+        
+        const { analyzers } = await response.json();
+        const selected = analyzerSelect.dataset.selected || analyzerSelect.value;
+        
+        analyzerSelect.innerHTML = '<option value="">Server default</option>' + analyzers.map(analyzer => `
+            <option value="${escapeHtml(analyzer.name)}" ${analyzer.configured ? '' : 'disabled'}>
+                ${escapeHtml(analyzer.name)} (${escapeHtml(analyzer.defaultModel)})${analyzer.default ? ' · default' : ''}${analyzer.configured ? '' : ' · not configured'}
+            </option>
+        `).join('');
+        
+        if (analyzers.some(analyzer => analyzer.name === selected && analyzer.configured)) {
+            analyzerSelect.value = selected;
+        }
+        delete analyzerSelect.dataset.selected;
+    } catch (error) {
+        console.warn('Could not load analyzers:', error.message);
+    }
+}
 
-        <div class="analysis-section">
-            <h3>⚖️ Bias Detection</h3>
-            <p>${analysis.biasDetection || 'No bias detection available.'}</p>
-        </div>
-    `;
+// Read a Server-Sent Events stream from a fetch() response
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        
+        messages.forEach(message => {
+            let event = 'message';
+            const data = [];
+            
+            message.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data.push(line.slice(5).trim());
+            });
+            
+            if (data.length > 0) {
+                onEvent(event, JSON.parse(data.join('\n')));
+            }
+        });
+    }
+}
+
+// Show a sentiment (or pending/error state) on a news card
+function setCardSentiment(index, state) {
+    const badge = newsContainer.querySelector(`[data-sentiment-for="${index}"]`);
+    if (!badge) return;
+    
+    const type = state?.toLowerCase() || 'neutral';
+    const labels = {
+        pending: '⏳ Analyzing...',
+        retrying: '⏳ Retrying...',
+        error: '⚠ Failed'
+    };
+    
+    badge.className = `card-sentiment sentiment-${type}`;
+    badge.textContent = labels[type] || `${sentimentEmojis[type] || '😐'} ${state}`;
+}
+
+// Analyze every loaded article, filling in card badges as results stream in
+async function analyzeAll() {
+    if (batchInProgress) return;
+    
+    if (currentArticles.length === 0) {
+        showToast('Load some articles first', 'error');
+        return;
+    }
+    
+    // Snapshot the feed: more pages may be appended while the batch runs
+    const feed = currentArticles;
+    const batchArticles = feed.slice();
+    const isCurrent = () => currentArticles === feed;
+    let completed = 0;
+    
+    batchInProgress = true;
+    analyzeAllBtn.disabled = true;
+    analyzeAllLabel.textContent = `Analyzing 0/${batchArticles.length}`;
+    batchArticles.forEach((_, index) => setCardSentiment(index, 'pending'));
+
+    try {
+        const response = await fetch(`${API_URL}/analyze/batch`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({
+                articles: batchArticles.map(articlePayload),
+                ...analyzerChoice(),
+                language: analysisLanguage.value
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            if (errorData.code === 'AUTH_REQUIRED') showAccount();
+            throw new Error(errorData.error + (errorData.hint ? '\n\n' + errorData.hint : ''));
+        }
+        
+        await readEventStream(response, (event, data) => {
+            if (event === 'progress' && data.status === 'retrying' && isCurrent()) {
+                setCardSentiment(data.index, 'retrying');
+            }
+            
+            if (event === 'result') {
+                completed++;
+                analyzeAllLabel.textContent = `Analyzing ${completed}/${batchArticles.length}`;
+                
+                if (data.status === 'done') {
+                    totalAnalyses++;
+                    feedAnalyses.set(batchArticles[data.index].url, data.analysis);
+                    if (isCurrent()) setCardSentiment(data.index, data.analysis.sentiment?.type || 'Unknown');
+                } else if (isCurrent()) {
+                    setCardSentiment(data.index, 'error');
+                }
+            }
+            
+            if (event === 'done') {
+                showToast(
+                    `Analyzed ${data.succeeded} of ${data.total} articles`,
+                    data.failed > 0 ? 'error' : 'success'
+                );
+            }
+        });
+        
+        updateStats();
+        saveStats();
+        
+    } catch (error) {
+        console.error('Error in batch analysis:', error);
+        showToast(`Batch analysis failed: ${error.message}`, 'error');
+        if (isCurrent()) {
+            batchArticles.forEach((_, index) => {
+                const badge = newsContainer.querySelector(`[data-sentiment-for="${index}"]`);
+                if (badge?.classList.contains('sentiment-pending')) setCardSentiment(index, 'error');
+            });
+        }
+    } finally {
+        batchInProgress = false;
+        analyzeAllBtn.disabled = false;
+        analyzeAllLabel.textContent = 'Analyze all';
+    }
+}
+
+// Display Analysis
+const analysisSections = [
+    { field: 'summary', title: '📝 AI Summary' },
+    { field: 'keyPoints', title: '🔑 Key Points' },
+    { field: 'sentiment', title: '💭 Sentiment Analysis' },
+    { field: 'tone', title: '🎯 Tone & Style' },
+    { field: 'biasDetection', title: '⚖️ Bias Detection' },
+    { field: 'entities', title: '👥 People, Organizations & Places' },
+    { field: 'topics', title: '🏷️ Topics' },
+    { field: 'claims', title: '🔎 Checkable Claims' },
+    { field: 'loadedLanguage', title: '🗯️ Loaded Language' }
+];
+
+const entityIcons = {
+    person: '👤',
+    organization: '🏢',
+    place: '📍'
+};
+
+const biasLabels = {
+    'left': 'Left',
+    'lean-left': 'Lean Left',
+    'center': 'Center',
+    'lean-right': 'Lean Right',
+    'right': 'Right'
+};
+
+const analysisRenderers = {
+    summary: summary => `<p>${escapeHtml(summary || 'No summary available.')}</p>`,
+    
+    keyPoints: keyPoints => `
+        <ul class="key-points">
+            ${keyPoints && keyPoints.length > 0 
+                ? keyPoints.map(point => `<li>${escapeHtml(point)}</li>`).join('') 
+                : '<li>No key points available.</li>'}
+        </ul>
+    `,
+    
+    sentiment: sentiment => {
+        const type = sentiment?.type?.toLowerCase() || 'neutral';
+        return `
+            <span class="sentiment-badge sentiment-${escapeHtml(type)}">
+                ${sentimentEmojis[type] || sentimentEmojis.neutral} ${escapeHtml(sentiment?.type || 'Unknown')}
+            </span>
+            ${typeof sentiment?.score === 'number' ? renderSentimentGauge(sentiment) : ''}
+            <p>${escapeHtml(sentiment?.explanation || 'No explanation available.')}</p>
+        `;
+    },
+    
+    entities: entities => entities && entities.length > 0
+        ? `<div class="chip-list">
+            ${entities.map(entity => {
+                const type = entity.type?.toLowerCase();
+                return `<span class="entity-chip entity-${escapeHtml(type)}" title="${escapeHtml(entity.type)}">
+                    ${entityIcons[type] || '•'} <strong>${escapeHtml(entity.name)}</strong>
+                    <small>${escapeHtml(entity.role)}</small>
+                </span>`;
+            }).join('')}
+        </div>`
+        : '<p>No named entities found.</p>',
+    
+    topics: topics => topics && topics.length > 0
+        ? `<div class="chip-list">${topics.map(topic => `<span class="topic-chip">#${escapeHtml(topic)}</span>`).join('')}</div>`
+        : '<p>No topics found.</p>',
+    
+    claims: claims => claims && claims.length > 0
+        ? `<ol class="claims-list">
+            ${claims.map(claim => `
+                <li>
+                    <strong>${escapeHtml(claim.claim)}</strong>
+                    <blockquote>“${escapeHtml(claim.quote)}”</blockquote>
+                    ${claim.verbatim === false ? '<span class="claim-unverified">⚠️ Quote not found word for word in the analyzed text</span>' : ''}
+                </li>
+            `).join('')}
+        </ol>`
+        : '<p>No checkable claims found.</p>',
+    
+    loadedLanguage: phrases => phrases && phrases.length > 0
+        ? `<ul class="loaded-language">
+            ${phrases.map(item => `<li><mark>${escapeHtml(item.phrase)}</mark> ${escapeHtml(item.reason)}</li>`).join('')}
+        </ul>`
+        : '<p>No loaded language found.</p>',
+    
+    tone: tone => `<p>${escapeHtml(tone || 'No tone analysis available.')}</p>`,
+    
+    biasDetection: bias => `<p>${escapeHtml(bias || 'No bias detection available.')}</p>`,
+    
+    sourceProfile: profile => {
+        if (!profile) {
+            return '<p>No profile for this outlet yet.</p>';
+        }
+        
+        const { rating, comparison } = profile;
+        const name = escapeHtml(profile.name);
+        const lines = [];
+        
+        // Ratings always come from a named dataset; say whose they are
+        if (rating) {
+            const ratedBy = externalLink(rating.url || rating.ratedBy.url, escapeHtml(rating.ratedBy.name));
+            lines.push(`Rated <strong>${escapeHtml(biasLabels[rating.bias] || rating.bias || 'unrated')}</strong> with <strong>${escapeHtml(rating.factualReporting || 'unknown')}</strong> factual reporting by ${ratedBy}.`);
+        }
+        
+        if (profile.analyses === 0) {
+            lines.push(`This is the first analyzed article from ${name}.`);
+        } else {
+            lines.push(`Across ${profile.analyses} other analyzed article${profile.analyses === 1 ? '' : 's'}, ${name} is usually <strong>${escapeHtml(profile.usualSentiment || 'unscored')}</strong> and bias was flagged in ${Math.round(profile.bias.rate * 100)}% of them.`);
+        }
+        
+        if (comparison && profile.analyses > 0) {
+            const { difference } = comparison.sentiment;
+            if (difference !== null) {
+                lines.push(Math.abs(difference) < 0.5
+                    ? 'This article\'s sentiment is in line with the outlet\'s usual coverage.'
+                    : `This article is <strong>more ${difference > 0 ? 'positive' : 'negative'}</strong> than the outlet's usual coverage.`);
+            }
+            
+            const usuallyFlagged = comparison.bias.outletRate >= 0.5;
+            if (comparison.bias.articleFlagged !== usuallyFlagged) {
+                lines.push(comparison.bias.articleFlagged
+                    ? 'Bias was flagged here, which is unusual for this outlet.'
+                    : 'No bias was flagged here, although it usually is for this outlet.');
+            }
+        }
+        
+        return `<ul class="key-points outlet-profile">${lines.map(line => `<li>${line}</li>`).join('')}</ul>`;
+    },
+    
+    // Shown while invalid AI output is being repaired, or when it never
+    // became fully valid
+    status: ({ status, attempt, validationErrors = [] }) => {
+        if (status === 'repairing') {
+            return `<p class="analysis-status">🔧 The AI's answer didn't match the expected format, asking it to fix it (attempt ${attempt})<span class="typing-dots"></span></p>`;
+        }
+        if (status !== 'partial') return '';
+        
+        return `
+            <div class="analysis-status analysis-status-partial">
+                <strong>⚠️ Partial analysis</strong>
+                <p>Some sections could not be validated and are left out instead of guessed:</p>
+                <ul>${validationErrors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+            </div>
+        `;
+    },
+    
+    // The title in the output language is only worth showing when it differs
+    language: language => {
+        if (!language) return '';
+        const original = analysisContent.querySelector('.analysis-original-title')?.textContent.trim();
+        return `
+            <span class="text-source">🌐 Written in ${escapeHtml(languageName(language.detected))}</span>
+            ${language.translatedTitle !== original ? `<p class="translated-title">${escapeHtml(language.translatedTitle)}</p>` : ''}
+        `;
+    },
+    
+    analyzer: analyzer => analyzer
+        ? `<span class="text-source">🤖 ${escapeHtml(analyzer.provider)} · ${escapeHtml(analyzer.model)}</span>`
+        : '',
+    
+    textSource: textSource => {
+        if (!textSource) return '';
+        return textSource === 'fulltext'
+            ? '<span class="text-source text-source-full">📄 Analyzed from the full article text</span>'
+            : '<span class="text-source">✂️ Analyzed from the headline and snippet only</span>';
+    }
+};
+
+// Score from -1 to 1 as a marker on a negative-to-positive scale
+function renderSentimentGauge({ score, confidence }) {
+    const position = Math.min(100, Math.max(0, (score + 1) * 50));
+    return `
+        <div class="sentiment-gauge">
+            <div class="sentiment-gauge-track">
+                <span class="sentiment-gauge-marker" style="left: ${position}%"></span>
+            </div>
+            <div class="sentiment-gauge-labels">
+                <span>Negative</span>
+                <span>Neutral</span>
+                <span>Positive</span>
+            </div>
+            <p class="sentiment-gauge-value">
+                Score ${score > 0 ? '+' : ''}${score.toFixed(2)}
+                ${typeof confidence === 'number' ? ` · ${Math.round(confidence * 100)}% confidence` : ''}
+            </p>
+        </div>
+    `;
+}
+
+// Empty analysis layout, filled in field by field while streaming
+function renderAnalysisSkeleton(article, sections = analysisSections) {
+    analysisContent.innerHTML = `
+        <div class="analysis-section">
+            <h3>📰 Original Article</h3>
+            <p><strong class="analysis-original-title">${escapeHtml(article.title)}</strong></p>
+            <div data-analysis-field="language"></div>
+            ${safeUrl(article.url) ? `
+                <p style="margin-top: 12px;">
+                    ${externalLink(article.url, 'Read full article →')}
+                </p>
+            ` : ''}
+            <div data-analysis-field="textSource"></div>
+            <div data-analysis-field="analyzer"></div>
+            <div data-analysis-field="status"></div>
+        </div>
+
+        ${sections.map(section => `
+            <div class="analysis-section">
+                <h3>${section.title}</h3>
+                <div data-analysis-field="${section.field}">
+                    <p class="analysis-pending">Waiting for the AI<span class="typing-dots"></span></p>
+                </div>
+            </div>
+        `).join('')}
+
+        <div class="analysis-section">
+            <h3>🏛️ Outlet Profile</h3>
+            <div data-analysis-field="sourceProfile">
+                <p class="analysis-pending">Loading ${escapeHtml(article.source?.name || 'outlet')} profile<span class="typing-dots"></span></p>
+            </div>
+        </div>
+    `;
+}
+
+function renderAnalysisField(field, value, { streaming = false } = {}) {
+    const container = analysisContent.querySelector(`[data-analysis-field="${field}"]`);
+    if (!container || !analysisRenderers[field]) return;
+    
+    container.innerHTML = analysisRenderers[field](value);
+    container.classList.toggle('analysis-streaming', streaming);
+}
+
+// Sections the analysis doesn't have (not requested, older analyses, or
+// dropped from a partial one) are left out
+function displayAnalysis(analysis, article) {
+    const sections = analysisSections.filter(section => analysis[section.field] !== undefined);
+    
+    renderAnalysisSkeleton(article, sections);
+    sections.forEach(section => renderAnalysisField(section.field, analysis[section.field]));
+    renderAnalysisField('language', analysis.language);
+    renderAnalysisField('textSource', analysis.textSource);
+    renderAnalysisField('analyzer', analysis.analyzer);
+    renderAnalysisField('status', analysis);
+    loadSourceComparison(analysis, article);
+    
+    currentAnalysis = { analysis, article };
+    analysisExport.classList.remove('hidden');
+    openChat(analysis, article);
+}
+
+// Export
+function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(name, extension) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+    return `${slug || 'export'}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+}
+
+// The same layout as the backend's Markdown export
+function analysisToMarkdown(analysis, article) {
+    const escape = text => String(text ?? '').replace(/([\\`*_[\]#|<>])/g, '\\$1');
+    const list = (items, format = escape) => items?.length ? items.map(item => `- ${format(item)}`).join('\n') : '';
+    const lines = [`# ${escape(article.title || 'Untitled article')}`, ''];
+    
+    const meta = [
+        article.source?.name && `**Source:** ${escape(article.source.name)}`,
+        article.publishedAt && `**Published:** ${article.publishedAt.substring(0, 10)}`,
+        analysis.language && `**Language:** ${escape(analysis.language.detected)}`,
+        analysis.analyzer && `**Analyzer:** ${analysis.analyzer.provider} (${analysis.analyzer.model})`
+    ].filter(Boolean);
+    lines.push(meta.join(' · '));
+    if (article.url) lines.push('', `<${article.url}>`);
+    
+    const section = (title, body) => {
+        if (body) lines.push('', `## ${title}`, '', body);
+    };
+    
+    if (analysis.language && analysis.language.translatedTitle !== article.title) {
+        section('Translated Title', escape(analysis.language.translatedTitle));
+    }
+    section('Summary', analysis.summary && escape(analysis.summary));
+    section('Key Points', list(analysis.keyPoints));
+    if (analysis.sentiment) {
+        const { type, score, confidence, explanation } = analysis.sentiment;
+        const numbers = [score !== undefined && `score ${score}`, confidence !== undefined && `confidence ${confidence}`].filter(Boolean);
+        section('Sentiment', `**${type}**${numbers.length ? ` (${numbers.join(', ')})` : ''} - ${escape(explanation)}`);
+    }
+    section('Tone', analysis.tone && escape(analysis.tone));
+    section('Bias', analysis.biasDetection && escape(analysis.biasDetection));
+    section('Entities', list(analysis.entities, entity => `**${escape(entity.name)}** (${entity.type}): ${escape(entity.role)}`));
+    section('Topics', analysis.topics?.length ? analysis.topics.map(escape).join(', ') : '');
+    section('Claims', list(analysis.claims, claim => `${escape(claim.claim)}${claim.quote ? ` - "${escape(claim.quote)}"` : ''}${claim.verbatim === false ? ' *(quote not found in the article)*' : ''}`));
+    section('Loaded Language', list(analysis.loadedLanguage, item => `"${escape(item.phrase)}": ${escape(item.reason)}`));
+    
+    return lines.join('\n') + '\n';
+}
+
+function exportAnalysisMarkdown() {
+    if (!currentAnalysis) return;
+    
+    const { analysis, article } = currentAnalysis;
+    downloadFile(analysisToMarkdown(analysis, article), exportFilename(article.title || 'analysis', 'md'), 'text/markdown');
+    showToast('Analysis exported as Markdown', 'success');
+}
+
+// The print stylesheet shows only the analysis; "Save as PDF" in the print
+// dialog turns it into a PDF named after the article
+function printAnalysis() {
+    if (!currentAnalysis) return;
+    
+    const title = document.title;
+    document.title = currentAnalysis.article.title || 'Article analysis';
+    html.classList.add('printing-analysis');
+    window.print();
+    html.classList.remove('printing-analysis');
+    document.title = title;
+}
+
+// Spreadsheets run cells starting with these as formulas
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    
+    let text = Array.isArray(value) ? value.join(' | ') : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The loaded articles plus the analyses made of them in this session
+function exportFeed(format) {
+    if (currentArticles.length === 0) {
+        showToast('Load some articles first', 'error');
+        return;
+    }
+    
+    const rows = currentArticles.map(article => ({
+        ...articlePayload(article),
+        analysis: feedAnalyses.get(article.url) || null
+    }));
+    const name = currentMode === 'search' ? `search-${currentQuery}` : `${currentCategory}-${currentCountry}`;
+    
+    if (format === 'json') {
+        const feed = currentMode === 'search'
+            ? { mode: 'search', query: currentQuery }
+            : { mode: 'headlines', category: currentCategory, country: currentCountry };
+        const content = JSON.stringify({ exportedAt: new Date().toISOString(), feed, articles: rows }, null, 2);
+        downloadFile(content, exportFilename(name, 'json'), 'application/json');
+    } else {
+        const columns = {
+            title: row => row.title,
+            source: row => row.source?.name,
+            url: row => row.url,
+            publishedAt: row => row.publishedAt,
+            description: row => row.description,
+            language: row => row.analysis?.language?.detected,
+            translatedTitle: row => row.analysis?.language?.translatedTitle,
+            sentiment: row => row.analysis?.sentiment?.type,
+            sentimentScore: row => row.analysis?.sentiment?.score,
+            tone: row => row.analysis?.tone,
+            summary: row => row.analysis?.summary,
+            keyPoints: row => row.analysis?.keyPoints,
+            topics: row => row.analysis?.topics,
+            bias: row => row.analysis?.biasDetection
+        };
+        const headers = Object.keys(columns);
+        const content = [headers.join(','), ...rows.map(row => headers.map(header => csvCell(columns[header](row))).join(','))].join('\r\n') + '\r\n';
+        downloadFile(content, exportFilename(name, 'csv'), 'text/csv');
+    }
+    
+    const analyzed = rows.filter(row => row.analysis).length;
+    showToast(`Exported ${rows.length} articles (${analyzed} analyzed) as ${format.toUpperCase()}`, 'success');
+}
+
+// Source Profiles
+function sourceKey(source) {
+    return (source?.name || source?.id || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+async function loadSourceProfiles() {
+    try {
+        const response = await fetch(`${API_URL}/sources`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        sourceProfiles = new Map();
+        data.sources.forEach(profile => {
+            [profile.id, ...profile.aliases].forEach(key => sourceProfiles.set(key, profile));
+        });
+        renderSourceBadges();
+    } catch (error) {
+        console.warn('Could not load source profiles:', error.message);
+    }
+}
+
+function renderSourceBadges() {
+    newsContainer.querySelectorAll('[data-source-key]').forEach(badge => {
+        const profile = sourceProfiles.get(badge.dataset.sourceKey);
+        const hasProfile = profile && (profile.rating || profile.analyses > 0);
+        
+        badge.classList.toggle('hidden', !hasProfile);
+        if (!hasProfile) return;
+        
+        const parts = [];
+        if (profile.rating?.bias) parts.push(biasLabels[profile.rating.bias] || profile.rating.bias);
+        if (profile.analyses > 0) parts.push(`${sentimentEmojis[profile.usualSentiment?.toLowerCase()] || '😐'} ${profile.analyses}`);
+        
+        badge.className = `source-badge source-badge-${profile.rating?.bias || 'unrated'}`;
+        badge.textContent = parts.join(' · ');
+        badge.title = [
+            profile.rating ? `Rated by ${profile.rating.ratedBy.name}: ${biasLabels[profile.rating.bias] || profile.rating.bias} bias, ${profile.rating.factualReporting} factual reporting` : 'No outlet rating',
+            profile.analyses > 0 ? `${profile.analyses} analyzed, usually ${profile.usualSentiment}, bias flagged in ${Math.round(profile.bias.rate * 100)}%` : 'Not analyzed yet'
+        ].join('\n');
+    });
+}
+
+// Show how an analysis compares with the outlet's other analyses
+async function loadSourceComparison(analysis, article) {
+    if (!article.source) {
+        renderAnalysisField('sourceProfile', null);
+        return;
+    }
+    
+    const params = new URLSearchParams();
+    if (analysis.analysisId) params.set('analysis', analysis.analysisId);
+    
+    try {
+        const response = await fetch(`${API_URL}/sources/${encodeURIComponent(sourceKey(article.source))}?${params}`);
+        renderAnalysisField('sourceProfile', response.ok ? await response.json() : null);
+    } catch (error) {
+        console.warn('Could not load source profile:', error.message);
+        renderAnalysisField('sourceProfile', null);
+    }
+}
+
+// Story Clusters
+function loadingMarkup(title, subtitle) {
+    return `
+        <div class="analysis-loading">
+            <div class="loading-spinner-advanced">
+                <div class="spinner-orbit"></div>
+                <div class="spinner-orbit"></div>
+                <div class="spinner-orbit"></div>
+                <div class="spinner-core"></div>
+            </div>
+            <h3>${escapeHtml(title)}</h3>
+            <p>${escapeHtml(subtitle)}</p>
+        </div>
+    `;
+}
+
+async function loadStories() {
+    storiesModal.classList.remove('hidden');
+    storiesContent.innerHTML = loadingMarkup('Grouping Stories...', 'Finding articles that cover the same event');
+    
+    const params = new URLSearchParams({
+        category: currentCategory,
+        country: currentCountry,
+        pageSize: 50
+    });
+
+    try {
+        const response = await fetch(`${API_URL}/clusters?${params}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error + (data.details ? `: ${data.details}` : ''));
+        }
+        
+        storyClusters = data.clusters;
+        displayStories(data);
+    } catch (error) {
+        console.error('Error loading story clusters:', error);
+        storiesContent.innerHTML = `<div class="history-empty">Failed to group stories: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function displayStories({ clusters, totalArticles }) {
+    if (clusters.length === 0) {
+        storiesContent.innerHTML = `<div class="history-empty">No story is covered by more than one outlet among the ${totalArticles} latest headlines.</div>`;
+        return;
+    }
+    
+    storiesContent.innerHTML = clusters.map((cluster, index) => `
+        <div class="story-cluster">
+            <div class="story-cluster-header">
+                <h3>${escapeHtml(cluster.label || 'Untitled story')}</h3>
+                <span class="story-cluster-size">${cluster.size} articles · ${cluster.sources.length} outlets</span>
+            </div>
+            <ul>
+                ${cluster.articles.map(article => `
+                    <li><strong>${escapeHtml(article.source?.name || 'Unknown')}</strong>${externalLink(article.url, escapeHtml(article.title))}</li>
+                `).join('')}
+            </ul>
+            ${cluster.sources.length > 1 
+                ? `<button class="analyze-btn" data-action="compare" data-index="${index}">⚖️ Compare coverage</button>` 
+                : ''}
+        </div>
+    `).join('');
+}
+
+// Ask the AI how each outlet in a cluster frames the story
+async function compareCluster(index) {
+    const cluster = storyClusters[index];
+    
+    storiesModal.classList.add('hidden');
+    analysisModal.classList.remove('hidden');
+    analysisExport.classList.add('hidden');
+    analysisChat.classList.add('hidden');
+    analysisContent.innerHTML = loadingMarkup('Comparing Coverage...', 'Our AI is contrasting how each outlet frames the story');
+
+    try {
+        const response = await fetch(`${API_URL}/compare`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({
+                articles: cluster.articles.slice(0, 8).map(articlePayload),
+                ...analyzerChoice()
+            })
+        });
+        const comparison = await response.json();
+
+        if (!response.ok) {
+            if (comparison.code === 'AUTH_REQUIRED') showAccount();
+            throw new Error(comparison.error + (comparison.hint ? '\n\n' + comparison.hint : ''));
+        }
+        
+        displayComparison(comparison, cluster);
+        showToast('Comparison completed!', 'success');
+    } catch (error) {
+        console.error('Error comparing coverage:', error);
+        showToast('Comparison failed', 'error');
+        analysisContent.innerHTML = `<div class="history-empty">Comparison failed: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function displayComparison(comparison, cluster) {
+    const listOrEmpty = (items, empty) => items.length > 0 
+        ? items.map(item => `<li>${escapeHtml(item)}</li>`).join('') 
+        : `<li>${empty}</li>`;
+    
+    analysisContent.innerHTML = `
+        <div class="analysis-section">
+            <h3>🧩 The Story</h3>
+            <p><strong>${escapeHtml(comparison.story || cluster.label)}</strong></p>
+            <p>${escapeHtml(comparison.summary)}</p>
+        </div>
+
+        <div class="analysis-section">
+            <h3>🤝 Where Sources Agree</h3>
+            <ul class="key-points">${listOrEmpty(comparison.agreement, 'No common ground identified.')}</ul>
+        </div>
+
+        <div class="analysis-section">
+            <h3>⚔️ Where They Differ</h3>
+            <ul class="key-points">${listOrEmpty(comparison.disagreements, 'No disagreements identified.')}</ul>
+        </div>
+
+        <div class="analysis-section">
+            <h3>📰 Framing by Outlet</h3>
+            ${comparison.sources.map(source => {
+                const type = source.sentiment?.toLowerCase() || 'neutral';
+                return `
+                    <div class="source-framing">
+                        <div class="source-framing-header">
+                            <strong>${escapeHtml(source.source)}</strong>
+                            <span class="sentiment-badge sentiment-${escapeHtml(type)}">${sentimentEmojis[type] || '😐'} ${escapeHtml(source.sentiment || 'Unknown')}</span>
+                        </div>
+                        <p>${escapeHtml(source.framing)}</p>
+                        <p><em>⚖️ ${escapeHtml(source.bias || 'No bias assessment.')}</em></p>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// Watchlists
+async function loadWatchlists() {
+    // Watchlists belong to the signed-in user
+    if (!session) {
+        watchlistsList.innerHTML = '<div class="history-empty">Sign in with the 👤 button to keep watchlists.</div>';
+        watchlistAlerts.innerHTML = '';
+        return;
+    }
+    
+    watchlistsList.innerHTML = '<div class="history-empty">Loading watchlists...</div>';
+    
+    try {
+        const [listResponse, alertsResponse] = await Promise.all([
+            fetch(`${API_URL}/watchlists`, { headers: authHeaders() }),
+            fetch(`${API_URL}/watchlists/alerts`, { headers: authHeaders() })
+        ]);
+        
+        if (!listResponse.ok || !alertsResponse.ok) {
+            throw new Error(`HTTP error! status: ${listResponse.ok ? alertsResponse.status : listResponse.status}`);
+        }
+        
+        const { watchlists } = await listResponse.json();
+        const { alerts } = await alertsResponse.json();
+        displayWatchlists(watchlists, alerts);
+    } catch (error) {
+        console.error('Error loading watchlists:', error);
+        watchlistsList.innerHTML = `<div class="history-empty">Failed to load watchlists: ${escapeHtml(error.message)}</div>`;
+        watchlistAlerts.innerHTML = '';
+    }
+}
+
+function displayWatchlists(watchlists, alerts) {
+    watchlistsList.innerHTML = watchlists.length === 0
+        ? '<div class="history-empty">No watchlists yet. Add keywords above to start watching them.</div>'
+        : watchlists.map(watchlist => {
+            const filters = [
+                watchlist.category,
+                watchlist.country?.toUpperCase(),
+                watchlist.sentiment && `${watchlist.sentiment} only`,
+                watchlist.autoAnalyze && 'auto-analyze',
+                watchlist.webhookUrl && 'webhook'
+            ].filter(Boolean);
+            const status = watchlist.lastError
+                ? `⚠️ ${watchlist.lastError}`
+                : watchlist.lastCheckedAt ? `checked ${shortDateTime(watchlist.lastCheckedAt)}` : 'not checked yet';
+            
+            return `
+                <div class="history-item watchlist-item">
+                    <span class="history-item-info">
+                        <span class="history-item-title">${escapeHtml(watchlist.name)}</span>
+                        <span class="history-item-meta">"${escapeHtml(watchlist.query)}"${filters.length ? ` · ${escapeHtml(filters.join(' · '))}` : ''} · ${escapeHtml(status)}</span>
+                    </span>
+                    <button class="icon-btn" data-action="check-watchlist" data-id="${escapeHtml(watchlist.id)}" title="Check now">🔄</button>
+                    <button class="icon-btn" data-action="delete-watchlist" data-id="${escapeHtml(watchlist.id)}" title="Delete">🗑️</button>
+                </div>
+            `;
+        }).join('');
+    
+    watchlistAlerts.innerHTML = alerts.length === 0
+        ? '<div class="history-empty">No alerts yet. New matching articles will show up here.</div>'
+        : alerts.map(alert => {
+            const sentiment = alert.sentiment?.toLowerCase();
+            const content = `
+                ${sentiment ? `<span class="sentiment-badge sentiment-${escapeHtml(sentiment)}">${sentimentEmojis[sentiment] || '😐'}</span>` : ''}
+                <span class="history-item-info">
+                    <span class="history-item-title">${escapeHtml(alert.article.title)}</span>
+                    <span class="history-item-meta">${escapeHtml(alert.watchlistName)} · ${escapeHtml(alert.article.source?.name || 'Unknown source')} · ${shortDateTime(alert.createdAt)}</span>
+                </span>
+            `;
+            return safeUrl(alert.article.url)
+                ? externalLink(alert.article.url, content, { className: 'history-item' })
+                : `<div class="history-item">${content}</div>`;
+        }).join('');
+}
+
+function shortDateTime(value) {
+    return new Date(value).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+async function createWatchlist(event) {
+    event.preventDefault();
+    
+    const body = {
+        query: document.getElementById('watchlistQuery').value.trim(),
+        name: document.getElementById('watchlistName').value.trim() || undefined,
+        category: document.getElementById('watchlistCategory').value || undefined,
+        country: document.getElementById('watchlistCountry').value || undefined,
+        sentiment: document.getElementById('watchlistSentiment').value || undefined,
+        webhookUrl: document.getElementById('watchlistWebhook').value.trim() || undefined,
+        autoAnalyze: document.getElementById('watchlistAutoAnalyze').checked
+    };
+    
+    try {
+        const response = await fetch(`${API_URL}/watchlists`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            if (data.code === 'AUTH_REQUIRED') showAccount();
+            throw new Error([data.error || `HTTP error! status: ${response.status}`, data.details].filter(Boolean).join(': '));
+        }
+        
+        watchlistForm.reset();
+        showToast(`Watching "${data.name}"`, 'success');
+        loadWatchlists();
+    } catch (error) {
+        console.error('Error creating watchlist:', error);
+        showToast(`Could not add watchlist: ${error.message}`, 'error');
+    }
+}
+
+async function checkWatchlist(id) {
+    try {
+        const response = await fetch(`${API_URL}/watchlists/${id}/check`, { method: 'POST', headers: authHeaders() });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            if (data.code === 'AUTH_REQUIRED') showAccount();
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(data.alerts.length > 0 ? `${data.alerts.length} new match${data.alerts.length === 1 ? '' : 'es'}` : 'No new matches', 'success');
+        loadWatchlists();
+    } catch (error) {
+        console.error('Error checking watchlist:', error);
+        showToast(`Check failed: ${error.message}`, 'error');
+    }
+}
+
+async function deleteWatchlist(id) {
+    try {
+        const response = await fetch(`${API_URL}/watchlists/${id}`, { method: 'DELETE', headers: authHeaders() });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        showToast('Watchlist deleted', 'success');
+        loadWatchlists();
+    } catch (error) {
+        console.error('Error deleting watchlist:', error);
+        showToast(`Could not delete watchlist: ${error.message}`, 'error');
+    }
+}
+
+// Poll for alerts raised since the last poll and show each as a toast.
+// Alerts from before the first visit are not replayed.
+function startWatchlistAlerts() {
+    if (!localStorage.getItem('watchlistAlertsSince')) {
+        localStorage.setItem('watchlistAlertsSince', new Date().toISOString());
+    }
+    
+    setInterval(pollWatchlistAlerts, WATCHLIST_POLL_MS);
+}
+
+async function pollWatchlistAlerts() {
+    if (!session) return;
+    
+    const since = localStorage.getItem('watchlistAlertsSince');
+    
+    try {
+        const response = await fetch(`${API_URL}/watchlists/alerts?since=${encodeURIComponent(since)}`, { headers: authHeaders() });
+        if (!response.ok) return;
+        
+        const { alerts } = await response.json();
+        if (alerts.length === 0) return;
+        
+        localStorage.setItem('watchlistAlertsSince', alerts[0].createdAt);
+        alerts.slice(0, 3).reverse().forEach(alert => {
+            showToast(`🔔 ${alert.watchlistName}: ${alert.article.title}`, 'success');
+        });
+        if (alerts.length > 3) {
+            showToast(`🔔 ${alerts.length - 3} more watchlist alerts`, 'success');
+        }
+        
+        if (!watchlistsModal.classList.contains('hidden')) {
+            loadWatchlists();
+        }
+    } catch (error) {
+        console.warn('Could not poll watchlist alerts:', error.message);
+    }
+}
+
+// Daily Digest
+async function loadDigests() {
+    // Digests and their schedule belong to the signed-in user
+    if (!session) {
+        displayDigestSchedule(null);
+        digestsList.innerHTML = '<div class="history-empty">Sign in with the 👤 button to write and keep digests.</div>';
+        return;
+    }
+    
+    digestsList.innerHTML = '<div class="history-empty">Loading digests...</div>';
+    
+    try {
+        const [listResponse, scheduleResponse] = await Promise.all([
+            fetch(`${API_URL}/digests`, { headers: authHeaders() }),
+            fetch(`${API_URL}/digest/schedule`, { headers: authHeaders() })
+        ]);
+        
+        if (!listResponse.ok || !scheduleResponse.ok) {
+            throw new Error(`HTTP error! status: ${listResponse.ok ? scheduleResponse.status : listResponse.status}`);
+        }
+        
+        const { digests } = await listResponse.json();
+        const { schedule } = await scheduleResponse.json();
+        displayDigestSchedule(schedule);
+        displayDigestsList(digests);
+    } catch (error) {
+        console.error('Error loading digests:', error);
+        digestsList.innerHTML = `<div class="history-empty">Failed to load digests: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function displayDigestsList(digests) {
+    digestsList.innerHTML = digests.length === 0
+        ? '<div class="history-empty">No digests yet. Pick some sections above and generate one.</div>'
+        : digests.map(digest => `
+            <div class="history-item" data-action="open-digest" data-id="${escapeHtml(digest.id)}">
+                <span class="history-item-info">
+                    <span class="history-item-title">${escapeHtml(digest.headline)}</span>
+                    <span class="history-item-meta">${shortDateTime(digest.createdAt)} · ${escapeHtml(digest.sections.join(', '))} · ${digest.totals.stories} stories</span>
+                </span>
+            </div>
+        `).join('');
+}
+
+// The schedule form shows the saved schedule; saving it uses the sections
+// and outbox setting of the form above
+function displayDigestSchedule(schedule) {
+    if (!schedule) {
+        digestScheduleStatus.textContent = 'Not scheduled';
+        return;
+    }
+    
+    digestScheduleEnabled.checked = schedule.enabled;
+    digestScheduleTime.value = schedule.time;
+    digestScheduleStatus.textContent = [
+        schedule.enabled ? `${schedule.categories.join(', ')} · ${schedule.countries.join(', ').toUpperCase()}` : 'Paused',
+        schedule.lastRunAt && `last run ${shortDateTime(schedule.lastRunAt)}`
+    ].filter(Boolean).join(' · ');
+}
+
+function digestOptions() {
+    return {
+        categories: [...digestForm.querySelectorAll('input[name="digestCategory"]:checked')].map(input => input.value),
+        countries: digestCountries.value,
+        outbox: digestOutbox.checked
+    };
+}
+
+async function generateDigest(event) {
+    event.preventDefault();
+    
+    generateDigestBtn.disabled = true;
+    digestView.innerHTML = loadingMarkup('Writing Your Digest...', 'Gathering the top headlines and summarizing each section');
+    
+    try {
+        const response = await fetch(`${API_URL}/digest`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ ...digestOptions(), ...analyzerChoice() })
+        });
+        const digest = await response.json();
+        
+        if (!response.ok) {
+            if (digest.code === 'AUTH_REQUIRED') showAccount();
+            throw new Error(digest.error + (digest.details ? `: ${digest.details}` : digest.hint ? `: ${digest.hint}` : ''));
+        }
+        
+        displayDigest(digest);
+        showToast(digest.outboxFile ? 'Digest ready and written to the outbox' : 'Digest ready!', 'success');
+        loadDigests();
+    } catch (error) {
+        console.error('Error generating digest:', error);
+        showToast('Digest failed', 'error');
+        digestView.innerHTML = `<div class="history-empty">Digest failed: ${escapeHtml(error.message)}</div>`;
+    } finally {
+        generateDigestBtn.disabled = false;
+    }
+}
+
+async function openDigest(id) {
+    try {
+        const response = await fetch(`${API_URL}/digests/${id}`, { headers: authHeaders() });
+        const digest = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(digest.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        displayDigest(digest);
+        digestView.scrollIntoView({ behavior: animationsToggle.checked ? 'smooth' : 'auto' });
+    } catch (error) {
+        console.error('Error opening digest:', error);
+        showToast(`Could not open digest: ${error.message}`, 'error');
+    }
+}
+
+function displayDigest(digest) {
+    digestView.innerHTML = `
+        <div class="digest">
+            <div class="digest-header">
+                <div>
+                    <span class="history-item-meta">${shortDateTime(digest.createdAt)}${digest.analyzer ? ` · ${escapeHtml(digest.analyzer.provider)} (${escapeHtml(digest.analyzer.model)})` : ''}</span>
+                    <h3>${escapeHtml(digest.headline)}</h3>
+                </div>
+                <div class="digest-actions">
+                    <button class="btn-toolbar" data-action="digest-html" data-id="${escapeHtml(digest.id)}">Open HTML</button>
+                    <button class="btn-toolbar" data-action="digest-outbox" data-id="${escapeHtml(digest.id)}">Write to Outbox</button>
+                </div>
+            </div>
+            ${digest.sections.map(section => {
+                const type = section.sentiment?.type.toLowerCase();
+                return `
+                    <div class="story-cluster digest-section">
+                        <div class="story-cluster-header">
+                            <h3>${escapeHtml(section.name)}</h3>
+                            ${type ? `<span class="sentiment-badge sentiment-${escapeHtml(type)}" title="${escapeHtml(section.sentiment.explanation)}">${sentimentEmojis[type] || '🔀'} ${escapeHtml(section.sentiment.type)}</span>` : ''}
+                        </div>
+                        <p>${escapeHtml(section.overview)}</p>
+                        <ul>
+                            ${section.stories.map(story => `
+                                <li>
+                                    ${externalLink(story.articles[0]?.url, `<strong>${escapeHtml(story.title)}</strong>`)}
+                                    ${escapeHtml(story.summary)}
+                                    <span class="history-item-meta">${escapeHtml(story.sources.join(', '))}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                        ${section.worthWatching.length > 0 ? `
+                            <h4>👀 Worth Watching</h4>
+                            <ul class="key-points">${section.worthWatching.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// The HTML needs the session, so it is fetched here and opened from a blob
+async function openDigestHtml(id) {
+    try {
+        const response = await fetch(`${API_URL}/digests/${id}/html`, { headers: authHeaders() });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const url = URL.createObjectURL(new Blob([await response.text()], { type: 'text/html' }));
+        window.open(url, '_blank', 'noopener');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        console.error('Error opening digest HTML:', error);
+        showToast(`Could not open the digest: ${error.message}`, 'error');
+    }
+}
+
+async function writeDigestOutbox(id) {
+    try {
+        const response = await fetch(`${API_URL}/digests/${id}/outbox`, { method: 'POST', headers: authHeaders() });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(`Written to ${data.file}`, 'success');
+    } catch (error) {
+        console.error('Error writing digest to the outbox:', error);
+        showToast(`Could not write to the outbox: ${error.message}`, 'error');
+    }
+}
+
+async function saveDigestSchedule(event) {
+    event.preventDefault();
+    
+    try {
+        const response = await fetch(`${API_URL}/digest/schedule`, {
+            method: 'PUT',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                ...digestOptions(),
+                enabled: digestScheduleEnabled.checked,
+                time: digestScheduleTime.value
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            if (data.code === 'AUTH_REQUIRED') showAccount();
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        displayDigestSchedule(data.schedule);
+        showToast(data.schedule.enabled ? `Digest scheduled for ${data.schedule.time} daily` : 'Digest schedule paused', 'success');
+    } catch (error) {
+        console.error('Error saving digest schedule:', error);
+        showToast(`Could not save schedule: ${error.message}`, 'error');
+    }
+}
+
+// Trends Dashboard
+async function loadTrends() {
+    trendsContent.innerHTML = '<div class="history-empty">Loading trends...</div>';
+    
+    const params = new URLSearchParams({
+        days: trendsDays.value,
+        interval: trendsInterval.value,
+        groupBy: trendsGroupBy.value
+    });
+
+    try {
+        const response = await fetch(`${API_URL}/stats/trends?${params}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        displayTrends(data);
+    } catch (error) {
+        console.error('Error loading trends:', error);
+        trendsContent.innerHTML = `<div class="history-empty">Failed to load trends: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function displayTrends(trends) {
+    if (trends.totals.articles === 0) {
+        trendsContent.innerHTML = '<div class="history-empty">No articles in this period yet. Fetch and analyze some news first.</div>';
+        return;
+    }
+    
+    // One shared date axis so every group's columns line up
+    const dates = [...new Set(trends.sentiment.flatMap(series => series.points.map(point => point.date)))].sort();
+    const maxTotal = Math.max(1, ...trends.sentiment.flatMap(series => series.points.map(point => point.total)));
+    
+    const mentions = trends.entities.length > 0
+        ? trends.entities.map(entity => ({ label: `${entityIcons[entity.type?.toLowerCase()] || '•'} ${escapeHtml(entity.name)}`, count: entity.count }))
+        : trends.keywords.map(keyword => ({ label: escapeHtml(keyword.keyword), count: keyword.count }));
+    
+    trendsContent.innerHTML = `
+        <p class="trends-totals">
+            <strong>${trends.totals.articles}</strong> articles and <strong>${trends.totals.analyzed}</strong> analyzed
+            between ${escapeHtml(trends.range.from)} and ${escapeHtml(trends.range.to)}
+        </p>
+
+        <div class="analysis-section">
+            <h3>💭 Sentiment ${trends.range.interval === 'week' ? 'per Week' : 'per Day'}</h3>
+            ${trends.sentiment.length > 0 ? `
+                <div class="trend-legend">
+                    <span class="legend-positive">Positive</span>
+                    <span class="legend-neutral">Neutral</span>
+                    <span class="legend-negative">Negative</span>
+                </div>
+                ${trends.sentiment.map(series => renderSentimentSeries(series, dates, maxTotal)).join('')}
+            ` : '<p>No analyzed articles in this period.</p>'}
+        </div>
+
+        <div class="analysis-section">
+            <h3>${trends.entities.length > 0 ? '👥 Most-Mentioned Entities' : '🔤 Top Keywords'}</h3>
+            ${renderBarList(mentions)}
+        </div>
+
+        <div class="analysis-section">
+            <h3>📰 Articles per Source</h3>
+            ${renderBarList(trends.sources.map(source => ({
+                label: escapeHtml(source.name),
+                count: source.count,
+                extra: renderSparkline(source.points, dates)
+            })))}
+        </div>
+    `;
+}
+
+function renderSentimentSeries(series, dates, maxTotal) {
+    const byDate = new Map(series.points.map(point => [point.date, point]));
+    
+    return `
+        <div class="trend-series">
+            <span class="trend-series-label">${escapeHtml(series.key)}</span>
+            <div class="trend-columns">
+                ${dates.map(date => {
+                    const point = byDate.get(date);
+                    if (!point) return `<div class="trend-column" title="${date}: no analyses"></div>`;
+                    
+                    const height = type => point[type] / maxTotal * 100;
+                    const score = point.averageScore === null ? '' : `, average score ${point.averageScore}`;
+                    return `
+                        <div class="trend-column" title="${date}: ${point.positive} positive, ${point.neutral} neutral, ${point.negative} negative${score}">
+                            <span class="trend-negative" style="height: ${height('negative')}%"></span>
+                            <span class="trend-neutral" style="height: ${height('neutral')}%"></span>
+                            <span class="trend-positive" style="height: ${height('positive')}%"></span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function renderBarList(items) {
+    if (items.length === 0) return '<p>Nothing to show yet.</p>';
+    
+    const max = Math.max(...items.map(item => item.count));
+    return `
+        <div class="trend-bars">
+            ${items.map(item => `
+                <div class="trend-bar-row">
+                    <span class="trend-bar-label">${item.label}</span>
+                    <div class="trend-bar"><span style="width: ${item.count / max * 100}%"></span></div>
+                    <span class="trend-bar-count">${item.count}</span>
+                    ${item.extra || ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Tiny line chart of counts over the dashboard's dates
+function renderSparkline(points, dates) {
+    if (dates.length < 2) return '';
+    
+    const counts = new Map(points.map(point => [point.date, point.count]));
+    const values = dates.map(date => counts.get(date) || 0);
+    const max = Math.max(1, ...values);
+    const path = values.map((value, index) => 
+        `${(index / (values.length - 1) * 100).toFixed(1)},${(20 - value / max * 18).toFixed(1)}`
+    ).join(' ');
+    
+    return `
+        <svg class="trend-sparkline" viewBox="0 0 100 20" preserveAspectRatio="none">
+            <polyline points="${path}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+        </svg>
+    `;
+}
+
+// Analysis History
+async function loadHistory() {
+    // The history is the signed-in user's own
+    if (!session) {
+        historyList.innerHTML = '<div class="history-empty">Sign in with the 👤 button to keep a history of your analyses.</div>';
+        return;
+    }
+    
+    historyList.innerHTML = '<div class="history-empty">Loading history...</div>';
+    
+    const params = new URLSearchParams({ limit: 50 });
+    if (historySentiment.value) params.set('sentiment', historySentiment.value);
+    if (historyFrom.value) params.set('from', historyFrom.value);
+    if (historyTo.value) params.set('to', historyTo.value);
+
+    try {
+        const response = await fetch(`${API_URL}/analyses?${params}`, { headers: authHeaders() });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        historyRecords = data.analyses;
+        displayHistory(historyRecords);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        historyList.innerHTML = `<div class="history-empty">Failed to load history: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function displayHistory(records) {
+    if (records.length === 0) {
+        historyList.innerHTML = '<div class="history-empty">No analyses yet. Analyze an article and it will show up here.</div>';
+        return;
+    }
+    
+    historyList.innerHTML = records.map((record, index) => {
+        const sentiment = record.sentiment?.toLowerCase() || 'neutral';
+        const analyzedAt = new Date(record.createdAt).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        
+        return `
+            <button class="history-item" data-action="open-history" data-index="${index}">
+                <span class="sentiment-badge sentiment-${escapeHtml(sentiment)}">${sentimentEmojis[sentiment] || '😐'}</span>
+                <span class="history-item-info">
+                    <span class="history-item-title">${escapeHtml(record.article?.title || 'Untitled article')}</span>
+                    <span class="history-item-meta">${escapeHtml(record.article?.source?.name || 'Unknown source')} · analyzed ${analyzedAt}</span>
+                </span>
+            </button>
+        `;
+    }).join('');
+}
+
+// Reopen a stored analysis without calling the AI again
+function openHistoryItem(index) {
+    const record = historyRecords[index];
+    
+    historyModal.classList.add('hidden');
+    analysisModal.classList.remove('hidden');
+    displayAnalysis({ ...record.analysis, analysisId: record.id, articleId: record.articleId }, record.article || { title: 'Untitled article', url: '#' });
+}
+
+// Account
+// Signed in, preferences, the reading list and the analysis history live
+// on the server, so they follow the user to other machines. Accounts get
+// a bigger daily analysis quota than visitors.
+function authHeaders(headers = {}) {
+    return session ? { ...headers, Authorization: `Bearer ${session.token}` } : headers;
+}
+
+function showAccount() {
+    accountModal.classList.remove('hidden');
+    loadAccount();
+}
+
+// Refresh the signed-in user from the backend. A session the backend no
+// longer accepts signs the user out here too.
+async function loadAccount() {
+    displayAccount(null);
+    if (!session) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/me`, { headers: authHeaders() });
+        
+        if (response.status === 401) {
+            endSession();
+            showToast('Your session has expired, please sign in again', 'error');
+            return;
+        }
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        applyAccount(data.user);
+    } catch (error) {
+        console.warn('Could not load the account:', error.message);
+    }
+}
+
+function displayAccount(user) {
+    accountForm.classList.toggle('hidden', Boolean(session));
+    accountDetails.classList.toggle('hidden', !session);
+    accountBtn.classList.toggle('active', Boolean(session));
+    accountBtn.title = session ? `Account (${session.username})` : 'Sign In';
+    if (!session) return;
+    
+    accountName.textContent = `Signed in as ${session.username}`;
+    
+    const quota = user?.quota;
+    accountQuota.textContent = quota ? [
+        quota.limit ? `${quota.used} of ${quota.limit} analyses used today` : `${quota.used} analyses today, no daily limit`,
+        `${user.stats.analyses} in your history`,
+        `${user.stats.bookmarks} saved`
+    ].join(' · ') : '';
+    accountQuotaFill.style.width = quota?.limit ? `${Math.min(100, quota.used / quota.limit * 100)}%` : '0';
+}
+
+// Take over the account's preferences, or give a new account the ones set
+// here, then bring the reading list and stats in line with it
+function applyAccount(user) {
+    displayAccount(user);
+    
+    if (Object.keys(user.preferences).length > 0) {
+        applyAccountPreferences(user.preferences);
+    } else {
+        syncPreferences();
+    }
+    
+    totalAnalyses = user.stats.analyses;
+    updateStats();
+    saveStats();
+    pullReadingList();
+}
+
+function applyAccountPreferences({ theme, ...prefs }) {
+    const local = JSON.parse(localStorage.getItem('preferences') || '{}');
+    const feedChanged = ['category', 'country', 'pageSize'].some(name => prefs[name] !== undefined && prefs[name] !== local[name]);
+    
+    localStorage.setItem('preferences', JSON.stringify({ ...local, ...prefs }));
+    loadPreferences();
+    
+    // loadPreferences() only picks the analyzer before the list has loaded
+    if ([...analyzerSelect.options].some(option => option.value === prefs.analyzer && !option.disabled)) {
+        analyzerSelect.value = prefs.analyzer;
+    }
+    
+    if (theme) {
+        setTheme(theme);
+        themeOptions.forEach(option => option.classList.toggle('active', option.dataset.theme === theme));
+    }
+    
+    if (feedChanged && currentMode === 'headlines') fetchNews();
+}
+
+// Save the preferences and theme to the account, at most once a second
+function syncPreferences() {
+    if (!session) return;
+    
+    clearTimeout(preferencesSyncTimer);
+    preferencesSyncTimer = setTimeout(async () => {
+        const prefs = {
+            ...JSON.parse(localStorage.getItem('preferences') || '{}'),
+            theme: localStorage.getItem('theme') || 'dark'
+        };
+        
+        try {
+            const response = await fetch(`${API_URL}/me/preferences`, {
+                method: 'PUT',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify(prefs)
+            });
+            
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.warn('Could not save preferences to the account:', error.message);
+        }
+    }, PREFERENCES_SYNC_MS);
+}
+
+async function submitAccount(event, mode) {
+    event.preventDefault();
+    if (!accountForm.reportValidity()) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/auth/${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: accountUsername.value.trim(),
+                password: accountPassword.value
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        session = { token: data.token, username: data.user.username };
+        localStorage.setItem('session', JSON.stringify(session));
+        accountForm.reset();
+        applyAccount(data.user);
+        showToast(mode === 'register' ? `Welcome, ${data.user.username}!` : `Signed in as ${data.user.username}`, 'success');
+    } catch (error) {
+        console.error('Error signing in:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+async function signOut() {
+    try {
+        await fetch(`${API_URL}/auth/logout`, { method: 'POST', headers: authHeaders() });
+    } catch (error) {
+        console.warn('Could not end the session on the backend:', error.message);
+    }
+    
+    endSession();
+    showToast('Signed out', 'success');
+}
+
+// Forget the session on this device; the reading list stays
+function endSession() {
+    session = null;
+    localStorage.removeItem('session');
+    clearTimeout(preferencesSyncTimer);
+    displayAccount(null);
+}
+
+// Reading List
+// Articles saved for later, with their analysis when there is one, kept in
+// IndexedDB so the list works without the backend. Each change is marked
+// unsynced and sent to the backend once it's reachable; removals are kept
+// as markers until the backend has them.
+function openReadingListDb() {
+    if (!readingListDb) {
+        readingListDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(READING_LIST_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(READING_LIST_STORE, { keyPath: 'url' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return readingListDb;
+}
+
+// Run one request against the reading list store and resolve with its result
+async function readingListRequest(mode, makeRequest) {
+    const db = await openReadingListDb();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(READING_LIST_STORE, mode).objectStore(READING_LIST_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getReadingList() {
+    const items = await readingListRequest('readonly', store => store.getAll());
+    
+    savedUrls.clear();
+    items.filter(item => !item.removed).forEach(item => savedUrls.add(item.url));
+    updateSaveButtons();
+    return items;
+}
+
+function updateSaveButtons() {
+    document.querySelectorAll('[data-save-for]').forEach(button => {
+        const article = currentArticles[button.dataset.saveFor];
+        button.classList.toggle('saved', Boolean(article && savedUrls.has(article.url)));
+    });
+}
+
+// Save an article, keeping the analysis saved with it earlier when there's
+// no new one
+async function saveToReadingList(article, analysis = null) {
+    const existing = await readingListRequest('readonly', store => store.get(article.url));
+    const saved = existing && !existing.removed;
+    
+    await readingListRequest('readwrite', store => store.put({
+        ...(saved && existing),
+        url: article.url,
+        article: articlePayload(article),
+        analysis: analysis || (saved ? existing.analysis : null),
+        savedAt: saved ? existing.savedAt : new Date().toISOString(),
+        changedAt: Date.now(),
+        synced: false,
+        removed: false
+    }));
+    
+    savedUrls.add(article.url);
+    updateSaveButtons();
+    syncReadingList();
+}
+
+async function removeFromReadingList(url) {
+    const existing = await readingListRequest('readonly', store => store.get(url));
+    if (!existing) return;
+    
+    await readingListRequest('readwrite', store => store.put({
+        ...existing,
+        changedAt: Date.now(),
+        synced: false,
+        removed: true
+    }));
+    
+    savedUrls.delete(url);
+    updateSaveButtons();
+    syncReadingList();
+}
+
+// The card's 🔖 button saves the article, or takes it off the list again
+async function saveForLater(index) {
+    const article = currentArticles[index];
+    
+    try {
+        if (savedUrls.has(article.url)) {
+            await removeFromReadingList(article.url);
+            showToast('Removed from your reading list', 'success');
+        } else {
+            await saveToReadingList(article, feedAnalyses.get(article.url));
+            showToast('Saved to your reading list', 'success');
+        }
+    } catch (error) {
+        console.error('Error saving for later:', error);
+        showToast('Could not update the reading list', 'error');
+    }
+}
+
+async function saveCurrentAnalysis() {
+    if (!currentAnalysis) return;
+    
+    try {
+        await saveToReadingList(currentAnalysis.article, currentAnalysis.analysis);
+        showToast('Analysis saved to your reading list', 'success');
+    } catch (error) {
+        console.error('Error saving analysis:', error);
+        showToast('Could not save the analysis', 'error');
+    }
+}
+
+function showReadingList() {
+    readingListModal.classList.remove('hidden');
+    loadReadingList();
+}
+
+async function loadReadingList() {
+    try {
+        const items = await getReadingList();
+        readingListItems = items
+            .filter(item => !item.removed)
+            .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+        
+        const pending = items.filter(item => !item.synced).length;
+        readingListStatus.textContent = [
+            !navigator.onLine && 'You\'re offline: everything saved on this device still opens.',
+            !session && 'Saved on this device only. Sign in with the 👤 button to keep it in your account.',
+            session && pending > 0 && `${pending} change${pending === 1 ? '' : 's'} waiting to sync.`
+        ].filter(Boolean).join(' ');
+        
+        displayReadingList(readingListItems);
+    } catch (error) {
+        console.error('Error loading the reading list:', error);
+        readingListEl.innerHTML = `<div class="history-empty">Failed to load the reading list: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function displayReadingList(items) {
+    if (items.length === 0) {
+        readingListEl.innerHTML = '<div class="history-empty">Nothing saved yet. Use 🔖 on an article or an analysis to read it later, even offline.</div>';
+        return;
+    }
+    
+    readingListEl.innerHTML = items.map((item, index) => {
+        const sentiment = item.analysis?.sentiment?.type?.toLowerCase();
+        const meta = [
+            item.article.source?.name || 'Unknown source',
+            `saved ${shortDateTime(item.savedAt)}`,
+            item.analysis || item.analysisId ? 'with analysis' : 'article only',
+            session && !item.synced && 'not synced yet'
+        ].filter(Boolean);
+        
+        return `
+            <div class="history-item reading-list-item" data-action="open-saved" data-index="${index}">
+                <span class="sentiment-badge sentiment-${escapeHtml(sentiment || 'neutral')}">${sentiment ? sentimentEmojis[sentiment] || '😐' : '🔖'}</span>
+                <span class="history-item-info">
+                    <span class="history-item-title">${escapeHtml(item.article.title)}</span>
+                    <span class="history-item-meta">${escapeHtml(meta.join(' · '))}</span>
+                </span>
+                <button class="icon-btn" data-action="remove-saved" data-index="${index}" title="Remove">🗑️</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// Saved analyses open in the analysis modal, straight from IndexedDB;
+// articles without one open at their source
+async function openSaved(index) {
+    const item = readingListItems[index];
+    let analysis = item.analysis;
+    
+    // Saved on another device: fetch the analysis once and keep it here
+    if (!analysis && item.analysisId && navigator.onLine) {
+        try {
+            const response = await fetch(`${API_URL}/analyses/${item.analysisId}`, { headers: authHeaders() });
+            if (response.ok) {
+                const record = await response.json();
+                analysis = { ...record.analysis, analysisId: record.id, articleId: record.articleId };
+                await readingListRequest('readwrite', store => store.put({ ...item, analysis }));
+                item.analysis = analysis;
+            }
+        } catch (error) {
+            console.warn('Could not load the saved analysis:', error.message);
+        }
+    }
+    
+    if (!analysis) {
+        window.open(item.url, '_blank', 'noopener');
+        return;
+    }
+    
+    readingListModal.classList.add('hidden');
+    analysisModal.classList.remove('hidden');
+    displayAnalysis(analysis, item.article);
+}
+
+async function removeSaved(index) {
+    try {
+        await removeFromReadingList(readingListItems[index].url);
+        loadReadingList();
+    } catch (error) {
+        console.error('Error removing from the reading list:', error);
+        showToast('Could not remove the article', 'error');
+    }
+}
+
+// Signing in merges the account's reading list with this device's: saved
+// articles missing here are added (their analyses are fetched when first
+// opened) and the ones only saved here are sent to the account
+async function pullReadingList() {
+    if (!session || !('indexedDB' in window)) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/reading-list`, { headers: authHeaders() });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        const local = new Map((await readingListRequest('readonly', store => store.getAll())).map(item => [item.url, item]));
+        const remote = new Set(data.articles.map(article => article.url));
+        
+        for (const article of data.articles.filter(article => !local.has(article.url))) {
+            await readingListRequest('readwrite', store => store.put({
+                url: article.url,
+                article: articlePayload(article),
+                analysis: null,
+                analysisId: article.savedAnalysisId || null,
+                savedAt: article.savedAt,
+                changedAt: Date.now(),
+                synced: true,
+                removed: false
+            }));
+        }
+        for (const item of [...local.values()].filter(item => !item.removed && !remote.has(item.url))) {
+            await readingListRequest('readwrite', store => store.put({ ...item, changedAt: Date.now(), synced: false }));
+        }
+        
+        await getReadingList();
+        syncReadingList();
+    } catch (error) {
+        console.warn('Could not load the account\'s reading list:', error.message);
+    }
+}
+
+// Send unsynced changes to the signed-in user's account. Items changed again
+// while the sync was under way stay unsynced for the next one; without an
+// account they wait for pullReadingList() after signing in. Returns the
+// backend's counts, or null when there was nothing to sync or it failed.
+async function syncReadingList() {
+    if (readingListSyncing || !navigator.onLine || !session) return null;
+    readingListSyncing = true;
+    
+    try {
+        const items = (await readingListRequest('readonly', store => store.getAll())).filter(item => !item.synced);
+        if (items.length === 0) return null;
+        
+        const response = await fetch(`${API_URL}/reading-list/sync`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                saved: items.filter(item => !item.removed).map(item => ({
+                    article: item.article,
+                    savedAt: item.savedAt,
+                    analysisId: item.analysis?.analysisId || item.analysisId || null
+                })),
+                removed: items.filter(item => item.removed).map(item => item.url)
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        for (const item of items) {
+            const current = await readingListRequest('readonly', store => store.get(item.url));
+            if (current?.changedAt !== item.changedAt) continue;
+            await readingListRequest('readwrite', store => item.removed ? store.delete(item.url) : store.put({ ...item, synced: true }));
+        }
+        
+        if (!readingListModal.classList.contains('hidden')) loadReadingList();
+        return data;
+    } catch (error) {
+        console.warn('Reading list sync failed:', error.message);
+        return null;
+    } finally {
+        readingListSyncing = false;
+    }
+}
+
+// Offline Support
+// The service worker caches the app shell and the latest feeds; the reading
+// list syncs whenever the connection comes back.
+function setupOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error.message);
+        });
+    }
+    
+    // Offer our own install button instead of the browser's mini-infobar
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        deferredInstallPrompt = e;
+        installBtn.classList.remove('hidden');
+    });
+    installBtn.addEventListener('click', async () => {
+        if (!deferredInstallPrompt) return;
+        deferredInstallPrompt.prompt();
+        await deferredInstallPrompt.userChoice;
+        deferredInstallPrompt = null;
+        installBtn.classList.add('hidden');
+    });
+    window.addEventListener('appinstalled', () => installBtn.classList.add('hidden'));
+    
+    window.addEventListener('offline', () => {
+        showToast('You\'re offline: your reading list is still available', 'error');
+    });
+    window.addEventListener('online', async () => {
+        showToast('Back online', 'success');
+        const synced = await syncReadingList();
+        if (synced) showToast('Reading list synced', 'success');
+    });
+    
+    if (!('indexedDB' in window)) {
+        readingListBtn.classList.add('hidden');
+        return;
+    }
+    getReadingList()
+        .then(syncReadingList)
+        .catch(error => console.warn('Could not open the reading list:', error.message));
+}
+
+// Chat
+// Follow-up questions about the analyzed article, for signed-in users. The
+// backend keeps one session per user and article, so reopening an analysis
+// shows the earlier answers.
+async function openChat(analysis, article) {
+    chatMessages.innerHTML = '';
+    chatInput.value = '';
+    delete analysisChat.dataset.sessionId;
+    analysisChat.classList.remove('hidden');
+    
+    if (!analysis.articleId || !session) return;
+    analysisChat.dataset.sessionId = analysis.articleId;
+    
+    try {
+        const response = await fetch(`${API_URL}/chats/${analysis.articleId}`, { headers: authHeaders() });
+        if (!response.ok) return;
+        
+        const session = await response.json();
+        if (currentAnalysis?.article !== article) return;
+        chatMessages.innerHTML = session.messages.map(renderChatMessage).join('');
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    } catch (error) {
+        console.warn('Could not load the chat session:', error.message);
+    }
+}
+
+// Answers cite articles as [n]; each citation links to its article
+function renderChatMessage(message) {
+    if (message.role === 'user') {
+        return `<div class="chat-message chat-message-user">${escapeHtml(message.content)}</div>`;
+    }
+    
+    const cited = new Map((message.citations || []).map(citation => [citation.article, citation]));
+    // Escaped first, so only the citation links are markup
+    const answer = escapeHtml(message.content).replace(/\[(\d+)\]/g, (marker, number) => {
+        const citation = cited.get(Number(number));
+        return safeUrl(citation?.url)
+            ? externalLink(citation.url, marker, { className: 'chat-citation', title: citation.title })
+            : `<span class="chat-citation" title="${escapeHtml(citation?.title)}">${marker}</span>`;
+    });
+    const sources = [...cited.values()];
+    
+    return `
+        <div class="chat-message chat-message-assistant">
+            <p>${answer}</p>
+            ${sources.length > 0 ? `
+                <ol class="chat-sources">
+                    ${sources.map(citation => `
+                        <li value="${Number(citation.article)}">
+                            ${externalLink(citation.url, escapeHtml(citation.title))}
+                            ${citation.source ? `<span class="history-item-meta">${escapeHtml(citation.source)}</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function askQuestion(event) {
+    event.preventDefault();
+    if (!currentAnalysis) return;
+    
+    const { article } = currentAnalysis;
+    const question = chatInput.value.trim();
+    if (!question) return;
+    
+    chatMessages.insertAdjacentHTML('beforeend', renderChatMessage({ role: 'user', content: question }));
+    chatMessages.insertAdjacentHTML('beforeend', '<div class="chat-message chat-message-assistant chat-pending">Thinking<span class="typing-dots"></span></div>');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    chatInput.value = '';
+    chatSend.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_URL}/chat`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                question,
+                article: articlePayload(article),
+                scope: chatScope.value,
+                ...(chatScope.value === 'feed' && { articles: currentArticles.map(articlePayload) }),
+                ...analyzerChoice()
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            if (data.code === 'AUTH_REQUIRED') showAccount();
+            throw new Error(data.error + (data.hint ? `: ${data.hint}` : ''));
+        }
+        
+        if (currentAnalysis?.article !== article) return;
+        analysisChat.dataset.sessionId = data.sessionId;
+        chatMessages.querySelector('.chat-pending')?.remove();
+        chatMessages.insertAdjacentHTML('beforeend', renderChatMessage(data.message));
+    } catch (error) {
+        console.error('Error asking question:', error);
+        const pending = chatMessages.querySelector('.chat-pending');
+        if (pending) {
+            pending.classList.replace('chat-pending', 'chat-error');
+            pending.textContent = `⚠️ ${error.message}`;
+        }
+    } finally {
+        chatSend.disabled = false;
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
+async function clearChat() {
+    const sessionId = analysisChat.dataset.sessionId;
+    chatMessages.innerHTML = '';
+    if (!sessionId) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/chats/${sessionId}`, { method: 'DELETE', headers: authHeaders() });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        showToast('Conversation cleared', 'success');
+    } catch (error) {
+        console.error('Error clearing chat:', error);
+        showToast(`Could not clear the conversation: ${error.message}`, 'error');
+    }
 }
 
-// Make functions globally accessible
-window.analyzeArticle = analyzeArticle;
-window.fetchNews = fetchNews;
+// Handlers for data-action, given the clicked element's data attributes
+const clickActions = {
+    'analyze': ({ index }) => analyzeArticle(Number(index)),
+    'translate': ({ index }) => translateArticle(Number(index)),
+    'save': ({ index }) => saveForLater(Number(index)),
+    'compare': ({ index }) => compareCluster(Number(index)),
+    'open-history': ({ index }) => openHistoryItem(Number(index)),
+    'open-saved': ({ index }) => openSaved(Number(index)),
+    'remove-saved': ({ index }) => removeSaved(Number(index)),
+    'check-watchlist': ({ id }) => checkWatchlist(id),
+    'delete-watchlist': ({ id }) => deleteWatchlist(id),
+    'open-digest': ({ id }) => openDigest(id),
+    'digest-html': ({ id }) => openDigestHtml(id),
+    'digest-outbox': ({ id }) => writeDigestOutbox(id),
+    'reading-list': () => showReadingList(),
+    'fetch-news': () => fetchNews()
+};
 
 // Initialize app
 window.addEventListener('load', init);
@@ -0,0 +1,93 @@
+// Service worker: keeps the app shell and the most recent feed responses so
+// the app opens, and shows the last feed it loaded, without a connection.
+// Everything is fetched from the network first; the caches are the fallback.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const FEED_CACHE = `feeds-${CACHE_VERSION}`;
+const FEED_CACHE_LIMIT = 20;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'html.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// Headlines and search results, wherever the backend runs
+const FEED_PATHS = ['/api/news', '/api/search'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => ![SHELL_CACHE, FEED_CACHE].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (FEED_PATHS.some(path => url.pathname.endsWith(path))) {
+        event.respondWith(networkFirst(request, FEED_CACHE, { limit: FEED_CACHE_LIMIT, offlineHeader: true }));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+// Serve from the network and keep a copy; fall back to the copy when the
+// network (or the backend) is down. Copies served offline are marked with
+// X-Cache: OFFLINE so the page can say so.
+async function networkFirst(request, cacheName, { limit, offlineHeader = false } = {}) {
+    const cache = await caches.open(cacheName);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.delete(request);
+            await cache.put(request, response.clone());
+            if (limit) await trimCache(cache, limit);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true });
+        if (!cached) {
+            // Navigations can fall back to the shell
+            if (request.mode === 'navigate') {
+                const shell = await caches.match('index.html');
+                if (shell) return shell;
+            }
+            throw error;
+        }
+        if (!offlineHeader) return cached;
+        
+        const headers = new Headers(cached.headers);
+        headers.set('X-Cache', 'OFFLINE');
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+    }
+}
+
+// Keep the newest `limit` entries; re-added entries count as new
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}